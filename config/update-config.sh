@@ -9,16 +9,25 @@
 # Default API URL if not provided
 API_URL=${API_URL:-https://media-pi.sw.consulting:8084/api}
 ENABLE_LOG=${ENABLE_LOG:-false}
+# Inactivity timeout and warning in milliseconds, IDLE_TIMEOUT=0 disables the timeout
+IDLE_TIMEOUT=${IDLE_TIMEOUT:-1800000}
+IDLE_WARNING=${IDLE_WARNING:-60000}
 
-# Create the config file with the provided API URL and enableLog setting
+# Create the config file with the provided API URL, enableLog and idle session settings
 echo "{" > /var/www/media-pi/config.json
 echo "  \"apiUrl\": \"${API_URL}\"," >> /var/www/media-pi/config.json
-echo "  \"enableLog\": ${ENABLE_LOG}" >> /var/www/media-pi/config.json
+echo "  \"enableLog\": ${ENABLE_LOG}," >> /var/www/media-pi/config.json
+echo "  \"idleSession\": {" >> /var/www/media-pi/config.json
+echo "    \"timeout\": ${IDLE_TIMEOUT}," >> /var/www/media-pi/config.json
+echo "    \"warning\": ${IDLE_WARNING}" >> /var/www/media-pi/config.json
+echo "  }" >> /var/www/media-pi/config.json
 echo "}" >> /var/www/media-pi/config.json
 
 echo "Runtime configuration updated:"
 echo "API URL: ${API_URL}"
 echo "Enable Log: ${ENABLE_LOG}"
+echo "Idle Timeout: ${IDLE_TIMEOUT}"
+echo "Idle Warning: ${IDLE_WARNING}"
 
 # Execute the command passed to docker run
 exec "$@"
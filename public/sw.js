@@ -0,0 +1,90 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Service worker of the application shell.
+// Keeps index.html, the runtime configuration and the built assets so that the
+// application starts without a network. API responses are not touched here: the
+// stores keep their own copies of the last lists and know when they show them.
+
+/* global self, caches */
+
+const cacheVersion = 'v1'
+const shellCache = `media-pi-shell-${cacheVersion}`
+const shellFiles = ['/', '/index.html', '/config.json', '/manifest.webmanifest', '/icon.svg']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(shellCache)
+      .then((cache) => cache.addAll(shellFiles))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('media-pi-shell-') && key !== shellCache)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+const putInCache = async (request, response) => {
+  // Opaque responses of cross-origin stylesheets and fonts have status 0
+  if (!response || (!response.ok && response.type !== 'opaque')) return response
+  const cache = await caches.open(shellCache)
+  await cache.put(request, response.clone())
+  return response
+}
+
+// Pages and the runtime configuration change on deployment: the network wins
+const networkFirst = async (request, fallbackUrl) => {
+  try {
+    return await putInCache(fallbackUrl ?? request, await fetch(request))
+  } catch (error) {
+    const cached = await caches.match(fallbackUrl ?? request)
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Built assets carry a hash in the name: the cached copy is served at once
+const staleWhileRevalidate = async (event) => {
+  const cached = await caches.match(event.request)
+  const network = fetch(event.request).then((response) => putInCache(event.request, response))
+  if (cached) {
+    event.waitUntil(network.catch(() => undefined))
+    return cached
+  }
+  return network
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  // API calls proxied through the same origin and downloads are never cached
+  if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/downloads/'))) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'))
+    return
+  }
+  if (sameOrigin) {
+    if (url.pathname === '/config.json') {
+      event.respondWith(networkFirst(request))
+      return
+    }
+    event.respondWith(staleWhileRevalidate(event))
+    return
+  }
+  if (request.destination === 'style' || request.destination === 'font') {
+    event.respondWith(staleWhileRevalidate(event))
+  }
+})
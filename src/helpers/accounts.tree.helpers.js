@@ -46,7 +46,7 @@ import {
 
 // Tree loading and state management
 import { createLoadChildrenHandler } from './tree/tree.loader.js'
-import { createStateManager } from './tree/tree.state.js'
+import { createStateManager, buildFocusedTreeState } from './tree/tree.state.js'
 
 // Action creators for different node types
 import { createAccountActions } from './tree/account.actions.js'
@@ -83,6 +83,13 @@ import { getDeviceGroupFromItem } from './tree/devicegroup.actions.js'
 import { createAccountAssignmentActions } from './tree/account.assignment.helpers.js'
 import { createDeviceGroupAssignmentActions } from './tree/devicegroup.assignment.helpers.js'
 
+// Bulk device operations
+import {
+  isBulkSelectableNode,
+  resolveSelectedDeviceIds,
+  createBulkActionRunner
+} from './tree/bulk.actions.js'
+
 // Re-export all functions for direct import access when specific modules are needed
 export * from './tree/tree.builder.js'
 export * from './tree/tree.loader.js'
@@ -95,6 +102,7 @@ export * from './tree/device.item.helpers.js'
 export * from './tree/account.assignment.helpers.js'
 export * from './tree/devicegroup.assignment.helpers.js'
 export * from './tree/id.extraction.helpers.js'
+export * from './tree/bulk.actions.js'
 
 /**
  * Main Accounts Tree Composable
@@ -151,6 +159,7 @@ export function useAccountsTreeHelper() {
     // Functions for managing tree state and lazy loading
     createLoadChildrenHandler, // Create handler for lazy loading tree nodes
     createStateManager,       // Create reactive state for tree expansion/selection
+    buildFocusedTreeState,    // Build a saved state that opens the tree on a given node
     
     // Action Creators
     // Factory functions that create context-sensitive action handlers
@@ -179,6 +188,12 @@ export function useAccountsTreeHelper() {
     createAccountAssignmentActions,     // Create actions for assigning devices to accounts
     createDeviceGroupAssignmentActions, // Create actions for assigning devices to groups
     
+    // Bulk Device Operations
+    // Functions for running one device action over a multi-node selection
+    isBulkSelectableNode,          // Check if a node can be selected for bulk operations
+    resolveSelectedDeviceIds,      // Expand selected device/group/account nodes into device IDs
+    createBulkActionRunner,        // Create runner with bounded concurrency and per-device results
+    
     // ID Extraction Utilities
     // Helper functions for extracting IDs from various tree contexts
     getEntityIdFromNodeId,         // Generic entity ID extraction with configurable prefix
@@ -0,0 +1,185 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Date-bounded playlist campaigns.
+// Playlists and group playlist assignments may carry startDate / endDate as
+// 'YYYY-MM-DD'; both ends are inclusive and either may be missing. An assignment
+// is in effect only while both its own period and the playlist period are.
+
+import { formatRuDate } from '@/helpers/date.format.js'
+
+export const campaignStates = Object.freeze({
+  upcoming: 'upcoming',
+  active: 'active',
+  expired: 'expired'
+})
+
+export const campaignStateTitles = Object.freeze({
+  [campaignStates.upcoming]: 'Ещё не начался',
+  [campaignStates.active]: 'Действует',
+  [campaignStates.expired]: 'Истёк'
+})
+
+const millisecondsPerDay = 24 * 60 * 60 * 1000
+
+/**
+ * Date part of an API value.
+ *
+ * @param {string|null|undefined} value - 'YYYY-MM-DD' or an ISO date-time
+ * @returns {string|null} 'YYYY-MM-DD' or null
+ */
+export function normalizeDateKey(value) {
+  if (typeof value !== 'string') return null
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})/)
+  return match ? match[1] : null
+}
+
+/**
+ * Local calendar date of a Date.
+ *
+ * @param {Date} date - Date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+const dayNumber = (key) => {
+  const [year, month, day] = key.split('-').map(Number)
+  return Date.UTC(year, month - 1, day) / millisecondsPerDay
+}
+
+/**
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function addDays(key, days) {
+  return new Date((dayNumber(key) + days) * millisecondsPerDay).toISOString().slice(0, 10)
+}
+
+export const daysBetween = (from, to) => dayNumber(to) - dayNumber(from)
+
+const periodOf = (item) => ({
+  startDate: normalizeDateKey(item?.startDate),
+  endDate: normalizeDateKey(item?.endDate)
+})
+
+export const isCampaign = (item) => {
+  const { startDate, endDate } = periodOf(item)
+  return Boolean(startDate || endDate)
+}
+
+/**
+ * @param {{ startDate?: string, endDate?: string }} item - Playlist or assignment
+ * @param {string} [today] - 'YYYY-MM-DD', the current local date by default
+ * @returns {string} One of campaignStates; items without dates are always active
+ */
+export function getCampaignState(item, today = toDateKey(new Date())) {
+  const { startDate, endDate } = periodOf(item)
+  if (startDate && today < startDate) return campaignStates.upcoming
+  if (endDate && today > endDate) return campaignStates.expired
+  return campaignStates.active
+}
+
+/**
+ * Problem of a period that prevents saving.
+ *
+ * @param {{ startDate?: string, endDate?: string }} item - Playlist or assignment
+ * @returns {string|null} Message or null
+ */
+export function getCampaignPeriodIssue(item) {
+  const { startDate, endDate } = periodOf(item)
+  if (startDate && endDate && endDate < startDate) return 'дата окончания раньше даты начала'
+  return null
+}
+
+/**
+ * @param {{ startDate?: string, endDate?: string }} item - Playlist or assignment
+ * @returns {string} For example 'с 01.06.2026 по 31.08.2026'
+ */
+export function formatCampaignPeriod(item) {
+  const { startDate, endDate } = periodOf(item)
+  if (!startDate && !endDate) return 'без ограничений'
+  return [
+    startDate ? `с ${formatRuDate(startDate)}` : '',
+    endDate ? `по ${formatRuDate(endDate)}` : ''
+  ].filter(Boolean).join(' ')
+}
+
+/**
+ * Period during which both items are in effect.
+ *
+ * @param {Object} first - Playlist or assignment
+ * @param {Object} second - Playlist or assignment
+ * @returns {{ startDate: string|null, endDate: string|null }}
+ */
+export function intersectCampaignPeriods(first, second) {
+  const a = periodOf(first)
+  const b = periodOf(second)
+  const later = (x, y) => (x && y ? (x > y ? x : y) : x || y)
+  const earlier = (x, y) => (x && y ? (x < y ? x : y) : x || y)
+  return {
+    startDate: later(a.startDate, b.startDate),
+    endDate: earlier(a.endDate, b.endDate)
+  }
+}
+
+/**
+ * Campaigns of every group over a range of days.
+ * Assignments without dates on both the assignment and the playlist are not campaigns
+ * and are left out, as are campaigns that do not touch the range.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.groups - Device groups with playLists: [{ playlistId, play, startDate, endDate }]
+ * @param {Array<Object>} options.playlists - Playlists: { id, title, startDate, endDate }
+ * @param {string} options.from - First day, 'YYYY-MM-DD'
+ * @param {number} [options.days=30] - Length of the range
+ * @param {string} [options.today] - 'YYYY-MM-DD' the states are computed for, the current local date by default
+ * @returns {{ dates: Array<Object>, rows: Array<Object> }} dates are { date, day, weekday, weekend, today };
+ *   rows are { groupId, name, accountId, campaigns: [{ playlistId, title, play, startDate, endDate, state, first, last }] }
+ *   where first and last are indices into dates
+ */
+export function buildCampaignCalendar({ groups, playlists, from, days = 30, today = toDateKey(new Date()) }) {
+  const weekdays = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб']
+  const dates = Array.from({ length: days }, (_, index) => {
+    const date = addDays(from, index)
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay()
+    return {
+      date,
+      day: Number(date.slice(8)),
+      weekday: weekdays[weekday],
+      weekend: weekday === 0 || weekday === 6,
+      today: date === today
+    }
+  })
+  const to = addDays(from, days - 1)
+  const playlistsById = new Map((playlists || []).map(playlist => [playlist.id, playlist]))
+
+  const rows = []
+  for (const group of groups || []) {
+    const campaigns = []
+    for (const assignment of group?.playLists || group?.playlists || []) {
+      const playlist = playlistsById.get(assignment?.playlistId)
+      const period = intersectCampaignPeriods(playlist, assignment)
+      if (!isCampaign(period) || getCampaignPeriodIssue(period)) continue
+      if ((period.startDate && period.startDate > to) || (period.endDate && period.endDate < from)) continue
+      campaigns.push({
+        playlistId: assignment.playlistId,
+        title: playlist?.title || `Плейлист ${assignment.playlistId}`,
+        play: Boolean(assignment.play),
+        ...period,
+        state: getCampaignState(period, today),
+        first: period.startDate ? Math.max(0, daysBetween(from, period.startDate)) : 0,
+        last: period.endDate ? Math.min(days - 1, daysBetween(from, period.endDate)) : days - 1
+      })
+    }
+    if (campaigns.length) {
+      campaigns.sort((a, b) => a.first - b.first || a.title.localeCompare(b.title))
+      rows.push({ groupId: group.id, name: group.name || `Группа ${group.id}`, accountId: group.accountId ?? null, campaigns })
+    }
+  }
+  rows.sort((a, b) => a.name.localeCompare(b.name))
+  return { dates, rows }
+}
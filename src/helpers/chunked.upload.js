@@ -0,0 +1,93 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Resumable chunked uploads.
+// A file is split into fixed-size chunks. Every chunk is sent with its index,
+// byte range and SHA-256 checksum, so the server can verify it and report
+// which chunks it already has. Upload sessions are kept in localStorage per
+// user, keyed by a fingerprint of the file and the upload target, so that
+// selecting the same file again after a page reload continues where it stopped.
+// The sessions of a user are dropped when the user logs out.
+
+export const defaultChunkSize = 8 * 1024 * 1024
+export const uploadSessionsStorageKey = 'videoUploadSessions'
+export const maxChunkRetries = 5
+
+const baseRetryDelayMs = 1000
+const maxRetryDelayMs = 30 * 1000
+
+export const getChunkCount = (size, chunkSize) => Math.max(1, Math.ceil(size / chunkSize))
+
+export const getChunkRange = (index, size, chunkSize) => ({
+  start: index * chunkSize,
+  end: Math.min(size, (index + 1) * chunkSize)
+})
+
+/**
+ * Identifies an upload of a file to a target.
+ * The browser does not expose file paths, so name, size and modification time
+ * stand in for the file identity.
+ *
+ * @param {File} file - File being uploaded
+ * @param {Object} target - { accountId, categoryId }
+ * @returns {string} Fingerprint
+ */
+export const getUploadFingerprint = (file, { accountId, categoryId } = {}) =>
+  [file?.name || '', file?.size || 0, file?.lastModified || 0, accountId ?? '', categoryId ?? ''].join(':')
+
+/**
+ * Computes the hex SHA-256 digest of a chunk.
+ *
+ * @param {Blob} blob - Chunk
+ * @returns {Promise<string>} Lower case hex digest
+ */
+export async function computeChunkChecksum(blob) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Network failures, timeouts, server errors and checksum mismatches are worth retrying
+export const isRetryableUploadError = (err) =>
+  err?.isNetworkError === true ||
+  err?.isTimeout === true ||
+  err?.status === 409 ||
+  (Number.isInteger(err?.status) && err.status >= 500)
+
+export const getRetryDelay = (attempt) => Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** attempt)
+
+export const getUploadSessionsStorageKey = (userId) => `${uploadSessionsStorageKey}:${userId}`
+
+export function loadUploadSessions(userId) {
+  if (!userId) return {}
+  try {
+    const saved = JSON.parse(localStorage.getItem(getUploadSessionsStorageKey(userId)) || '{}')
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {}
+  } catch {
+    return {}
+  }
+}
+
+function writeUploadSessions(userId, sessions) {
+  if (!userId) return
+  if (Object.keys(sessions).length) {
+    localStorage.setItem(getUploadSessionsStorageKey(userId), JSON.stringify(sessions))
+  } else {
+    localStorage.removeItem(getUploadSessionsStorageKey(userId))
+  }
+}
+
+export function saveUploadSession(userId, fingerprint, session) {
+  writeUploadSessions(userId, { ...loadUploadSessions(userId), [fingerprint]: session })
+}
+
+export function removeUploadSession(userId, fingerprint) {
+  const sessions = loadUploadSessions(userId)
+  delete sessions[fingerprint]
+  writeUploadSessions(userId, sessions)
+}
+
+export function clearUploadSessions(userId) {
+  if (userId) localStorage.removeItem(getUploadSessionsStorageKey(userId))
+  // Sessions of earlier versions were not bound to a user
+  localStorage.removeItem(uploadSessionsStorageKey)
+}
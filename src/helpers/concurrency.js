@@ -0,0 +1,36 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+export const defaultConcurrency = 4
+
+/**
+ * Runs an async worker over the items with at most `concurrency` workers in flight.
+ * Never rejects: every item gets a settled result in the order of the input array,
+ * shaped like Promise.allSettled() output.
+ *
+ * @param {Array} items
+ * @param {Function} worker - async (item, index) => value
+ * @param {number} [concurrency]
+ * @returns {Promise<Array<{ status: 'fulfilled'|'rejected', value?: any, reason?: any }>>}
+ */
+export async function runWithConcurrency(items, worker, concurrency = defaultConcurrency) {
+  const list = Array.from(items || [])
+  const results = new Array(list.length)
+  const limit = Math.max(1, Math.min(Number.isInteger(concurrency) ? concurrency : defaultConcurrency, list.length))
+  let nextIndex = 0
+
+  const runNext = async () => {
+    while (nextIndex < list.length) {
+      const index = nextIndex
+      nextIndex += 1
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(list[index], index) }
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason }
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: list.length ? limit : 0 }, runNext))
+  return results
+}
@@ -100,3 +100,23 @@ export const timeouts = {
     import.meta.env.VITE_APPLY_TIMEOUT
   ) || 10000 // 10 seconds
 }
+
+/**
+ * Inactivity timeout of a signed in session (in milliseconds)
+ * @type {Object}
+ * @property {number} timeout - Inactivity after which the user is logged out, 0 disables the timeout
+ * @property {number} warning - How long before the logout the warning is shown
+ */
+export const idleSession = {
+  timeout: getNumberConfig(
+    window.RUNTIME_CONFIG?.idleSession?.timeout,
+    import.meta.env.VITE_IDLE_TIMEOUT,
+    30 * 60 * 1000 // 30 minutes
+  ),
+
+  warning: getNumberConfig(
+    window.RUNTIME_CONFIG?.idleSession?.warning,
+    import.meta.env.VITE_IDLE_WARNING,
+    60 * 1000 // 1 minute
+  )
+}
@@ -0,0 +1,212 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Dayparting of device group playlists.
+// A window is { days: [1..7], start: 'HH:mm', stop: 'HH:mm' } with ISO weekdays,
+// Monday = 1. A window whose start is later than its stop crosses midnight and
+// ends on the next day; Sunday night continues into Monday.
+// Windows are laid out on one week counted in minutes from Monday 00:00.
+// Outside of all windows the group plays its default playlist (play: true).
+
+import { minutesPerDay, restIntervalSegments, timeToMinutes } from '@/helpers/schedule.timeline.js'
+
+export const minutesPerWeek = 7 * minutesPerDay
+
+export const weekdays = Object.freeze([
+  { value: 1, short: 'Пн', title: 'Понедельник' },
+  { value: 2, short: 'Вт', title: 'Вторник' },
+  { value: 3, short: 'Ср', title: 'Среда' },
+  { value: 4, short: 'Чт', title: 'Четверг' },
+  { value: 5, short: 'Пт', title: 'Пятница' },
+  { value: 6, short: 'Сб', title: 'Суббота' },
+  { value: 7, short: 'Вс', title: 'Воскресенье' }
+])
+
+export const weekdayPresets = Object.freeze([
+  { key: 'weekdays', title: 'Будни', days: [1, 2, 3, 4, 5] },
+  { key: 'weekend', title: 'Выходные', days: [6, 7] },
+  { key: 'all', title: 'Все дни', days: [1, 2, 3, 4, 5, 6, 7] }
+])
+
+export const createDaypartWindow = () => ({ days: [1, 2, 3, 4, 5], start: '09:00', stop: '18:00' })
+
+const normalizeDays = (days) => [...new Set((Array.isArray(days) ? days : [])
+  .map(Number)
+  .filter(day => Number.isInteger(day) && day >= 1 && day <= 7))]
+  .sort((a, b) => a - b)
+
+/**
+ * Windows as sent by the API, with days cleaned up. Entries that are not
+ * objects are dropped.
+ *
+ * @param {Array<Object>} windows - Windows of one playlist
+ * @returns {Array<{ days: Array<number>, start: string, stop: string }>}
+ */
+export function normalizeDaypartWindows(windows) {
+  return (Array.isArray(windows) ? windows : [])
+    .filter(daypart => daypart && typeof daypart === 'object')
+    .map(daypart => ({
+      days: normalizeDays(daypart.days),
+      start: typeof daypart.start === 'string' ? daypart.start.slice(0, 5) : '',
+      stop: typeof daypart.stop === 'string' ? daypart.stop.slice(0, 5) : ''
+    }))
+}
+
+/**
+ * Problem of a single window that prevents saving.
+ *
+ * @param {Object} daypart - Window
+ * @returns {string|null} Message or null for a valid window
+ */
+export function getDaypartWindowIssue(daypart) {
+  if (!normalizeDays(daypart?.days).length) return 'не выбраны дни недели'
+  const start = timeToMinutes(daypart?.start)
+  const stop = timeToMinutes(daypart?.stop)
+  if (start === null || stop === null) return 'время указывается в формате ЧЧ:ММ'
+  if (start === stop) return 'начало и конец совпадают'
+  return null
+}
+
+/**
+ * Days of a window as short text: ranges of three or more days are joined.
+ *
+ * @param {Array<number>} days - ISO weekdays
+ * @returns {string} For example 'Пн–Пт, Вс'
+ */
+export function formatWeekdays(days) {
+  const list = normalizeDays(days)
+  if (list.length === 7) return 'ежедневно'
+  const parts = []
+  let i = 0
+  while (i < list.length) {
+    let j = i
+    while (j + 1 < list.length && list[j + 1] === list[j] + 1) j++
+    const short = (day) => weekdays[day - 1].short
+    if (j - i >= 2) {
+      parts.push(`${short(list[i])}–${short(list[j])}`)
+    } else {
+      for (let k = i; k <= j; k++) parts.push(short(list[k]))
+    }
+    i = j + 1
+  }
+  return parts.join(', ')
+}
+
+export const formatDaypartWindow = (daypart) => [formatWeekdays(daypart?.days), `${daypart?.start}–${daypart?.stop}`]
+  .filter(Boolean)
+  .join(' ')
+
+/**
+ * Minutes of the week a window covers.
+ *
+ * @param {Object} daypart - Window
+ * @returns {Array<{ from: number, to: number }>} Segments, never crossing the end of the week;
+ *   empty for an invalid window
+ *
+ * @example
+ * windowWeekSegments({ days: [7], start: '22:00', stop: '02:00' })
+ * // [{ from: 9960, to: 10080 }, { from: 0, to: 120 }]
+ */
+export function windowWeekSegments(daypart) {
+  if (getDaypartWindowIssue(daypart)) return []
+  const daySegments = restIntervalSegments(daypart)
+  const crosses = timeToMinutes(daypart.start) > timeToMinutes(daypart.stop)
+  const segments = []
+  for (const day of normalizeDays(daypart.days)) {
+    const dayStart = (day - 1) * minutesPerDay
+    daySegments.forEach((segment, index) => {
+      // The part after midnight belongs to the next day
+      const offset = crosses && index === 1 ? (dayStart + minutesPerDay) % minutesPerWeek : dayStart
+      segments.push({ from: offset + segment.from, to: offset + segment.to })
+    })
+  }
+  return segments
+}
+
+function overlapOf(left, right) {
+  const parts = []
+  for (const a of left) {
+    for (const b of right) {
+      const from = Math.max(a.from, b.from)
+      const to = Math.min(a.to, b.to)
+      if (from < to) parts.push({ from, to })
+    }
+  }
+  return parts
+}
+
+/**
+ * Finds overlapping windows, within one playlist and across playlists.
+ * Touching windows do not overlap.
+ *
+ * @param {Array<{ playlistId: number, windows: Array<Object> }>} assignments - Playlists with windows
+ * @returns {Array<Object>} { first, second, segments } where first and second are
+ *   { playlistId, index, daypart } and segments are the shared minutes of the week
+ */
+export function findDaypartConflicts(assignments) {
+  const windows = []
+  for (const assignment of assignments || []) {
+    (assignment?.windows || []).forEach((daypart, index) => {
+      windows.push({ playlistId: assignment.playlistId, index, daypart, segments: windowWeekSegments(daypart) })
+    })
+  }
+  const conflicts = []
+  for (let i = 0; i < windows.length; i++) {
+    for (let j = i + 1; j < windows.length; j++) {
+      const segments = overlapOf(windows[i].segments, windows[j].segments)
+      if (segments.length) {
+        const pick = ({ playlistId, index, daypart }) => ({ playlistId, index, daypart })
+        conflicts.push({ first: pick(windows[i]), second: pick(windows[j]), segments })
+      }
+    }
+  }
+  return conflicts
+}
+
+/**
+ * Week grid: for every day the segments of every playlist window and of the conflicts.
+ *
+ * @param {Array<{ playlistId: number, windows: Array<Object> }>} assignments - Playlists with windows
+ * @returns {Array<Object>} { day, short, title, segments: [{ playlistId, index, from, to }],
+ *   conflicts: [{ from, to }] } with minutes since the midnight of that day
+ */
+export function buildDaypartWeek(assignments) {
+  const week = weekdays.map(day => ({ day: day.value, short: day.short, title: day.title, segments: [], conflicts: [] }))
+  const place = (target, segment, extra) => {
+    const dayIndex = Math.floor(segment.from / minutesPerDay)
+    const dayStart = dayIndex * minutesPerDay
+    week[dayIndex][target].push({ ...extra, from: segment.from - dayStart, to: segment.to - dayStart })
+  }
+  for (const assignment of assignments || []) {
+    (assignment?.windows || []).forEach((daypart, index) => {
+      for (const segment of windowWeekSegments(daypart)) {
+        place('segments', segment, { playlistId: assignment.playlistId, index })
+      }
+    })
+  }
+  for (const conflict of findDaypartConflicts(assignments)) {
+    for (const segment of conflict.segments) place('conflicts', segment, {})
+  }
+  return week
+}
+
+/**
+ * Problems that prevent saving: invalid windows and overlapping windows.
+ *
+ * @param {Array<{ playlistId: number, title: string, windows: Array<Object> }>} assignments - Playlists with windows
+ * @returns {Array<string>} Messages
+ */
+export function getDaypartIssues(assignments) {
+  const titleOf = (playlistId) => (assignments || []).find(item => item.playlistId === playlistId)?.title || `Плейлист ${playlistId}`
+  const issues = []
+  for (const assignment of assignments || []) {
+    for (const daypart of assignment?.windows || []) {
+      const issue = getDaypartWindowIssue(daypart)
+      if (issue) issues.push(`Окно плейлиста «${titleOf(assignment.playlistId)}» ${formatDaypartWindow(daypart)}: ${issue}`)
+    }
+  }
+  for (const { first, second } of findDaypartConflicts(assignments)) {
+    issues.push(`Окна «${titleOf(first.playlistId)}» ${formatDaypartWindow(first.daypart)} и «${titleOf(second.playlistId)}» ${formatDaypartWindow(second.daypart)} пересекаются`)
+  }
+  return issues
+}
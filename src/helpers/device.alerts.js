@@ -0,0 +1,59 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Detection of device state changes worth an operator's attention.
+// Alerts are raised on transitions only: the first status of a device is a
+// baseline and never produces an alert.
+
+import { serviceStatusDescriptors } from '@/helpers/fleet.health.js'
+
+export const alertTypes = Object.freeze({
+  offline: 'offline',
+  serviceStopped: 'service-stopped',
+  activationFailed: 'activation-failed'
+})
+
+export const maxAlerts = 200
+
+/**
+ * Compares two statuses of the same device.
+ *
+ * @param {Object|undefined} previous - Previously known normalized status
+ * @param {Object} next - New normalized status
+ * @returns {Array<{ type: string, message: string }>} Detected alerts
+ */
+export function detectStatusAlerts(previous, next) {
+  if (!previous || !next) return []
+  const alerts = []
+
+  if (previous.isOnline && !next.isOnline) {
+    alerts.push({ type: alertTypes.offline, message: 'Устройство не в сети' })
+  }
+
+  // Service statuses of offline devices are stale
+  if (next.isOnline) {
+    serviceStatusDescriptors.forEach(descriptor => {
+      if (previous[descriptor.key] !== false && next[descriptor.key] === false) {
+        alerts.push({ type: alertTypes.serviceStopped, message: descriptor.label })
+      }
+    })
+  }
+
+  const activation = next.playlistActivation
+  if (activation?.state === 'failed' && previous.playlistActivation?.state !== 'failed') {
+    const reason = activation.error ? `: ${activation.error}` : ''
+    alerts.push({ type: alertTypes.activationFailed, message: `Ошибка активации плейлиста${reason}` })
+  }
+
+  return alerts
+}
+
+export const isAccountMuted = (accountId, mutedAccounts) =>
+  Number.isInteger(accountId) && (mutedAccounts || []).includes(accountId)
+
+export const toggleMutedAccount = (accountId, mutedAccounts) => {
+  const list = mutedAccounts || []
+  return list.includes(accountId)
+    ? list.filter(id => id !== accountId)
+    : [...list, accountId].sort((a, b) => a - b)
+}
@@ -0,0 +1,240 @@
+// Copyright (c) 2025-2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import * as Yup from 'yup'
+import { hasRestOverlaps } from '@/helpers/schedule.timeline.js'
+
+export const defaultTimeValue = '00:00'
+export const defaultPhotoTimerValue = '00:00:00'
+export const defaultAudioOutput = 'hdmi'
+const maxPhotoTimerSeconds = 86399
+const photoTimerPattern = /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/
+
+export const audioOutputOptions = Object.freeze([
+  { value: 'hdmi', text: 'HDMI' },
+  { value: 'jack', text: 'Аналоговый выход 3.5 мм' }
+])
+
+export const createDefaultRestPair = () => ({ start: defaultTimeValue, stop: defaultTimeValue })
+
+export const createDefaultScheduleValues = () => ({
+  playlist: [defaultTimeValue],
+  video: [defaultTimeValue],
+  rest: [createDefaultRestPair()],
+  photoReport: [defaultPhotoTimerValue]
+})
+
+export const createDefaultConfiguration = () => ({
+  playlist: { source: '', destination: '' },
+  schedule: createDefaultScheduleValues(),
+  audio: { output: defaultAudioOutput },
+  screenshot: { timers: [] }
+})
+
+export function parsePhotoTimerSeconds(value) {
+  if (typeof value !== 'string' || !photoTimerPattern.test(value.trim())) {
+    return null
+  }
+  const [hours, minutes, seconds] = value.trim().split(':').map(Number)
+  if (!Number.isSafeInteger(hours)) return null
+  const totalSeconds = (hours * 60 * 60) + (minutes * 60) + seconds
+  if (!Number.isSafeInteger(totalSeconds) || totalSeconds > maxPhotoTimerSeconds) return null
+  return totalSeconds
+}
+
+const timeValueSchema = Yup.string()
+  .required('Укажите время в формате HH:mm')
+  .matches(/^([01]\d|2[0-3]):([0-5]\d)$/, 'Некорректный формат времени HH:mm')
+const photoTimerValueSchema = Yup.string()
+  .trim()
+  .test('photo-timer-format', 'Некорректный формат длительности HH:mm:ss', (value) => {
+    const trimmed = typeof value === 'string' ? value.trim() : ''
+    return trimmed === '' || parsePhotoTimerSeconds(trimmed) !== null
+  })
+
+export const scheduleValidationSchema = Yup.object({
+  playlist: Yup.array().of(timeValueSchema).min(1, 'Добавьте время загрузки плей-листа'),
+  video: Yup.array().of(timeValueSchema).min(1, 'Добавьте время воспроизведения видео'),
+  rest: Yup.array()
+    .of(
+      Yup.object({
+        start: timeValueSchema,
+        stop: timeValueSchema
+      })
+    )
+    .min(1, 'Добавьте период отдыха')
+    .test('rest-overlap', 'Периоды отдыха пересекаются', (list) => !hasRestOverlaps(list)),
+  photoReport: Yup.array().of(photoTimerValueSchema)
+})
+
+export const normalizeTimeList = (list) => {
+  if (Array.isArray(list) && list.length) {
+    const sanitized = list
+      .map((item) => (typeof item === 'string' && item.trim() ? item.trim() : null))
+      .filter(Boolean)
+    if (sanitized.length) return sanitized
+  }
+  return [defaultTimeValue]
+}
+
+export const normalizeRestList = (list) => {
+  if (Array.isArray(list) && list.length) {
+    const sanitized = list
+      .map((item) => ({
+        start: typeof item?.start === 'string' && item.start.trim() ? item.start.trim() : defaultTimeValue,
+        stop: typeof item?.stop === 'string' && item.stop.trim() ? item.stop.trim() : defaultTimeValue
+      }))
+    if (sanitized.length) return sanitized
+  }
+  return [createDefaultRestPair()]
+}
+
+const formatPhotoTimerSeconds = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
+}
+
+export const normalizePhotoTimerPayload = (list) => {
+  if (!Array.isArray(list)) return []
+
+  const unique = new Map()
+  list.forEach((item) => {
+    if (typeof item !== 'string') return
+    const value = item.trim()
+    if (!value) return
+    const totalSeconds = parsePhotoTimerSeconds(value)
+    if (totalSeconds === null) return
+    unique.set(totalSeconds, formatPhotoTimerSeconds(totalSeconds))
+  })
+
+  return [...unique.entries()]
+    .sort(([left], [right]) => left - right)
+    .map(([, value]) => value)
+}
+
+export const normalizePhotoTimerList = (list) => {
+  const normalized = normalizePhotoTimerPayload(list)
+  return normalized.length ? normalized : [defaultPhotoTimerValue]
+}
+
+const normalizeAudioOutput = (output) => (
+  typeof output === 'string' && output.trim() ? output.trim() : defaultAudioOutput
+)
+
+export const normalizeConfiguration = (config = {}) => {
+  const photoReportTimers = normalizePhotoTimerList(config?.screenshot?.timers)
+
+  return {
+    playlist: {
+      source: typeof config?.playlist?.source === 'string' ? config.playlist.source : '',
+      destination: typeof config?.playlist?.destination === 'string' ? config.playlist.destination : ''
+    },
+    schedule: {
+      playlist: normalizeTimeList(config?.schedule?.playlist),
+      video: normalizeTimeList(config?.schedule?.video),
+      rest: normalizeRestList(config?.schedule?.rest),
+      photoReport: photoReportTimers
+    },
+    audio: {
+      output: normalizeAudioOutput(config?.audio?.output)
+    },
+    screenshot: {
+      timers: normalizePhotoTimerPayload(config?.screenshot?.timers)
+    }
+  }
+}
+
+export const buildSchedulePayload = (values) => ({
+  playlist: [...normalizeTimeList(values?.playlist)],
+  video: [...normalizeTimeList(values?.video)],
+  rest: normalizeRestList(values?.rest).map((item) => ({ start: item.start, stop: item.stop }))
+})
+
+// Device group configuration template.
+// A template carries the settings shared by all devices of a group: schedule,
+// rest periods, audio output and photo-report timers. Playlist source and
+// destination stay device-specific and are never overwritten by a template.
+
+export const createDefaultConfigurationTemplate = () => ({
+  schedule: buildSchedulePayload(createDefaultScheduleValues()),
+  audio: { output: defaultAudioOutput },
+  screenshot: { timers: [] }
+})
+
+export const normalizeConfigurationTemplate = (template) => ({
+  schedule: buildSchedulePayload(template?.schedule),
+  audio: { output: normalizeAudioOutput(template?.audio?.output) },
+  screenshot: { timers: normalizePhotoTimerPayload(template?.screenshot?.timers) }
+})
+
+// Form values (schedule fields + photoReport + audio) -> template
+export const buildConfigurationTemplate = (values) => normalizeConfigurationTemplate({
+  schedule: values,
+  audio: { output: values?.audio },
+  screenshot: { timers: values?.photoReport }
+})
+
+// Template -> form values used by the schedule editor
+export const configurationTemplateToFormValues = (template) => {
+  const normalized = normalizeConfigurationTemplate(template)
+  return {
+    ...normalized.schedule,
+    photoReport: normalizePhotoTimerList(normalized.screenshot.timers),
+    audio: normalized.audio.output
+  }
+}
+
+// Builds the updateConfiguration payload for a device: template settings
+// on top of the device's own playlist source and destination
+export const applyConfigurationTemplate = (deviceConfiguration, template) => {
+  const current = normalizeConfiguration(deviceConfiguration || createDefaultConfiguration())
+  const normalized = normalizeConfigurationTemplate(template)
+  return {
+    playlist: { ...current.playlist },
+    schedule: normalized.schedule,
+    audio: normalized.audio,
+    screenshot: normalized.screenshot
+  }
+}
+
+const formatRestPair = (item) => `${item.start}—${item.stop}`
+
+const templateDiffFields = Object.freeze([
+  { key: 'playlist', label: 'Загрузка плей-листа', pick: (c) => c.schedule.playlist },
+  { key: 'video', label: 'Загрузка видео', pick: (c) => c.schedule.video },
+  { key: 'rest', label: 'Время отдыха', pick: (c) => c.schedule.rest.map(formatRestPair) },
+  { key: 'audio', label: 'Аудиовыход', pick: (c) => [c.audio.output] },
+  { key: 'photoReport', label: 'Таймер фотоотчёта', pick: (c) => c.screenshot.timers }
+])
+
+const sameValues = (left, right) => {
+  if (left.length !== right.length) return false
+  const sortedRight = [...right].sort()
+  return [...left].sort().every((value, index) => value === sortedRight[index])
+}
+
+/**
+ * Compares a device configuration with a group template.
+ * The order of timers and rest periods is not significant.
+ *
+ * @param {Object} deviceConfiguration - configuration returned by getConfiguration
+ * @param {Object} template - group configuration template
+ * @returns {Array<{ key: string, label: string, expected: string, actual: string }>}
+ *   deviating settings; an empty array means the device matches the template
+ */
+export const diffConfigurationTemplate = (deviceConfiguration, template) => {
+  const actual = normalizeConfigurationTemplate(normalizeConfiguration(deviceConfiguration || {}))
+  const expected = normalizeConfigurationTemplate(template)
+
+  return templateDiffFields
+    .map(({ key, label, pick }) => ({ key, label, expectedValues: pick(expected), actualValues: pick(actual) }))
+    .filter(({ expectedValues, actualValues }) => !sameValues(expectedValues, actualValues))
+    .map(({ key, label, expectedValues, actualValues }) => ({
+      key,
+      label,
+      expected: expectedValues.join(', ') || '—',
+      actual: actualValues.join(', ') || '—'
+    }))
+}
@@ -0,0 +1,100 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { computed, ref } from 'vue'
+import { runWithConcurrency, defaultConcurrency } from '@/helpers/concurrency.js'
+
+/**
+ * Creates a runner that executes an async task for each device of a list
+ * with bounded concurrency and keeps a reactive per-device result table.
+ *
+ * Each device gets a result row with state `pending`, `running`, `succeeded`
+ * or `failed`, the error message and the value returned by the task.
+ * A failure of one device does not stop the others; failed devices can be
+ * retried with the same task.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum number of tasks in flight
+ * @returns {Object} Runner state and actions
+ *
+ * @example
+ * const runner = createDeviceTaskRunner()
+ * await runner.run(devices, (deviceId) => devicesStore.rebootSystem(deviceId))
+ * if (runner.summary.value.failed) await runner.retryFailed()
+ */
+export const createDeviceTaskRunner = ({ concurrency = defaultConcurrency } = {}) => {
+  const results = ref([])
+  const running = ref(false)
+  let currentTask = null
+
+  const summary = computed(() => {
+    const counts = { total: results.value.length, pending: 0, running: 0, succeeded: 0, failed: 0 }
+    results.value.forEach(result => {
+      counts[result.state] += 1
+    })
+    return counts
+  })
+
+  const setResult = (deviceId, patch) => {
+    const index = results.value.findIndex(result => result.deviceId === deviceId)
+    if (index >= 0) {
+      results.value.splice(index, 1, { ...results.value[index], ...patch })
+    }
+  }
+
+  const execute = async (entries) => {
+    const task = currentTask
+    running.value = true
+    try {
+      await runWithConcurrency(entries, async (entry) => {
+        setResult(entry.deviceId, { state: 'running', error: null })
+        try {
+          const value = await task(entry.deviceId)
+          setResult(entry.deviceId, { state: 'succeeded', value })
+        } catch (err) {
+          setResult(entry.deviceId, { state: 'failed', error: err?.message || String(err) })
+        }
+      }, concurrency)
+    } finally {
+      running.value = false
+    }
+  }
+
+  const reset = () => {
+    if (running.value) return
+    results.value = []
+    currentTask = null
+  }
+
+  const run = async (devices, task) => {
+    if (running.value) return false
+    currentTask = task
+    results.value = (devices || []).map(device => ({
+      deviceId: device.id,
+      name: device.name || `Устройство ${device.id}`,
+      state: 'pending',
+      error: null,
+      value: undefined
+    }))
+    await execute([...results.value])
+    return true
+  }
+
+  const retryFailed = async () => {
+    if (running.value || !currentTask) return false
+    const failed = results.value.filter(result => result.state === 'failed')
+    if (!failed.length) return false
+    failed.forEach(result => setResult(result.deviceId, { state: 'pending', error: null }))
+    await execute(failed)
+    return true
+  }
+
+  return {
+    results,
+    running,
+    summary,
+    run,
+    retryFailed,
+    reset
+  }
+}
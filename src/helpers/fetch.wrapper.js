@@ -12,10 +12,14 @@
  * - Support for JSON, file upload, and binary download operations
  * - Automatic token validation and logout on authentication failures
  * - Configurable request logging for debugging
+ * - Cancellation through AbortSignal on every method
+ * - Sharing of identical GET requests in flight, optional time-to-live cache
+ *   with tag based invalidation and ETag / If-None-Match revalidation
  *
  * Authentication Flow:
  * - Automatically adds Bearer token to requests targeting the API URL
- * - Handles 401 responses by triggering automatic logout
+ * - Handles 401 responses by refreshing the token once for all waiting requests
+ *   and replaying them; the user is logged out only when the refresh fails
  * - Supports requests to external URLs without authentication
  *
  * @module FetchWrapper
@@ -25,6 +29,18 @@
 
 import { useAuthStore } from '@/stores/auth.store.js'
 import { apiUrl, enableLog } from '@/helpers/config.js'
+import { saveBlob } from '@/helpers/file.download.js'
+import {
+  clearRequestCache,
+  invalidateRequestCache,
+  readCachedText,
+  readEtag,
+  readInvalidationMark,
+  rememberEtag,
+  rememberResponse,
+  requestCacheKey,
+  shareRequest
+} from '@/helpers/request.cache.js'
 
 /**
  * Main fetch wrapper object providing HTTP methods
@@ -39,6 +55,10 @@ import { apiUrl, enableLog } from '@/helpers/config.js'
  * // GET request
  * const users = await fetchWrapper.get('/api/users')
  *
+ * // GET request kept for 10 seconds and dropped when 'users' changes
+ * const user = await fetchWrapper.get('/api/users/1', { ttl: 10000, tags: ['users'], signal })
+ * fetchWrapper.invalidate('users')
+ *
  * // POST request with JSON body
  * const newUser = await fetchWrapper.post('/api/users', { name: 'John' })
  *
@@ -47,6 +67,9 @@ import { apiUrl, enableLog } from '@/helpers/config.js'
  * formData.append('file', file)
  * await fetchWrapper.postFile('/api/upload', formData)
  *
+ * // Chunk of a resumable upload
+ * await fetchWrapper.putChunk('/api/uploads/1/chunks/0', chunk, { index: 0, offset: 0, total: file.size, checksum })
+ *
  * // File download
  * await fetchWrapper.downloadFile('/api/files/123', 'document.pdf')
  */
@@ -57,9 +80,12 @@ export const fetchWrapper = {
   patch: request('PATCH'),
   delete: request('DELETE'),
   postFile: requestFile('POST'),
+  putChunk: requestChunk,
   getFile: requestBlob('GET'),
   postBlob: requestBlob('POST'),
-  downloadFile: downloadFile
+  downloadFile: downloadFile,
+  invalidate: invalidateRequestCache,
+  clearCache: clearRequestCache
 }
 
 /**
@@ -69,8 +95,15 @@ export const fetchWrapper = {
  * automatic authentication, error handling, and response processing.
  * Handles JSON request/response bodies and provides consistent error messages.
  *
+ * GET requests take options instead of a body:
+ * - identical requests in flight are shared unless dedupe is false;
+ * - with ttl the response is kept and returned without a request until it expires
+ *   or one of its tags is invalidated;
+ * - a response with an ETag is revalidated with If-None-Match next time.
+ *
  * @param {string} method - HTTP method (GET, POST, PUT, PATCH, DELETE)
- * @returns {Function} Async function that performs the HTTP request
+ * @returns {Function} Async function that performs the HTTP request:
+ *   GET (url, { signal, ttl, tags, dedupe }) and others (url, body, { signal })
  *
  * @example
  * // Internal usage - creates the fetchWrapper.post method
@@ -78,46 +111,122 @@ export const fetchWrapper = {
  * await postRequest('/api/users', { name: 'John', email: 'john@example.com' })
  */
 function request(method) {
-    return async (url, body) => {
-        // Prepare request configuration with authentication headers
-        const requestOptions = {
-            method,
-            headers: authHeader(url)
-        };
+    if (method === 'GET') {
+        return requestGet;
+    }
 
-        // Add JSON content-type and serialize body for requests with data
-        if (body) {
-            requestOptions.headers['Content-Type'] = 'application/json';
-            requestOptions.body = JSON.stringify(body);
+    return async (url, body, options = {}) => {
+        // Changes are not attempted while the browser reports no connection
+        if (isBrowserOffline()) {
+            throw createOfflineError();
         }
 
-        let response;
-        try {
-           // Log request details if debugging is enabled
-           if (enableLog) {
-            console.log(url, requestOptions)
-           }
-           response = await fetch(url, requestOptions);
-        } catch (error) {
-            // Handle network-level errors with user-friendly messages
-            if (error.name === 'AbortError') {
-                throw createAbortError();
-            } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
-                throw createNetworkError();
-            } else {
-                throw createUnexpectedError(error);
-            }
-        }
+        return withTokenRefresh(url, () => sendJson(method, url, body, options));
+    };
+}
 
-        // Process HTTP error responses (4xx, 5xx status codes)
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw createHttpError(response.status, errorText);
-        }
+async function sendJson(method, url, body, options) {
+    // Prepare request configuration with authentication headers
+    const requestOptions = {
+        method,
+        headers: authHeader(url)
+    };
+
+    // Add JSON content-type and serialize body for requests with data
+    if (body) {
+        requestOptions.headers['Content-Type'] = 'application/json';
+        requestOptions.body = JSON.stringify(body);
+    }
+
+    if (options?.signal) {
+        requestOptions.signal = options.signal;
+    }
+
+    const response = await sendRequest(url, requestOptions);
+
+    // Process HTTP error responses (4xx, 5xx status codes)
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createHttpError(response.status, errorText);
+    }
+
+    // Process successful response through standard handler
+    return handleResponse(response);
+}
 
-        // Process successful response through standard handler
-        return handleResponse(response);
+function requestGet(url, options = {}) {
+    return withTokenRefresh(url, () => requestGetOnce(url, options));
+}
+
+async function requestGetOnce(url, options = {}) {
+    const { signal, ttl, tags, dedupe = true } = options ?? {};
+    const headers = authHeader(url);
+    const key = requestCacheKey(url, headers);
+
+    const cached = ttl > 0 ? readCachedText(key) : null;
+    if (cached) {
+        return handleResponseText(cached.status, cached.text);
+    }
+
+    // A mutation may invalidate the tags while the request is in flight
+    const mark = readInvalidationMark(tags);
+    const load = (requestSignal) => fetchText(url, headers, key, requestSignal);
+    const result = dedupe
+        ? await shareRequest(key, load, signal, createAbortError)
+        : await load(signal);
+
+    rememberResponse(key, result, { ttl, tags, mark });
+    return handleResponseText(result.status, result.text, result.statusText);
+}
+
+// Performs a GET and resolves with the response text, revalidating it when its ETag is known
+async function fetchText(url, headers, key, signal) {
+    const known = readEtag(key);
+    const requestOptions = {
+        method: 'GET',
+        headers: known ? { ...headers, 'If-None-Match': known.etag } : headers
     };
+    if (signal) {
+        requestOptions.signal = signal;
+    }
+
+    const response = await sendRequest(url, requestOptions);
+
+    if (response.status === 304 && known) {
+        return { status: known.status, text: known.text, statusText: 'Not Modified' };
+    }
+
+    // Process HTTP error responses (4xx, 5xx status codes)
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createHttpError(response.status, errorText);
+    }
+
+    const result = { status: response.status, text: await response.text(), statusText: response.statusText };
+    const etag = response.headers?.get?.('ETag');
+    if (etag) {
+        rememberEtag(key, etag, result);
+    }
+    return result;
+}
+
+async function sendRequest(url, requestOptions) {
+    try {
+        // Log request details if debugging is enabled
+        if (enableLog) {
+            console.log(url, requestOptions)
+        }
+        return await fetch(url, requestOptions);
+    } catch (error) {
+        // Handle network-level errors with user-friendly messages
+        if (error.name === 'AbortError') {
+            throw createAbortError();
+        } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+            throw createNetworkError();
+        } else {
+            throw createUnexpectedError(error);
+        }
+    }
 }
 
 /**
@@ -141,51 +250,43 @@ function request(method) {
  */
 function requestFile(method) {
     return async (url, body, options = {}) => {
-        if (typeof options?.onUploadProgress === 'function') {
-            return requestFileWithProgress(method, url, body, options)
+        if (isBrowserOffline()) {
+            throw createOfflineError();
         }
 
-        // Prepare request with authentication but no content-type header
-        const requestOptions = {
-            method,
-            headers: authHeader(url)
-        };
+        return withTokenRefresh(url, () => sendFile(method, url, body, options));
+    };
+}
 
-        if (options?.signal) {
-            requestOptions.signal = options.signal
-        }
+async function sendFile(method, url, body, options) {
+    if (typeof options?.onUploadProgress === 'function') {
+        return requestFileWithProgress(method, url, body, options)
+    }
 
-        // Add body (typically FormData) without serialization
-        if (body) {
-            requestOptions.body = body;
-        }
+    // Prepare request with authentication but no content-type header
+    const requestOptions = {
+        method,
+        headers: { ...authHeader(url), ...options?.headers }
+    };
 
-        let response;
-        try {
-          // Log request details if debugging is enabled
-          if (enableLog) {
-            console.log(url, requestOptions)
-          }
-          response = await fetch(url, requestOptions);
-        } catch (error) {
-            // Handle network errors with user-friendly messages
-            if (error.name === 'AbortError') {
-                throw createAbortError();
-            } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
-                throw createNetworkError();
-            } else {
-                throw createUnexpectedError(error);
-            }
-        }
+    if (options?.signal) {
+        requestOptions.signal = options.signal
+    }
 
-        // Process HTTP error responses
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw createHttpError(response.status, errorText);
-        }
+    // Add body (typically FormData) without serialization
+    if (body) {
+        requestOptions.body = body;
+    }
 
-        return handleResponse(response);
-    };
+    const response = await sendRequest(url, requestOptions);
+
+    // Process HTTP error responses
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createHttpError(response.status, errorText);
+    }
+
+    return handleResponse(response);
 }
 
 function requestFileWithProgress(method, url, body, options) {
@@ -224,7 +325,7 @@ function requestFileWithProgress(method, url, body, options) {
 
     xhr.open(method, url)
 
-    const headers = authHeader(url)
+    const headers = { ...authHeader(url), ...options.headers }
     Object.entries(headers).forEach(([key, value]) => {
       xhr.setRequestHeader(key, value)
     })
@@ -273,7 +374,44 @@ function requestFileWithProgress(method, url, body, options) {
   })
 }
 
-function createAbortError() {
+/**
+ * Uploads one chunk of a resumable upload
+ *
+ * Sends the raw chunk bytes with the headers the server uses to place and
+ * verify the chunk: its index, byte range within the file and SHA-256 checksum.
+ * Progress reporting and cancellation work as for requestFile.
+ *
+ * @param {string} url - Chunk URL
+ * @param {Blob} chunk - Chunk bytes
+ * @param {Object} options - Chunk description and request options
+ * @param {number} options.index - Zero based chunk index
+ * @param {number} options.offset - Position of the first chunk byte in the file
+ * @param {number} options.total - File size in bytes
+ * @param {string} options.checksum - Hex SHA-256 digest of the chunk
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onUploadProgress] - Progress callback
+ * @returns {Promise} Parsed response data
+ *
+ * @example
+ * await fetchWrapper.putChunk(`${apiUrl}/videos/uploads/5/chunks/2`, chunk, {
+ *   index: 2, offset: 2 * chunkSize, total: file.size, checksum
+ * })
+ */
+function requestChunk(url, chunk, options = {}) {
+  const { index, offset, total, checksum, ...requestOptions } = options
+  const last = offset + chunk.size - 1
+  return requestFile('PUT')(url, chunk, {
+    ...requestOptions,
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Range': `bytes ${offset}-${last}/${total}`,
+      'X-Chunk-Index': String(index),
+      'X-Chunk-Checksum': `sha-256=${checksum}`
+    }
+  })
+}
+
+export function createAbortError() {
   const error = new Error('Загрузка отменена')
   error.name = 'AbortError'
   return error
@@ -286,6 +424,17 @@ function createNetworkError() {
   return error
 }
 
+function createOfflineError() {
+  const error = new Error('Нет подключения к сети. Изменения недоступны до восстановления связи.')
+  error.status = 0
+  error.isOffline = true
+  return error
+}
+
+function isBrowserOffline() {
+  return globalThis.navigator?.onLine === false
+}
+
 function createTimeoutError() {
   const error = new Error('Произошла непредвиденная ошибка при обращении к серверу: timeout')
   error.status = 0
@@ -314,6 +463,46 @@ function createHttpError(status, errorText) {
   return error
 }
 
+// Requests that obtain a token never trigger a refresh; the other authentication
+// endpoints, /auth/check among them, are refreshed like any API request
+const tokenRequestPaths = ['/auth/login', '/auth/login/2fa', '/auth/refresh']
+
+const isRefreshableUrl = (url) => {
+  if (!url.startsWith(apiUrl)) return false
+  const path = url.slice(apiUrl.length).split(/[?#]/)[0]
+  return !tokenRequestPaths.includes(path)
+}
+
+const currentToken = () => useAuthStore().user?.token ?? null
+
+/**
+ * Runs a request and, when it is rejected with 401, refreshes the access token and runs it once more
+ *
+ * Requests rejected while a refresh is in flight wait for the same refresh. A request
+ * that was sent with a token that has been replaced meanwhile is replayed at once.
+ * The auth store logs the user out when the refresh fails; the 401 error is rethrown then.
+ *
+ * @param {string} url - Request URL
+ * @param {Function} perform - Sends the request, reading the authentication header on every call
+ * @returns {Promise} Result of perform
+ */
+async function withTokenRefresh(url, perform) {
+  const usedToken = currentToken()
+  try {
+    return await perform()
+  } catch (error) {
+    if (error?.status !== 401 || !usedToken || !isRefreshableUrl(url)) {
+      throw error
+    }
+    const token = currentToken()
+    const refreshed = (token && token !== usedToken) || await useAuthStore().refresh()
+    if (!refreshed) {
+      throw error
+    }
+    return perform()
+  }
+}
+
 /**
  * Generates authentication headers for API requests
  *
@@ -366,31 +555,19 @@ function authHeader(url) {
  * const url = URL.createObjectURL(blob)
  */
 function requestBlob(method) {
-    return async (url) => {
+    return (url, options = {}) => withTokenRefresh(url, async () => {
         // Prepare request with authentication headers
         const requestOptions = {
             method,
             headers: authHeader(url)
         };
 
-        let response;
-        try {
-           // Log request details if debugging is enabled
-           if (enableLog) {
-            console.log(url, requestOptions)
-           }
-           response = await fetch(url, requestOptions);
-        } catch (error) {
-            // Handle network errors with user-friendly messages
-            if (error.name === 'AbortError') {
-                throw createAbortError();
-            } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
-                throw createNetworkError();
-            } else {
-                throw createUnexpectedError(error);
-            }
+        if (options?.signal) {
+            requestOptions.signal = options.signal;
         }
 
+        const response = await sendRequest(url, requestOptions);
+
         // Process HTTP error responses
         if (!response.ok) {
             const errorText = await response.text();
@@ -399,7 +576,7 @@ function requestBlob(method) {
 
         // Return raw response for binary data processing
         return response;
-    };
+    });
 }
 
 /**
@@ -413,6 +590,8 @@ function requestBlob(method) {
  *
  * @param {string} fileUrl - The URL to download the file from
  * @param {string} defaultFilename - Fallback filename if server doesn't provide one
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download
  * @returns {Promise<boolean>} True if download was initiated successfully
  *
  * @example
@@ -422,9 +601,9 @@ function requestBlob(method) {
  * // Download with server-provided filename
  * await fetchWrapper.downloadFile('/api/reports/monthly', 'report.xlsx')
  */
-async function downloadFile(fileUrl, defaultFilename) {
+async function downloadFile(fileUrl, defaultFilename, options = {}) {
     // Fetch the file as binary data
-    const response = await requestBlob('GET')(fileUrl)
+    const response = await requestBlob('GET')(fileUrl, options)
 
     // Extract filename from Content-Disposition header if available
     let filename = defaultFilename
@@ -436,21 +615,8 @@ async function downloadFile(fileUrl, defaultFilename) {
         .trim()
     }
 
-    // Create blob URL and trigger download
-    const blob = await response.blob()
-    const objectUrl = window.URL.createObjectURL(blob)
-
-    // Create temporary download link and click it
-    const a = document.createElement('a')
-    a.href = objectUrl
-    a.download = filename
-    document.body.appendChild(a)
-    a.click()
-
-    // Clean up temporary elements and URLs
-    a.remove()
-    window.URL.revokeObjectURL(objectUrl)
-    return true
+    // Save the contents through a temporary download link
+    return saveBlob(await response.blob(), filename)
 }
 
 /**
@@ -0,0 +1,23 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+/**
+ * Saves data built in the browser as a file through a temporary link.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ * @returns {boolean} True if the download was started
+ */
+export function saveBlob(blob, filename) {
+  if (!blob || typeof window?.URL?.createObjectURL !== 'function') return false
+  const objectUrl = window.URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = objectUrl
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  // Some browsers read the object URL after click() returns
+  window.setTimeout(() => window.URL.revokeObjectURL(objectUrl), 0)
+  return true
+}
@@ -0,0 +1,183 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Aggregation of device statuses for the fleet dashboard.
+// All functions are pure: they take the arrays kept by the devices, accounts,
+// device groups and device statuses stores and return plain objects.
+
+export const latencyBuckets = Object.freeze([
+  { key: 'fast', label: 'до 50 мс', max: 50 },
+  { key: 'normal', label: '50–200 мс', max: 200 },
+  { key: 'slow', label: '200–1000 мс', max: 1000 },
+  { key: 'critical', label: 'от 1000 мс', max: Infinity }
+])
+
+export const noLatencyBucket = Object.freeze({ key: 'unknown', label: 'Нет данных' })
+export const unknownVersionLabel = 'Неизвестна'
+
+export const serviceStatusDescriptors = Object.freeze([
+  { key: 'playlistUploadServiceStatus', label: 'Загрузка плейлистов остановлена' },
+  { key: 'playbackServiceStatus', label: 'Воспроизведение остановлено' },
+  { key: 'videoUploadServiceStatus', label: 'Загрузка видео остановлена' }
+])
+
+// Total latency covers the whole round trip; connect latency is the fallback
+export const getStatusLatency = (status) => {
+  const value = status?.totalLatencyMs ?? status?.connectLatencyMs
+  return Number.isFinite(value) ? value : null
+}
+
+export const getLatencyBucketKey = (latency) => {
+  if (!Number.isFinite(latency)) return noLatencyBucket.key
+  return latencyBuckets.find(bucket => latency < bucket.max).key
+}
+
+export const getVersionKey = (status) => status?.softwareVersion || unknownVersionLabel
+
+/**
+ * Lists the health problems of a device.
+ * Stopped services are only reported for online devices: the statuses of
+ * offline devices are stale and they are already counted as offline.
+ *
+ * @param {Object} status - Normalized device status
+ * @returns {string[]} Problem descriptions, empty when the device is healthy
+ */
+export const getDeviceProblems = (status) => {
+  if (!status) return []
+  const problems = []
+  if (status.playlistActivation?.state === 'failed') {
+    const reason = status.playlistActivation.error ? `: ${status.playlistActivation.error}` : ''
+    problems.push(`Ошибка активации плейлиста${reason}`)
+  }
+  if (status.isOnline) {
+    serviceStatusDescriptors.forEach(descriptor => {
+      if (status[descriptor.key] === false) problems.push(descriptor.label)
+    })
+  }
+  return problems
+}
+
+const percentile = (sorted, ratio) => {
+  if (!sorted.length) return null
+  const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * ratio) - 1)
+  return sorted[Math.max(0, index)]
+}
+
+const createCounter = () => ({ total: 0, online: 0, offline: 0 })
+
+const countDevice = (counter, isOnline) => {
+  counter.total += 1
+  if (isOnline) counter.online += 1
+  else counter.offline += 1
+}
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name), 'ru')
+
+/**
+ * Builds the fleet health summary.
+ *
+ * @param {Object} params
+ * @param {Array} params.devices - Devices ({ id, name, accountId, deviceGroupId })
+ * @param {Array} params.statuses - Normalized device statuses
+ * @param {Array} [params.accounts] - Accounts ({ id, name })
+ * @param {Array} [params.groups] - Device groups ({ id, name, accountId })
+ * @returns {Object} { totals, accounts, latency, versions, problems, devices }
+ *
+ * @example
+ * const health = buildFleetHealth({ devices, statuses, accounts, groups })
+ * health.totals // { total: 12, online: 10, offline: 2 }
+ */
+export const buildFleetHealth = ({ devices = [], statuses = [], accounts = [], groups = [] } = {}) => {
+  const statusesById = new Map((statuses || []).map(status => [status.deviceId, status]))
+  const accountsById = new Map((accounts || []).map(account => [account.id, account]))
+  const groupsById = new Map((groups || []).map(group => [group.id, group]))
+
+  const totals = createCounter()
+  const accountRows = new Map()
+  const latencyCounts = new Map([...latencyBuckets, noLatencyBucket].map(bucket => [bucket.key, 0]))
+  const versionCounts = new Map()
+  const latencies = []
+  const problems = []
+
+  const rows = (devices || []).map(device => {
+    const status = statusesById.get(device.id) || null
+    const isOnline = Boolean(status?.isOnline)
+    const accountId = device.accountId || null
+    const groupId = accountId && device.deviceGroupId ? device.deviceGroupId : null
+    const latency = isOnline ? getStatusLatency(status) : null
+
+    countDevice(totals, isOnline)
+
+    if (!accountRows.has(accountId)) {
+      accountRows.set(accountId, {
+        accountId,
+        name: accountId
+          ? accountsById.get(accountId)?.name || `Лицевой счёт ${accountId}`
+          : 'Нераспределённые устройства',
+        ...createCounter(),
+        groups: new Map()
+      })
+    }
+    const accountRow = accountRows.get(accountId)
+    countDevice(accountRow, isOnline)
+    if (groupId) {
+      if (!accountRow.groups.has(groupId)) {
+        accountRow.groups.set(groupId, {
+          groupId,
+          accountId,
+          name: groupsById.get(groupId)?.name || `Группа ${groupId}`,
+          ...createCounter()
+        })
+      }
+      countDevice(accountRow.groups.get(groupId), isOnline)
+    }
+
+    const latencyKey = isOnline ? getLatencyBucketKey(latency) : null
+    if (latencyKey) {
+      latencyCounts.set(latencyKey, latencyCounts.get(latencyKey) + 1)
+      if (latency !== null) latencies.push(latency)
+    }
+
+    const versionKey = getVersionKey(status)
+    versionCounts.set(versionKey, (versionCounts.get(versionKey) || 0) + 1)
+
+    const deviceProblems = getDeviceProblems(status)
+    const row = {
+      deviceId: device.id,
+      name: device.name || `Устройство ${device.id}`,
+      accountId,
+      groupId,
+      isOnline,
+      latency,
+      latencyKey,
+      versionKey,
+      problems: deviceProblems
+    }
+    if (deviceProblems.length) problems.push(row)
+    return row
+  })
+
+  latencies.sort((a, b) => a - b)
+
+  return {
+    totals,
+    accounts: [...accountRows.values()]
+      // Unassigned devices go last, like in the accounts tree
+      .sort((a, b) => (a.accountId === null) - (b.accountId === null) || byName(a, b))
+      .map(row => ({ ...row, groups: [...row.groups.values()].sort(byName) })),
+    latency: {
+      buckets: [...latencyBuckets, noLatencyBucket].map(bucket => ({
+        key: bucket.key,
+        label: bucket.label,
+        count: latencyCounts.get(bucket.key)
+      })),
+      median: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95)
+    },
+    versions: [...versionCounts.entries()]
+      .map(([version, count]) => ({ version, count }))
+      .sort((a, b) => b.count - a.count || a.version.localeCompare(b.version)),
+    problems: problems.sort(byName),
+    devices: rows
+  }
+}
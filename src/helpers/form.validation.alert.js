@@ -20,6 +20,6 @@ export function getFormValidationMessage(validationContext) {
 export function showFormValidationErrors(alertStore, validationContext) {
   const message = getFormValidationMessage(validationContext)
   if (!message) return false
-  alertStore.error(message)
+  alertStore.error(message, { routeScoped: true })
   return false
 }
@@ -0,0 +1,32 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+/**
+ * Payload of a JWT. The signature is not checked: the server does that,
+ * the client only reads claims such as exp.
+ *
+ * @param {string} token - JWT
+ * @returns {Object|null} Payload or null when the token cannot be read
+ */
+export function decodeJwtPayload(token) {
+  if (typeof token !== 'string') return null
+  const parts = token.split('.')
+  if (parts.length !== 3 || !parts[1]) return null
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/')
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')
+    const payload = JSON.parse(window.atob(padded))
+    return payload && typeof payload === 'object' ? payload : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry time in milliseconds since the epoch, null when the token has no exp claim
+ */
+export function getJwtExpiry(token) {
+  const exp = decodeJwtPayload(token)?.exp
+  return Number.isFinite(exp) ? exp * 1000 : null
+}
@@ -0,0 +1,12 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { apiUrl } from '@/helpers/config.js'
+
+// The API returns media links relative to its own origin
+export function resolveMediaUrl(url) {
+  if (!url) return null
+  if (/^(https?:|blob:|data:)/i.test(url)) return url
+  if (/^https?:\/\//i.test(apiUrl)) return new URL(url, apiUrl).toString()
+  return url
+}
@@ -0,0 +1,84 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// IndexedDB copies of the last successful list responses, read when the network is down.
+// One record per user and source: { key: 'userId:source', data, savedAt }.
+// When IndexedDB is not available (private mode, tests) all functions are no-ops.
+
+const dbName = 'media-pi-offline-cache'
+const dbVersion = 1
+const storeName = 'responses'
+
+let dbPromise = null
+
+const getIndexedDb = () => globalThis.indexedDB ?? null
+
+export const isOfflineCacheAvailable = () => getIndexedDb() !== null
+
+const cacheKey = (userId, source) => `${userId ?? 'anonymous'}:${source}`
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = getIndexedDb().open(dbName, dbVersion)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((err) => {
+      // Allow the next call to retry
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+const runTransaction = async (mode, action) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = action(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Last saved response of a source.
+ *
+ * @param {number|string|null} userId - Current user, cached data is never shared between users
+ * @param {string} source - For example 'devices'
+ * @returns {Promise<{ data: *, savedAt: number }|null>}
+ */
+export async function readCachedResponse(userId, source) {
+  if (!isOfflineCacheAvailable()) return null
+  const record = await runTransaction('readonly', store => store.get(cacheKey(userId, source)))
+  return record ? { data: record.data, savedAt: record.savedAt } : null
+}
+
+export async function writeCachedResponse(userId, source, data, savedAt = Date.now()) {
+  if (!isOfflineCacheAvailable()) return
+  await runTransaction('readwrite', store => store.put({ key: cacheKey(userId, source), data, savedAt }))
+}
+
+export async function clearCachedResponses() {
+  if (!isOfflineCacheAvailable()) return
+  await runTransaction('readwrite', store => store.clear())
+}
+
+// Closes the connection; the next call opens a new one
+export async function closeOfflineCacheDb() {
+  const pending = dbPromise
+  dbPromise = null
+  if (pending) {
+    try {
+      const db = await pending
+      db.close()
+    } catch {
+      // Nothing to close
+    }
+  }
+}
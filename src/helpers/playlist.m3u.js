@@ -0,0 +1,243 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Extended M3U import and export of playlists.
+// Every entry is an #EXTINF line with the duration and the title, followed by
+// the location of the file. Exported locations are original filenames, the
+// same names the player finds the files by. Imported locations may be paths or
+// URLs from other players; only the last path segment is matched.
+// Exported files list one loop of the playlist, so other players show the
+// repeats too. The first play of a repeated item carries media-pi-repeat="N"
+// and its later plays media-pi-repeat="0", so an import restores one item
+// with its repeat count instead of N items.
+
+import { expandPlaylistLoop, normalizeRepeatCount, playModes } from '@/helpers/playlist.rules.js'
+
+export const m3uHeader = '#EXTM3U'
+export const m3uMimeType = 'audio/x-mpegurl'
+export const m3uAccept = '.m3u,.m3u8,audio/x-mpegurl,audio/mpegurl,application/vnd.apple.mpegurl'
+
+const extinfPrefix = '#EXTINF:'
+const playlistPrefix = '#PLAYLIST:'
+const repeatAttribute = 'media-pi-repeat'
+const repeatPattern = /\bmedia-pi-repeat="(\d+)"/
+
+// Line breaks would start a new line in the file
+const cleanText = (value) => (value ?? '').toString().replace(/[\r\n]+/g, ' ').trim()
+
+/**
+ * Duration of an #EXTINF line: whole seconds, -1 when unknown.
+ *
+ * @param {number|null} duration - Duration, seconds
+ * @returns {number} Seconds
+ */
+export function formatExtinfDuration(duration) {
+  const value = Number(duration)
+  return Number.isFinite(value) && value > 0 ? Math.round(value) : -1
+}
+
+function formatRepeatAttribute(repeat) {
+  return !Number.isInteger(repeat) || repeat === 1 ? '' : ` ${repeatAttribute}="${repeat}"`
+}
+
+/**
+ * Builds an extended M3U playlist.
+ *
+ * @param {Array<{ filename: string, title: string, duration: number, repeat?: number }>} entries -
+ *   Entries in play order; repeat is the repeat count on the first play of an item and 0 on its later plays
+ * @param {Object} [options] - { title } of the playlist, written as #PLAYLIST
+ * @returns {string} Playlist text with CRLF line breaks
+ *
+ * @example
+ * buildM3uPlaylist([{ filename: 'intro.mp4', title: 'Заставка', duration: 12.4 }])
+ * // '#EXTM3U\r\n#EXTINF:12,Заставка\r\nintro.mp4\r\n'
+ */
+export function buildM3uPlaylist(entries, { title } = {}) {
+  const lines = [m3uHeader]
+  const playlistTitle = cleanText(title)
+  if (playlistTitle) lines.push(`${playlistPrefix}${playlistTitle}`)
+  for (const entry of entries || []) {
+    const filename = cleanText(entry?.filename)
+    if (!filename) continue
+    const duration = formatExtinfDuration(entry.duration)
+    lines.push(`${extinfPrefix}${duration}${formatRepeatAttribute(entry.repeat)},${cleanText(entry.title) || filename}`)
+    lines.push(filename)
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Entries of one loop of a playlist loaded from the API.
+ * A file has no shuffle, so shuffled playlists are exported interleaved.
+ *
+ * @param {Array<{ videoId: number, position: number, repeatCount: number }>} items - Playlist items
+ * @param {Array<Object>} videos - Videos as returned by the API
+ * @param {Object} [options] - { playMode } of the playlist
+ * @returns {{ entries: Array<Object>, missing: number }} entries in play order with
+ *   the repeat of buildM3uPlaylist; missing counts items whose video was not found or has no filename
+ */
+export function createM3uEntries(items, videos, { playMode } = {}) {
+  const videoById = new Map((videos || []).map(video => [video.id, video]))
+  const entries = []
+  let missing = 0
+  const ordered = (items || []).slice().sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+  for (const item of ordered) {
+    const video = videoById.get(item.videoId)
+    if (!video?.originalFilename) {
+      missing += 1
+      continue
+    }
+    entries.push({
+      filename: video.originalFilename,
+      title: video.title || video.originalFilename,
+      duration: video.durationSeconds,
+      repeatCount: item.repeatCount
+    })
+  }
+  const mode = playMode === playModes.shuffle ? playModes.interleave : playMode
+  const played = new Set()
+  const loop = expandPlaylistLoop(entries, { mode }).map((entry) => {
+    const { filename, title, duration, repeatCount } = entry
+    const repeat = played.has(entry) ? 0 : normalizeRepeatCount(repeatCount)
+    played.add(entry)
+    return { filename, title, duration, repeat }
+  })
+  return { entries: loop, missing }
+}
+
+/**
+ * Last path segment of an M3U location: a relative or absolute path, a Windows
+ * path or a URL. Percent-encoding of URLs is decoded.
+ *
+ * @param {string} location - Location line
+ * @returns {string} Filename
+ */
+export function getM3uLocationFilename(location) {
+  let path = (location || '').trim()
+  const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(path)
+  if (isUrl) path = path.replace(/[?#].*$/, '')
+  const filename = path.split(/[\\/]/).pop() || ''
+  if (!isUrl && !filename.includes('%')) return filename
+  try {
+    return decodeURIComponent(filename)
+  } catch {
+    return filename
+  }
+}
+
+function parseExtinf(line) {
+  const info = line.slice(extinfPrefix.length)
+  const comma = info.indexOf(',')
+  // Attributes such as tvg-name="..." may follow the duration
+  const head = (comma >= 0 ? info.slice(0, comma) : info).trim()
+  const duration = Number.parseFloat(head.split(/\s+/)[0])
+  const repeat = head.match(repeatPattern)
+  return {
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    title: comma >= 0 ? info.slice(comma + 1).trim() : '',
+    repeat: repeat ? Number(repeat[1]) : null
+  }
+}
+
+/**
+ * Parses a simple or extended M3U playlist.
+ * Unknown directives and comments are skipped, and so are later plays of a
+ * repeated entry marked by buildM3uPlaylist.
+ *
+ * @param {string} text - Playlist text
+ * @returns {{ title: string, entries: Array<Object> }} every entry is
+ *   { index, location, filename, title, duration, repeatCount }; duration is null when unknown
+ */
+export function parseM3uPlaylist(text) {
+  const lines = (text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/)
+  let title = ''
+  let info = null
+  const entries = []
+  for (const rawLine of lines) {
+    const line = rawLine.trim()
+    if (!line) continue
+    if (line.startsWith('#')) {
+      if (line.toUpperCase().startsWith(extinfPrefix)) {
+        info = parseExtinf(line)
+      } else if (line.toUpperCase().startsWith(playlistPrefix)) {
+        title = line.slice(playlistPrefix.length).trim()
+      }
+      continue
+    }
+    const filename = getM3uLocationFilename(line)
+    if (filename && info?.repeat !== 0) {
+      entries.push({
+        index: entries.length,
+        location: line,
+        filename,
+        title: info?.title || '',
+        duration: info?.duration ?? null,
+        repeatCount: normalizeRepeatCount(info?.repeat)
+      })
+    }
+    info = null
+  }
+  return { title, entries }
+}
+
+/**
+ * Decodes a playlist file. M3U8 files are UTF-8; plain M3U files written on
+ * Windows are often in the ANSI code page, which for Russian is windows-1251.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {string} Text
+ */
+export function decodeM3uText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+  } catch {
+    return new TextDecoder('windows-1251').decode(buffer)
+  }
+}
+
+/**
+ * Matches playlist entries to videos by original filename.
+ * An exact match wins over a match that ignores case.
+ *
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {Array<Object>} videos - Videos with originalFilename
+ * @returns {{ matched: Array<{ entry: Object, video: Object }>, unmatched: Array<Object> }}
+ *   both in playlist order
+ */
+export function matchM3uEntries(entries, videos) {
+  const exact = new Map()
+  const folded = new Map()
+  for (const video of videos || []) {
+    const name = video?.originalFilename
+    if (!name) continue
+    if (!exact.has(name)) exact.set(name, video)
+    const key = name.toLocaleLowerCase()
+    if (!folded.has(key)) folded.set(key, video)
+  }
+
+  const matched = []
+  const unmatched = []
+  for (const entry of entries || []) {
+    const video = exact.get(entry.filename) || folded.get(entry.filename.toLocaleLowerCase())
+    if (video) {
+      matched.push({ entry, video })
+    } else {
+      unmatched.push(entry)
+    }
+  }
+  return { matched, unmatched }
+}
+
+/**
+ * Filename of an exported playlist: the player filename of the playlist, or
+ * one built from its id.
+ *
+ * @param {Object} playlist - Playlist with filename and id
+ * @returns {string} Filename ending in .m3u or .m3u8
+ */
+export function getM3uFilename(playlist) {
+  const filename = cleanText(playlist?.filename)
+  if (/\.m3u8?$/i.test(filename)) return filename
+  if (filename) return `${filename}.m3u`
+  return `playlist-${playlist?.id ?? 'export'}.m3u`
+}
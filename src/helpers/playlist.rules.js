@@ -0,0 +1,129 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Play rules of playlists.
+// Every item plays repeatCount times per loop. The play mode of the playlist
+// decides where the repeats go:
+// - sequential: the repeats follow each other in list order (A A B C);
+// - interleave: the repeats are spread evenly over the loop (A B A C A);
+// - shuffle: the player draws a new order for every loop; items with a larger
+//   weight tend to play earlier. The editor shows one possible order.
+// Weight never changes how often an item plays, only repeatCount does, and it
+// is ignored outside shuffle mode, where the editor hides it.
+
+export const playModes = Object.freeze({
+  sequential: 'sequential',
+  interleave: 'interleave',
+  shuffle: 'shuffle'
+})
+
+export const playModeOptions = [
+  { value: playModes.sequential, title: 'По порядку' },
+  { value: playModes.interleave, title: 'Равномерное чередование' },
+  { value: playModes.shuffle, title: 'Случайный порядок' }
+]
+
+export const defaultRepeatCount = 1
+export const defaultWeight = 1
+export const maxRepeatCount = 100
+export const maxWeight = 100
+
+function normalizeCount(value, fallback, max) {
+  const number = Math.trunc(Number(value))
+  if (!Number.isFinite(number) || number < 1) return fallback
+  return Math.min(number, max)
+}
+
+export const normalizeRepeatCount = (value) => normalizeCount(value, defaultRepeatCount, maxRepeatCount)
+export const normalizeWeight = (value) => normalizeCount(value, defaultWeight, maxWeight)
+
+export function normalizePlayMode(value) {
+  return Object.values(playModes).includes(value) ? value : playModes.sequential
+}
+
+/**
+ * Deterministic random numbers in [0, 1), so a shuffle preview stays the same
+ * until it is drawn again (mulberry32).
+ *
+ * @param {number} seed - Any integer
+ * @returns {Function} () => number
+ */
+export function createSeededRandom(seed) {
+  let state = Math.trunc(Number(seed)) >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Smooth weighted round robin: every step each item earns its repeat count and
+// the richest one plays, paying the total back. Ties go to the earlier item.
+function interleave(items, counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0)
+  const credit = counts.map(() => 0)
+  const plays = []
+  for (let step = 0; step < total; step++) {
+    let pick = 0
+    for (let i = 0; i < items.length; i++) {
+      credit[i] += counts[i]
+      if (credit[i] > credit[pick]) pick = i
+    }
+    credit[pick] -= total
+    plays.push(items[pick])
+  }
+  return plays
+}
+
+// Weighted random order: every play gets the key u^(1 / weight) and plays are
+// sorted by key, larger first (Efraimidis–Spirakis)
+function shuffle(items, counts, random) {
+  const keyed = []
+  items.forEach((item, index) => {
+    const weight = normalizeWeight(item.weight)
+    for (let n = 0; n < counts[index]; n++) {
+      keyed.push({ item, key: Math.pow(random(), 1 / weight), order: keyed.length })
+    }
+  })
+  keyed.sort((a, b) => b.key - a.key || a.order - b.order)
+  return keyed.map(entry => entry.item)
+}
+
+/**
+ * Plays of one loop of a playlist.
+ *
+ * @param {Array<{ repeatCount: number, weight: number }>} items - Items in list order
+ * @param {Object} [options] - { mode, seed }; seed fixes the shuffle
+ * @returns {Array<Object>} Items in play order, repeated items appear several times
+ *
+ * @example
+ * expandPlaylistLoop([{ key: 'a', repeatCount: 3 }, { key: 'b' }, { key: 'c' }], { mode: 'interleave' })
+ * // a, b, a, c, a
+ */
+export function expandPlaylistLoop(items, { mode = playModes.sequential, seed = 1 } = {}) {
+  const list = Array.from(items || [])
+  const counts = list.map(item => normalizeRepeatCount(item?.repeatCount))
+  switch (normalizePlayMode(mode)) {
+    case playModes.interleave:
+      return interleave(list, counts)
+    case playModes.shuffle:
+      return shuffle(list, counts, createSeededRandom(seed))
+    default:
+      return list.flatMap((item, index) => Array(counts[index]).fill(item))
+  }
+}
+
+/**
+ * Duration of one loop; items with unknown duration count as zero.
+ *
+ * @param {Array<{ duration: number, repeatCount: number }>} items - Playlist items
+ * @returns {number} Seconds
+ */
+export function getLoopDuration(items) {
+  return (items || []).reduce((sum, item) => {
+    const duration = Number(item?.duration)
+    return sum + (Number.isFinite(duration) && duration > 0 ? duration * normalizeRepeatCount(item.repeatCount) : 0)
+  }, 0)
+}
@@ -0,0 +1,101 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Helpers for reordering playlist items and drawing them on a timeline.
+// A drop index is a gap between items: 0 is before the first item and
+// items.length is after the last one. Gaps are counted in the list before
+// the move, so dropping an item next to itself leaves the order unchanged.
+
+/**
+ * Keys of the items a drag moves: the whole selection when the dragged item
+ * is selected, otherwise the dragged item alone.
+ *
+ * @param {Array<Object>} items - Items in list order
+ * @param {string} draggedKey - Key of the item under the pointer
+ * @param {Array<string>} selectedKeys - Selected keys
+ * @param {Function} getKey - item => key
+ * @returns {Array<string>} Keys in list order
+ */
+export function getDraggedKeys(items, draggedKey, selectedKeys, getKey) {
+  const selected = new Set(selectedKeys || [])
+  if (!selected.has(draggedKey)) return [draggedKey]
+  return (items || []).map(getKey).filter(key => selected.has(key))
+}
+
+/**
+ * Moves items to a gap, keeping their relative order.
+ *
+ * @param {Array<Object>} items - Items in list order
+ * @param {Array<string>} keys - Keys of the moved items
+ * @param {number} dropIndex - Gap in the list before the move
+ * @param {Function} getKey - item => key
+ * @returns {Array<Object>} Reordered copy
+ *
+ * @example
+ * moveItemsToIndex(['a', 'b', 'c', 'd'], ['a', 'c'], 4, x => x) // ['b', 'd', 'a', 'c']
+ */
+export function moveItemsToIndex(items, keys, dropIndex, getKey) {
+  const list = Array.from(items || [])
+  const moved = new Set(keys || [])
+  const gap = Math.min(list.length, Math.max(0, Math.trunc(dropIndex) || 0))
+  const movedItems = list.filter(item => moved.has(getKey(item)))
+  if (!movedItems.length) return list
+
+  const remaining = list.filter(item => !moved.has(getKey(item)))
+  const movedBeforeGap = list.slice(0, gap).filter(item => moved.has(getKey(item))).length
+  const insertAt = gap - movedBeforeGap
+  return [...remaining.slice(0, insertAt), ...movedItems, ...remaining.slice(insertAt)]
+}
+
+/**
+ * Inserts new items into a gap.
+ *
+ * @param {Array<Object>} items - Items in list order
+ * @param {Array<Object>} inserted - New items
+ * @param {number} dropIndex - Gap
+ * @returns {Array<Object>} Copy with the new items
+ */
+export function insertItemsAtIndex(items, inserted, dropIndex) {
+  const list = Array.from(items || [])
+  const gap = Math.min(list.length, Math.max(0, Math.trunc(dropIndex) || 0))
+  return [...list.slice(0, gap), ...(inserted || []), ...list.slice(gap)]
+}
+
+/**
+ * Lays items out on a timeline in proportion to their duration.
+ * Items with unknown duration start where the previous item ends and take no time.
+ *
+ * @param {Array<{ key: string, duration: number }>} items - Items in play order
+ * @returns {{ total: number, segments: Array<Object> }} total in seconds; every segment is
+ *   { key, index, start, end, duration, known, offsetPercent, widthPercent }
+ *
+ * @example
+ * createPlaylistTimeline([{ key: 'a', duration: 30 }, { key: 'b', duration: 90 }]).segments[1]
+ * // { key: 'b', index: 1, start: 30, end: 120, duration: 90, known: true, offsetPercent: 25, widthPercent: 75 }
+ */
+export function createPlaylistTimeline(items) {
+  const durations = (items || []).map(item => {
+    const duration = Number(item?.duration)
+    return Number.isFinite(duration) && duration > 0 ? duration : null
+  })
+  const total = durations.reduce((sum, duration) => sum + (duration || 0), 0)
+  const percent = (value) => (total > 0 ? (value / total) * 100 : 0)
+
+  let start = 0
+  const segments = (items || []).map((item, index) => {
+    const duration = durations[index] || 0
+    const segment = {
+      key: item.key,
+      index,
+      start,
+      end: start + duration,
+      duration,
+      known: durations[index] !== null,
+      offsetPercent: percent(start),
+      widthPercent: percent(duration)
+    }
+    start += duration
+    return segment
+  })
+  return { total, segments }
+}
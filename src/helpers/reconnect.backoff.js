@@ -0,0 +1,31 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+export const defaultReconnectBackoff = Object.freeze({
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+})
+
+/**
+ * Returns the delay before the next reconnect attempt.
+ * The delay grows exponentially with the attempt number and is capped by maxDelayMs.
+ * "Equal jitter" is applied: half of the delay is fixed, the other half is random,
+ * so clients that lost the connection at the same moment do not reconnect in lockstep.
+ *
+ * @param {number} attempt - zero-based number of the reconnect attempt
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {Function} [options.random] - random number source in [0, 1)
+ * @returns {number} delay in milliseconds
+ */
+export function getReconnectDelay(attempt, {
+  baseDelayMs = defaultReconnectBackoff.baseDelayMs,
+  maxDelayMs = defaultReconnectBackoff.maxDelayMs,
+  random = Math.random
+} = {}) {
+  const safeAttempt = Number.isInteger(attempt) && attempt > 0 ? attempt : 0
+  const exponential = Math.min(maxDelayMs, baseDelayMs * (2 ** safeAttempt))
+  const half = exponential / 2
+  return Math.round(half + random() * half)
+}
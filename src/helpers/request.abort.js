@@ -0,0 +1,27 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Requests that belong to the page on screen. The router aborts them when the page
+// changes, so that a page that is left does not keep loading its data.
+
+let routeController = new AbortController()
+
+/**
+ * Signal aborted on the next route change.
+ * Read it when the request starts: every route change issues a new signal.
+ *
+ * @returns {AbortSignal}
+ */
+export const getRouteSignal = () => routeController.signal
+
+export function abortRouteRequests() {
+  const previous = routeController
+  routeController = new AbortController()
+  previous.abort()
+}
+
+/**
+ * @param {*} error - Rejection reason
+ * @returns {boolean} True when the request was cancelled rather than failed
+ */
+export const isAbortError = (error) => error?.name === 'AbortError'
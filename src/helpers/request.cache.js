@@ -0,0 +1,149 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// In-memory state behind fetchWrapper GET requests:
+// - requests in flight, shared by identical GETs issued at the same time;
+// - responses kept for a caller supplied time to live, dropped by tag;
+// - invalidation counters, so that a response loaded across an invalidation is not kept;
+// - ETags of earlier responses for If-None-Match revalidation.
+// Response text is kept rather than parsed data so that every caller gets its own objects.
+
+const maxEtagEntries = 100
+
+const inflight = new Map()
+const responses = new Map()
+const etags = new Map()
+const invalidations = new Map()
+// Bumped by clearRequestCache, which drops responses of every tag
+let generation = 0
+
+const toTags = (tags) => (Array.isArray(tags) ? tags : [tags]).filter(Boolean)
+
+/**
+ * Key of a GET request. Includes the Authorization header so that users never share entries.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {string}
+ */
+export const requestCacheKey = (url, headers = {}) => `${headers.Authorization ?? ''} ${url}`
+
+/**
+ * Joins an identical request in flight or starts a new one.
+ * The network request is cancelled only when every caller that joined it has aborted;
+ * a caller without a signal keeps it alive.
+ *
+ * @param {string} key - Request key
+ * @param {Function} start - Receives an AbortSignal or undefined and returns a promise
+ * @param {AbortSignal} [signal] - Cancels this caller
+ * @param {Function} createAbortError - Error this caller is rejected with on abort
+ * @returns {Promise<*>}
+ */
+export function shareRequest(key, start, signal, createAbortError) {
+  if (signal?.aborted) return Promise.reject(createAbortError())
+
+  let entry = inflight.get(key)
+  if (!entry) {
+    const controller = signal ? new AbortController() : null
+    entry = { controller, subscribers: 0, pinned: !signal, promise: null }
+    const current = entry
+    entry.promise = start(controller?.signal).finally(() => {
+      if (inflight.get(key) === current) inflight.delete(key)
+    })
+    inflight.set(key, entry)
+  }
+
+  if (!signal) {
+    entry.pinned = true
+    return entry.promise
+  }
+
+  const current = entry
+  current.subscribers += 1
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      current.subscribers -= 1
+      if (!current.pinned && current.subscribers === 0) {
+        if (inflight.get(key) === current) inflight.delete(key)
+        current.controller?.abort()
+      }
+      reject(createAbortError())
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    current.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort)
+    })
+  })
+}
+
+/**
+ * @param {string} key - Request key
+ * @param {number} [now]
+ * @returns {{ status: number, text: string }|null} Response kept by rememberResponse while it is fresh
+ */
+export function readCachedText(key, now = Date.now()) {
+  const entry = responses.get(key)
+  if (!entry) return null
+  if (entry.expiresAt <= now) {
+    responses.delete(key)
+    return null
+  }
+  return { status: entry.status, text: entry.text }
+}
+
+/**
+ * Snapshot of the invalidations of the tags. Taken before a request starts and
+ * passed to rememberResponse, it tells whether the tags were invalidated meanwhile.
+ *
+ * @param {string|Array<string>} [tags] - Tags of the request
+ * @returns {string}
+ */
+export function readInvalidationMark(tags) {
+  return [generation, ...toTags(tags ?? []).map(tag => invalidations.get(tag) ?? 0)].join(':')
+}
+
+/**
+ * @param {string} key - Request key
+ * @param {{ status: number, text: string }} response - Response to keep
+ * @param {Object} options
+ * @param {number} options.ttl - Time to live, milliseconds
+ * @param {string|Array<string>} [options.tags] - Tags the entry is dropped by
+ * @param {string} [options.mark] - readInvalidationMark result taken when the request started;
+ *   the response is not kept when the tags have been invalidated since
+ */
+export function rememberResponse(key, { status, text }, { ttl, tags, mark } = {}) {
+  if (!(ttl > 0)) return
+  if (mark !== undefined && mark !== readInvalidationMark(tags)) return
+  responses.set(key, { status, text, expiresAt: Date.now() + ttl, tags: toTags(tags ?? []) })
+}
+
+export function readEtag(key) {
+  return etags.get(key) ?? null
+}
+
+export function rememberEtag(key, etag, { status, text }) {
+  etags.delete(key)
+  etags.set(key, { etag, status, text })
+  // Maps iterate in insertion order: the first key is the least recently stored
+  if (etags.size > maxEtagEntries) etags.delete(etags.keys().next().value)
+}
+
+/**
+ * Drops kept responses carrying any of the tags. ETags stay: the server decides
+ * whether the data changed.
+ *
+ * @param {...(string|Array<string>)} tags - For example 'devices'
+ */
+export function invalidateRequestCache(...tags) {
+  const dropped = new Set(tags.flatMap(toTags))
+  dropped.forEach(tag => invalidations.set(tag, (invalidations.get(tag) ?? 0) + 1))
+  for (const [key, entry] of responses) {
+    if (entry.tags.some(tag => dropped.has(tag))) responses.delete(key)
+  }
+}
+
+export function clearRequestCache() {
+  generation += 1
+  responses.clear()
+  etags.clear()
+}
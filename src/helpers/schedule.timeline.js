@@ -0,0 +1,120 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Helpers for the 24-hour schedule timeline.
+// Times are handled as minutes since midnight; a rest interval whose start is
+// later than its stop crosses midnight and is split into two segments.
+// Intervals with equal start and stop are empty and never overlap anything.
+
+export const minutesPerDay = 24 * 60
+export const defaultSnapMinutes = 15
+
+const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+export const timeToMinutes = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(timePattern) : null
+  if (!match) return null
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+export const minutesToTime = (minutes) => {
+  const value = ((Math.round(minutes) % minutesPerDay) + minutesPerDay) % minutesPerDay
+  return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`
+}
+
+export const snapMinutes = (minutes, step = defaultSnapMinutes) => {
+  const clamped = Math.min(minutesPerDay, Math.max(0, minutes))
+  if (!step || step <= 1) return Math.round(clamped)
+  return Math.min(minutesPerDay, Math.round(clamped / step) * step)
+}
+
+export const isMidnightCrossing = (item) => {
+  const start = timeToMinutes(item?.start)
+  const stop = timeToMinutes(item?.stop)
+  return start !== null && stop !== null && start > stop
+}
+
+/**
+ * Splits a rest interval into segments inside one day.
+ *
+ * @param {{ start: string, stop: string }} item
+ * @returns {Array<{ from: number, to: number }>} segments in minutes; empty for invalid or empty intervals
+ *
+ * @example
+ * restIntervalSegments({ start: '23:00', stop: '07:00' }) // [{ from: 1380, to: 1440 }, { from: 0, to: 420 }]
+ */
+export const restIntervalSegments = (item) => {
+  const start = timeToMinutes(item?.start)
+  const stop = timeToMinutes(item?.stop)
+  if (start === null || stop === null || start === stop) return []
+  if (start < stop) return [{ from: start, to: stop }]
+  return [{ from: start, to: minutesPerDay }, { from: 0, to: stop }].filter(s => s.to > s.from)
+}
+
+const segmentsOverlap = (left, right) => left.some(a => right.some(b => a.from < b.to && b.from < a.to))
+
+/**
+ * Finds pairs of overlapping rest intervals. Touching intervals do not overlap.
+ *
+ * @param {Array<{ start: string, stop: string }>} rest
+ * @returns {Array<[number, number]>} index pairs, lower index first
+ */
+export const findRestOverlaps = (rest) => {
+  if (!Array.isArray(rest)) return []
+  const segments = rest.map(restIntervalSegments)
+  const overlaps = []
+  for (let i = 0; i < segments.length; i += 1) {
+    for (let j = i + 1; j < segments.length; j += 1) {
+      if (segmentsOverlap(segments[i], segments[j])) overlaps.push([i, j])
+    }
+  }
+  return overlaps
+}
+
+export const hasRestOverlaps = (rest) => findRestOverlaps(rest).length > 0
+
+/**
+ * Builds the timeline model for schedule form values
+ * ({ playlist: ['HH:mm'], video: ['HH:mm'], rest: [{ start, stop }] }).
+ *
+ * @param {Object} values
+ * @returns {{ playlist: Array, video: Array, rest: Array, issues: Array<{ type: string, message: string }> }}
+ */
+export const buildScheduleTimeline = (values) => {
+  const toEvents = (list) => (Array.isArray(list) ? list : [])
+    .map((time, index) => ({ index, time, minutes: timeToMinutes(time) }))
+    .filter(event => event.minutes !== null)
+
+  const rest = Array.isArray(values?.rest) ? values.rest : []
+  const overlaps = findRestOverlaps(rest)
+  const overlapping = new Set(overlaps.flat())
+
+  const intervals = rest.map((item, index) => ({
+    index,
+    start: item?.start,
+    stop: item?.stop,
+    segments: restIntervalSegments(item),
+    crossesMidnight: isMidnightCrossing(item),
+    overlapping: overlapping.has(index)
+  }))
+
+  const issues = [
+    ...overlaps.map(([i, j]) => ({
+      type: 'overlap',
+      message: `Периоды отдыха ${rest[i].start}—${rest[i].stop} и ${rest[j].start}—${rest[j].stop} пересекаются`
+    })),
+    ...intervals
+      .filter(interval => interval.crossesMidnight)
+      .map(interval => ({
+        type: 'midnight',
+        message: `Период отдыха ${interval.start}—${interval.stop} переходит через полночь`
+      }))
+  ]
+
+  return {
+    playlist: toEvents(values?.playlist),
+    video: toEvents(values?.video),
+    rest: intervals,
+    issues
+  }
+}
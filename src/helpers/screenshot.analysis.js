@@ -0,0 +1,146 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Finds screenshots that show a broken screen.
+// Every image is scaled down on a canvas to a small grayscale sample. A frame
+// is 'black' or 'white' when the sample is dark or bright and nearly uniform.
+// Consecutive samples that barely differ are 'frozen', which matters only for
+// devices that should be playing a playlist of several items: a single video
+// or a still picture legitimately repeats.
+
+export const sampleSize = 32
+// Luminance, 0..255
+export const blackLevel = 24
+export const whiteLevel = 232
+export const maxUniformDeviation = 10
+// Mean absolute difference of two samples below which the frames are the same picture
+export const maxFrozenDifference = 3
+
+export const anomalyLabels = Object.freeze({
+  black: 'Чёрный экран',
+  white: 'Белый экран',
+  frozen: 'Изображение не меняется'
+})
+
+/**
+ * Grayscale statistics of RGBA pixels.
+ *
+ * @param {Uint8ClampedArray|Array<number>} pixels - RGBA bytes, e.g. ImageData.data
+ * @returns {{ mean: number, deviation: number, sample: Uint8Array }} Mean and standard deviation
+ *   of the luminance, and the luminance of every pixel
+ */
+export function measureFrame(pixels) {
+  const count = Math.floor((pixels?.length || 0) / 4)
+  const sample = new Uint8Array(count)
+  let sum = 0
+  for (let i = 0; i < count; i++) {
+    const offset = i * 4
+    // ITU-R BT.601 luma
+    const luminance = Math.round(0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2])
+    sample[i] = luminance
+    sum += luminance
+  }
+  const mean = count ? sum / count : 0
+  let squares = 0
+  for (let i = 0; i < count; i++) {
+    squares += (sample[i] - mean) ** 2
+  }
+  return { mean, deviation: count ? Math.sqrt(squares / count) : 0, sample }
+}
+
+/**
+ * @param {Object} frame - measureFrame() result
+ * @returns {'black'|'white'|null} Kind of a nearly uniform frame
+ */
+export function detectUniformFrame(frame) {
+  if (!frame || frame.deviation > maxUniformDeviation) return null
+  if (frame.mean <= blackLevel) return 'black'
+  if (frame.mean >= whiteLevel) return 'white'
+  return null
+}
+
+/**
+ * @param {Object} a - measureFrame() result
+ * @param {Object} b - measureFrame() result
+ * @returns {number} Mean absolute luminance difference; Infinity for samples of different size
+ */
+export function frameDifference(a, b) {
+  if (!a?.sample?.length || a.sample.length !== b?.sample?.length) return Infinity
+  let sum = 0
+  for (let i = 0; i < a.sample.length; i++) {
+    sum += Math.abs(a.sample[i] - b.sample[i])
+  }
+  return sum / a.sample.length
+}
+
+/**
+ * Flags screenshots of one device.
+ *
+ * @param {Array<{ id: number, timeCreated: string, frame: Object }>} frames - Measured screenshots in any order;
+ *   entries without a frame are skipped
+ * @param {Object} [options]
+ * @param {boolean} [options.expectsChange=false] - The device should show changing content
+ * @returns {Object<number, Array<'black'|'white'|'frozen'>>} Flags by screenshot id, only flagged screenshots
+ */
+export function detectAnomalies(frames, { expectsChange = false } = {}) {
+  const measured = (frames || [])
+    .filter(entry => entry?.frame)
+    .sort((a, b) => new Date(a.timeCreated).getTime() - new Date(b.timeCreated).getTime())
+  const flags = {}
+  const addFlag = (id, flag) => {
+    const current = flags[id] || []
+    if (!current.includes(flag)) flags[id] = [...current, flag]
+  }
+
+  measured.forEach((entry, index) => {
+    const uniform = detectUniformFrame(entry.frame)
+    if (uniform) {
+      addFlag(entry.id, uniform)
+      return
+    }
+    const previous = measured[index - 1]
+    if (expectsChange && previous && !detectUniformFrame(previous.frame) &&
+      frameDifference(previous.frame, entry.frame) <= maxFrozenDifference) {
+      addFlag(previous.id, 'frozen')
+      addFlag(entry.id, 'frozen')
+    }
+  })
+  return flags
+}
+
+function decodeImage(blob) {
+  if (typeof window.createImageBitmap === 'function') {
+    return window.createImageBitmap(blob)
+  }
+  return new Promise((resolve, reject) => {
+    const objectUrl = window.URL.createObjectURL(blob)
+    const image = new window.Image()
+    image.onload = () => {
+      window.URL.revokeObjectURL(objectUrl)
+      resolve(image)
+    }
+    image.onerror = () => {
+      window.URL.revokeObjectURL(objectUrl)
+      reject(new Error('Не удалось прочитать изображение'))
+    }
+    image.src = objectUrl
+  })
+}
+
+/**
+ * Decodes an image and measures it on a sampleSize x sampleSize canvas.
+ *
+ * @param {Blob} blob - Image
+ * @returns {Promise<Object>} measureFrame() result
+ */
+export async function readFrame(blob) {
+  const image = await decodeImage(blob)
+  const canvas = document.createElement('canvas')
+  canvas.width = sampleSize
+  canvas.height = sampleSize
+  const context = canvas.getContext('2d', { willReadFrequently: true })
+  if (!context) throw new Error('Анализ изображений не поддерживается браузером')
+  context.drawImage(image, 0, 0, sampleSize, sampleSize)
+  image.close?.()
+  return measureFrame(context.getImageData(0, 0, sampleSize, sampleSize).data)
+}
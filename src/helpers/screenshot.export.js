@@ -0,0 +1,217 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// ZIP export of device photos.
+// Photos are renamed to <device>-<YYYYMMDD-HHMMSS>.<ext> by the local time they
+// were taken, so the files sort by time in any file manager. The archive also
+// holds manifest.csv and manifest.json that link every file to the screenshot,
+// the device and the account.
+
+import { createZip } from '@/helpers/zip.js'
+import { runWithConcurrency } from '@/helpers/concurrency.js'
+
+export const manifestColumns = Object.freeze([
+  'file',
+  'screenshotId',
+  'deviceId',
+  'deviceName',
+  'accountId',
+  'accountName',
+  'takenAt',
+  'originalFilename',
+  'sizeBytes'
+])
+
+// Photos are kept in memory until the archive is saved, so an export is limited
+export const maxExportCount = 500
+// Exports above this size are confirmed first
+export const confirmExportCount = 100
+
+const imageExtensions = Object.freeze(['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp'])
+const extensionsByType = Object.freeze({
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp'
+})
+
+const pad = (value) => String(value).padStart(2, '0')
+
+function toDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Local date and time for file names: YYYYMMDD-HHMMSS.
+ *
+ * @param {Date|string} value - Date
+ * @returns {string} Timestamp; empty for a missing or invalid date
+ */
+export function formatFileTimestamp(value) {
+  const date = toDate(value)
+  if (!date) return ''
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+}
+
+/**
+ * File name part from a device name: letters and digits of any alphabet joined by '-'.
+ *
+ * @param {Object} device - { id, name }
+ * @returns {string} Name part, device-<id> when the name has no letters or digits
+ */
+export function deviceFilePrefix(device) {
+  const slug = String(device?.name ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+  return slug || `device-${device?.id ?? 'unknown'}`
+}
+
+function fileExtension(item, contentType) {
+  const match = String(item?.originalFilename ?? '').match(/\.([A-Za-z0-9]+)$/)
+  const extension = match?.[1]?.toLowerCase()
+  if (extension && imageExtensions.includes(extension)) return extension === 'jpeg' ? 'jpg' : extension
+  const type = String(contentType ?? '').split(';')[0].trim().toLowerCase()
+  return extensionsByType[type] || 'jpg'
+}
+
+/**
+ * Name of a photo in the archive.
+ *
+ * @param {Object} item - Screenshot { id, timeCreated, originalFilename }
+ * @param {Object} device - { id, name }
+ * @param {string} [contentType] - Type of the downloaded image, used when the original name has no extension
+ * @returns {string} File name, e.g. hall-1-20260415-103000.jpg
+ */
+export function screenshotFileName(item, device, contentType) {
+  const timestamp = formatFileTimestamp(item?.timeCreated) || `id${item?.id}`
+  return `${deviceFilePrefix(device)}-${timestamp}.${fileExtension(item, contentType)}`
+}
+
+/**
+ * Name of the archive.
+ *
+ * @param {Object} device - { id, name }
+ * @param {Date} [date] - Export time
+ * @returns {string} File name, e.g. screenshots-hall-1-20260415-103000.zip
+ */
+export function screenshotArchiveName(device, date = new Date()) {
+  return `screenshots-${deviceFilePrefix(device)}-${formatFileTimestamp(date)}.zip`
+}
+
+// Photos taken within the same second get -2, -3... before the extension
+function uniqueName(name, usedNames) {
+  let result = name
+  const dot = name.lastIndexOf('.')
+  for (let n = 2; usedNames.has(result); n++) {
+    result = `${name.slice(0, dot)}-${n}${name.slice(dot)}`
+  }
+  usedNames.add(result)
+  return result
+}
+
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  // Text such as a device name starting with = + - @ would run as a formula in a spreadsheet
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Manifest as CSV: a header line and one line per file.
+ * Starts with a byte order mark so that spreadsheets detect UTF-8.
+ *
+ * @param {Array<Object>} rows - Manifest rows with manifestColumns keys
+ * @returns {string} CSV text with CRLF line breaks
+ */
+export function buildManifestCsv(rows) {
+  const lines = [manifestColumns.join(',')]
+  for (const row of rows || []) {
+    lines.push(manifestColumns.map((column) => csvValue(row[column])).join(','))
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Downloads photos and packs them with the manifest.
+ * Photos that fail to download are left out and returned in `failed`.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Screenshots { id, timeCreated, originalFilename, fileSizeBytes }
+ * @param {Object} options.device - { id, name }
+ * @param {Object} [options.account] - { id, name } of the device account
+ * @param {Object} [options.filter] - Selection written to manifest.json, e.g. { from, to }
+ * @param {Function} options.loadFile - async (id) => ({ data: Uint8Array, contentType })
+ * @param {Function} [options.onProgress] - (done, total) after every photo
+ * @param {Date} [options.date] - Export time
+ * @returns {Promise<{ zip: Uint8Array|null, rows: Array<Object>, failed: Array<{ item: Object, reason: any }> }>}
+ *   zip is null when no photo was downloaded
+ */
+export async function buildScreenshotArchive({
+  items,
+  device,
+  account = null,
+  filter = null,
+  loadFile,
+  onProgress = null,
+  date = new Date()
+}) {
+  const list = Array.from(items || [])
+  let done = 0
+  const results = await runWithConcurrency(list, async (item) => {
+    try {
+      return await loadFile(item.id)
+    } finally {
+      done += 1
+      onProgress?.(done, list.length)
+    }
+  })
+
+  const usedNames = new Set()
+  const files = []
+  const rows = []
+  const failed = []
+  results.forEach((result, index) => {
+    const item = list[index]
+    if (result.status === 'rejected') {
+      failed.push({ item, reason: result.reason })
+      return
+    }
+    const { data, contentType } = result.value
+    const file = uniqueName(screenshotFileName(item, device, contentType), usedNames)
+    files.push({ name: file, data, date: toDate(item.timeCreated) || date })
+    rows.push({
+      file,
+      screenshotId: item.id,
+      deviceId: device?.id ?? null,
+      deviceName: device?.name ?? '',
+      accountId: account?.id ?? null,
+      accountName: account?.name ?? '',
+      takenAt: toDate(item.timeCreated)?.toISOString() ?? '',
+      originalFilename: item.originalFilename ?? '',
+      sizeBytes: data.length
+    })
+  })
+
+  if (!files.length) return { zip: null, rows, failed }
+
+  const manifest = {
+    generatedAt: date.toISOString(),
+    device: { id: device?.id ?? null, name: device?.name ?? '' },
+    account: account ? { id: account.id, name: account.name ?? '' } : null,
+    filter,
+    files: rows
+  }
+  files.push(
+    { name: 'manifest.csv', data: buildManifestCsv(rows), date },
+    { name: 'manifest.json', data: `${JSON.stringify(manifest, null, 2)}\n`, date }
+  )
+  return { zip: createZip(files), rows, failed }
+}
@@ -0,0 +1,23 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+/**
+ * Registers the service worker that keeps the application shell for offline starts.
+ * Development builds are left without it so that hot reload is not served from a cache.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Production builds by default
+ * @param {string} [options.url='/sw.js'] - Script of the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null when not registered
+ */
+export async function registerServiceWorker({ enabled = import.meta.env.PROD, url = '/sw.js' } = {}) {
+  const container = globalThis.navigator?.serviceWorker
+  if (!enabled || !container) return null
+  try {
+    return await container.register(url, { scope: '/' })
+  } catch (error) {
+    // The application works without it, only offline starts are lost
+    console.error('Failed to register service worker:', error)
+    return null
+  }
+}
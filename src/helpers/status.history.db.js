@@ -0,0 +1,80 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// IndexedDB persistence of device status histories.
+// One record per device: { deviceId, entries }.
+// When IndexedDB is not available (private mode, tests) all functions are no-ops.
+
+const dbName = 'media-pi-status-history'
+const dbVersion = 1
+const storeName = 'history'
+
+let dbPromise = null
+
+const getIndexedDb = () => globalThis.indexedDB ?? null
+
+export const isStatusHistoryDbAvailable = () => getIndexedDb() !== null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = getIndexedDb().open(dbName, dbVersion)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'deviceId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((err) => {
+      // Allow the next call to retry
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+const runTransaction = async (mode, action) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = action(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Loads all persisted histories.
+ *
+ * @returns {Promise<Object>} Map of deviceId to history entries
+ */
+export async function loadStatusHistory() {
+  if (!isStatusHistoryDbAvailable()) return {}
+  const records = await runTransaction('readonly', store => store.getAll())
+  return Object.fromEntries((records || []).map(record => [record.deviceId, record.entries || []]))
+}
+
+export async function saveDeviceStatusHistory(deviceId, entries) {
+  if (!isStatusHistoryDbAvailable()) return
+  await runTransaction('readwrite', store => store.put({ deviceId, entries }))
+}
+
+export async function clearStatusHistory() {
+  if (!isStatusHistoryDbAvailable()) return
+  await runTransaction('readwrite', store => store.clear())
+}
+
+// Closes the connection; the next call opens a new one
+export async function closeStatusHistoryDb() {
+  const pending = dbPromise
+  dbPromise = null
+  if (pending) {
+    try {
+      const db = await pending
+      db.close()
+    } catch {
+      // Nothing to close
+    }
+  }
+}
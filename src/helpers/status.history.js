@@ -0,0 +1,173 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Client-side history of device statuses.
+// A history is an array of entries { timestamp, isOnline, latency } ordered by
+// timestamp. An entry is only added when the online state or the latency
+// changes, so for a stable device the history stays short.
+
+import { getStatusLatency } from '@/helpers/fleet.health.js'
+
+export const historyWindowMs = 24 * 60 * 60 * 1000
+export const maxHistoryEntries = 1000
+
+export const createHistoryEntry = (status, timestamp = Date.now()) => ({
+  timestamp,
+  isOnline: Boolean(status?.isOnline),
+  latency: status?.isOnline ? getStatusLatency(status) : null
+})
+
+/**
+ * Drops entries older than the window. The last entry before the window
+ * start is kept because it defines the state at the window start.
+ *
+ * @param {Array} entries
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.windowMs]
+ * @returns {Array} New array of entries
+ */
+export const pruneHistory = (entries, { now = Date.now(), windowMs = historyWindowMs } = {}) => {
+  const list = Array.isArray(entries) ? entries : []
+  const from = now - windowMs
+  const firstInside = list.findIndex(entry => entry.timestamp >= from)
+  if (firstInside < 0) return list.slice(-1)
+  return list.slice(Math.max(0, firstInside - 1))
+}
+
+/**
+ * Appends an entry to a history.
+ *
+ * @param {Array} entries - Current history
+ * @param {Object} entry - Entry created by createHistoryEntry()
+ * @param {Object} [options]
+ * @param {number} [options.windowMs]
+ * @param {number} [options.maxEntries]
+ * @returns {Array} The same array when nothing changed, otherwise a new one
+ */
+export const appendHistoryEntry = (
+  entries,
+  entry,
+  { windowMs = historyWindowMs, maxEntries = maxHistoryEntries } = {}
+) => {
+  const current = Array.isArray(entries) ? entries : []
+  const list = pruneHistory(current, { now: entry.timestamp, windowMs })
+  const last = list[list.length - 1]
+
+  if (last && last.isOnline === entry.isOnline && last.latency === entry.latency) {
+    return list.length === current.length ? current : list
+  }
+
+  // Keep the history ordered even if the clock went backwards
+  list.push(last && entry.timestamp < last.timestamp ? { ...entry, timestamp: last.timestamp } : entry)
+  return list.length > maxEntries ? list.slice(list.length - maxEntries) : list
+}
+
+/**
+ * Merges two histories of the same device (e.g. persisted and in-memory).
+ *
+ * @param {Array} left
+ * @param {Array} right
+ * @param {Object} [options] - Same options as appendHistoryEntry()
+ * @returns {Array}
+ */
+export const mergeHistories = (left, right, options = {}) => {
+  const combined = [...(left || []), ...(right || [])].sort((a, b) => a.timestamp - b.timestamp)
+  return combined.reduce((list, entry) => appendHistoryEntry(list, entry, options), [])
+}
+
+/**
+ * Lists online/offline transitions that overlap the window, newest first.
+ *
+ * @param {Array} entries
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.windowMs]
+ * @returns {Array<{ timestamp: number, isOnline: boolean, until: number|null, durationMs: number }>}
+ *   `until` is null for the current state
+ */
+export const getStatusTransitions = (entries, { now = Date.now(), windowMs = historyWindowMs } = {}) => {
+  const changes = []
+  for (const entry of entries || []) {
+    const previous = changes[changes.length - 1]
+    if (!previous || previous.isOnline !== entry.isOnline) {
+      changes.push({ timestamp: entry.timestamp, isOnline: entry.isOnline })
+    }
+  }
+
+  const from = now - windowMs
+  return changes
+    .map((change, index) => {
+      const until = changes[index + 1]?.timestamp ?? null
+      return { ...change, until, durationMs: (until ?? now) - change.timestamp }
+    })
+    .filter(change => (change.until ?? now) > from)
+    .reverse()
+}
+
+/**
+ * Builds the uptime/latency timeline for the window.
+ *
+ * @param {Array} entries
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.windowMs]
+ * @returns {Object} { from, to, segments, latency, maxLatency, uptimeRatio }
+ *   Segments have state `online`, `offline` or `unknown` (before the first entry).
+ *   uptimeRatio is null when nothing is known about the window.
+ */
+export const buildUptimeTimeline = (entries, { now = Date.now(), windowMs = historyWindowMs } = {}) => {
+  const from = now - windowMs
+  const list = pruneHistory(entries, { now, windowMs })
+  const segments = []
+
+  if (!list.length || list[0].timestamp > from) {
+    segments.push({ from, to: list.length ? Math.min(list[0].timestamp, now) : now, state: 'unknown' })
+  }
+
+  list.forEach((entry, index) => {
+    const start = Math.max(entry.timestamp, from)
+    const end = Math.min(list[index + 1]?.timestamp ?? now, now)
+    if (end <= start) return
+    const state = entry.isOnline ? 'online' : 'offline'
+    const previous = segments[segments.length - 1]
+    if (previous && previous.state === state && previous.to === start) {
+      previous.to = end
+    } else {
+      segments.push({ from: start, to: end, state })
+    }
+  })
+
+  const duration = (state) => segments
+    .filter(segment => segment.state === state)
+    .reduce((sum, segment) => sum + segment.to - segment.from, 0)
+  const online = duration('online')
+  const known = online + duration('offline')
+
+  // Latency is constant between entries, so it is drawn as steps
+  const latency = list
+    .map((entry, index) => ({
+      from: Math.max(entry.timestamp, from),
+      to: Math.min(list[index + 1]?.timestamp ?? now, now),
+      latency: entry.latency
+    }))
+    .filter(step => step.latency !== null && step.to > step.from)
+
+  return {
+    from,
+    to: now,
+    segments,
+    latency,
+    maxLatency: latency.reduce((max, step) => Math.max(max, step.latency), 0),
+    uptimeRatio: known ? online / known : null
+  }
+}
+
+export const formatDurationMs = (value) => {
+  const totalMinutes = Math.floor(Math.max(0, value) / 60000)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  if (hours) return `${hours} ч ${minutes} мин`
+  if (minutes) return `${minutes} мин`
+  return 'менее минуты'
+}
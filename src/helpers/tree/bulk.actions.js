@@ -0,0 +1,150 @@
+/**
+ * Bulk Device Actions Module
+ * This file is a part of Media Pi frontend application
+ *
+ * Provides multi-device operations for the accounts tree: resolving a set of
+ * selected tree nodes into device IDs and running one device agent
+ * command over all of them with bounded concurrency and per-device results.
+ *
+ * Selectable Nodes:
+ * - Device nodes: "device-123", "device-123-account-4-group-5", ... → the device itself
+ * - Group nodes: "group-5" → every device of the group
+ * - Account nodes: "account-4" → every device of the account
+ *
+ * @module BulkActions
+ * @since 2026
+ */
+
+import { ref } from 'vue'
+import { createDeviceTaskRunner } from '@/helpers/device.task.runner.js'
+import {
+  getAccountIdFromNodeId,
+  getDeviceIdFromNodeId,
+  getGroupIdFromNodeId
+} from './id.extraction.helpers.js'
+
+/**
+ * Operations available for bulk execution.
+ * `command` is the name of the devices store command sent to each device.
+ * Unit-level service start/stop/restart needs a unit name per device and is
+ * managed from the device page, so it is not offered here.
+ * `confirm` marks operations that interrupt what the screens show and must be confirmed.
+ *
+ * @type {ReadonlyArray<{ key: string, label: string, command: string, confirm: boolean }>}
+ */
+export const bulkDeviceActions = Object.freeze([
+  { key: 'reboot', label: 'Перезагрузить', command: 'rebootSystem', confirm: true },
+  { key: 'startPlayback', label: 'Запустить воспроизведение', command: 'startPlayback', confirm: false },
+  { key: 'stopPlayback', label: 'Остановить воспроизведение', command: 'stopPlayback', confirm: true },
+  { key: 'startPlaylistUpload', label: 'Запустить загрузку плейлистов', command: 'startPlaylistUpload', confirm: false },
+  { key: 'stopPlaylistUpload', label: 'Остановить загрузку плейлистов', command: 'stopPlaylistUpload', confirm: true },
+  { key: 'startVideoUpload', label: 'Запустить загрузку видео', command: 'startVideoUpload', confirm: false },
+  { key: 'stopVideoUpload', label: 'Остановить загрузку видео', command: 'stopVideoUpload', confirm: true }
+])
+
+export const getBulkDeviceAction = (key) => bulkDeviceActions.find(action => action.key === key) || null
+
+/**
+ * Checks whether a tree node can take part in a bulk selection
+ *
+ * @param {string} nodeId - Tree node ID
+ * @returns {boolean}
+ *
+ * @example
+ * isBulkSelectableNode('device-1-account-2-group-3') // true
+ * isBulkSelectableNode('account-2')                  // true
+ * isBulkSelectableNode('account-2-groups')           // false
+ */
+export const isBulkSelectableNode = (nodeId) => {
+  if (typeof nodeId !== 'string') return false
+  return nodeId.startsWith('device-') ||
+    /^group-\d+$/.test(nodeId) ||
+    /^account-\d+$/.test(nodeId)
+}
+
+/**
+ * Resolves selected tree nodes into a list of unique device IDs
+ *
+ * Group and account nodes are expanded through the devices list, so the result
+ * does not depend on whether the node children have been loaded in the tree.
+ *
+ * @param {Iterable<string>} nodeIds - Selected tree node IDs
+ * @param {Array<Object>} devices - Devices from the devices store
+ * @returns {number[]} Device IDs in selection order
+ *
+ * @example
+ * resolveSelectedDeviceIds(['group-3', 'device-7'], devicesStore.devices) // [1, 2, 7]
+ */
+export const resolveSelectedDeviceIds = (nodeIds, devices = []) => {
+  const ids = new Set()
+  const knownDevices = (devices || []).filter(Boolean)
+  const addDevices = (list) => list.forEach(device => ids.add(device.id))
+
+  Array.from(nodeIds || []).forEach(nodeId => {
+    if (!isBulkSelectableNode(nodeId)) return
+
+    if (nodeId.startsWith('device-')) {
+      const deviceId = getDeviceIdFromNodeId(nodeId)
+      if (deviceId !== null) ids.add(deviceId)
+    } else if (nodeId.startsWith('group-')) {
+      const groupId = getGroupIdFromNodeId(nodeId)
+      addDevices(knownDevices.filter(device => device.deviceGroupId === groupId))
+    } else {
+      const accountId = getAccountIdFromNodeId(nodeId)
+      addDevices(knownDevices.filter(device => device.accountId === accountId))
+    }
+  })
+
+  return [...ids]
+}
+
+/**
+ * Creates a runner that executes one bulk action over a list of devices
+ *
+ * Each device gets a result row with state `pending`, `running`, `succeeded`
+ * or `failed`. A failure of one device does not stop the others; failed
+ * devices can be retried with the same action. Commands go through
+ * `sendDeviceCommand`, so a bulk run leaves the devices store loading and
+ * error state alone.
+ *
+ * @param {Object} devicesStore - Pinia store for device data management
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum number of requests in flight
+ * @returns {Object} Runner state and actions
+ *
+ * @example
+ * const runner = createBulkActionRunner(devicesStore)
+ * await runner.run('reboot', [{ id: 1, name: 'Касса 1' }, { id: 2, name: 'Касса 2' }])
+ * if (runner.summary.value.failed) await runner.retryFailed()
+ */
+export const createBulkActionRunner = (devicesStore, options = {}) => {
+  const runner = createDeviceTaskRunner(options)
+  const action = ref(null)
+
+  const reset = () => {
+    if (runner.running.value) return
+    runner.reset()
+    action.value = null
+  }
+
+  const run = async (actionKey, devices) => {
+    if (runner.running.value) return false
+    const selectedAction = getBulkDeviceAction(actionKey)
+    if (!selectedAction) {
+      throw new Error('Неизвестная групповая операция')
+    }
+
+    action.value = selectedAction
+    return runner.run(devices, (deviceId) => devicesStore.sendDeviceCommand(selectedAction.command, deviceId))
+  }
+
+  return {
+    results: runner.results,
+    running: runner.running,
+    action,
+    summary: runner.summary,
+    run,
+    retryFailed: runner.retryFailed,
+    reset
+  }
+}
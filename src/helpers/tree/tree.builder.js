@@ -119,6 +119,26 @@ export const getAccountChildren = (accountId, devicesStore, deviceGroupsStore, t
   return children
 }
 
+/**
+ * Get the nodes that must be expanded for a device to be shown in the tree
+ *
+ * Mirrors the node IDs built by getUnassignedDevices and getAccountChildren.
+ *
+ * @param {Object} device - Device { accountId, deviceGroupId }
+ * @returns {string[]} Container node IDs from the root down
+ *
+ * @example
+ * getDeviceAncestorNodeIds({ accountId: 1, deviceGroupId: 5 })
+ * // Returns: ['root-accounts', 'account-1', 'account-1-groups', 'group-5']
+ */
+export const getDeviceAncestorNodeIds = (device) => {
+  if (!device?.accountId) return ['root-unassigned']
+  const accountNodeId = `account-${device.accountId}`
+  return device.deviceGroupId
+    ? ['root-accounts', accountNodeId, `${accountNodeId}-groups`, `group-${device.deviceGroupId}`]
+    : ['root-accounts', accountNodeId, `${accountNodeId}-unassigned`]
+}
+
 /**
  * Build the complete tree structure
  * 
@@ -154,3 +154,41 @@ export const createStateManager = (authStore) => {
 
   return { restoreTreeState, saveTreeState }
 }
+
+/**
+ * Builds a tree state that focuses an account or a device group
+ *
+ * Used by pages outside the tree (e.g. the fleet dashboard) to open the
+ * accounts tree on a specific node. The focused node is selected and its
+ * parents are expanded; nodes that were already expanded stay expanded.
+ * The result is meant to be saved with authStore.saveAccountsTreeState()
+ * before navigating to the tree, which then restores it on mount.
+ *
+ * @param {Object} target - Node to focus
+ * @param {number|null} target.accountId - Account ID, null for unassigned devices
+ * @param {number|null} [target.groupId] - Device group ID within the account
+ * @param {Object} [savedState] - Current saved state ({ selectedNode, expandedNodes })
+ * @returns {{ selectedNode: string, expandedNodes: string[] }} State to save
+ *
+ * @example
+ * const state = buildFocusedTreeState({ accountId: 1, groupId: 5 }, authStore.getAccountsTreeState)
+ * // state.selectedNode === 'group-5'
+ * // state.expandedNodes includes 'root-accounts', 'account-1', 'account-1-groups', 'group-5'
+ * authStore.saveAccountsTreeState(state.selectedNode, state.expandedNodes)
+ */
+export const buildFocusedTreeState = ({ accountId, groupId = null }, savedState = null) => {
+  let path
+  if (!accountId) {
+    path = ['root-unassigned']
+  } else if (groupId) {
+    path = ['root-accounts', `account-${accountId}`, `account-${accountId}-groups`, `group-${groupId}`]
+  } else {
+    path = ['root-accounts', `account-${accountId}`]
+  }
+
+  const expanded = Array.isArray(savedState?.expandedNodes) ? savedState.expandedNodes : []
+  return {
+    selectedNode: path[path.length - 1],
+    expandedNodes: [...new Set([...expanded, ...path])]
+  }
+}
@@ -0,0 +1,11 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// A six digit code from the authenticator application or a recovery code
+export const twoFactorCodePattern = /^(\d{6}|[A-Za-z0-9-]{8,})$/
+
+export const twoFactorCodeError = 'Код состоит из 6 цифр, резервный код — не короче 8 символов'
+
+export function isTwoFactorCode(value) {
+  return typeof value === 'string' && twoFactorCodePattern.test(value.trim())
+}
@@ -0,0 +1,58 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Transfer rate and time estimates of the upload queue.
+
+import { formatDuration, formatFileSize } from '@/helpers/media.format.js'
+
+export const maxConcurrentUploads = 3
+
+// Weight of the latest sample in the smoothed speed
+const speedSmoothing = 0.3
+
+export const uploadStatuses = Object.freeze({
+  queued: 'queued',
+  uploading: 'uploading',
+  done: 'done',
+  error: 'error',
+  cancelled: 'cancelled'
+})
+
+export const isFinishedUpload = (item) =>
+  [uploadStatuses.done, uploadStatuses.error, uploadStatuses.cancelled].includes(item?.status)
+
+/**
+ * Folds a progress sample into the transfer rate.
+ *
+ * @param {Object|null} previous - Previous sample { loaded, timestamp, speed }
+ * @param {number} loaded - Bytes sent so far
+ * @param {number} timestamp - Sample time, ms
+ * @returns {Object} Next sample; speed is in bytes per second or null until known
+ */
+export function updateTransferRate(previous, loaded, timestamp) {
+  if (!previous || loaded < previous.loaded) return { loaded, timestamp, speed: null }
+  const elapsed = (timestamp - previous.timestamp) / 1000
+  if (elapsed <= 0) return { ...previous, loaded }
+
+  const current = (loaded - previous.loaded) / elapsed
+  const speed = previous.speed === null ? current : previous.speed + speedSmoothing * (current - previous.speed)
+  return { loaded, timestamp, speed }
+}
+
+export const estimateRemainingSeconds = (loaded, total, speed) => {
+  if (!(speed > 0) || !(total > 0)) return null
+  return Math.max(0, Math.ceil((total - loaded) / speed))
+}
+
+export const formatTransferSpeed = (speed) => (speed > 0 ? `${formatFileSize(speed)}/с` : '—')
+
+// Resolution and duration probed before upload, e.g. '1920×1080 · 1:15'
+export function formatProbedMetadata(metadata) {
+  if (!metadata) return ''
+  const parts = []
+  if (metadata.width && metadata.height) parts.push(`${metadata.width}×${metadata.height}`)
+  if (Number.isFinite(metadata.duration)) parts.push(formatDuration(metadata.duration))
+  return parts.join(' · ')
+}
+
+export const formatRemainingTime = (seconds) => (seconds === null || seconds === undefined ? '—' : formatDuration(seconds))
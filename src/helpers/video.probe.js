@@ -0,0 +1,170 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Probing of video files in the browser before upload.
+// The file is loaded into a <video> element that is never attached to the page.
+// Metadata gives duration and resolution; a file the browser cannot decode
+// fires an error and is rejected, since the players may not show it either.
+// The players are separate devices and may decode codecs the browser cannot,
+// such as HEVC, so the user may still upload such a file after confirming it.
+// After a seek the current frame is drawn on a canvas and becomes the poster.
+
+export const probeTimeoutMs = 15000
+export const posterMaxWidth = 320
+export const posterType = 'image/jpeg'
+const posterQuality = 0.8
+// Seconds into the video of the poster frame; first frames are often black
+const posterFrameTime = 1
+
+export const unsupportedVideoMessage = 'Формат видеофайла не поддерживается проигрывателем'
+export const noVideoTrackMessage = 'Файл не содержит видеодорожки'
+
+export const unplayableUploadConfirmation = Object.freeze({
+  title: 'Видеофайл не распознан',
+  confirmationText: 'Загрузить',
+  cancellationText: 'Не загружать'
+})
+
+/**
+ * Question asked before a file the browser cannot decode is uploaded anyway.
+ *
+ * @param {string} filename - Name of the file
+ * @param {string} reason - Reason from probeVideoFile
+ * @returns {string} Question text
+ */
+export const getUnplayableUploadQuestion = (filename, reason) => (
+  `"${filename}": ${reason}. Браузер не смог проверить файл. ` +
+  'Загрузить его, если проигрыватели поддерживают этот формат?'
+)
+
+/**
+ * Time of the poster frame: one second in, or the middle of shorter videos.
+ *
+ * @param {number|null} duration - Duration, seconds
+ * @returns {number} Seconds
+ */
+export const getPosterTime = (duration) => (
+  Number.isFinite(duration) && duration > 0 ? Math.min(posterFrameTime, duration / 2) : 0
+)
+
+/**
+ * Size of the poster, scaled down to posterMaxWidth with the aspect ratio kept.
+ *
+ * @param {number} width - Video width
+ * @param {number} height - Video height
+ * @returns {Object} { width, height }
+ */
+export function getPosterSize(width, height) {
+  const scale = width > posterMaxWidth ? posterMaxWidth / width : 1
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) }
+}
+
+export function getPosterFilename(file) {
+  const name = file?.name || 'video'
+  const dot = name.lastIndexOf('.')
+  return `${dot > 0 ? name.slice(0, dot) : name}.jpg`
+}
+
+function createProbeError(name, message) {
+  const err = new Error(message)
+  err.name = name
+  return err
+}
+
+// Resolves on the event, rejects on a media error or when the time is up
+function waitForVideoEvent(video, eventName, timeout, start) {
+  return new Promise((resolve, reject) => {
+    let timer = null
+    const cleanup = () => {
+      globalThis.clearTimeout(timer)
+      video.removeEventListener(eventName, onEvent)
+      video.removeEventListener('error', onError)
+    }
+    const onEvent = () => {
+      cleanup()
+      resolve()
+    }
+    const onError = () => {
+      cleanup()
+      reject(createProbeError('MediaError', unsupportedVideoMessage))
+    }
+    timer = globalThis.setTimeout(() => {
+      cleanup()
+      reject(createProbeError('TimeoutError', 'Истекло время анализа видеофайла'))
+    }, timeout)
+    video.addEventListener(eventName, onEvent)
+    video.addEventListener('error', onError)
+    start()
+  })
+}
+
+async function capturePoster(video, width, height) {
+  const size = getPosterSize(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = size.width
+  canvas.height = size.height
+  const context = canvas.getContext('2d')
+  if (!context) return null
+  context.drawImage(video, 0, 0, size.width, size.height)
+  return new Promise(resolve => canvas.toBlob(blob => resolve(blob || null), posterType, posterQuality))
+}
+
+/**
+ * Probes a video file in the browser.
+ * A browser without object URLs cannot probe; the file is then neither
+ * accepted nor rejected and playable is null. So is a file that takes too long.
+ *
+ * @param {File} file - Video file
+ * @param {Object} [options] - { timeout } in milliseconds
+ * @returns {Promise<Object>} { playable, codecSupport, duration, width, height, poster, reason }
+ *   codecSupport is the canPlayType() answer for the file type;
+ *   poster is a JPEG Blob or null; reason explains why the file is not playable.
+ */
+export async function probeVideoFile(file, { timeout = probeTimeoutMs } = {}) {
+  const result = {
+    playable: null,
+    codecSupport: null,
+    duration: null,
+    width: null,
+    height: null,
+    poster: null,
+    reason: null
+  }
+  if (!file || typeof document === 'undefined' || typeof globalThis.URL?.createObjectURL !== 'function') return result
+
+  const video = document.createElement('video')
+  if (file.type && typeof video.canPlayType === 'function') {
+    result.codecSupport = video.canPlayType(file.type)
+  }
+  video.preload = 'metadata'
+  video.muted = true
+  video.playsInline = true
+  const url = globalThis.URL.createObjectURL(file)
+
+  try {
+    await waitForVideoEvent(video, 'loadedmetadata', timeout, () => {
+      video.src = url
+    })
+    result.duration = Number.isFinite(video.duration) ? video.duration : null
+    result.width = video.videoWidth || null
+    result.height = video.videoHeight || null
+    if (!result.width || !result.height) {
+      return { ...result, playable: false, reason: noVideoTrackMessage }
+    }
+
+    await waitForVideoEvent(video, 'seeked', timeout, () => {
+      video.currentTime = getPosterTime(result.duration)
+    })
+    result.playable = true
+    result.poster = await capturePoster(video, result.width, result.height)
+    return result
+  } catch (err) {
+    if (err?.name === 'MediaError') return { ...result, playable: false, reason: err.message }
+    // Metadata that has loaded proves the file can be played
+    return { ...result, playable: result.width && result.height ? true : null }
+  } finally {
+    video.removeAttribute('src')
+    video.load?.()
+    globalThis.URL.revokeObjectURL?.(url)
+  }
+}
@@ -0,0 +1,126 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+// Builds ZIP archives in the browser. Entries are stored without compression:
+// the archives hold JPEG and PNG photos that do not get smaller anyway.
+
+const localHeaderSignature = 0x04034b50
+const centralHeaderSignature = 0x02014b50
+const endOfCentralDirectorySignature = 0x06054b50
+const versionNeeded = 20
+// Bit 11: file names are UTF-8
+const utf8Flag = 0x0800
+const maxEntries = 0xffff
+const maxSize = 0xffffffff
+
+const crcTable = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const encodeText = (text) => new globalThis.TextEncoder().encode(text)
+
+// MS-DOS date and time of the local time zone; the format cannot store dates before 1980
+function toDosDateTime(value) {
+  const date = value instanceof Date && !Number.isNaN(value.getTime()) ? value : new Date()
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Packs files into a ZIP archive.
+ *
+ * @param {Array<{ name: string, data: Uint8Array|string, date?: Date }>} entries - Files;
+ *   strings are stored as UTF-8, names may contain '/' for folders
+ * @returns {Uint8Array} Archive contents
+ */
+export function createZip(entries) {
+  const files = Array.from(entries || [])
+  if (files.length > maxEntries) {
+    throw new Error(`Архив не может содержать больше ${maxEntries} файлов`)
+  }
+
+  const chunks = []
+  const central = []
+  let offset = 0
+
+  for (const entry of files) {
+    const name = encodeText(entry.name)
+    const data = typeof entry.data === 'string' ? encodeText(entry.data) : entry.data
+    const checksum = crc32(data)
+    const { time, date } = toDosDateTime(entry.date)
+    if (data.length > maxSize || offset > maxSize) {
+      throw new Error('Архив слишком большой')
+    }
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, localHeaderSignature, true)
+    local.setUint16(4, versionNeeded, true)
+    local.setUint16(6, utf8Flag, true)
+    local.setUint16(8, 0, true)
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, checksum, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+    chunks.push(new Uint8Array(local.buffer), name, data)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, centralHeaderSignature, true)
+    header.setUint16(4, versionNeeded, true)
+    header.setUint16(6, versionNeeded, true)
+    header.setUint16(8, utf8Flag, true)
+    header.setUint16(10, 0, true)
+    header.setUint16(12, time, true)
+    header.setUint16(14, date, true)
+    header.setUint32(16, checksum, true)
+    header.setUint32(20, data.length, true)
+    header.setUint32(24, data.length, true)
+    header.setUint16(28, name.length, true)
+    header.setUint32(42, offset, true)
+    central.push(new Uint8Array(header.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0)
+  if (offset > maxSize) {
+    throw new Error('Архив слишком большой')
+  }
+
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, endOfCentralDirectorySignature, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)]
+  const result = new Uint8Array(parts.reduce((size, chunk) => size + chunk.length, 0))
+  let position = 0
+  for (const part of parts) {
+    result.set(part, position)
+    position += part.length
+  }
+  return result
+}
@@ -55,7 +55,18 @@ import {
   faAnglesLeft,
   faAnglesRight,
   faFilm,
-  faArrowsTurnToDots
+  faGripVertical,
+  faArrowsTurnToDots,
+  faListCheck,
+  faCodeCompare,
+  faBell,
+  faFileImport,
+  faFileZipper,
+  faShuffle,
+  faWifi,
+  faShieldHalved,
+  faTableCells,
+  faClockRotateLeft
 } from '@fortawesome/free-solid-svg-icons'
 
 import {
@@ -112,7 +123,18 @@ library.add(
   faAnglesLeft,
   faAnglesRight,
   faFilm,
-  faArrowsTurnToDots
+  faGripVertical,
+  faArrowsTurnToDots,
+  faListCheck,
+  faCodeCompare,
+  faBell,
+  faFileImport,
+  faFileZipper,
+  faShuffle,
+  faWifi,
+  faShieldHalved,
+  faTableCells,
+  faClockRotateLeft
 )
 
 import 'vuetify/styles'
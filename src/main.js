@@ -1,6 +1,8 @@
 // Copyright (c) 2025 sw.consulting
 // This file is a part of Media Pi  frontend application
 
+import { registerServiceWorker } from '@/helpers/service.worker.js'
+
 async function loadConfig() {
   try {
     const response = await fetch('/config.json')
@@ -24,6 +26,9 @@ function initializeApplication() {
   })
 }
 
+// The application shell is cached for offline starts
+registerServiceWorker()
+
 // Load config first, then initialize app
 loadConfig()
   .then(() => {
@@ -4,11 +4,14 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import { useAuthStore } from '@/stores/auth.store.js'
 import { useAlertStore } from '@/stores/alert.store.js'
+import { abortRouteRequests } from '@/helpers/request.abort.js'
 import { getDefaultRoute } from '@/helpers/default.route.js'
 
 const publicPages = ['/recover', '/register']
 const loginPages = ['/login']
 
+const isConnectivityError = (error) => Boolean(error?.isNetworkError || error?.isTimeout || error?.isOffline)
+
 function routeToLogin(to, auth) {
   if (loginPages.includes(to.path)) {
     return true
@@ -62,6 +65,11 @@ const router = createRouter({
       name: 'Лицевые счета и устройства',
       component: () => import('@/views/Accounts_View.vue')
     },
+    {
+      path: '/dashboard',
+      name: 'Состояние устройств',
+      component: () => import('@/views/Dashboard_View.vue')
+    },
     {
       path: '/account/create',
       name: 'Создание лицевого счёта',
@@ -150,6 +158,18 @@ const router = createRouter({
       component: () => import('@/views/Screenshots_View.vue'),
       props: true
     },
+    {
+      path: '/devicegroup/screenshots/:id',
+      name: 'Экраны группы устройств',
+      component: () => import('@/views/Screenshots_WallView.vue'),
+      props: route => ({ id: route.params.id, scope: 'group' })
+    },
+    {
+      path: '/account/screenshots/:id',
+      name: 'Экраны лицевого счёта',
+      component: () => import('@/views/Screenshots_WallView.vue'),
+      props: route => ({ id: route.params.id, scope: 'account' })
+    },
     {
       path: '/videos',
       name: 'Видеофайлы',
@@ -166,6 +186,11 @@ const router = createRouter({
       name: 'Плейлисты',
       component: () => import('@/views/Playlists_View.vue')
     },
+    {
+      path: '/campaigns',
+      name: 'Календарь кампаний',
+      component: () => import('@/views/Campaigns_View.vue')
+    },
     {
       path: '/categories',
       name: 'Категории',
@@ -200,7 +225,6 @@ const router = createRouter({
 router.beforeEach(async (to) => {
   const auth = useAuthStore()
   const alert = useAlertStore()
-  alert.clear()
 
   // Handle password recovery or registration completion
   if (auth.re_jwt) {
@@ -249,30 +273,42 @@ router.beforeEach(async (to) => {
   try {
     // Verify server availability and session validity
     await auth.check()
-    
-    // If no user after check, route to login
-    if (!auth.user) {
-      return routeToLogin(to, auth)
+  } catch (error) {
+    // Without a connection the signed in user keeps working with cached lists;
+    // only a server that answers and rejects the session ends it
+    if (!auth.user || !isConnectivityError(error)) {
+      console.error('Authentication check failed:', error)
+      auth.logout()
+      auth.returnUrl = to.fullPath
+      alert.error('Сервер недоступен. Пожалуйста, попробуйте позже.')
+      return '/login'
     }
+  }
 
-    // Check role-specific permissions
-    if (to.meta.requiresAdmin && !auth.isAdmin) {
-      return routeToLogin(to, auth)
-    }
+  // If no user after check, route to login
+  if (!auth.user) {
+    return routeToLogin(to, auth)
+  }
 
-    if (to.meta.requiresLogist && !auth.isLogist) {
-      return routeToLogin(to, auth)
-    }
+  // Check role-specific permissions
+  if (to.meta.requiresAdmin && !auth.isAdmin) {
+    return routeToLogin(to, auth)
+  }
 
-    // User is authenticated and has proper permissions
-    return true
-  } catch (error) {
-    // Server unavailable or other error
-    console.error('Authentication check failed:', error)
-    auth.logout()
-    auth.returnUrl = to.fullPath
-    alert.error('Сервер недоступен. Пожалуйста, попробуйте позже.')
-    return '/login'
+  if (to.meta.requiresLogist && !auth.isLogist) {
+    return routeToLogin(to, auth)
+  }
+
+  // User is authenticated and has proper permissions
+  return true
+})
+
+// Data requested for the page that was left is no longer needed, and neither are
+// its form messages; other notifications stay until they expire or are closed
+router.afterEach((to, from, failure) => {
+  if (!failure && to.path !== from.path) {
+    abortRouteRequests()
+    useAlertStore().clearRouteScoped()
   }
 })
 
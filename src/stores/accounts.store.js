@@ -5,6 +5,7 @@ import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl } from '@/helpers/config.js'
+import { useNetworkStore } from '@/stores/network.store.js'
 
 const baseUrl = `${apiUrl}/accounts`
 
@@ -40,7 +41,12 @@ export const useAccountsStore = defineStore('accounts', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(baseUrl)
+      const result = await useNetworkStore().cachedRead('accounts', () => fetchWrapper.get(baseUrl), {
+        onStale: (cached) => {
+          if (!accounts.value.length) accounts.value = cached || []
+        },
+        refresh: getAll
+      })
       accounts.value = result || []
     } catch (err) {
       error.value = err
@@ -144,6 +150,8 @@ export const useAccountsStore = defineStore('accounts', () => {
     error.value = null
     try {
       await fetchWrapper.delete(`${baseUrl}/${id}`, {})
+      // Devices and groups of the account lose it on the server
+      fetchWrapper.invalidate('devices', 'devicegroups')
       getAll()
     } catch (err) {
       error.value = err
@@ -2,31 +2,201 @@
 // This file is a part of Media Pi  frontend application
 
 import { defineStore } from 'pinia'
-import { ref } from 'vue'
+import { computed, ref } from 'vue'
+
+// CSS class and auto-dismiss time of every severity; errors stay until closed
+export const severities = Object.freeze({
+  info: { type: 'alert-info', timeout: 6000 },
+  success: { type: 'alert-success', timeout: 6000 },
+  warning: { type: 'alert-warning', timeout: 10000 },
+  error: { type: 'alert-danger', timeout: 0 }
+})
+
+// Notifications shown at once; later ones wait in the queue
+export const maxVisible = 5
+export const maxHistory = 50
 
 export const useAlertStore = defineStore('alert', () => {
   // state
-  const alert = ref(null)
+  // Shown notifications, oldest first
+  const notifications = ref([])
+  // Notifications waiting for a free place, oldest first
+  const queue = ref([])
+  // Messages of the session, newest first
+  const history = ref([])
+
+  let nextId = 1
+  let nextHistoryId = 1
+  const timers = new Map()
+
+  // The newest shown notification in the { message, type } form of a single alert
+  const alert = computed(() => {
+    const latest = notifications.value[notifications.value.length - 1]
+    return latest ? { message: latest.message, type: latest.type } : null
+  })
+  const queuedCount = computed(() => queue.value.length)
+
+  function stopTimer(id) {
+    clearTimeout(timers.get(id))
+    timers.delete(id)
+  }
+
+  function startTimer(notification) {
+    stopTimer(notification.id)
+    if (notification.timeout > 0) {
+      timers.set(notification.id, setTimeout(() => dismiss(notification.id), notification.timeout))
+    }
+  }
+
+  function show(notification) {
+    notifications.value = [...notifications.value, notification]
+    startTimer(notification)
+  }
+
+  function showQueued() {
+    while (queue.value.length && notifications.value.length < maxVisible) {
+      const [next, ...rest] = queue.value
+      queue.value = rest
+      show(next)
+    }
+  }
+
+  function record(notification) {
+    history.value = [
+      {
+        id: nextHistoryId++,
+        notificationId: notification.id,
+        severity: notification.severity,
+        message: notification.message,
+        createdAt: notification.createdAt
+      },
+      ...history.value
+    ].slice(0, maxHistory)
+  }
 
   // actions
-  function success(message) {
-    alert.value = { message, type: 'alert-success' }
+  /**
+   * Shows a notification, or queues it when maxVisible notifications are shown.
+   * A message repeating a shown or queued one of the same severity increases its count instead.
+   *
+   * @param {string} message - Text
+   * @param {Object} [options]
+   * @param {'info'|'success'|'warning'|'error'} [options.severity='info'] - Severity
+   * @param {number} [options.timeout] - Auto-dismiss time in ms after the notification is shown,
+   *   0 keeps it until closed; the severity default when omitted
+   * @param {Array<{ label: string, handler: Function, icon?: string, keepOpen?: boolean }>} [options.actions] -
+   *   Buttons such as Retry, Undo or Open device; the notification is closed after the handler unless keepOpen
+   * @param {boolean} [options.routeScoped=false] - The message concerns the current page only
+   *   and is closed when another page is opened
+   * @returns {number} Notification id
+   */
+  function notify(message, { severity = 'info', timeout, actions = [], routeScoped = false } = {}) {
+    const level = severities[severity] ? severity : 'info'
+    const repeated = [...notifications.value, ...queue.value]
+      .find(item => item.severity === level && item.message === message)
+    if (repeated) {
+      repeated.count += 1
+      repeated.createdAt = Date.now()
+      if (notifications.value.includes(repeated)) startTimer(repeated)
+      record(repeated)
+      return repeated.id
+    }
+
+    const notification = {
+      id: nextId++,
+      severity: level,
+      type: severities[level].type,
+      message,
+      actions,
+      routeScoped,
+      timeout: timeout ?? severities[level].timeout,
+      count: 1,
+      createdAt: Date.now()
+    }
+    record(notification)
+    if (notifications.value.length < maxVisible) show(notification)
+    else queue.value = [...queue.value, notification]
+    return notification.id
   }
-  
-  function error(message) {
-    alert.value = { message, type: 'alert-danger' }
+
+  function info(message, options = {}) {
+    return notify(message, { ...options, severity: 'info' })
+  }
+
+  function success(message, options = {}) {
+    return notify(message, { ...options, severity: 'success' })
+  }
+
+  function warning(message, options = {}) {
+    return notify(message, { ...options, severity: 'warning' })
+  }
+
+  function error(message, options = {}) {
+    return notify(message, { ...options, severity: 'error' })
+  }
+
+  function dismiss(id) {
+    stopTimer(id)
+    notifications.value = notifications.value.filter(item => item.id !== id)
+    queue.value = queue.value.filter(item => item.id !== id)
+    showQueued()
+  }
+
+  /**
+   * Runs an action of a shown notification.
+   * A failed action is reported as an error notification.
+   *
+   * @param {number} id - Notification id
+   * @param {number} index - Index of the action
+   * @returns {Promise<void>}
+   */
+  async function runAction(id, index) {
+    const notification = notifications.value.find(item => item.id === id)
+    const action = notification?.actions?.[index]
+    if (!action) return
+    if (!action.keepOpen) dismiss(id)
+    try {
+      await action.handler()
+    } catch (err) {
+      error(`${action.label}: ${err?.message || err}`)
+    }
+  }
+
+  // Closes the notifications about the page that has been left
+  function clearRouteScoped() {
+    const scoped = [...notifications.value, ...queue.value].filter(item => item.routeScoped)
+    scoped.forEach(item => dismiss(item.id))
   }
-  
+
+  // Closes every shown and queued notification; the history is kept
   function clear() {
-    alert.value = null
+    timers.forEach(timer => clearTimeout(timer))
+    timers.clear()
+    notifications.value = []
+    queue.value = []
+  }
+
+  function clearHistory() {
+    history.value = []
   }
 
   return {
     // state
     alert,
+    notifications,
+    queue,
+    queuedCount,
+    history,
     // actions
+    notify,
+    info,
     success,
+    warning,
     error,
-    clear
+    dismiss,
+    runAction,
+    clearRouteScoped,
+    clear,
+    clearHistory
   }
 })
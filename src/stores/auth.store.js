@@ -7,12 +7,51 @@ import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl } from '@/helpers/config.js'
 import router from '@/router'
 import { useStatusStore } from '@/stores/status.store.js'
+import { useDeviceStatusesStore } from '@/stores/device.statuses.store.js'
+import { useNetworkStore } from '@/stores/network.store.js'
+import { useAlertStore } from '@/stores/alert.store.js'
+import { useScreenshotAnomaliesStore } from '@/stores/screenshot.anomalies.store.js'
+import { useVideosStore } from '@/stores/videos.store.js'
+import { getJwtExpiry } from '@/helpers/jwt.js'
 import { isAdministrator as isAdmin } from '@/helpers/user.helpers.js' 
 import { isManager as isMngr } from '@/helpers/user.helpers.js' 
 import { isEngineer as isEng } from '@/helpers/user.helpers.js' 
 
 const baseUrl = `${apiUrl}/auth`
 const listStateStorageKey = 'authListState'
+// The access token is refreshed this long before it expires
+const tokenRefreshLeadTime = 60 * 1000
+// Longest delay setTimeout accepts
+const maxTimerDelay = 2 ** 31 - 1
+// Tabs share the user in localStorage and refresh the token one at a time under
+// this lock, since the server may rotate the refresh token on every refresh
+const refreshLockStorageKey = 'authRefreshLock'
+const refreshLockTime = 15 * 1000
+const refreshLockPollInterval = 250
+const tabId = Math.random().toString(36).slice(2)
+
+const readStoredJson = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key))
+  } catch {
+    return null
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function acquireRefreshLock() {
+  const lock = readStoredJson(refreshLockStorageKey)
+  if (lock && lock.owner !== tabId && lock.until > Date.now()) return false
+  localStorage.setItem(refreshLockStorageKey, JSON.stringify({ owner: tabId, until: Date.now() + refreshLockTime }))
+  return readStoredJson(refreshLockStorageKey)?.owner === tabId
+}
+
+function releaseRefreshLock() {
+  if (readStoredJson(refreshLockStorageKey)?.owner === tabId) {
+    localStorage.removeItem(refreshLockStorageKey)
+  }
+}
 
 const listStateDefaults = Object.freeze({
   users_per_page: 10,
@@ -27,6 +66,7 @@ const listStateDefaults = Object.freeze({
   screenshots_per_page: 100,
   screenshots_sort_by: [{ key: 'id', order: 'asc' }],
   screenshots_page: 1,
+  screenshots_view: 'table',
   playlists_per_page: 10,
   playlists_search: '',
   playlists_sort_by: [],
@@ -41,7 +81,9 @@ const listStateDefaults = Object.freeze({
   subscriptions_per_page: 10,
   subscriptions_search: '',
   subscriptions_sort_by: [],
-  subscriptions_page: 1
+  subscriptions_page: 1,
+  device_alerts_muted_accounts: [],
+  device_alerts_notifications: false
 })
 
 const listStateKeys = Object.keys(listStateDefaults)
@@ -51,6 +93,11 @@ const searchKeys = new Set(listStateKeys.filter(key => key.endsWith('_search')))
 const sortKeys = new Set(listStateKeys.filter(key => key.endsWith('_sort_by')))
 const nullableStringKeys = new Set(['videos_scope'])
 const nullablePositiveIntegerKeys = new Set(['playlists_account_id'])
+const positiveIntegerListKeys = new Set(['device_alerts_muted_accounts'])
+const booleanKeys = new Set(['device_alerts_notifications'])
+const choiceKeys = Object.freeze({
+  screenshots_view: ['table', 'grid']
+})
 
 function cloneListStateValue(value) {
   if (Array.isArray(value)) {
@@ -88,6 +135,11 @@ function normalizeNullablePositiveInteger(value, fallback) {
   return normalizePositiveInteger(value, fallback)
 }
 
+function normalizePositiveIntegerList(value, fallback) {
+  if (!Array.isArray(value)) return cloneListStateValue(fallback)
+  return [...new Set(value.filter(item => Number.isInteger(item) && item > 0))]
+}
+
 function normalizeListStateValue(key, value, fallback) {
   if (perPageKeys.has(key)) return normalizePerPage(value, fallback)
   if (pageKeys.has(key)) return normalizePositiveInteger(value, fallback)
@@ -95,6 +147,9 @@ function normalizeListStateValue(key, value, fallback) {
   if (sortKeys.has(key)) return Array.isArray(value) ? cloneListStateValue(value) : cloneListStateValue(fallback)
   if (nullableStringKeys.has(key)) return normalizeNullableString(value, fallback)
   if (nullablePositiveIntegerKeys.has(key)) return normalizeNullablePositiveInteger(value, fallback)
+  if (positiveIntegerListKeys.has(key)) return normalizePositiveIntegerList(value, fallback)
+  if (booleanKeys.has(key)) return typeof value === 'boolean' ? value : fallback
+  if (choiceKeys[key]) return choiceKeys[key].includes(value) ? value : fallback
   return cloneListStateValue(fallback)
 }
 
@@ -146,6 +201,7 @@ export const useAuthStore = defineStore('auth', () => {
   const screenshots_per_page = ref(defaultListState.screenshots_per_page)
   const screenshots_sort_by = ref(defaultListState.screenshots_sort_by)
   const screenshots_page = ref(defaultListState.screenshots_page)
+  const screenshots_view = ref(defaultListState.screenshots_view)
   const playlists_per_page = ref(defaultListState.playlists_per_page)
   const playlists_search = ref(defaultListState.playlists_search)
   const playlists_sort_by = ref(defaultListState.playlists_sort_by)
@@ -161,7 +217,11 @@ export const useAuthStore = defineStore('auth', () => {
   const subscriptions_search = ref(defaultListState.subscriptions_search)
   const subscriptions_sort_by = ref(defaultListState.subscriptions_sort_by)
   const subscriptions_page = ref(defaultListState.subscriptions_page)
+  const device_alerts_muted_accounts = ref(defaultListState.device_alerts_muted_accounts)
+  const device_alerts_notifications = ref(defaultListState.device_alerts_notifications)
   const returnUrl = ref(null)
+  // Set when the password has been accepted and the server waits for a one-time code
+  const twoFactorChallenge = ref(null)
   const re_jwt = ref(null)
   const re_tgt = ref(null)
 
@@ -178,6 +238,7 @@ export const useAuthStore = defineStore('auth', () => {
     screenshots_per_page,
     screenshots_sort_by,
     screenshots_page,
+    screenshots_view,
     playlists_per_page,
     playlists_search,
     playlists_sort_by,
@@ -192,7 +253,9 @@ export const useAuthStore = defineStore('auth', () => {
     subscriptions_per_page,
     subscriptions_search,
     subscriptions_sort_by,
-    subscriptions_page
+    subscriptions_page,
+    device_alerts_muted_accounts,
+    device_alerts_notifications
   }
 
   // Accounts tree state management
@@ -327,6 +390,93 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  let refreshPromise = null
+  let refreshTimer = null
+
+  const isConnectivityError = (error) => Boolean(error?.isNetworkError || error?.isTimeout || error?.isOffline)
+
+  // The same user with a newer token, stored by another tab
+  function getSharedUser(usedToken) {
+    const stored = readStoredJson('user')
+    return stored?.token && stored.token !== usedToken && stored.id === user.value?.id ? stored : null
+  }
+
+  async function exchangeToken(usedToken) {
+    // Another tab may be refreshing; its token is taken over instead of a second refresh
+    for (;;) {
+      if (user.value?.token !== usedToken) return Boolean(user.value)
+      const shared = getSharedUser(usedToken)
+      if (shared) {
+        user.value = shared
+        return true
+      }
+      if (acquireRefreshLock()) break
+      await wait(refreshLockPollInterval)
+    }
+
+    try {
+      const refreshToken = user.value.refreshToken
+      const userData = await fetchWrapper.post(`${baseUrl}/refresh`, refreshToken ? { refreshToken } : {})
+      if (!userData?.token) throw new Error('Сервер не выдал новый токен')
+      // The user has logged out or got another token meanwhile
+      if (user.value?.token !== usedToken) return Boolean(user.value)
+      // The response may carry the token only
+      user.value = { ...user.value, ...userData }
+      localStorage.setItem('user', JSON.stringify(user.value))
+      return true
+    } catch (error) {
+      if (!isConnectivityError(error) && user.value?.token === usedToken) logout()
+      return false
+    } finally {
+      releaseRefreshLock()
+    }
+  }
+
+  /**
+   * Exchanges the access token for a new one.
+   * Concurrent calls share one request, and tabs take turns so that only one of
+   * them refreshes; the others take over its token. The user is logged out when the
+   * server rejects the refresh; a refresh that cannot reach the server leaves the session as is.
+   *
+   * @returns {Promise<boolean>} True when the token has been replaced
+   */
+  function refresh() {
+    if (!user.value?.token) return Promise.resolve(false)
+    if (!refreshPromise) {
+      refreshPromise = exchangeToken(user.value.token)
+        .finally(() => {
+          refreshPromise = null
+        })
+    }
+    return refreshPromise
+  }
+
+  // A token refreshed in another tab is taken over, which also reschedules the refresh timer
+  function onStorage(event) {
+    if (event.key !== 'user' || !user.value?.token) return
+    const shared = getSharedUser(user.value.token)
+    if (shared) user.value = shared
+  }
+
+  function cancelRefreshTimer() {
+    if (refreshTimer) {
+      clearTimeout(refreshTimer)
+      refreshTimer = null
+    }
+  }
+
+  // Refreshes the token shortly before the exp claim so that requests do not hit 401 at all
+  function scheduleRefresh(token) {
+    cancelRefreshTimer()
+    const expiresAt = getJwtExpiry(token)
+    if (!expiresAt) return
+    const delay = Math.min(Math.max(expiresAt - Date.now() - tokenRefreshLeadTime, 0), maxTimerDelay)
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null
+      refresh()
+    }, delay)
+  }
+
   async function check() {
     await fetchWrapper.get(`${baseUrl}/check`)
   }
@@ -361,28 +511,112 @@ export const useAuthStore = defineStore('auth', () => {
     await statusStore.fetchStatus().catch(() => {})
   }
 
+  function signIn(userData) {
+    user.value = userData
+    localStorage.setItem('user', JSON.stringify(userData))
+    loadListStateForCurrentUser()
+
+    if (returnUrl.value) {
+      router.push(returnUrl.value)
+      returnUrl.value = null
+    }
+  }
+
+  // The server asks for the second factor either with a successful response or with an error carrying the same body
+  function readTwoFactorChallenge(data, email) {
+    if (!data?.twoFactorRequired) return null
+    return { token: data.twoFactorToken ?? null, email }
+  }
+
+  /**
+   * Checks the password. When the account has two-factor authentication enabled
+   * the user is not signed in yet: twoFactorChallenge is set and verifyTwoFactor completes the login.
+   *
+   * @returns {Promise<boolean>} True when a one-time code is required
+   */
   async function login(email, password) {
     // Fetch status information regardless of login success, failure, or exception
     const statusStore = useStatusStore()
-    
+    twoFactorChallenge.value = null
+
     try {
       const userData = await fetchWrapper.post(`${baseUrl}/login`, { email, password })
-      user.value = userData
-      localStorage.setItem('user', JSON.stringify(userData))
-      loadListStateForCurrentUser()
-      
-      if (returnUrl.value) {
-        router.push(returnUrl.value)
-        returnUrl.value = null
-      }
+      twoFactorChallenge.value = readTwoFactorChallenge(userData, email)
+      if (!twoFactorChallenge.value) signIn(userData)
     } catch (error) {
-      // Ensure status is fetched before re-throwing the error
-      await statusStore.fetchStatus().catch(() => {})
-      throw error
+      twoFactorChallenge.value = readTwoFactorChallenge(error?.data, email)
+      if (!twoFactorChallenge.value) {
+        // Ensure status is fetched before re-throwing the error
+        await statusStore.fetchStatus().catch(() => {})
+        throw error
+      }
     }
     
     // Fetch status after successful login as well
     await statusStore.fetchStatus().catch(() => {})
+    return Boolean(twoFactorChallenge.value)
+  }
+
+  /**
+   * Completes a login started by login() with a code from the authenticator application or a recovery code
+   */
+  async function verifyTwoFactor(code) {
+    const challenge = twoFactorChallenge.value
+    if (!challenge) throw new Error('Вход не начат, укажите электронную почту и пароль')
+
+    const userData = await fetchWrapper.post(`${baseUrl}/login/2fa`, {
+      twoFactorToken: challenge.token,
+      code
+    })
+    twoFactorChallenge.value = null
+    signIn(userData)
+    await useStatusStore().fetchStatus().catch(() => {})
+  }
+
+  function cancelTwoFactor() {
+    twoFactorChallenge.value = null
+  }
+
+  function updateCurrentUser(changes) {
+    if (!user.value) return
+    user.value = { ...user.value, ...changes }
+    localStorage.setItem('user', JSON.stringify(user.value))
+  }
+
+  /**
+   * Starts enrollment of the signed in user.
+   *
+   * @returns {Promise<{ secret: string, qrCode: string, otpauthUri: string }>} Shared secret,
+   * its QR code as an image URL and the otpauth URI the QR code encodes
+   */
+  async function startTwoFactorSetup() {
+    return await fetchWrapper.post(`${baseUrl}/2fa/setup`, {})
+  }
+
+  /**
+   * Confirms enrollment with the first code generated by the authenticator application.
+   *
+   * @returns {Promise<Array<string>>} Recovery codes, shown to the user once
+   */
+  async function enableTwoFactor(code) {
+    const result = await fetchWrapper.post(`${baseUrl}/2fa/enable`, { code })
+    updateCurrentUser({ twoFactorEnabled: true })
+    return result?.recoveryCodes ?? []
+  }
+
+  async function disableTwoFactor(code) {
+    await fetchWrapper.post(`${baseUrl}/2fa/disable`, { code })
+    updateCurrentUser({ twoFactorEnabled: false })
+  }
+
+  /**
+   * Replaces the recovery codes; the earlier ones stop working.
+   *
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async function regenerateRecoveryCodes(code) {
+    const result = await fetchWrapper.post(`${baseUrl}/2fa/recovery-codes`, { code })
+    return result?.recoveryCodes ?? []
   }
 
   function logout() {
@@ -390,8 +624,19 @@ export const useAuthStore = defineStore('auth', () => {
     const statusStore = useStatusStore()
     
     try {
+      // Interrupted uploads are stored per user and are resumed by the same user only
+      useVideosStore().clearPendingUploads()
       user.value = null
+      twoFactorChallenge.value = null
       localStorage.removeItem('user')
+      // Status and message history is kept for the session only
+      useDeviceStatusesStore().clearHistory()
+      useAlertStore().clear()
+      useAlertStore().clearHistory()
+      useScreenshotAnomaliesStore().reset()
+      // Cached lists and responses belong to the signed out user
+      useNetworkStore().clearCache()
+      fetchWrapper.clearCache()
       loadListStateForCurrentUser()
       router.push('/login')
     } catch (error) {
@@ -404,6 +649,9 @@ export const useAuthStore = defineStore('auth', () => {
     statusStore.fetchStatus().catch(() => {})
   }
 
+  watch(() => user.value?.token, scheduleRefresh, { immediate: true })
+  globalThis.addEventListener?.('storage', onStorage)
+
   // Load tree state when store is initialized
   loadAccountsTreeState()
   loadVideosTreeState()
@@ -430,6 +678,7 @@ export const useAuthStore = defineStore('auth', () => {
     screenshots_per_page,
     screenshots_sort_by,
     screenshots_page,
+    screenshots_view,
     playlists_per_page,
     playlists_search,
     playlists_sort_by,
@@ -445,7 +694,10 @@ export const useAuthStore = defineStore('auth', () => {
     subscriptions_search,
     subscriptions_sort_by,
     subscriptions_page,
+    device_alerts_muted_accounts,
+    device_alerts_notifications,
     returnUrl,
+    twoFactorChallenge,
     re_jwt,
     re_tgt,
     isAdministrator,
@@ -459,7 +711,14 @@ export const useAuthStore = defineStore('auth', () => {
     recover,
     re,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     logout,
+    refresh,
     saveAccountsTreeState,
     clearAccountsTreeState,
     loadAccountsTreeState,
@@ -0,0 +1,173 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import { useAuthStore } from '@/stores/auth.store.js'
+import { useAccountsStore } from '@/stores/accounts.store.js'
+import { useDevicesStore } from '@/stores/devices.store.js'
+import { useDeviceStatusesStore } from '@/stores/device.statuses.store.js'
+import {
+  detectStatusAlerts,
+  isAccountMuted,
+  maxAlerts,
+  toggleMutedAccount
+} from '@/helpers/device.alerts.js'
+
+const getNotificationApi = () => globalThis.Notification ?? null
+
+export const useDeviceAlertsStore = defineStore('deviceAlerts', () => {
+  const alerts = ref([])
+  const active = ref(false)
+  const error = ref(null)
+  const notificationPermission = ref(getNotificationApi()?.permission ?? 'unsupported')
+
+  // Last known status of every device, used to detect transitions
+  const previousStatuses = new Map()
+  let stopWatch = null
+  let nextId = 1
+
+  const unreadCount = computed(() => alerts.value.filter(alert => !alert.read).length)
+  const notificationsSupported = computed(() => notificationPermission.value !== 'unsupported')
+
+  function findDevice(deviceId) {
+    return useDevicesStore().devices.find(device => device.id === deviceId) || null
+  }
+
+  function notify(alert) {
+    const NotificationApi = getNotificationApi()
+    if (!useAuthStore().device_alerts_notifications) return
+    if (!NotificationApi || NotificationApi.permission !== 'granted') return
+    try {
+      new NotificationApi(alert.deviceName, { body: alert.message, tag: `device-alert-${alert.deviceId}` })
+    } catch {
+      // Notifications are best effort (e.g. blocked by the browser)
+    }
+  }
+
+  function raise(status, detected) {
+    const device = findDevice(status.deviceId)
+    const accountId = device?.accountId || null
+    if (isAccountMuted(accountId, useAuthStore().device_alerts_muted_accounts)) return
+
+    const timestamp = Date.now()
+    const created = detected.map(item => ({
+      id: nextId++,
+      type: item.type,
+      message: item.message,
+      deviceId: status.deviceId,
+      deviceName: device?.name || `Устройство #${status.deviceId}`,
+      accountId,
+      timestamp,
+      read: false
+    }))
+    alerts.value = [...created.reverse(), ...alerts.value].slice(0, maxAlerts)
+    created.forEach(notify)
+  }
+
+  function processStatuses(list) {
+    for (const status of list || []) {
+      const detected = detectStatusAlerts(previousStatuses.get(status.deviceId), status)
+      previousStatuses.set(status.deviceId, status)
+      if (detected.length) raise(status, detected)
+    }
+  }
+
+  async function start() {
+    if (active.value) return
+    active.value = true
+    error.value = null
+
+    const deviceStatusesStore = useDeviceStatusesStore()
+    try {
+      await Promise.all([useDevicesStore().getAll(), useAccountsStore().getAll()])
+    } catch (err) {
+      // Alerts still work, device names fall back to ids
+      error.value = err
+    }
+    if (!active.value) return
+
+    // The statuses known at start are the baseline
+    deviceStatusesStore.statuses.forEach(status => previousStatuses.set(status.deviceId, status))
+    // Statuses are replaced item by item, so one level of depth is enough
+    stopWatch = watch(() => deviceStatusesStore.statuses, processStatuses, { deep: 1 })
+    await deviceStatusesStore.startStream()
+  }
+
+  function stop() {
+    if (!active.value) return
+    active.value = false
+    if (stopWatch) {
+      stopWatch()
+      stopWatch = null
+      useDeviceStatusesStore().stopStream()
+    }
+    previousStatuses.clear()
+    alerts.value = []
+  }
+
+  function markRead(id) {
+    alerts.value = alerts.value.map(alert => (alert.id === id ? { ...alert, read: true } : alert))
+  }
+
+  function markAllRead() {
+    alerts.value = alerts.value.map(alert => (alert.read ? alert : { ...alert, read: true }))
+  }
+
+  function dismiss(id) {
+    alerts.value = alerts.value.filter(alert => alert.id !== id)
+  }
+
+  function clear() {
+    alerts.value = []
+  }
+
+  function isMuted(accountId) {
+    return isAccountMuted(accountId, useAuthStore().device_alerts_muted_accounts)
+  }
+
+  // Muting an account also drops its pending alerts
+  function toggleMute(accountId) {
+    const authStore = useAuthStore()
+    authStore.device_alerts_muted_accounts = toggleMutedAccount(accountId, authStore.device_alerts_muted_accounts)
+    if (isMuted(accountId)) {
+      alerts.value = alerts.value.filter(alert => alert.accountId !== accountId)
+    }
+  }
+
+  async function setNotificationsEnabled(enabled) {
+    const authStore = useAuthStore()
+    const NotificationApi = getNotificationApi()
+    if (!enabled || !NotificationApi) {
+      authStore.device_alerts_notifications = false
+      return
+    }
+    if (NotificationApi.permission === 'default') {
+      try {
+        await NotificationApi.requestPermission()
+      } catch {
+        // Treated as denied below
+      }
+    }
+    notificationPermission.value = NotificationApi.permission
+    authStore.device_alerts_notifications = NotificationApi.permission === 'granted'
+  }
+
+  return {
+    alerts,
+    active,
+    error,
+    notificationPermission,
+    unreadCount,
+    notificationsSupported,
+    start,
+    stop,
+    markRead,
+    markAllRead,
+    dismiss,
+    clear,
+    isMuted,
+    toggleMute,
+    setNotificationsEnabled
+  }
+})
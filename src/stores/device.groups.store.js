@@ -5,8 +5,13 @@ import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl } from '@/helpers/config.js'
+import { getRouteSignal, isAbortError } from '@/helpers/request.abort.js'
+import { useNetworkStore } from '@/stores/network.store.js'
 
 const baseUrl = `${apiUrl}/devicegroups`
+// Requests cached by fetchWrapper are tagged with it and dropped after every change
+const cacheTag = 'devicegroups'
+const groupCacheTtl = 10 * 1000
 
 export const useDeviceGroupsStore = defineStore('devicegroups', () => {
   const groups = ref([])
@@ -27,6 +32,7 @@ export const useDeviceGroupsStore = defineStore('devicegroups', () => {
     error.value = null
     try {
       await fetchWrapper.post(baseUrl, groupParam)
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after add
     } catch (err) {
       error.value = err
@@ -48,7 +54,12 @@ export const useDeviceGroupsStore = defineStore('devicegroups', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(baseUrl)
+      const result = await useNetworkStore().cachedRead('devicegroups', () => fetchWrapper.get(baseUrl), {
+        onStale: (cached) => {
+          if (!groups.value.length) groups.value = cached || []
+        },
+        refresh: () => getAll(true)
+      })
       groups.value = result || []
       lastLoaded.value = Date.now()
     } catch (err) {
@@ -64,9 +75,15 @@ export const useDeviceGroupsStore = defineStore('devicegroups', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(`${baseUrl}/${id}`)
+      const result = await fetchWrapper.get(`${baseUrl}/${id}`, {
+        ttl: groupCacheTtl,
+        tags: [cacheTag],
+        signal: getRouteSignal()
+      })
       group.value = result
     } catch (err) {
+      // The page that asked for the group was left
+      if (isAbortError(err)) return
       error.value = err
       group.value = null
       throw err
@@ -80,6 +97,7 @@ export const useDeviceGroupsStore = defineStore('devicegroups', () => {
     error.value = null
     try {
       await fetchWrapper.put(`${baseUrl}/${id}`, params)
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after update
     } catch (err) {
       error.value = err
@@ -94,6 +112,8 @@ export const useDeviceGroupsStore = defineStore('devicegroups', () => {
     error.value = null
     try {
       await fetchWrapper.delete(`${baseUrl}/${id}`, {})
+      // Devices of a deleted group are left without one
+      fetchWrapper.invalidate(cacheTag, 'devices')
       getAll(true) // Force refresh after delete
     } catch (err) {
       error.value = err
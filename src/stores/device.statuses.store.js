@@ -7,9 +7,27 @@ import { ref } from 'vue'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl, enableLog } from '@/helpers/config.js'
 import { normalizePlaylistActivation } from '@/helpers/playlist.activation.js'
+import { getReconnectDelay } from '@/helpers/reconnect.backoff.js'
+import {
+  appendHistoryEntry,
+  createHistoryEntry,
+  mergeHistories,
+  pruneHistory
+} from '@/helpers/status.history.js'
+import {
+  clearStatusHistory,
+  loadStatusHistory,
+  saveDeviceStatusHistory
+} from '@/helpers/status.history.db.js'
 import { useAuthStore } from '@/stores/auth.store.js'
+import { useNetworkStore } from '@/stores/network.store.js'
 
 const baseUrl = `${apiUrl}/devicestatuses`
+const staleAfterAttempts = 3
+const authErrorStatuses = [401, 403]
+// A history write replaces the whole record of a device, so the devices
+// changed meanwhile are saved together at most once per this interval
+const historyFlushDelayMs = 5000
 
 export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
   const statuses = ref([])
@@ -18,6 +36,16 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
   let streamController = null
   let streamReader = null
   let streamSubscribers = 0
+  let reconnectTimer = null
+  let reconnectAttempt = 0
+  let lastEventId = null
+  // idle | connecting | live | reconnecting | stale
+  const streamState = ref('idle')
+  // deviceId -> status history entries, see helpers/status.history.js
+  const history = ref({})
+  let historyLoad = null
+  const unsavedHistoryIds = new Set()
+  let historyFlushTimer = null
 
   const normalizeStatusItem = (item, fallbackDeviceId = null) => ({
     deviceId: item?.deviceId ?? item?.DeviceId ?? fallbackDeviceId,
@@ -33,8 +61,80 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
     playlistActivation: normalizePlaylistActivation(item?.playlistActivation ?? item?.PlaylistActivation)
   })
 
+  // Persisted histories are merged in before the first write,
+  // otherwise a write would replace the stored entries of the device
+  function loadHistory() {
+    if (!historyLoad) {
+      historyLoad = loadStatusHistory()
+        .then((saved) => {
+          const merged = { ...history.value }
+          Object.entries(saved).forEach(([key, entries]) => {
+            merged[key] = mergeHistories(entries, merged[key])
+          })
+          history.value = merged
+        })
+        .catch(() => {
+          // Persistence is best effort: the in-memory history still works
+        })
+    }
+    return historyLoad
+  }
+
+  function flushHistory() {
+    clearTimeout(historyFlushTimer)
+    historyFlushTimer = null
+    const deviceIds = [...unsavedHistoryIds]
+    unsavedHistoryIds.clear()
+    if (!deviceIds.length) return Promise.resolve()
+    return loadHistory()
+      .then(() => Promise.all(deviceIds.map((deviceId) => saveDeviceStatusHistory(deviceId, history.value[deviceId] || []))))
+      .catch(() => {
+        // Persistence is best effort: the in-memory history still works
+      })
+  }
+
+  const persistHistory = (deviceId) => {
+    unsavedHistoryIds.add(deviceId)
+    if (!historyFlushTimer) {
+      historyFlushTimer = setTimeout(flushHistory, historyFlushDelayMs)
+    }
+  }
+
+  const recordHistory = (status) => {
+    const deviceId = status?.deviceId
+    if (deviceId === null || deviceId === undefined) return
+    const current = history.value[deviceId]
+    const next = appendHistoryEntry(current, createHistoryEntry(status))
+    if (next === current) return
+    history.value = { ...history.value, [deviceId]: next }
+    persistHistory(deviceId)
+  }
+
+  function getDeviceHistory(deviceId) {
+    return pruneHistory(history.value[deviceId])
+  }
+
+  async function clearHistory() {
+    clearTimeout(historyFlushTimer)
+    historyFlushTimer = null
+    unsavedHistoryIds.clear()
+    history.value = {}
+    historyLoad = Promise.resolve()
+    try {
+      await clearStatusHistory()
+    } catch {
+      // Persistence is best effort
+    }
+  }
+
+  const replaceAll = (result) => {
+    statuses.value = (result || []).map((item) => normalizeStatusItem(item))
+    statuses.value.forEach(recordHistory)
+  }
+
   const updateLocal = (item, fallbackDeviceId = null) => {
     const next = normalizeStatusItem(item, fallbackDeviceId)
+    recordHistory(next)
     const deviceId = next.deviceId
     const idx = statuses.value.findIndex(s => s.deviceId === deviceId)
     if (idx >= 0) {
@@ -50,8 +150,22 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(baseUrl)
-      statuses.value = (result || []).map((item) => normalizeStatusItem(item))
+      const networkStore = useNetworkStore()
+      const showCached = (cached) => {
+        statuses.value = (cached || []).map((item) => normalizeStatusItem(item))
+      }
+      const result = await networkStore.cachedRead('devicestatuses', () => fetchWrapper.get(baseUrl), {
+        onStale: (cached) => {
+          if (!statuses.value.length) showCached(cached)
+        },
+        refresh: getAll
+      })
+      // A saved copy says nothing about the devices now and stays out of the history
+      if (networkStore.isCached('devicestatuses')) {
+        showCached(result)
+      } else {
+        replaceAll(result)
+      }
     } catch (err) {
       error.value = err
       statuses.value = []
@@ -91,37 +205,110 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
     }
   }
 
-  async function startStream() {
-    streamSubscribers += 1
-    if (streamController) {
+  const isTestEnvironment = () =>
+    typeof process !== 'undefined' && process.env && (process.env.VITEST || process.env.VITEST_WORKER_ID)
+
+  const clearReconnectTimer = () => {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer)
+      reconnectTimer = null
+    }
+  }
+
+  const scheduleReconnect = () => {
+    clearReconnectTimer()
+    const delay = getReconnectDelay(reconnectAttempt)
+    reconnectAttempt += 1
+    // After several failed attempts the displayed statuses can no longer be trusted
+    streamState.value = reconnectAttempt > staleAfterAttempts ? 'stale' : 'reconnecting'
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      if (streamSubscribers > 0) {
+        connectStream(true)
+      }
+    }, delay)
+  }
+
+  // Events received while the connection was down are lost unless the server
+  // can replay them by Last-Event-ID, so without an id a full snapshot is reloaded.
+  // Unlike getAll() a failed resync keeps the statuses we already have.
+  const resyncAfterReconnect = async () => {
+    try {
+      const result = await fetchWrapper.get(baseUrl)
+      replaceAll(result)
+    } catch (err) {
+      error.value = err
+    }
+  }
+
+  const handleStreamLine = (line) => {
+    if (line.startsWith('id:')) {
+      const id = line.slice(3).trim()
+      lastEventId = id || null
       return
     }
+    if (!line.startsWith('data: ')) return
+    try {
+      const data = line.slice(6).trim()
+      if (data) {
+        const item = JSON.parse(data)
+        updateLocal(item)
+      }
+    } catch (err) {
+      error.value = err instanceof Error ? err : new Error(String(err))
+      if (enableLog && !isTestEnvironment()) {
+        console.log('[device.statuses.store] SSE error:', { line: line, error: error.value })
+      }
+    }
+  }
+
+  // The token may have been replaced while the stream was being opened
+  const renewToken = (usedToken) => {
+    const authStore = useAuthStore()
+    const token = authStore.user?.token
+    if (!token) return false
+    return token !== usedToken || authStore.refresh()
+  }
 
+  async function connectStream(isReconnect = false) {
     const authStore = useAuthStore()
     const token = authStore.user?.token
-    
+
     if (!token) {
+      // The user has logged out while we were waiting to reconnect
       error.value = new Error('No authentication token available')
-      streamSubscribers = Math.max(0, streamSubscribers - 1)
+      streamState.value = 'idle'
+      reconnectAttempt = 0
       return
     }
-    
+
     // Create an AbortController before the initial fetch so we can
     // cancel both the fetch request and the subsequent stream
     const controller = new AbortController()
     streamController = controller
+    if (!isReconnect) {
+      streamState.value = 'connecting'
+    }
 
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    }
+    if (lastEventId) {
+      headers['Last-Event-ID'] = lastEventId
+    }
+
+    let shouldReconnect = false
     try {
       const response = await fetch(`${baseUrl}/stream`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'text/event-stream',
-          'Cache-Control': 'no-cache'
-        },
+        headers,
         signal: controller.signal
       })
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`)
+        httpError.status = response.status
+        throw httpError
       }
 
       // If stopStream() was called while the fetch was in-flight, abort
@@ -134,60 +321,85 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
         throw new Error('Response body is not readable')
       }
 
+      streamState.value = 'live'
+      if (isReconnect && !lastEventId) {
+        resyncAfterReconnect()
+      }
+
       const decoder = new TextDecoder()
       let buffer = ''
 
       while (!controller.signal.aborted) {
         const { done, value } = await streamReader.read()
         if (done) break
+        // The backoff restarts only once the stream delivers data: a server or
+        // proxy that accepts the connection and closes it at once keeps backing off
+        reconnectAttempt = 0
 
         buffer += decoder.decode(value, { stream: true })
         const lines = buffer.split('\n')
         buffer = lines.pop() || '' // Keep incomplete line in buffer
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = line.slice(6).trim()
-              if (data) {
-                const item = JSON.parse(data)
-                updateLocal(item)
-              }
-            } catch (err) {
-              error.value = err instanceof Error ? err : new Error(String(err))
-              const isTest = typeof process !== 'undefined' && process.env && (process.env.VITEST || process.env.VITEST_WORKER_ID)
-              if (enableLog && !isTest) {
-                console.log('[device.statuses.store] SSE error:', { line: line, error: error.value })
-              }
-            }
-          }
-        }
+        lines.forEach(handleStreamLine)
       }
+
+      // The server (or a proxy in between) closed the stream
+      shouldReconnect = !controller.signal.aborted
     } catch (err) {
       // Ignore AbortError triggered by stopStream()
       if (err?.name !== 'AbortError' && !controller.signal.aborted) {
         error.value = err instanceof Error ? err : new Error(String(err))
-        const isTest = typeof process !== 'undefined' && process.env && (process.env.VITEST || process.env.VITEST_WORKER_ID)
-        if (!isTest) {
+        if (!isTestEnvironment()) {
           console.error('SSE stream error:', err)
         }
-        // Implement retry logic here if needed
+        // Authorization problems are not fixed by retrying with the same token;
+        // an expired token is refreshed and the stream reconnects with the new one
+        shouldReconnect = !authErrorStatuses.includes(err?.status) ||
+          (err?.status === 401 && await renewToken(token))
+        if (!shouldReconnect) {
+          streamState.value = 'stale'
+        }
       }
     } finally {
-      // Only clean up if this startStream call is still the active one
+      // Only clean up if this connection is still the active one
       if (streamController === controller) {
         streamReader = null
         streamController = null
+        if (shouldReconnect && streamSubscribers > 0) {
+          scheduleReconnect()
+        }
       }
     }
   }
 
+  async function startStream() {
+    streamSubscribers += 1
+    if (streamController || reconnectTimer) {
+      return
+    }
+
+    const authStore = useAuthStore()
+    if (!authStore.user?.token) {
+      error.value = new Error('No authentication token available')
+      streamSubscribers = Math.max(0, streamSubscribers - 1)
+      return
+    }
+
+    await connectStream()
+  }
+
   function stopStream() {
     streamSubscribers = Math.max(0, streamSubscribers - 1)
     if (streamSubscribers > 0) {
       return
     }
 
+    clearReconnectTimer()
+    reconnectAttempt = 0
+    lastEventId = null
+    streamState.value = 'idle'
+    flushHistory()
+
     if (streamController) {
       streamController.abort()
       streamController = null
@@ -202,10 +414,16 @@ export const useDeviceStatusesStore = defineStore('deviceStatuses', () => {
     statuses,
     loading,
     error,
+    streamState,
+    history,
     getAll,
     getById,
     test,
     startStream,
-    stopStream
+    stopStream,
+    loadHistory,
+    flushHistory,
+    getDeviceHistory,
+    clearHistory
   }
 })
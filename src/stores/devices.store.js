@@ -5,8 +5,13 @@ import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl } from '@/helpers/config.js'
+import { getRouteSignal, isAbortError } from '@/helpers/request.abort.js'
+import { useNetworkStore } from '@/stores/network.store.js'
 
 const baseUrl = `${apiUrl}/devices`
+// Requests cached by fetchWrapper are tagged with it and dropped after every change
+const cacheTag = 'devices'
+const deviceCacheTtl = 10 * 1000
 
 export const useDevicesStore = defineStore('devices', () => {
   const devices = ref([])
@@ -36,6 +41,7 @@ export const useDevicesStore = defineStore('devices', () => {
     error.value = null
     try {
       const result = await fetchWrapper.post(`${baseUrl}/register`, {})
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after register
       return result
     } catch (err) {
@@ -58,7 +64,12 @@ export const useDevicesStore = defineStore('devices', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(baseUrl)
+      const result = await useNetworkStore().cachedRead('devices', () => fetchWrapper.get(baseUrl), {
+        onStale: (cached) => {
+          if (!devices.value.length) devices.value = cached || []
+        },
+        refresh: () => getAll(true)
+      })
       devices.value = result || []
       lastLoaded.value = Date.now()
     } catch (err) {
@@ -90,9 +101,15 @@ export const useDevicesStore = defineStore('devices', () => {
     loading.value = true
     error.value = null
     try {
-      const result = await fetchWrapper.get(`${baseUrl}/${id}`)
+      const result = await fetchWrapper.get(`${baseUrl}/${id}`, {
+        ttl: deviceCacheTtl,
+        tags: [cacheTag],
+        signal: getRouteSignal()
+      })
       device.value = result
     } catch (err) {
+      // The page that asked for the device was left
+      if (isAbortError(err)) return
       error.value = err
       device.value = null
       throw err
@@ -110,23 +127,28 @@ export const useDevicesStore = defineStore('devices', () => {
     return [baseUrl, encodeURIComponent(String(id)), ...encodedSegments].join('/')
   }
 
-  const executeDeviceRequest = async (method, id, segments = [], body) => {
-    loading.value = true
-    error.value = null
-
+  // Sends a request to the device agent without touching loading and error
+  const sendDeviceRequest = async (method, id, segments = [], body) => {
     const url = buildDeviceUrl(id, segments)
     const methodName = method.toLowerCase()
 
-    try {
-      if (!fetchWrapper[methodName]) {
-        throw new Error(`Unsupported method: ${method}`)
-      }
+    if (!fetchWrapper[methodName]) {
+      throw new Error(`Unsupported method: ${method}`)
+    }
 
-      if (methodName === 'get' || methodName === 'delete') {
-        return await fetchWrapper[methodName](url)
-      }
+    if (methodName === 'get' || methodName === 'delete') {
+      return await fetchWrapper[methodName](url)
+    }
+
+    return await fetchWrapper[methodName](url, body ?? {})
+  }
 
-      return await fetchWrapper[methodName](url, body ?? {})
+  const executeDeviceRequest = async (method, id, segments = [], body) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      return await sendDeviceRequest(method, id, segments, body)
     } catch (err) {
       error.value = err
       throw err
@@ -204,6 +226,7 @@ export const useDevicesStore = defineStore('devices', () => {
     error.value = null
     try {
       await fetchWrapper.put(`${baseUrl}/${id}`, params)
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after update
     } catch (err) {
       error.value = err
@@ -218,6 +241,7 @@ export const useDevicesStore = defineStore('devices', () => {
     error.value = null
     try {
       await fetchWrapper.delete(`${baseUrl}/${id}`, {})
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after delete
     } catch (err) {
       error.value = err
@@ -233,6 +257,7 @@ export const useDevicesStore = defineStore('devices', () => {
     try {
       const params = { Id: groupId ?? 0 }
       await fetchWrapper.patch(`${baseUrl}/assign-group/${id}`, params)
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after assignment
     } catch (err) {
       error.value = err
@@ -248,6 +273,7 @@ export const useDevicesStore = defineStore('devices', () => {
     try {
       const params = { Id: accountId ?? 0 }
       await fetchWrapper.patch(`${baseUrl}/assign-account/${id}`, params)
+      fetchWrapper.invalidate(cacheTag)
       getAll(true) // Force refresh after assignment
     } catch (err) {
       error.value = err
@@ -257,21 +283,57 @@ export const useDevicesStore = defineStore('devices', () => {
     }
   }
 
-  const getConfiguration = (id) => executeDeviceRequest('get', id, ['configuration', 'get'])
-  const updateConfiguration = (id, params) => executeDeviceRequest('put', id, ['configuration', 'update'], params)
-  const reloadSystem = (id) => executeDeviceRequest('post', id, ['system', 'reload'])
-  const rebootSystem = (id) => executeDeviceRequest('post', id, ['system', 'reboot'])
-  const shutdownSystem = (id) => executeDeviceRequest('post', id, ['system', 'shutdown'])
-  const startPlayback = (id) => executeDeviceRequest('post', id, ['playback', 'start'])
-  const stopPlayback = (id) => executeDeviceRequest('post', id, ['playback', 'stop'])
-  const buildUploadAction = (resource, action) => (id) =>
-    executeDeviceRequest('post', id, [resource, `${action}-upload`])
+  // Device agent commands: [method, path segments]
+  const deviceCommands = Object.freeze({
+    getConfiguration: ['get', ['configuration', 'get']],
+    updateConfiguration: ['put', ['configuration', 'update']],
+    reloadSystem: ['post', ['system', 'reload']],
+    rebootSystem: ['post', ['system', 'reboot']],
+    shutdownSystem: ['post', ['system', 'shutdown']],
+    startPlayback: ['post', ['playback', 'start']],
+    stopPlayback: ['post', ['playback', 'stop']],
+    startPlaylistUpload: ['post', ['playlist', 'start-upload']],
+    stopPlaylistUpload: ['post', ['playlist', 'stop-upload']],
+    startVideoUpload: ['post', ['video', 'start-upload']],
+    stopVideoUpload: ['post', ['video', 'stop-upload']],
+    getServiceStatus: ['get', ['service', 'status']]
+  })
+
+  const getDeviceCommand = (name) => {
+    const command = deviceCommands[name]
+    if (!command) {
+      throw new Error(`Unknown device command: ${name}`)
+    }
+    return command
+  }
+
+  /**
+   * Runs a device agent command without changing the store state.
+   * Used where many commands run at once and every caller keeps its own result,
+   * so the shared loading and error flags would only flicker and get overwritten.
+   */
+  async function sendDeviceCommand(name, id, body) {
+    const [method, segments] = getDeviceCommand(name)
+    return sendDeviceRequest(method, id, segments, body)
+  }
+
+  const buildDeviceAction = (name) => (id, body) => {
+    const [method, segments] = getDeviceCommand(name)
+    return executeDeviceRequest(method, id, segments, body)
+  }
 
-  const startPlaylistUpload = buildUploadAction('playlist', 'start')
-  const stopPlaylistUpload = buildUploadAction('playlist', 'stop')
-  const startVideoUpload = buildUploadAction('video', 'start')
-  const stopVideoUpload = buildUploadAction('video', 'stop')
-  const getServiceStatus = (id) => executeDeviceRequest('get', id, ['service', 'status'])
+  const getConfiguration = buildDeviceAction('getConfiguration')
+  const updateConfiguration = buildDeviceAction('updateConfiguration')
+  const reloadSystem = buildDeviceAction('reloadSystem')
+  const rebootSystem = buildDeviceAction('rebootSystem')
+  const shutdownSystem = buildDeviceAction('shutdownSystem')
+  const startPlayback = buildDeviceAction('startPlayback')
+  const stopPlayback = buildDeviceAction('stopPlayback')
+  const startPlaylistUpload = buildDeviceAction('startPlaylistUpload')
+  const stopPlaylistUpload = buildDeviceAction('stopPlaylistUpload')
+  const startVideoUpload = buildDeviceAction('startVideoUpload')
+  const stopVideoUpload = buildDeviceAction('stopVideoUpload')
+  const getServiceStatus = buildDeviceAction('getServiceStatus')
 
 
   return {
@@ -307,7 +369,8 @@ export const useDevicesStore = defineStore('devices', () => {
     stopPlaylistUpload,
     startVideoUpload,
     stopVideoUpload,
-    getServiceStatus
+    getServiceStatus,
+    sendDeviceCommand
   }
 })
 
@@ -0,0 +1,146 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { defineStore } from 'pinia'
+import { computed, ref, watch } from 'vue'
+import { idleSession } from '@/helpers/config.js'
+import { useAuthStore } from '@/stores/auth.store.js'
+
+// Tabs of the application share activity and logout through this channel
+const channelName = 'media-pi-session'
+const activityEvents = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll']
+const tickInterval = 1000
+// Activity is reported to other tabs at most this often
+const broadcastInterval = 5000
+
+export const useIdleSessionStore = defineStore('idleSession', () => {
+  const lastActivity = ref(Date.now())
+  const now = ref(Date.now())
+  const warningVisible = ref(false)
+  const active = ref(false)
+
+  let timer = null
+  let channel = null
+  let lastBroadcast = 0
+  let stopUserWatch = null
+
+  const timeout = computed(() => idleSession.timeout)
+  const warning = computed(() => Math.min(idleSession.warning, idleSession.timeout))
+  const remainingSeconds = computed(() =>
+    Math.max(0, Math.ceil((lastActivity.value + timeout.value - now.value) / 1000))
+  )
+
+  const post = (message) => {
+    try {
+      channel?.postMessage(message)
+    } catch {
+      // The other tabs keep their own timers
+    }
+  }
+
+  function registerActivity(at = Date.now(), { broadcast = true } = {}) {
+    if (at <= lastActivity.value) return
+    lastActivity.value = at
+    now.value = Math.max(now.value, at)
+    warningVisible.value = false
+    if (broadcast && at - lastBroadcast >= broadcastInterval) {
+      lastBroadcast = at
+      post({ type: 'activity', at })
+    }
+  }
+
+  // Activity on the page does not dismiss the warning: the user confirms it explicitly
+  const onActivity = () => {
+    if (!warningVisible.value) registerActivity()
+  }
+
+  function keepAlive() {
+    lastBroadcast = 0
+    registerActivity(Math.max(Date.now(), lastActivity.value + 1))
+  }
+
+  function expire() {
+    warningVisible.value = false
+    useAuthStore().logout()
+  }
+
+  function tick() {
+    now.value = Date.now()
+    const idleFor = now.value - lastActivity.value
+    if (idleFor >= timeout.value) {
+      expire()
+    } else if (idleFor >= timeout.value - warning.value) {
+      warningVisible.value = true
+    }
+  }
+
+  const onMessage = (event) => {
+    const message = event?.data
+    if (message?.type === 'activity' && Number.isFinite(message.at)) {
+      registerActivity(message.at, { broadcast: false })
+    } else if (message?.type === 'logout' && useAuthStore().user) {
+      // Stopped first so that the logout is not sent back to the other tabs
+      stop()
+      useAuthStore().logout()
+    }
+  }
+
+  const openChannel = () => {
+    const Channel = globalThis.BroadcastChannel
+    if (typeof Channel !== 'function') return null
+    const opened = new Channel(channelName)
+    opened.onmessage = onMessage
+    return opened
+  }
+
+  /**
+   * Starts tracking activity of the signed in user.
+   * Does nothing when the timeout is disabled in the configuration.
+   */
+  function start() {
+    if (active.value || !(timeout.value > 0)) return
+    active.value = true
+    lastActivity.value = Date.now()
+    now.value = lastActivity.value
+    lastBroadcast = 0
+    warningVisible.value = false
+
+    activityEvents.forEach((name) => {
+      window.addEventListener(name, onActivity, { passive: true })
+    })
+    channel = openChannel()
+    timer = setInterval(tick, tickInterval)
+
+    // Logging out in this tab, for any reason, logs out the other tabs
+    stopUserWatch = watch(() => useAuthStore().user, (user) => {
+      if (user) return
+      post({ type: 'logout' })
+      stop()
+    })
+  }
+
+  function stop() {
+    if (!active.value) return
+    active.value = false
+    warningVisible.value = false
+    activityEvents.forEach((name) => {
+      window.removeEventListener(name, onActivity)
+    })
+    clearInterval(timer)
+    timer = null
+    stopUserWatch?.()
+    stopUserWatch = null
+    channel?.close()
+    channel = null
+  }
+
+  return {
+    active,
+    warningVisible,
+    remainingSeconds,
+    start,
+    stop,
+    keepAlive,
+    expire
+  }
+})
@@ -0,0 +1,149 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import { useAuthStore } from '@/stores/auth.store.js'
+import {
+  clearCachedResponses,
+  readCachedResponse,
+  writeCachedResponse
+} from '@/helpers/offline.cache.js'
+
+const isBrowserOnline = () => globalThis.navigator?.onLine !== false
+
+export const useNetworkStore = defineStore('network', () => {
+  const online = ref(isBrowserOnline())
+  // source -> savedAt of the cached copy shown instead of a failed read
+  const cachedSources = ref({})
+  // source -> function that reloads the source once the network is back
+  const refreshers = new Map()
+  let monitoring = false
+
+  const offline = computed(() => !online.value)
+  const showingCachedData = computed(() => Object.keys(cachedSources.value).length > 0)
+  // The oldest copy on screen
+  const cachedAt = computed(() => {
+    const times = Object.values(cachedSources.value)
+    return times.length ? Math.min(...times) : null
+  })
+
+  const isCached = (source) => source in cachedSources.value
+
+  const currentUserId = () => useAuthStore().user?.id ?? null
+
+  const isConnectivityError = (err) => Boolean(err?.isNetworkError || err?.isTimeout || err?.isOffline) || !online.value
+
+  function markCached(source, savedAt, refresh) {
+    cachedSources.value = { ...cachedSources.value, [source]: savedAt }
+    if (typeof refresh === 'function') refreshers.set(source, refresh)
+  }
+
+  function markFresh(source) {
+    refreshers.delete(source)
+    if (!(source in cachedSources.value)) return
+    const next = { ...cachedSources.value }
+    delete next[source]
+    cachedSources.value = next
+  }
+
+  /**
+   * Stale-while-revalidate read of a list.
+   * The saved copy is handed to onStale while the request is in flight; a successful
+   * response replaces the saved copy. When the request fails for lack of connectivity
+   * the saved copy is returned instead and the source is reported as cached until
+   * refresh succeeds after the network comes back.
+   *
+   * @param {string} source - Cache name, for example 'devices'
+   * @param {Function} load - Performs the request
+   * @param {Object} [options]
+   * @param {Function} [options.onStale] - Receives the saved copy before the response arrives
+   * @param {Function} [options.refresh] - Reloads the source when the browser is back online
+   * @returns {Promise<*>} Response or saved copy
+   */
+  async function cachedRead(source, load, { onStale, refresh } = {}) {
+    const userId = currentUserId()
+    let settled = false
+    const cachedPromise = readCachedResponse(userId, source).catch(() => null)
+    if (typeof onStale === 'function') {
+      cachedPromise.then((cached) => {
+        if (cached && !settled) onStale(cached.data)
+      })
+    }
+
+    try {
+      const data = await load()
+      settled = true
+      markFresh(source)
+      writeCachedResponse(userId, source, data).catch(() => {
+        // The copy is best effort
+      })
+      return data
+    } catch (err) {
+      settled = true
+      if (!isConnectivityError(err)) throw err
+      const cached = await cachedPromise
+      if (!cached) throw err
+      markCached(source, cached.savedAt, refresh)
+      return cached.data
+    }
+  }
+
+  function refreshCachedSources() {
+    for (const refresh of refreshers.values()) {
+      Promise.resolve()
+        .then(refresh)
+        .catch(() => {
+          // Still unreachable: the cached copy stays on screen
+        })
+    }
+  }
+
+  const onOnline = () => {
+    online.value = true
+    refreshCachedSources()
+  }
+
+  const onOffline = () => {
+    online.value = false
+  }
+
+  function startMonitoring() {
+    if (monitoring || typeof window === 'undefined') return
+    monitoring = true
+    online.value = isBrowserOnline()
+    window.addEventListener('online', onOnline)
+    window.addEventListener('offline', onOffline)
+  }
+
+  function stopMonitoring() {
+    if (!monitoring) return
+    monitoring = false
+    window.removeEventListener('online', onOnline)
+    window.removeEventListener('offline', onOffline)
+  }
+
+  async function clearCache() {
+    cachedSources.value = {}
+    refreshers.clear()
+    try {
+      await clearCachedResponses()
+    } catch {
+      // Persistence is best effort
+    }
+  }
+
+  return {
+    online,
+    offline,
+    cachedSources,
+    showingCachedData,
+    cachedAt,
+    isCached,
+    cachedRead,
+    markFresh,
+    startMonitoring,
+    stopMonitoring,
+    clearCache
+  }
+})
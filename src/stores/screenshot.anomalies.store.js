@@ -0,0 +1,176 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
+import { apiUrl } from '@/helpers/config.js'
+import { runWithConcurrency } from '@/helpers/concurrency.js'
+import { anomalyLabels, detectAnomalies, readFrame } from '@/helpers/screenshot.analysis.js'
+import { useScreenshotsStore } from '@/stores/screenshots.store.js'
+import { useDeviceGroupsStore } from '@/stores/device.groups.store.js'
+
+const playlistsUrl = `${apiUrl}/playlists`
+// Images are decoded on the main thread, so only a few are analysed at once
+const analysisConcurrency = 2
+// Latest screenshots of a device checked for the tree warning
+const deviceCheckSize = 3
+const deviceRecheckAfterMs = 15 * 60 * 1000
+
+export const useScreenshotAnomaliesStore = defineStore('screenshotAnomalies', () => {
+  // Flags of analysed screenshots by screenshot id
+  const flags = ref({})
+  // { flags, screenshotId, checkedAt } of devices whose latest screenshot is flagged
+  const deviceWarnings = ref({})
+
+  // Screenshot id -> promise of the measured frame; null when the image could not be read
+  const frames = new Map()
+  // Playlist id -> promise of the number of its items
+  const playlistSizes = new Map()
+  // Device id -> time of the last check, or the check in flight
+  const deviceChecks = new Map()
+  // Increased by reset() so that work started before it does not store its results
+  let generation = 0
+
+  function measure(id) {
+    if (!frames.has(id)) {
+      const frame = useScreenshotsStore().loadContent(id)
+        .then(({ data, contentType }) => readFrame(new window.Blob([data], { type: contentType || 'image/jpeg' })))
+        .catch(() => {
+          frames.delete(id)
+          return null
+        })
+      frames.set(id, frame)
+    }
+    return frames.get(id)
+  }
+
+  function playlistSize(playlistId) {
+    if (!playlistSizes.has(playlistId)) {
+      playlistSizes.set(playlistId, fetchWrapper.get(`${playlistsUrl}/${playlistId}`)
+        .then(playlist => (playlist?.items || []).length)
+        .catch(() => {
+          playlistSizes.delete(playlistId)
+          return 0
+        }))
+    }
+    return playlistSizes.get(playlistId)
+  }
+
+  /**
+   * Whether the device should show changing content: its group plays a playlist of several items.
+   * Unknown groups and playlists count as no.
+   *
+   * @param {Object} device - { deviceGroupId }
+   * @returns {Promise<boolean>}
+   */
+  async function expectsChange(device) {
+    const groupId = device?.deviceGroupId
+    if (!groupId) return false
+    const deviceGroupsStore = useDeviceGroupsStore()
+    if (!deviceGroupsStore.getGroupById(groupId)) {
+      // Not every role may list groups
+      await deviceGroupsStore.getAll().catch(() => {})
+    }
+    const playing = (deviceGroupsStore.getGroupById(groupId)?.playLists || []).find(item => item?.play)
+    if (!playing) return false
+    return (await playlistSize(playing.playlistId)) > 1
+  }
+
+  /**
+   * Analyses screenshots of one device and stores their flags.
+   *
+   * @param {Object} device - { id, deviceGroupId }
+   * @param {Array<{ id: number, timeCreated: string }>} items - Screenshots of the device
+   * @returns {Promise<Object>} Flags of the flagged screenshots by id
+   */
+  async function analyzeScreenshots(device, items) {
+    const list = Array.from(items || [])
+    if (!list.length) return {}
+    const started = generation
+    const [changing, measured] = await Promise.all([
+      expectsChange(device),
+      runWithConcurrency(list, item => measure(item.id), analysisConcurrency)
+    ])
+    const detected = detectAnomalies(
+      list.map((item, index) => ({ id: item.id, timeCreated: item.timeCreated, frame: measured[index].value })),
+      { expectsChange: changing }
+    )
+    if (started !== generation) return detected
+    const next = { ...flags.value }
+    list.forEach(item => {
+      if (detected[item.id]) next[item.id] = detected[item.id]
+      else delete next[item.id]
+    })
+    flags.value = next
+    return detected
+  }
+
+  async function checkDevice(device) {
+    const started = generation
+    const items = await useScreenshotsStore().listByDevice(device.id, { pageSize: deviceCheckSize })
+    if (started !== generation) return
+    const detected = await analyzeScreenshots(device, items)
+    if (started !== generation) return
+    const latest = items[0]
+    const rest = { ...deviceWarnings.value }
+    delete rest[device.id]
+    deviceWarnings.value = latest && detected[latest.id]
+      ? { ...rest, [device.id]: { flags: detected[latest.id], screenshotId: latest.id, checkedAt: Date.now() } }
+      : rest
+  }
+
+  /**
+   * Checks the latest screenshots of devices in the background.
+   * Devices checked less than deviceRecheckAfterMs ago are skipped; errors are ignored.
+   *
+   * @param {Array<Object>} devices - Devices { id, deviceGroupId }
+   * @returns {Promise<void>}
+   */
+  async function checkDevices(devices) {
+    const now = Date.now()
+    const due = (devices || []).filter(device => {
+      const checked = deviceChecks.get(device.id)
+      return checked === undefined || (typeof checked === 'number' && now - checked >= deviceRecheckAfterMs)
+    })
+    due.forEach(device => deviceChecks.set(device.id, 'running'))
+    const started = generation
+    await runWithConcurrency(due, async (device) => {
+      if (started !== generation) return
+      try {
+        await checkDevice(device)
+      } finally {
+        if (started === generation) deviceChecks.set(device.id, Date.now())
+      }
+    }, analysisConcurrency)
+  }
+
+  /**
+   * @param {number} deviceId - Device id
+   * @returns {string} Warning text for the latest screenshot of the device, empty when it looks fine
+   */
+  function getDeviceWarning(deviceId) {
+    const warning = deviceWarnings.value[deviceId]
+    if (!warning) return ''
+    return 'Последняя фотография: ' + warning.flags.map(flag => anomalyLabels[flag].toLowerCase()).join(', ')
+  }
+
+  // Forgets everything of the session, including checks in flight
+  function reset() {
+    generation += 1
+    flags.value = {}
+    deviceWarnings.value = {}
+    frames.clear()
+    playlistSizes.clear()
+    deviceChecks.clear()
+  }
+
+  return {
+    flags,
+    deviceWarnings,
+    analyzeScreenshots,
+    checkDevices,
+    getDeviceWarning,
+    reset
+  }
+})
@@ -100,6 +100,9 @@ export const useScreenshotsStore = defineStore('screenshots', () => {
     from: null,
     to: null
   })
+  // Object URLs of images shown as thumbnails, by screenshot id
+  const previews = ref({})
+  const previewRequests = new Map()
 
   const resetListState = () => {
     screenshots.value = []
@@ -182,6 +185,133 @@ export const useScreenshotsStore = defineStore('screenshots', () => {
     }
   }
 
+  /**
+   * Lists screenshots of a device without touching the paged list of the current page.
+   * Used to pick photos of other devices for comparison.
+   *
+   * @param {number} deviceId - Device id
+   * @param {Object} [options]
+   * @param {Date|string} [options.to] - Latest creation time
+   * @param {number} [options.pageSize=10] - Number of screenshots
+   * @returns {Promise<Array>} Newest screenshots first
+   */
+  async function listByDevice(deviceId, { to = null, pageSize = 10 } = {}) {
+    const queryParams = new URLSearchParams({
+      deviceId: String(deviceId),
+      page: '1',
+      pageSize: String(resolvePageSize(pageSize)),
+      sortBy: 'time_created',
+      sortOrder: 'desc'
+    })
+    const normalizedTo = normalizeDateParam(to)
+    if (normalizedTo) {
+      queryParams.append('to', normalizedTo)
+    }
+
+    const response = await fetchWrapper.get(`${baseUrl}?${queryParams.toString()}`)
+    return response?.items || []
+  }
+
+  /**
+   * Lists every screenshot of a device in the date range, page by page, without
+   * touching the paged list of the current page. Used for the ZIP export.
+   *
+   * @param {number} deviceId - Device id
+   * @param {Object} [options]
+   * @param {Date|string} [options.from] - Earliest creation time
+   * @param {Date|string} [options.to] - Latest creation time
+   * @param {number} [options.limit] - Stop after this many screenshots
+   * @returns {Promise<Array>} Oldest screenshots first
+   */
+  async function listAllByDevice(deviceId, { from = null, to = null, limit = Infinity } = {}) {
+    const normalizedFrom = normalizeDateParam(from)
+    const normalizedTo = normalizeDateParam(to)
+    const items = []
+
+    for (let page = 1; ; page++) {
+      const queryParams = new URLSearchParams({
+        deviceId: String(deviceId),
+        page: String(page),
+        pageSize: String(Math.min(maxPageSize, limit)),
+        sortBy: 'time_created',
+        sortOrder: 'asc'
+      })
+      if (normalizedFrom) {
+        queryParams.append('from', normalizedFrom)
+      }
+      if (normalizedTo) {
+        queryParams.append('to', normalizedTo)
+      }
+
+      const response = await fetchWrapper.get(`${baseUrl}?${queryParams.toString()}`)
+      const pageItems = response?.items || []
+      items.push(...pageItems)
+      if (items.length >= limit) return items.slice(0, limit)
+      if (!response?.pagination?.hasNextPage || !pageItems.length) return items
+    }
+  }
+
+  /**
+   * Downloads the image of a screenshot.
+   *
+   * @param {number} id - Screenshot id
+   * @returns {Promise<{ data: Uint8Array, contentType: string }>} Image bytes and type
+   */
+  async function loadContent(id) {
+    const response = await fetchWrapper.getFile(`${baseUrl}/${id}`)
+    return {
+      data: new Uint8Array(await response.arrayBuffer()),
+      contentType: response?.headers?.get?.('Content-Type') || ''
+    }
+  }
+
+  /**
+   * Loads a screenshot for a thumbnail. The image is downloaded once and kept
+   * until releasePreviews; concurrent calls for the same id share the download.
+   *
+   * @param {number} id - Screenshot id
+   * @returns {Promise<string>} Object URL of the image
+   */
+  function loadPreview(id) {
+    if (previews.value[id]) return Promise.resolve(previews.value[id])
+    if (!previewRequests.has(id)) {
+      const request = fetchWrapper.getFile(`${baseUrl}/${id}`)
+        .then((response) => response.blob())
+        .then((blob) => {
+          const objectUrl = globalThis.URL.createObjectURL(blob)
+          // Released while the image was being downloaded
+          if (previewRequests.get(id) !== request) {
+            globalThis.URL.revokeObjectURL(objectUrl)
+            return null
+          }
+          previews.value = { ...previews.value, [id]: objectUrl }
+          return objectUrl
+        })
+        .finally(() => {
+          if (previewRequests.get(id) === request) previewRequests.delete(id)
+        })
+      previewRequests.set(id, request)
+    }
+    return previewRequests.get(id)
+  }
+
+  function releasePreview(id) {
+    previewRequests.delete(id)
+    const objectUrl = previews.value[id]
+    if (!objectUrl) return
+    globalThis.URL?.revokeObjectURL?.(objectUrl)
+    const rest = { ...previews.value }
+    delete rest[id]
+    previews.value = rest
+  }
+
+  // Thumbnails of a page are released when the page is left
+  function releasePreviews() {
+    previewRequests.clear()
+    Object.values(previews.value).forEach((objectUrl) => globalThis.URL?.revokeObjectURL?.(objectUrl))
+    previews.value = {}
+  }
+
   async function open(id) {
     loading.value = true
     error.value = null
@@ -201,15 +331,26 @@ export const useScreenshotsStore = defineStore('screenshots', () => {
     }
   }
 
+  /**
+   * Takes a photo without changing the opened screenshot or the loading state,
+   * so that several devices can be photographed at once.
+   *
+   * @param {number} deviceId - Device id
+   * @returns {Promise<{ id: null, filename: string, objectUrl: string }>} Photo; the caller revokes objectUrl
+   */
+  async function capture(deviceId) {
+    const response = await fetchWrapper.postBlob(`${devicesBaseUrl}/${deviceId}/screenshot`)
+    return createScreenshotPreview(response, {
+      fallbackFilename: `screenshot-${deviceId}`
+    })
+  }
+
   async function create(deviceId) {
     loading.value = true
     error.value = null
 
     try {
-      const response = await fetchWrapper.postBlob(`${devicesBaseUrl}/${deviceId}/screenshot`)
-      screenshot.value = await createScreenshotPreview(response, {
-        fallbackFilename: `screenshot-${deviceId}`
-      })
+      screenshot.value = await capture(deviceId)
       return screenshot.value
     } catch (err) {
       error.value = err
@@ -225,6 +366,7 @@ export const useScreenshotsStore = defineStore('screenshots', () => {
 
     try {
       await fetchWrapper.delete(`${baseUrl}/${id}`)
+      releasePreview(id)
       const previousLength = screenshots.value.length
       screenshots.value = screenshots.value.filter((item) => item.id !== id)
 
@@ -255,7 +397,14 @@ export const useScreenshotsStore = defineStore('screenshots', () => {
     pagination,
     sorting,
     activeFilters,
+    previews,
     getAllByDevice,
+    listByDevice,
+    listAllByDevice,
+    loadContent,
+    loadPreview,
+    releasePreviews,
+    capture,
     create,
     open,
     remove
@@ -0,0 +1,193 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import { useVideosStore } from '@/stores/videos.store.js'
+import { getUploadFingerprint } from '@/helpers/chunked.upload.js'
+import {
+  estimateRemainingSeconds,
+  isFinishedUpload,
+  maxConcurrentUploads,
+  updateTransferRate,
+  uploadStatuses
+} from '@/helpers/upload.queue.js'
+
+// Upload queue shared by all pages: uploads continue while the user navigates
+export const useUploadManagerStore = defineStore('uploadManager', () => {
+  const items = ref([])
+  // Incremented on every successful upload, including retries
+  const completedCount = ref(0)
+
+  // Files, abort controllers and batch callbacks, not reactive
+  const jobs = new Map()
+  let nextId = 1
+
+  const activeCount = computed(() => items.value.filter(item => !isFinishedUpload(item)).length)
+  const hasFinished = computed(() => items.value.some(isFinishedUpload))
+
+  const findItem = (id) => items.value.find(item => item.id === id) || null
+
+  function updateItem(id, patch) {
+    items.value = items.value.map(item => (item.id === id ? { ...item, ...patch } : item))
+  }
+
+  function settle(id, outcome) {
+    const job = jobs.get(id)
+    updateItem(id, {
+      status: outcome.status,
+      speed: null,
+      eta: null,
+      error: outcome.error ? (outcome.error.message || String(outcome.error)) : null
+    })
+    if (outcome.status === uploadStatuses.done) completedCount.value += 1
+    // Only the first outcome is reported to the batch; retries are reported by completedCount
+    const onSettled = job.onSettled
+    job.onSettled = null
+    job.controller = null
+    onSettled?.({ id, file: job.file, ...outcome })
+  }
+
+  function createProgressHandler(id) {
+    let sample = null
+    return (progress) => {
+      if (!progress?.lengthComputable) return
+      const item = findItem(id)
+      if (!item) return
+      const total = progress.total || item.total
+      sample = updateTransferRate(sample, progress.loaded, Date.now())
+      updateItem(id, {
+        loaded: progress.loaded,
+        total,
+        speed: sample.speed,
+        eta: estimateRemainingSeconds(progress.loaded, total, sample.speed)
+      })
+    }
+  }
+
+  async function run(id) {
+    const job = jobs.get(id)
+    job.controller = new AbortController()
+    updateItem(id, { status: uploadStatuses.uploading, loaded: 0, speed: null, eta: null, error: null })
+
+    const options = {
+      ...job.options,
+      onUploadProgress: createProgressHandler(id),
+      signal: job.controller.signal
+    }
+    try {
+      // Uploads run side by side, so each one keeps its state in its item
+      // instead of the shared loading and error of the videos store
+      const result = await useVideosStore().uploadFileInBackground(job.file, job.accountId, job.title, options)
+      settle(id, { status: uploadStatuses.done, result })
+    } catch (err) {
+      settle(id, { status: err?.name === 'AbortError' ? uploadStatuses.cancelled : uploadStatuses.error, error: err })
+    } finally {
+      pump()
+    }
+  }
+
+  function pump() {
+    const running = items.value.filter(item => item.status === uploadStatuses.uploading).length
+    const queued = items.value.filter(item => item.status === uploadStatuses.queued)
+    queued.slice(0, Math.max(0, maxConcurrentUploads - running)).forEach(item => run(item.id))
+  }
+
+  /**
+   * Adds files to the queue.
+   *
+   * @param {Array<Object>} entries - { file, accountId, title, options } for videosStore.uploadFileInBackground
+   *   and optional metadata { duration, width, height } probed in the browser
+   * @returns {Promise<Array<Object>>} First outcome of every file:
+   *   { id, file, status: 'done' | 'error' | 'cancelled', result, error }
+   */
+  function enqueue(entries) {
+    const outcomes = (entries || []).map(entry => {
+      const id = nextId++
+      const options = entry.options || {}
+      items.value = [...items.value, {
+        id,
+        filename: entry.file?.name || 'видеофайл',
+        fingerprint: getUploadFingerprint(entry.file, { accountId: entry.accountId, categoryId: options.categoryId }),
+        status: uploadStatuses.queued,
+        loaded: 0,
+        total: Number(entry.file?.size) || 0,
+        metadata: entry.metadata || null,
+        speed: null,
+        eta: null,
+        error: null
+      }]
+      return new Promise(resolve => {
+        jobs.set(id, {
+          file: entry.file,
+          accountId: entry.accountId,
+          title: entry.title || '',
+          options,
+          controller: null,
+          onSettled: resolve
+        })
+      })
+    })
+    pump()
+    return Promise.all(outcomes)
+  }
+
+  function cancel(id) {
+    const item = findItem(id)
+    const job = jobs.get(id)
+    if (!item || !job) return
+    if (item.status === uploadStatuses.queued) {
+      settle(id, { status: uploadStatuses.cancelled })
+    } else if (item.status === uploadStatuses.uploading) {
+      job.controller?.abort()
+    }
+  }
+
+  function cancelAll() {
+    items.value.forEach(item => cancel(item.id))
+  }
+
+  function retry(id) {
+    const item = findItem(id)
+    if (!item || ![uploadStatuses.error, uploadStatuses.cancelled].includes(item.status)) return
+    updateItem(id, { status: uploadStatuses.queued, loaded: 0, error: null })
+    pump()
+  }
+
+  function remove(id) {
+    if (!isFinishedUpload(findItem(id))) return
+    jobs.delete(id)
+    items.value = items.value.filter(item => item.id !== id)
+  }
+
+  function clearFinished() {
+    items.value.filter(isFinishedUpload).forEach(item => jobs.delete(item.id))
+    items.value = items.value.filter(item => !isFinishedUpload(item))
+  }
+
+  // Chunked uploads can be paused; the videos store tracks them by fingerprint
+  function pause(id) {
+    const item = findItem(id)
+    if (item?.status === uploadStatuses.uploading) useVideosStore().pauseUpload(item.fingerprint)
+  }
+
+  function resume(id) {
+    const item = findItem(id)
+    if (item?.status === uploadStatuses.uploading) useVideosStore().resumeUpload(item.fingerprint)
+  }
+
+  return {
+    items,
+    completedCount,
+    activeCount,
+    hasFinished,
+    enqueue,
+    cancel,
+    cancelAll,
+    retry,
+    remove,
+    clearFinished,
+    pause,
+    resume
+  }
+})
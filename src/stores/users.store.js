@@ -114,6 +114,32 @@ const getUserById = (id) => {
     }
   }
 
+  // Lets a user who lost the authenticator and the recovery codes sign in with the password and enroll again
+  async function resetTwoFactor(id) {
+    loading.value = true
+    error.value = null
+    try {
+      await fetchWrapper.delete(`${baseUrl}/${id}/2fa`, {})
+    } catch (err) {
+      error.value = err
+      throw err
+    }
+    finally {
+      loading.value = false
+    }
+
+    const listed = getUserById(id)
+    if (listed) listed.twoFactorEnabled = false
+    if (user.value?.id === id) user.value = { ...user.value, twoFactorEnabled: false }
+
+    const authStore = useAuthStore()
+    if (authStore.user && id === authStore.user.id) {
+      const updatedUser = { ...authStore.user, twoFactorEnabled: false }
+      localStorage.setItem('user', JSON.stringify(updatedUser))
+      authStore.user = updatedUser
+    }
+  }
+
   async function deleteUser(id) {
     const authStore = useAuthStore()
     if (authStore.user && id === authStore.user.id) {
@@ -147,6 +173,7 @@ const getUserById = (id) => {
     getById,
     getByAccount,
     update,
+    resetTwoFactor,
     delete: deleteUser
   }
 })
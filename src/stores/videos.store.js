@@ -3,16 +3,31 @@
 
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
-import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
+import { createAbortError, fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { apiUrl } from '@/helpers/config.js'
+import { resolveMediaUrl } from '@/helpers/media.url.js'
+import { getPosterFilename } from '@/helpers/video.probe.js'
+import { useAuthStore } from '@/stores/auth.store.js'
+import {
+  clearUploadSessions,
+  computeChunkChecksum,
+  defaultChunkSize,
+  getChunkCount,
+  getChunkRange,
+  getRetryDelay,
+  getUploadFingerprint,
+  isRetryableUploadError,
+  loadUploadSessions,
+  maxChunkRetries,
+  removeUploadSession,
+  saveUploadSession
+} from '@/helpers/chunked.upload.js'
 
 const baseUrl = `${apiUrl}/videos`
+const uploadsUrl = `${baseUrl}/uploads`
 
-function normalizeStreamUrl(url) {
-  if (/^https?:\/\//i.test(url)) return url
-  if (/^https?:\/\//i.test(apiUrl)) return new URL(url, apiUrl).toString()
-  return url
-}
+// Upload sessions are stored per user
+const getCurrentUserId = () => useAuthStore().user?.id
 
 export const useVideosStore = defineStore('videos', () => {
   const videos = ref([])
@@ -20,6 +35,13 @@ export const useVideosStore = defineStore('videos', () => {
   const videoPreview = ref(null)
   const loading = ref(false)
   const error = ref(null)
+  // Chunked uploads of this page, keyed by fingerprint
+  const uploads = ref({})
+  // Chunked uploads interrupted earlier, including before a page reload
+  const pendingUploads = ref(loadUploadSessions(getCurrentUserId()))
+
+  // Pause controls of running uploads, not reactive
+  const uploadControls = new Map()
 
   const setError = (err) => {
     error.value = err
@@ -95,7 +117,7 @@ export const useVideosStore = defineStore('videos', () => {
       videoPreview.value = {
         id,
         filename: result?.filename || result?.title || currentVideo?.originalFilename || currentVideo?.title || listedVideo?.originalFilename || listedVideo?.title || `video-${id}`,
-        streamUrl: normalizeStreamUrl(rawStreamUrl),
+        streamUrl: resolveMediaUrl(rawStreamUrl),
         expiresAt: result?.expiresAt || null
       }
       return videoPreview.value
@@ -180,18 +202,321 @@ export const useVideosStore = defineStore('videos', () => {
     }
   }
 
-  async function uploadFile(file, accountId, title = '', options = {}) {
-    return handleRequest(async () => {
-      if (!file) throw new Error('Не выбран видеофайл')
-      assertUploadTarget(accountId)
-      const effectiveTitle = deriveUploadTitle(file, title)
-      const formData = new globalThis.FormData()
-      formData.append('File', file)
-      formData.append('Title', effectiveTitle)
-      formData.append('AccountId', accountId)
-      appendCategoryId(formData, options)
-      return postUploadFile(`${baseUrl}/upload`, formData, options)
+  // Poster frame captured in the browser while probing the file
+  const appendPoster = (formData, file, options = {}) => {
+    if (options.poster) {
+      formData.append('Poster', options.poster, getPosterFilename(file))
+    }
+  }
+
+  const completeUploadSession = (session, file, options = {}) => {
+    const url = `${uploadsUrl}/${session.id}/complete`
+    if (!options.poster) return fetchWrapper.post(url)
+    const formData = new globalThis.FormData()
+    appendPoster(formData, file, options)
+    return fetchWrapper.postFile(url, formData)
+  }
+
+  const setUploadState = (fingerprint, patch) => {
+    uploads.value = { ...uploads.value, [fingerprint]: { ...uploads.value[fingerprint], ...patch } }
+  }
+
+  const persistUploadSession = (fingerprint, session) => {
+    const userId = getCurrentUserId()
+    saveUploadSession(userId, fingerprint, session)
+    pendingUploads.value = loadUploadSessions(userId)
+  }
+
+  const forgetUploadSession = (fingerprint) => {
+    const userId = getCurrentUserId()
+    removeUploadSession(userId, fingerprint)
+    pendingUploads.value = loadUploadSessions(userId)
+  }
+
+  // Waits for the retry delay; while the browser is offline the delay starts once it is back online
+  const waitBeforeRetry = (delay, signal) => new Promise((resolve, reject) => {
+    let timer = null
+    const onOnline = () => {
+      globalThis.removeEventListener('online', onOnline)
+      timer = setTimeout(done, delay)
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      globalThis.removeEventListener('online', onOnline)
+      reject(createAbortError())
+    }
+    const done = () => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    if (globalThis.navigator?.onLine === false) {
+      globalThis.addEventListener('online', onOnline)
+    } else {
+      timer = setTimeout(done, delay)
+    }
+  })
+
+  // Resolves immediately unless the upload is paused; a paused upload can still be cancelled
+  const waitWhilePaused = (control, signal) => {
+    if (!control.paused) return Promise.resolve()
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        control.onResume = null
+        reject(createAbortError())
+      }
+      signal?.addEventListener('abort', onAbort, { once: true })
+      control.onResume = () => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }
+    })
+  }
+
+  // Chunk requests are aborted on pause and on cancel; only the latter ends the upload
+  const createChunkSignal = (control, signal) => {
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    control.chunkController = controller
+    if (signal?.aborted) controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+    return {
+      signal: controller.signal,
+      release: () => signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  async function openUploadSession(fingerprint, file, target) {
+    const stored = loadUploadSessions(getCurrentUserId())[fingerprint]
+    if (stored) {
+      try {
+        const state = await fetchWrapper.get(`${uploadsUrl}/${stored.id}`)
+        return { session: stored, received: new Set(state?.receivedChunks || []) }
+      } catch (err) {
+        // Expired or completed elsewhere: start over
+        if (err?.status !== 404) throw err
+        forgetUploadSession(fingerprint)
+      }
+    }
+
+    const payload = {
+      filename: file.name || '',
+      size: file.size,
+      title: target.title,
+      accountId: target.accountId,
+      chunkSize: defaultChunkSize
+    }
+    if (target.categoryId !== undefined) {
+      payload.categoryId = target.categoryId
+    }
+    const created = await fetchWrapper.post(uploadsUrl, payload)
+    const session = {
+      id: created.id,
+      chunkSize: created.chunkSize || defaultChunkSize,
+      filename: payload.filename,
+      size: file.size,
+      accountId: target.accountId,
+      categoryId: target.categoryId ?? null,
+      uploadedBytes: 0,
+      updatedAt: Date.now()
+    }
+    persistUploadSession(fingerprint, session)
+    return { session, received: new Set(created.receivedChunks || []) }
+  }
+
+  async function uploadChunk(session, file, index, control, options) {
+    const { start, end } = getChunkRange(index, file.size, session.chunkSize)
+    const chunk = file.slice(start, end)
+    const checksum = await computeChunkChecksum(chunk)
+
+    for (let attempt = 0; ; attempt++) {
+      await waitWhilePaused(control, options.signal)
+      if (options.signal?.aborted) throw createAbortError()
+      const chunkSignal = createChunkSignal(control, options.signal)
+      const chunkOptions = {
+        index,
+        offset: start,
+        total: file.size,
+        checksum,
+        signal: chunkSignal.signal
+      }
+      if (typeof options.onChunkProgress === 'function') {
+        chunkOptions.onUploadProgress = (progress) => options.onChunkProgress(progress.loaded || 0)
+      }
+      try {
+        await fetchWrapper.putChunk(`${uploadsUrl}/${session.id}/chunks/${index}`, chunk, chunkOptions)
+        return end - start
+      } catch (err) {
+        if (err?.name === 'AbortError') {
+          if (options.signal?.aborted) throw err
+          // Paused: the chunk is sent again after resume
+          attempt--
+          continue
+        }
+        if (!isRetryableUploadError(err) || attempt >= maxChunkRetries) throw err
+        setUploadState(control.fingerprint, { status: 'retrying' })
+        await waitBeforeRetry(getRetryDelay(attempt), options.signal)
+        setUploadState(control.fingerprint, { status: control.paused ? 'paused' : 'uploading' })
+      } finally {
+        chunkSignal.release()
+      }
+    }
+  }
+
+  /**
+   * Uploads a file in chunks through an upload session.
+   * An interrupted upload of the same file to the same target resumes from
+   * the chunks the server already has. Failed chunks are retried with
+   * exponential backoff; a cancelled or failed upload keeps its session.
+   */
+  async function uploadFileChunked(file, target, options = {}) {
+    const fingerprint = getUploadFingerprint(file, target)
+    if (uploadControls.has(fingerprint)) throw new Error('Этот файл уже загружается')
+    const control = { fingerprint, paused: false, onResume: null, chunkController: null }
+    uploadControls.set(fingerprint, control)
+    setUploadState(fingerprint, {
+      fingerprint,
+      filename: file.name || '',
+      size: file.size,
+      uploadedBytes: 0,
+      status: 'uploading',
+      error: null
     })
+
+    try {
+      const { session, received } = await openUploadSession(fingerprint, file, target)
+      const chunkCount = getChunkCount(file.size, session.chunkSize)
+      let uploadedBytes = [...received].reduce((sum, index) => {
+        const { start, end } = getChunkRange(index, file.size, session.chunkSize)
+        return index < chunkCount ? sum + (end - start) : sum
+      }, 0)
+
+      const reportProgress = (inFlightBytes = 0) => {
+        const loaded = Math.min(file.size, uploadedBytes + inFlightBytes)
+        setUploadState(fingerprint, { uploadedBytes: loaded })
+        options.onUploadProgress?.({
+          loaded,
+          total: file.size,
+          percentage: file.size > 0 ? Math.round((loaded / file.size) * 100) : null,
+          lengthComputable: true
+        })
+      }
+      reportProgress()
+
+      for (let index = 0; index < chunkCount; index++) {
+        if (received.has(index)) continue
+        uploadedBytes += await uploadChunk(session, file, index, control, {
+          signal: options.signal,
+          onChunkProgress: reportProgress
+        })
+        reportProgress()
+        persistUploadSession(fingerprint, { ...session, uploadedBytes, updatedAt: Date.now() })
+      }
+
+      const result = await completeUploadSession(session, file, options)
+      forgetUploadSession(fingerprint)
+      setUploadState(fingerprint, { status: 'done' })
+      return result
+    } catch (err) {
+      setUploadState(fingerprint, {
+        status: err?.name === 'AbortError' ? 'cancelled' : 'error',
+        error: err?.message || String(err)
+      })
+      throw err
+    } finally {
+      uploadControls.delete(fingerprint)
+    }
+  }
+
+  function pauseUpload(fingerprint) {
+    const control = uploadControls.get(fingerprint)
+    if (!control || control.paused) return
+    control.paused = true
+    control.chunkController?.abort()
+    setUploadState(fingerprint, { status: 'paused' })
+  }
+
+  function resumeUpload(fingerprint) {
+    const control = uploadControls.get(fingerprint)
+    if (!control?.paused) return
+    control.paused = false
+    setUploadState(fingerprint, { status: 'uploading' })
+    const onResume = control.onResume
+    control.onResume = null
+    onResume?.()
+  }
+
+  // Forgets the interrupted uploads of a user who logs out
+  function clearPendingUploads() {
+    clearUploadSessions(getCurrentUserId())
+    pendingUploads.value = {}
+  }
+
+  // Drops an interrupted upload on the server and forgets it locally
+  async function discardUpload(fingerprint) {
+    const session = loadUploadSessions(getCurrentUserId())[fingerprint]
+    forgetUploadSession(fingerprint)
+    if (!session) return
+    try {
+      await fetchWrapper.delete(`${uploadsUrl}/${session.id}`)
+    } catch {
+      // The server expires abandoned sessions anyway
+    }
+  }
+
+  /**
+   * Uploads a file without touching loading and error of the store.
+   * Used by the upload queue, which runs several uploads at once and keeps
+   * the state of every upload itself.
+   */
+  async function uploadFileInBackground(file, accountId, title = '', options = {}) {
+    if (!file) throw new Error('Не выбран видеофайл')
+    assertUploadTarget(accountId)
+    const effectiveTitle = deriveUploadTitle(file, title)
+    // A file that fits into one chunk gains nothing from a session
+    if (file.size > defaultChunkSize) {
+      const target = { accountId, title: effectiveTitle }
+      if (Object.prototype.hasOwnProperty.call(options, 'categoryId')) {
+        target.categoryId = options.categoryId
+      }
+      return uploadFileChunked(file, target, options)
+    }
+    const formData = new globalThis.FormData()
+    formData.append('File', file)
+    formData.append('Title', effectiveTitle)
+    formData.append('AccountId', accountId)
+    appendCategoryId(formData, options)
+    appendPoster(formData, file, options)
+    return postUploadFile(`${baseUrl}/upload`, formData, options)
+  }
+
+  async function uploadFile(file, accountId, title = '', options = {}) {
+    return handleRequest(() => uploadFileInBackground(file, accountId, title, options))
+  }
+
+  /**
+   * Lists videos of an account without touching the list, loading and error of the store.
+   * Used where videos of another account are needed, such as the playlist export.
+   *
+   * @param {number} accountId - Account id, 0 for common videos
+   * @param {Object} [options] - { categoryId, availableForAccountId }
+   * @returns {Promise<Array>} Videos
+   */
+  async function listByAccount(accountId, options = {}) {
+    const params = new URLSearchParams()
+    if (Object.prototype.hasOwnProperty.call(options, 'categoryId')) {
+      params.set('categoryId', options.categoryId)
+    }
+    if (Object.prototype.hasOwnProperty.call(options, 'availableForAccountId')) {
+      params.set('availableForAccountId', options.availableForAccountId)
+    }
+    const query = params.toString() ? `?${params.toString()}` : ''
+    const result = await fetchWrapper.get(`${baseUrl}/by-account/${accountId}${query}`)
+    return result || []
   }
 
   async function getAllByAccount(accountId, options = {}) {
@@ -201,16 +526,7 @@ export const useVideosStore = defineStore('videos', () => {
           videos.value = []
           return videos.value
         }
-        const params = new URLSearchParams()
-        if (Object.prototype.hasOwnProperty.call(options, 'categoryId')) {
-          params.set('categoryId', options.categoryId)
-        }
-        if (Object.prototype.hasOwnProperty.call(options, 'availableForAccountId')) {
-          params.set('availableForAccountId', options.availableForAccountId)
-        }
-        const query = params.toString() ? `?${params.toString()}` : ''
-        const result = await fetchWrapper.get(`${baseUrl}/by-account/${accountId}${query}`)
-        videos.value = result || []
+        videos.value = await listByAccount(accountId, options)
         return videos.value
       },
       null
@@ -226,6 +542,8 @@ export const useVideosStore = defineStore('videos', () => {
     videoPreview,
     loading,
     error,
+    uploads,
+    pendingUploads,
     getAll,
     getById,
     open,
@@ -234,6 +552,12 @@ export const useVideosStore = defineStore('videos', () => {
     removeBatch,
     updateCategoryBatch,
     uploadFile,
+    uploadFileInBackground,
+    pauseUpload,
+    resumeUpload,
+    discardUpload,
+    clearPendingUploads,
     getAllByAccount,
+    listByAccount,
   }
 })
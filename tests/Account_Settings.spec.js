@@ -5,6 +5,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import AccountSettings from '@/components/Account_Settings.vue'
 import { redirectToDefaultRoute } from '@/helpers/default.route.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerGo = vi.hoisted(() => vi.fn())
 
@@ -21,11 +22,7 @@ const usersStore = {
   getAll: vi.fn(),
   getByAccount: vi.fn()
 }
-const alertStore = {
-  alert: null,
-  error: vi.fn(),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 vi.mock('pinia', async () => {
   const actual = await vi.importActual('pinia')
@@ -154,7 +151,7 @@ describe('Account_Settings.vue', () => {
     ]
     usersStore.getAll = vi.fn().mockResolvedValue()
     usersStore.getByAccount = vi.fn().mockResolvedValue()
-    alertStore.alert = null
+    alertStore.reset()
     vi.clearAllMocks()
     routerGo.mockClear()
   })
@@ -184,25 +181,19 @@ describe('Account_Settings.vue', () => {
     expect(wrapper.find('[data-test="subscriptions-list"]').attributes('data-embedded')).toBe('true')
   })
 
-  it('renders the shared alert below the header divider and before page content', async () => {
+  it('leaves notifications to the application stack', async () => {
     accountsStore.account = {
       id: 1,
       name: 'Cafe',
       userIds: [1]
     }
-    alertStore.alert = { message: 'Account alert', type: 'alert-danger' }
-
     const wrapper = mountSettings({ register: false, id: 1 })
     await flushPromises()
+    alertStore.error('Account alert')
+    await flushPromises()
 
-    expect(wrapper.find('.alert-dismissable').text()).toContain('Account alert')
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const managerFieldsEl = wrapper.find('[data-test="manager-field-array"]').element
-    const subscriptionsListEl = wrapper.find('[data-test="subscriptions-list"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(managerFieldsEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(subscriptionsListEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
+    expect(wrapper.text()).not.toContain('Account alert')
   })
 
   it('shows store loading as a header action indicator', async () => {
@@ -305,7 +296,7 @@ describe('Account_Settings.vue', () => {
 
     const child = wrapper.findComponent(AccountSettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { name: 'Name error' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Name error')
+    expect(alertStore.error).toHaveBeenCalledWith('Name error', { routeScoped: true })
   })
 
   it('shows account load error when account is missing', async () => {
@@ -28,6 +28,7 @@ import { mount } from '@vue/test-utils'
 import { ref } from 'vue'
 import AccountsTree from '@/components/Accounts_Tree.vue'
 import { resolveAll } from './helpers/test-utils'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 // Helper function to create a complete authStore mock
 const createAuthStoreMock = (overrides = {}) => ({
@@ -47,23 +48,29 @@ const accountsStore = {
 const devicesStore = {
   devices: [],
   getAll: vi.fn().mockResolvedValue(),
+  rebootSystem: vi.fn().mockResolvedValue(),
   getDeviceById: vi.fn((id) => devicesStore.devices.find(d => d.id === id))
 }
 const deviceGroupsStore = {
   groups: [],
   getAll: vi.fn().mockResolvedValue()
 }
-const alertStore = {
-  error: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 const deviceStatusesStore = {
   statuses: ref([]),
+  streamState: ref('live'),
   getAll: vi.fn().mockResolvedValue(),
   startStream: vi.fn(),
   stopStream: vi.fn()
 }
 
+const screenshotAnomaliesStore = {
+  warnings: {},
+  checkDevices: vi.fn().mockResolvedValue(),
+  getDeviceWarning: vi.fn((deviceId) => screenshotAnomaliesStore.warnings[deviceId] || '')
+}
+
 const mockPush = vi.fn()
 
 // Mock global confirm function
@@ -112,6 +119,18 @@ vi.mock('@/stores/device.statuses.store.js', () => ({
   useDeviceStatusesStore: () => deviceStatusesStore
 }))
 
+vi.mock('@/stores/screenshot.anomalies.store.js', () => ({
+  useScreenshotAnomaliesStore: () => screenshotAnomaliesStore
+}))
+
+vi.mock('@/components/Devices_Bulk_Dialog.vue', () => ({
+  default: {
+    name: 'DevicesBulkDialog',
+    props: ['modelValue', 'devices'],
+    template: '<div data-test="devices-bulk-dialog" />'
+  }
+}))
+
 const mountTree = () => mount(AccountsTree, {
   global: {
     stubs: {
@@ -139,6 +158,8 @@ describe('Accounts_Tree.vue', () => {
     devicesStore.devices = []
     deviceGroupsStore.groups = []
     deviceStatusesStore.statuses.value = []
+    screenshotAnomaliesStore.warnings = {}
+    alertStore.reset()
   })
 
   it('renders both roots for administrator', async () => {
@@ -221,6 +242,17 @@ describe('Accounts_Tree.vue', () => {
       expect(mockPush).toHaveBeenCalledWith('/account/edit/1')
     })
 
+    it('navigates to the capture wall of a group or an account', async () => {
+      const wrapper = mountTree()
+      await resolveAll()
+
+      wrapper.vm.openScreenshotsWall('group', { id: 3 })
+      expect(mockPush).toHaveBeenLastCalledWith('/devicegroup/screenshots/3')
+
+      wrapper.vm.openScreenshotsWall('account', { id: 1 })
+      expect(mockPush).toHaveBeenLastCalledWith('/account/screenshots/1')
+    })
+
     it('shows confirm dialog when delete button is clicked', async () => {
       mockConfirmDelete.mockResolvedValue(false)
       
@@ -451,6 +483,15 @@ describe('Accounts_Tree.vue', () => {
       expect(deviceStatusesStore.startStream).toHaveBeenCalled()
     })
 
+    it('shows the status stream state in the header', async () => {
+      authStore = createAuthStoreMock({ isAdministrator: true })
+      deviceStatusesStore.streamState.value = 'reconnecting'
+      const wrapper = mountTree()
+      await resolveAll()
+      expect(wrapper.find('[data-test="stream-state-reconnecting"]').exists()).toBe(true)
+      deviceStatusesStore.streamState.value = 'live'
+    })
+
     it('returns correct status icons for devices', async () => {
       authStore = createAuthStoreMock({ isAdministrator: true })
       devicesStore.devices = [
@@ -486,6 +527,51 @@ describe('Accounts_Tree.vue', () => {
     })
   })
 
+  describe('Screen anomaly warnings', () => {
+    it('checks screens of online devices in expanded branches the user may photograph', async () => {
+      authStore = createAuthStoreMock({ isAdministrator: true, user: { roles: [1], accountIds: [] } })
+      devicesStore.devices = [
+        { id: 1, name: 'Device A', accountId: 0, deviceStatus: { isOnline: true } },
+        { id: 2, name: 'Device B', accountId: 0, deviceStatus: { isOnline: false } },
+        { id: 3, name: 'Device C', accountId: 1, deviceGroupId: 10, deviceStatus: { isOnline: true } }
+      ]
+      const wrapper = mountTree()
+      await resolveAll()
+      expect(screenshotAnomaliesStore.checkDevices).not.toHaveBeenCalled()
+
+      wrapper.vm.expandedNodes = ['root-unassigned']
+      await resolveAll()
+      expect(screenshotAnomaliesStore.checkDevices).toHaveBeenCalledWith([devicesStore.devices[0]])
+
+      deviceStatusesStore.statuses.value = [{ deviceId: 2, isOnline: true }]
+      await resolveAll()
+      expect(screenshotAnomaliesStore.checkDevices).toHaveBeenLastCalledWith(devicesStore.devices.slice(0, 2))
+
+      wrapper.vm.expandedNodes = ['root-accounts', 'account-1', 'account-1-groups', 'group-10']
+      await resolveAll()
+      expect(screenshotAnomaliesStore.checkDevices).toHaveBeenLastCalledWith([devicesStore.devices[2]])
+    })
+
+    it('does not check screens without permission', async () => {
+      authStore = createAuthStoreMock({ user: { roles: [], accountIds: [] } })
+      devicesStore.devices = [
+        { id: 1, name: 'Device A', accountId: 0, deviceStatus: { isOnline: true } }
+      ]
+      mountTree()
+      await resolveAll()
+      expect(screenshotAnomaliesStore.checkDevices).not.toHaveBeenCalled()
+    })
+
+    it('returns the screen warning of a device node', async () => {
+      authStore = createAuthStoreMock({ isAdministrator: true })
+      screenshotAnomaliesStore.warnings = { 1: 'Последняя фотография: чёрный экран' }
+      const wrapper = mountTree()
+      await resolveAll()
+      expect(wrapper.vm.getDeviceScreenWarning({ id: 'device-1' })).toBe('Последняя фотография: чёрный экран')
+      expect(wrapper.vm.getDeviceScreenWarning({ id: 'device-2' })).toBe('')
+    })
+  })
+
   describe('Device group status aggregation', () => {
     beforeEach(() => {
       authStore = createAuthStoreMock({ isAdministrator: true })
@@ -564,6 +650,82 @@ describe('Accounts_Tree.vue', () => {
       expect(wrapper.vm.getGroupStatusIcon(groupItem)).toBe('fa-solid fa-circle-check')
     })
   })
-})
 
+  describe('Bulk operations', () => {
+    beforeEach(() => {
+      authStore = createAuthStoreMock({ isManager: true, user: { roles: [11], accountIds: [1] } })
+      accountsStore.accounts = [{ id: 1, name: 'Account 1' }, { id: 2, name: 'Account 2' }]
+      deviceGroupsStore.groups = [{ id: 5, name: 'Group 5', accountId: 1 }]
+      devicesStore.devices = [
+        { id: 1, name: 'Device 1', accountId: 1, deviceGroupId: 5 },
+        { id: 2, name: 'Device 2', accountId: 1, deviceGroupId: 5 },
+        { id: 3, name: 'Device 3', accountId: 1, deviceGroupId: 0 },
+        { id: 4, name: 'Device 4', accountId: 2, deviceGroupId: 0 }
+      ]
+    })
+
+    it('toggles bulk mode and clears the selection when leaving it', async () => {
+      const wrapper = mountTree()
+      await resolveAll()
+
+      await wrapper.find('[data-test="bulk-mode-button"]').trigger('click')
+      expect(wrapper.vm.bulkMode).toBe(true)
+      wrapper.vm.toggleBulkSelection({ id: 'group-5' })
+      expect(wrapper.vm.bulkSelection.size).toBe(1)
 
+      await wrapper.find('[data-test="bulk-mode-button"]').trigger('click')
+      expect(wrapper.vm.bulkMode).toBe(false)
+      expect(wrapper.vm.bulkSelection.size).toBe(0)
+    })
+
+    it('resolves selected device, group and account nodes into unique devices', async () => {
+      const wrapper = mountTree()
+      await resolveAll()
+      wrapper.vm.toggleBulkMode()
+
+      wrapper.vm.toggleBulkSelection({ id: 'group-5' })
+      wrapper.vm.toggleBulkSelection({ id: 'device-1-account-1-group-5' })
+      expect(wrapper.vm.bulkDeviceIds).toEqual([1, 2])
+
+      wrapper.vm.toggleBulkSelection({ id: 'account-1' })
+      expect(wrapper.vm.bulkDeviceIds).toEqual([1, 2, 3])
+
+      wrapper.vm.toggleBulkSelection({ id: 'account-1' })
+      wrapper.vm.toggleBulkSelection({ id: 'root-accounts' })
+      expect(wrapper.vm.bulkDeviceIds).toEqual([1, 2])
+      await wrapper.vm.$nextTick()
+      expect(wrapper.find('[data-test="bulk-selection-count"]').text()).toContain('2')
+    })
+
+    it('opens the bulk dialog with manageable selected devices and their statuses', async () => {
+      deviceStatusesStore.statuses.value = [{ deviceId: 1, isOnline: true }]
+      const wrapper = mountTree()
+      await resolveAll()
+      wrapper.vm.toggleBulkMode()
+      wrapper.vm.toggleBulkSelection({ id: 'account-1' })
+      wrapper.vm.toggleBulkSelection({ id: 'device-4' })
+
+      await wrapper.vm.openBulkDialog()
+
+      expect(devicesStore.getAll).toHaveBeenCalled()
+      expect(wrapper.vm.bulkDialog).toBe(true)
+      expect(wrapper.vm.bulkDevices).toEqual([
+        { id: 1, name: 'Device 1', isOnline: true },
+        { id: 2, name: 'Device 2', isOnline: false },
+        { id: 3, name: 'Device 3', isOnline: false }
+      ])
+    })
+
+    it('reports device loading errors instead of opening the dialog', async () => {
+      const wrapper = mountTree()
+      await resolveAll()
+      devicesStore.getAll.mockRejectedValueOnce(new Error('network'))
+      wrapper.vm.toggleBulkSelection({ id: 'group-5' })
+
+      await wrapper.vm.openBulkDialog()
+
+      expect(wrapper.vm.bulkDialog).toBe(false)
+      expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить устройства: network')
+    })
+  })
+})
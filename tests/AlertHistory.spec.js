@@ -0,0 +1,73 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import AlertHistory from '@/components/AlertHistory.vue'
+import { useAlertStore } from '@/stores/alert.store.js'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" class="action-btn" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+describe('AlertHistory.vue', () => {
+  let alertStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    alertStore = useAlertStore()
+  })
+
+  it('lists messages of the session, including dismissed ones', async () => {
+    alertStore.error('Не удалось загрузить устройства')
+    alertStore.success('Настройки сохранены')
+    alertStore.clear()
+
+    const wrapper = mount(AlertHistory)
+    expect(wrapper.find('[data-test="alert-history-panel"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="alert-history-toggle"]').trigger('click')
+
+    const items = wrapper.findAll('.alert-history-item')
+    expect(items).toHaveLength(2)
+    expect(items[0].text()).toContain('Выполнено')
+    expect(items[0].text()).toContain('Настройки сохранены')
+    expect(items[1].get('.alert-history-severity').classes()).toContain('alert-history-error')
+    expect(items[1].text()).toContain('Не удалось загрузить устройства')
+  })
+
+  it('clears the history', async () => {
+    alertStore.warning('Внимание')
+
+    const wrapper = mount(AlertHistory)
+    await wrapper.get('[data-test="alert-history-toggle"]').trigger('click')
+    await wrapper.get('[data-test="alert-history-clear"]').trigger('click')
+
+    expect(alertStore.history).toEqual([])
+    expect(wrapper.find('[data-test="alert-history-empty"]').exists()).toBe(true)
+    expect(wrapper.get('[data-test="alert-history-clear"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('closes on Escape and on a click outside', async () => {
+    const wrapper = mount(AlertHistory, { attachTo: document.body })
+
+    await wrapper.get('[data-test="alert-history-toggle"]').trigger('click')
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }))
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="alert-history-panel"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="alert-history-toggle"]').trigger('click')
+    document.body.click()
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="alert-history-panel"]').exists()).toBe(false)
+
+    wrapper.unmount()
+  })
+})
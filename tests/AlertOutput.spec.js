@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount } from '@vue/test-utils'
 import { createPinia, setActivePinia } from 'pinia'
 import AlertOutput from '@/components/AlertOutput.vue'
-import { useAlertStore } from '@/stores/alert.store.js'
+import { useAlertStore, maxVisible } from '@/stores/alert.store.js'
 
 describe('AlertOutput.vue', () => {
   let alertStore
@@ -10,7 +10,7 @@ describe('AlertOutput.vue', () => {
   beforeEach(() => {
     setActivePinia(createPinia())
     alertStore = useAlertStore()
-    vi.spyOn(alertStore, 'clear')
+    vi.spyOn(alertStore, 'dismiss')
   })
 
   it('does not render when there is no alert', () => {
@@ -19,7 +19,7 @@ describe('AlertOutput.vue', () => {
     expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
   })
 
-  it('renders the current alert and clears it from the close button', async () => {
+  it('renders the current alert and dismisses it from the close button', async () => {
     alertStore.error('Ошибка загрузки')
 
     const wrapper = mount(AlertOutput)
@@ -29,15 +29,61 @@ describe('AlertOutput.vue', () => {
 
     await wrapper.find('.btn-link.close').trigger('click')
 
-    expect(alertStore.clear).toHaveBeenCalled()
+    expect(alertStore.dismiss).toHaveBeenCalled()
     expect(alertStore.alert).toBeNull()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
   })
 
-  it('suppresses the alert when show is false', () => {
+  it('stacks notifications of every severity', () => {
+    alertStore.error('Ошибка')
+    alertStore.warning('Внимание')
+    alertStore.info('Сведения')
     alertStore.success('Готово')
 
-    const wrapper = mount(AlertOutput, { props: { show: false } })
+    const wrapper = mount(AlertOutput)
+
+    const alerts = wrapper.findAll('.alert-dismissable')
+    expect(alerts.map(item => item.text().replace('×', '').trim())).toEqual(['Ошибка', 'Внимание', 'Сведения', 'Готово'])
+    expect(alerts.map(item => item.classes().find(name => /^alert-(danger|warning|info|success)$/.test(name))))
+      .toEqual(['alert-danger', 'alert-warning', 'alert-info', 'alert-success'])
+  })
+
+  it('shows repeat counts and the number of queued notifications', () => {
+    alertStore.error('Ошибка')
+    alertStore.error('Ошибка')
+    for (let i = 0; i < maxVisible; i++) alertStore.error(`Ошибка ${i}`)
+
+    const wrapper = mount(AlertOutput)
+
+    expect(wrapper.findAll('.alert-dismissable')).toHaveLength(maxVisible)
+    expect(wrapper.get('[data-test="alert-count"]').text()).toBe('×2')
+    expect(wrapper.get('[data-test="alert-queued"]').text()).toBe('Ещё уведомлений: 1')
+  })
+
+  it('runs notification actions', async () => {
+    const retry = vi.fn()
+    const id = alertStore.error('Не удалось', { actions: [{ label: 'Повторить', handler: retry }] })
 
+    const wrapper = mount(AlertOutput)
+    const action = wrapper.get(`[data-test="alert-action-${id}-0"]`)
+    expect(action.text()).toBe('Повторить')
+
+    await action.trigger('click')
+
+    expect(retry).toHaveBeenCalledTimes(1)
     expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
   })
+
+  it('renders one stack for the whole application', () => {
+    alertStore.success('Готово')
+    alertStore.error('Ошибка')
+
+    const wrapper = mount(AlertOutput)
+
+    const stack = wrapper.get('[data-test="alert-stack"]')
+    expect(stack.attributes('aria-live')).toBe('polite')
+    expect(stack.findAll('.alert-dismissable')).toHaveLength(2)
+    expect(stack.get('.alert-danger').attributes('role')).toBe('alert')
+    expect(stack.get('.alert-success').attributes('role')).toBe('status')
+  })
 })
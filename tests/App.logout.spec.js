@@ -31,6 +31,7 @@ import { createPinia, setActivePinia } from 'pinia'
 import App from '@/App.vue'
 import { useAuthStore } from '@/stores/auth.store.js'
 import { useStatusStore } from '@/stores/status.store.js'
+import { useAlertStore } from '@/stores/alert.store.js'
 
 // Mock the roles store to prevent HTTP requests
 vi.mock('@/stores/roles.store.js', () => ({
@@ -51,6 +52,56 @@ vi.mock('@/helpers/user.helpers.js', async (importOriginal) => {
   }
 })
 
+// Mock the device alerts store to prevent status streaming
+const deviceAlertsStore = vi.hoisted(() => ({
+  start: vi.fn(),
+  stop: vi.fn()
+}))
+vi.mock('@/stores/device.alerts.store.js', () => ({
+  useDeviceAlertsStore: () => deviceAlertsStore
+}))
+vi.mock('@/components/DeviceAlertCenter.vue', () => ({
+  default: { name: 'DeviceAlertCenter', template: '<div class="alert-center-stub" />' }
+}))
+
+vi.mock('@/components/AlertHistory.vue', () => ({
+  default: { name: 'AlertHistory', template: '<div class="alert-history-stub" />' }
+}))
+
+// Mock the upload manager store and its panel
+const uploadManagerStore = vi.hoisted(() => ({
+  cancelAll: vi.fn(),
+  clearFinished: vi.fn()
+}))
+vi.mock('@/stores/upload.manager.store.js', () => ({
+  useUploadManagerStore: () => uploadManagerStore
+}))
+vi.mock('@/components/UploadQueuePanel.vue', () => ({
+  default: { name: 'UploadQueuePanel', template: '<div class="upload-queue-stub" />' }
+}))
+
+// Mock the idle session store and its warning
+const idleSessionStore = vi.hoisted(() => ({
+  start: vi.fn()
+}))
+vi.mock('@/stores/idle.session.store.js', () => ({
+  useIdleSessionStore: () => idleSessionStore
+}))
+vi.mock('@/components/IdleSessionWarning.vue', () => ({
+  default: { name: 'IdleSessionWarning', template: '<div class="idle-session-stub" />' }
+}))
+
+// Mock the network store and the offline banner
+const networkStore = vi.hoisted(() => ({
+  startMonitoring: vi.fn()
+}))
+vi.mock('@/stores/network.store.js', () => ({
+  useNetworkStore: () => networkStore
+}))
+vi.mock('@/components/OfflineBanner.vue', () => ({
+  default: { name: 'OfflineBanner', template: '<div class="offline-banner-stub" />' }
+}))
+
 // Mock ResizeObserver
 global.ResizeObserver = vi.fn().mockImplementation(() => ({
   observe: vi.fn(),
@@ -88,6 +139,7 @@ describe('App Logout Functionality', () => {
   let wrapper
 
   beforeEach(async () => {
+    vi.clearAllMocks()
     setActivePinia(createPinia())
     authStore = useAuthStore()
     statusStore = useStatusStore()
@@ -142,6 +194,28 @@ describe('App Logout Functionality', () => {
     expect(logoutLink.text()).toBe('Выход')
   })
 
+  it('shows the message history while the user is logged in', async () => {
+    expect(wrapper.find('.alert-history-stub').exists()).toBe(true)
+
+    authStore.logout()
+    await wrapper.vm.$nextTick()
+
+    expect(wrapper.find('.alert-history-stub').exists()).toBe(false)
+  })
+
+  it('shows notifications above every page, signed out too', async () => {
+    const alertStore = useAlertStore()
+    alertStore.error('Не удалось загрузить устройства')
+    await wrapper.vm.$nextTick()
+    expect(wrapper.get('[data-test="alert-stack"]').text()).toContain('Не удалось загрузить устройства')
+
+    authStore.logout()
+    alertStore.error('Сервер недоступен')
+    await wrapper.vm.$nextTick()
+
+    expect(wrapper.get('[data-test="alert-stack"]').text()).toContain('Сервер недоступен')
+  })
+
   it('should call logout and navigate to login page when logout is clicked', async () => {
     // Find the logout link specifically
     const logoutLinks = wrapper.findAll('a[class="link"]')
@@ -220,5 +294,31 @@ describe('App Logout Functionality', () => {
     const appBarTitle = wrapper.find('.orange')
     expect(appBarTitle.text()).toBe('ММБОКС')
   })
-})
 
+  it('should collect device alerts while a user with device access is logged in', async () => {
+    expect(deviceAlertsStore.start).toHaveBeenCalledTimes(1)
+    expect(wrapper.find('.alert-center-stub').exists()).toBe(true)
+
+    authStore.user = null
+    await wrapper.vm.$nextTick()
+
+    expect(deviceAlertsStore.stop).toHaveBeenCalledTimes(1)
+    expect(wrapper.find('.alert-center-stub').exists()).toBe(false)
+  })
+
+  it('should keep the upload queue for the logged in user only', async () => {
+    expect(wrapper.find('.upload-queue-stub').exists()).toBe(true)
+
+    authStore.user = null
+    await wrapper.vm.$nextTick()
+
+    expect(uploadManagerStore.cancelAll).toHaveBeenCalledTimes(1)
+    expect(uploadManagerStore.clearFinished).toHaveBeenCalledTimes(1)
+    expect(wrapper.find('.upload-queue-stub').exists()).toBe(false)
+  })
+
+  it('should watch for inactivity while a user is logged in', () => {
+    expect(idleSessionStore.start).toHaveBeenCalled()
+    expect(wrapper.find('.idle-session-stub').exists()).toBe(true)
+  })
+})
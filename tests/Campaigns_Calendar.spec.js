@@ -0,0 +1,141 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import CampaignsCalendar from '@/components/Campaigns_Calendar.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" :disabled="disabled" @click="$emit(\'click\', item)"></button>'
+  }
+}))
+
+const mockPush = vi.fn()
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: mockPush })
+}))
+
+const accountsStore = {
+  accounts: [{ id: 5, name: 'Магазин' }],
+  getAll: vi.fn()
+}
+const deviceGroupsStore = {
+  groups: [],
+  getAll: vi.fn()
+}
+const playlistsStore = {
+  playlists: [],
+  getAll: vi.fn()
+}
+const alertStore = { error: vi.fn() }
+
+vi.mock('@/stores/accounts.store.js', () => ({ useAccountsStore: () => accountsStore }))
+vi.mock('@/stores/device.groups.store.js', () => ({ useDeviceGroupsStore: () => deviceGroupsStore }))
+vi.mock('@/stores/playlists.store.js', () => ({ usePlaylistsStore: () => playlistsStore }))
+vi.mock('@/stores/alert.store.js', () => ({ useAlertStore: () => alertStore }))
+
+const mountCalendar = async () => {
+  const wrapper = mount(CampaignsCalendar, { global: { stubs: { AlertOutput: true } } })
+  await flushPromises()
+  return wrapper
+}
+
+describe('Campaigns_Calendar.vue', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date(2026, 5, 15, 12))
+    vi.clearAllMocks()
+    accountsStore.getAll.mockResolvedValue()
+    deviceGroupsStore.getAll.mockResolvedValue()
+    playlistsStore.getAll.mockResolvedValue()
+    playlistsStore.playlists = [
+      { id: 1, title: 'Лето', startDate: '2026-06-01', endDate: '2026-06-30' },
+      { id: 2, title: 'Основной' },
+      { id: 3, title: 'Осень', startDate: '2026-07-10' }
+    ]
+    deviceGroupsStore.groups = [
+      {
+        id: 20,
+        name: 'Зал',
+        accountId: 5,
+        playLists: [{ playlistId: 1, play: true }, { playlistId: 2 }, { playlistId: 3 }]
+      },
+      { id: 21, name: 'Склад', accountId: 5, playLists: [{ playlistId: 2, play: true }] }
+    ]
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('loads accounts, groups and playlists', async () => {
+    await mountCalendar()
+
+    expect(accountsStore.getAll).toHaveBeenCalled()
+    expect(deviceGroupsStore.getAll).toHaveBeenCalledWith(true)
+    expect(playlistsStore.getAll).toHaveBeenCalled()
+  })
+
+  it('shows campaigns of every group over the coming month', async () => {
+    const wrapper = await mountCalendar()
+
+    expect(wrapper.find('[data-test="calendar-range"]').text()).toBe('15.06.2026 — 14.07.2026')
+    const dates = wrapper.findAll('[data-test="calendar-date"]')
+    expect(dates).toHaveLength(30)
+    expect(dates[0].classes()).toContain('campaigns-date-today')
+
+    expect(wrapper.find('[data-test="calendar-group-20"]').text()).toContain('Зал')
+    expect(wrapper.find('[data-test="calendar-group-20"]').text()).toContain('Магазин')
+    expect(wrapper.find('[data-test="calendar-group-21"]').exists()).toBe(false)
+
+    const summer = wrapper.find('[data-test="calendar-campaign-20-1"]')
+    expect(summer.attributes('style')).toContain('grid-column: 2 / 18')
+    expect(summer.classes()).toContain('campaigns-bar-active')
+    expect(summer.attributes('title')).toBe('Лето, с 01.06.2026 по 30.06.2026, Действует, воспроизводится')
+
+    const autumn = wrapper.find('[data-test="calendar-campaign-20-3"]')
+    expect(autumn.attributes('style')).toContain('grid-column: 27 / 32')
+    expect(autumn.classes()).toContain('campaigns-bar-upcoming')
+    expect(wrapper.find('[data-test="calendar-campaign-20-2"]').exists()).toBe(false)
+  })
+
+  it('moves between months', async () => {
+    const wrapper = await mountCalendar()
+
+    await wrapper.find('[data-test="calendar-next-button"]').trigger('click')
+    expect(wrapper.find('[data-test="calendar-range"]').text()).toBe('15.07.2026 — 13.08.2026')
+    expect(wrapper.find('[data-test="calendar-campaign-20-1"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="calendar-campaign-20-3"]').attributes('style')).toContain('grid-column: 2 / 32')
+
+    await wrapper.find('[data-test="calendar-previous-button"]').trigger('click')
+    await wrapper.find('[data-test="calendar-previous-button"]').trigger('click')
+    expect(wrapper.find('[data-test="calendar-range"]').text()).toBe('16.05.2026 — 14.06.2026')
+    expect(wrapper.find('[data-test="calendar-campaign-20-1"]').classes()).toContain('campaigns-bar-active')
+
+    await wrapper.find('[data-test="calendar-today-button"]').trigger('click')
+    await flushPromises()
+    expect(wrapper.find('[data-test="calendar-range"]').text()).toBe('15.06.2026 — 14.07.2026')
+    expect(playlistsStore.getAll).toHaveBeenCalledTimes(2)
+  })
+
+  it('opens the group settings', async () => {
+    const wrapper = await mountCalendar()
+
+    await wrapper.find('[data-test="calendar-group-20"] a').trigger('click')
+    expect(mockPush).toHaveBeenCalledWith('/devicegroup/edit/20')
+  })
+
+  it('shows an empty state and load errors', async () => {
+    deviceGroupsStore.groups = []
+    playlistsStore.getAll.mockRejectedValue(new Error('Network down'))
+    const wrapper = await mountCalendar()
+
+    expect(wrapper.find('[data-test="calendar-empty"]').text()).toBe('Нет кампаний в выбранном периоде')
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить данные: Network down')
+  })
+})
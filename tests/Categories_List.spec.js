@@ -6,6 +6,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import CategoriesList from '@/components/Categories_List.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerPush = vi.hoisted(() => vi.fn())
 
@@ -19,11 +20,7 @@ const categoriesStore = {
   remove: vi.fn(async () => ({}))
 }
 
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 const confirmation = { confirmDelete: vi.fn(async () => true) }
 
@@ -69,7 +66,7 @@ describe('Categories_List.vue', () => {
     categoriesStore.error.value = null
     categoriesStore.getAll = vi.fn(async () => categoriesStore.categories.value)
     categoriesStore.remove = vi.fn(async () => ({}))
-    alertStore.alert.value = null
+    alertStore.reset()
     confirmation.confirmDelete = vi.fn(async () => true)
     currentAuthStore = {
       isAdministrator: true,
@@ -7,6 +7,7 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import CategorySettings from '@/components/Category_Settings.vue'
 import { redirectToDefaultRoute } from '@/helpers/default.route.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerGo = vi.hoisted(() => vi.fn())
 
@@ -19,11 +20,7 @@ const categoriesStore = {
   update: vi.fn()
 }
 
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 let authStore = { isAdministrator: true }
 
@@ -155,7 +152,7 @@ describe('Category_Settings.vue', () => {
     categoriesStore.getById = vi.fn().mockResolvedValue()
     categoriesStore.create = vi.fn().mockResolvedValue()
     categoriesStore.update = vi.fn().mockResolvedValue()
-    alertStore.alert.value = null
+    alertStore.reset()
     vi.clearAllMocks()
   })
 
@@ -416,9 +413,9 @@ describe('Category_Settings.vue', () => {
     expect(wrapper.find('[data-test="playlist-impact-dialog"]').exists()).toBe(false)
   })
 
-  it('renders the shared alert below the header divider and before page content', async () => {
+  it('leaves notifications to the application stack', async () => {
     categoriesStore.category = { id: 9, title: 'Existing', free: false }
-    alertStore.alert.value = { message: 'Category alert', type: 'alert-danger' }
+    alertStore.error('Category alert')
 
     const wrapper = mountSettings({
       register: false,
@@ -426,16 +423,8 @@ describe('Category_Settings.vue', () => {
     })
     await flushPromises()
 
-    expect(wrapper.find('.alert-dismissable').text()).toContain('Category alert')
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const titleFieldEl = wrapper.find('[data-test="title-field"]').element
-    const videosListEl = wrapper.find('[data-test="category-videos-list"]').element
-    const subscriptionsSectionEl = wrapper.find('[data-test="category-subscriptions-section"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(titleFieldEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(videosListEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(subscriptionsSectionEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
+    expect(wrapper.text()).not.toContain('Category alert')
   })
 
   it('shows store loading as a header action indicator', async () => {
@@ -584,7 +573,7 @@ describe('Category_Settings.vue', () => {
     await wrapper.find('[data-test="form"]').trigger('submit')
     await flushPromises()
 
-    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать название')
+    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать название', { routeScoped: true })
   })
 
   it('returns false from onInvalidSubmit and shows the validation alert', async () => {
@@ -593,7 +582,7 @@ describe('Category_Settings.vue', () => {
 
     const child = wrapper.findComponent(CategorySettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { title: 'Необходимо указать название' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать название')
+    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать название', { routeScoped: true })
   })
 
   it('handles cancel button click', async () => {
@@ -692,7 +681,7 @@ describe('Category_Settings.vue - additional coverage', () => {
     categoriesStore.getById = vi.fn().mockResolvedValue()
     categoriesStore.create = vi.fn().mockResolvedValue()
     categoriesStore.update = vi.fn().mockResolvedValue()
-    alertStore.alert.value = null
+    alertStore.reset()
     vi.clearAllMocks()
   })
 
@@ -729,7 +718,7 @@ describe('Category_Settings.vue - additional coverage', () => {
     )
   })
 
-  it('calls alertStore.clear when alert close button is clicked', async () => {
+  it('reports a failed save as an error notification', async () => {
     categoriesStore.create = vi.fn().mockRejectedValue(new Error('Server error'))
 
     const wrapper = mountSettings({ register: true, submitValues: { title: 'New Cat' } })
@@ -738,11 +727,8 @@ describe('Category_Settings.vue - additional coverage', () => {
     await wrapper.find('[data-test="form"]').trigger('submit')
     await flushPromises()
 
-    const closeButton = wrapper.find('.alert-dismissable .btn-link.close')
-    expect(closeButton.exists()).toBe(true)
-    await closeButton.trigger('click')
-
-    expect(alertStore.clear).toHaveBeenCalled()
+    expect(alertStore.error).toHaveBeenCalled()
+    expect(alertStore.alert.type).toBe('alert-danger')
   })
 
   it('confirmPlaylistCleanup returns early when no pending payload', async () => {
@@ -0,0 +1,44 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import DaypartingWeekGrid from '@/components/DaypartingWeekGrid.vue'
+
+const assignments = [
+  { playlistId: 1, title: 'Завтрак', color: '#0d6efd', windows: [{ days: [1, 2, 3, 4, 5], start: '06:00', stop: '12:00' }] },
+  { playlistId: 2, title: 'Ночь', color: '#198754', windows: [{ days: [7], start: '22:00', stop: '07:00' }] }
+]
+
+describe('DaypartingWeekGrid.vue', () => {
+  it('draws windows on their days', () => {
+    const wrapper = mount(DaypartingWeekGrid, { props: { assignments, defaultTitle: 'Основной' } })
+
+    const monday = wrapper.find('[data-test="daypart-day-1"]').findAll('[data-test="daypart-segment"]')
+    expect(monday).toHaveLength(2)
+    expect(monday[0].attributes('style')).toContain('left: 25%')
+    expect(monday[0].attributes('style')).toContain('width: 25%')
+    expect(monday[0].attributes('title')).toBe('Завтрак: 06:00–12:00')
+    // Sunday night continues into Monday morning
+    expect(monday[1].attributes('title')).toBe('Ночь: 00:00–07:00')
+
+    const sunday = wrapper.find('[data-test="daypart-day-7"]').findAll('[data-test="daypart-segment"]')
+    expect(sunday.map(segment => segment.attributes('title'))).toEqual(['Ночь: 22:00–24:00'])
+    expect(wrapper.find('[data-test="daypart-day-6"]').findAll('[data-test="daypart-segment"]')).toHaveLength(0)
+  })
+
+  it('marks overlapping windows', () => {
+    const wrapper = mount(DaypartingWeekGrid, { props: { assignments } })
+
+    expect(wrapper.find('[data-test="daypart-day-1"]').findAll('[data-test="daypart-conflict"]')).toHaveLength(1)
+    expect(wrapper.find('[data-test="daypart-day-2"]').findAll('[data-test="daypart-conflict"]')).toHaveLength(0)
+  })
+
+  it('names the default playlist in the legend', async () => {
+    const wrapper = mount(DaypartingWeekGrid, { props: { assignments, defaultTitle: 'Основной' } })
+    expect(wrapper.find('[data-test="daypart-default-legend"]').text()).toBe('В остальное время: Основной')
+
+    await wrapper.setProps({ defaultTitle: '' })
+    expect(wrapper.find('[data-test="daypart-default-legend"]').text()).toBe('В остальное время: не воспроизводится')
+  })
+})
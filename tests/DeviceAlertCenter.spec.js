@@ -0,0 +1,165 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { ref } from 'vue'
+import DeviceAlertCenter from '@/components/DeviceAlertCenter.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" class="action-btn" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+const mockPush = vi.fn()
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: mockPush })
+}))
+
+vi.mock('pinia', async () => {
+  const actual = await vi.importActual('pinia')
+  return { ...actual, storeToRefs: (store) => store }
+})
+
+const alertsStore = {
+  alerts: ref([]),
+  unreadCount: ref(0),
+  notificationPermission: ref('default'),
+  notificationsSupported: ref(true),
+  markRead: vi.fn(),
+  markAllRead: vi.fn(),
+  dismiss: vi.fn(),
+  clear: vi.fn(),
+  isMuted: vi.fn((id) => id === 20),
+  toggleMute: vi.fn(),
+  setNotificationsEnabled: vi.fn()
+}
+const accountsStore = {
+  accounts: [{ id: 20, name: 'Склад' }, { id: 10, name: 'Магазин' }]
+}
+const authStore = { device_alerts_notifications: false }
+
+vi.mock('@/stores/device.alerts.store.js', () => ({
+  useDeviceAlertsStore: () => alertsStore
+}))
+vi.mock('@/stores/accounts.store.js', () => ({
+  useAccountsStore: () => accountsStore
+}))
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+
+const timestamp = Date.UTC(2026, 0, 2, 12, 0, 0)
+
+describe('DeviceAlertCenter.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    alertsStore.alerts.value = [
+      { id: 2, type: 'offline', message: 'Устройство не в сети', deviceId: 5, deviceName: 'Касса', accountId: 10, timestamp, read: false },
+      { id: 1, type: 'service-stopped', message: 'Воспроизведение остановлено', deviceId: 6, deviceName: 'Вход', accountId: 10, timestamp, read: true }
+    ]
+    alertsStore.unreadCount.value = 1
+    alertsStore.notificationPermission.value = 'default'
+    alertsStore.notificationsSupported.value = true
+  })
+
+  it('shows the unread badge and opens the panel', async () => {
+    const wrapper = mount(DeviceAlertCenter)
+
+    expect(wrapper.get('[data-test="alert-center-badge"]').text()).toBe('1')
+    expect(wrapper.find('[data-test="alert-center-panel"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    expect(wrapper.get('[data-test="alert-center-item-2"]').text()).toContain('Касса')
+    expect(wrapper.get('[data-test="alert-center-item-2"]').classes()).toContain('alert-center-unread')
+    expect(wrapper.get('[data-test="alert-center-item-1"]').classes()).not.toContain('alert-center-unread')
+  })
+
+  it('caps the badge and hides it without unread alerts', async () => {
+    alertsStore.unreadCount.value = 150
+    const wrapper = mount(DeviceAlertCenter)
+    expect(wrapper.get('[data-test="alert-center-badge"]').text()).toBe('99+')
+
+    alertsStore.unreadCount.value = 0
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="alert-center-badge"]').exists()).toBe(false)
+  })
+
+  it('opens the device and marks the alert read', async () => {
+    const wrapper = mount(DeviceAlertCenter)
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    await wrapper.get('[data-test="alert-center-open-2"]').trigger('click')
+
+    expect(alertsStore.markRead).toHaveBeenCalledWith(2)
+    expect(mockPush).toHaveBeenCalledWith('/device/manage/5')
+    expect(wrapper.find('[data-test="alert-center-panel"]').exists()).toBe(false)
+  })
+
+  it('runs list actions', async () => {
+    const wrapper = mount(DeviceAlertCenter)
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    await wrapper.get('[data-test="alert-center-read-all"]').trigger('click')
+    await wrapper.get('[data-test="alert-center-dismiss-1"]').trigger('click')
+    await wrapper.get('[data-test="alert-center-clear"]').trigger('click')
+
+    expect(alertsStore.markAllRead).toHaveBeenCalled()
+    expect(alertsStore.dismiss).toHaveBeenCalledWith(1)
+    expect(alertsStore.clear).toHaveBeenCalled()
+  })
+
+  it('shows a placeholder without alerts', async () => {
+    alertsStore.alerts.value = []
+    alertsStore.unreadCount.value = 0
+    const wrapper = mount(DeviceAlertCenter)
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    expect(wrapper.get('[data-test="alert-center-empty"]').text()).toBe('Нет уведомлений')
+    expect(wrapper.get('[data-test="alert-center-clear"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('toggles account mutes and browser notifications', async () => {
+    const wrapper = mount(DeviceAlertCenter)
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    expect(wrapper.get('[data-test="alert-center-mute-20"]').element.checked).toBe(true)
+    expect(wrapper.get('[data-test="alert-center-mute-10"]').element.checked).toBe(false)
+    await wrapper.get('[data-test="alert-center-mute-10"]').setValue(true)
+    expect(alertsStore.toggleMute).toHaveBeenCalledWith(10)
+
+    await wrapper.get('[data-test="alert-center-notifications"]').setValue(true)
+    expect(alertsStore.setNotificationsEnabled).toHaveBeenCalledWith(true)
+  })
+
+  it('explains denied notification permission', async () => {
+    alertsStore.notificationPermission.value = 'denied'
+    const wrapper = mount(DeviceAlertCenter)
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    expect(wrapper.get('[data-test="alert-center-notifications"]').attributes('disabled')).toBeDefined()
+    expect(wrapper.find('[data-test="alert-center-denied"]').exists()).toBe(true)
+  })
+
+  it('closes on outside click and Escape', async () => {
+    const wrapper = mount(DeviceAlertCenter, { attachTo: document.body })
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+
+    document.body.dispatchEvent(new window.MouseEvent('click', { bubbles: true }))
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="alert-center-panel"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="alert-center-toggle"]').trigger('click')
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }))
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="alert-center-panel"]').exists()).toBe(false)
+
+    wrapper.unmount()
+  })
+})
@@ -0,0 +1,228 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import DeviceGroupConfiguration from '@/components/DeviceGroup_Configuration.vue'
+
+const devicesStore = {
+  devices: [],
+  getAll: vi.fn(),
+  loading: false,
+  error: null,
+  getConfiguration: vi.fn(),
+  updateConfiguration: vi.fn(),
+  sendDeviceCommand: vi.fn()
+}
+const alertStore = {
+  error: vi.fn(),
+  success: vi.fn()
+}
+const confirmAction = vi.fn()
+
+vi.mock('@/stores/devices.store.js', () => ({
+  useDevicesStore: () => devicesStore
+}))
+
+vi.mock('@/stores/alert.store.js', () => ({
+  useAlertStore: () => alertStore
+}))
+
+vi.mock('@/helpers/confirmation.js', () => ({
+  useConfirmation: () => ({ confirmAction })
+}))
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button :disabled="disabled" @click="$emit(\'click\', item)"></button>'
+  }
+}))
+
+const template = {
+  schedule: { playlist: ['08:00'], video: ['09:00'], rest: [{ start: '23:00', stop: '07:00' }] },
+  audio: { output: 'hdmi' },
+  screenshot: { timers: ['01:00:00'] }
+}
+
+const matchingConfiguration = {
+  playlist: { source: '/src-1', destination: '/dst-1' },
+  ...template
+}
+
+const deviatingConfiguration = {
+  playlist: { source: '/src-2', destination: '/dst-2' },
+  schedule: { playlist: ['08:00'], video: ['10:00'], rest: [{ start: '23:00', stop: '07:00' }] },
+  audio: { output: 'hdmi' },
+  screenshot: { timers: ['01:00:00'] }
+}
+
+const mountConfiguration = (props = {}) => mount(DeviceGroupConfiguration, {
+  props: {
+    groupId: 7,
+    template,
+    ...props
+  },
+  global: {
+    stubs: {
+      'font-awesome-icon': true
+    }
+  }
+})
+
+// vee-validate validation and the device task queue span several macrotasks
+const settle = async (condition) => {
+  await vi.waitFor(condition)
+  await flushPromises()
+}
+
+describe('DeviceGroup_Configuration.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    devicesStore.devices = [
+      { id: 1, name: 'Device 1', deviceGroupId: 7 },
+      { id: 2, name: 'Device 2', deviceGroupId: 7 },
+      { id: 3, name: 'Device 3', deviceGroupId: 8 }
+    ]
+    devicesStore.getAll.mockResolvedValue()
+    devicesStore.getConfiguration.mockImplementation(async (id) => id === 1 ? matchingConfiguration : deviatingConfiguration)
+    devicesStore.updateConfiguration.mockResolvedValue()
+    devicesStore.sendDeviceCommand.mockImplementation((name, ...args) => devicesStore[name](...args))
+    confirmAction.mockResolvedValue(true)
+  })
+
+  it('initializes the editor from the template', async () => {
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    expect(wrapper.find('input[name="playlist[0]"]').element.value).toBe('08:00')
+    expect(wrapper.find('input[name="rest[0].start"]').element.value).toBe('23:00')
+    expect(wrapper.find('[data-test="template-audio"]').element.value).toBe('hdmi')
+  })
+
+  it('returns the normalized template from validate()', async () => {
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    expect(await wrapper.vm.validate()).toEqual(template)
+  })
+
+  it('returns the stored template from getTemplate()', async () => {
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    expect(await wrapper.vm.getTemplate()).toEqual(template)
+  })
+
+  it('returns no template for a group without one until the user edits it', async () => {
+    const wrapper = mountConfiguration({ template: null, groupId: undefined })
+    await flushPromises()
+
+    expect(await wrapper.vm.getTemplate()).toBeUndefined()
+
+    await wrapper.find('input[name="playlist[0]"]').setValue('06:30')
+    await flushPromises()
+
+    expect(await wrapper.vm.getTemplate()).toEqual(expect.objectContaining({
+      schedule: expect.objectContaining({ playlist: ['06:30'] })
+    }))
+  })
+
+  it('returns the template once it has been pushed to devices', async () => {
+    const wrapper = mountConfiguration({ template: null })
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-push-button"]').trigger('click')
+    await settle(() => expect(alertStore.success).toHaveBeenCalled())
+
+    expect(await wrapper.vm.getTemplate()).toEqual(expect.objectContaining({ audio: expect.any(Object) }))
+  })
+
+  it('hides device operations without a group id', async () => {
+    const wrapper = mountConfiguration({ groupId: undefined })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="template-compare-button"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="template-push-button"]').exists()).toBe(false)
+  })
+
+  it('shows devices that deviate from the template', async () => {
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-compare-button"]').trigger('click')
+    await settle(() => expect(wrapper.find('[data-test="template-diff-summary"]').exists()).toBe(true))
+
+    expect(devicesStore.getConfiguration).toHaveBeenCalledTimes(2)
+    expect(devicesStore.sendDeviceCommand).toHaveBeenCalledWith('getConfiguration', 1)
+    expect(devicesStore.updateConfiguration).not.toHaveBeenCalled()
+    expect(wrapper.find('[data-test="template-diff-summary"]').text()).toContain('1 из 2')
+    expect(wrapper.find('[data-test="template-result-1"]').text()).toContain('Соответствует шаблону')
+    const deviating = wrapper.find('[data-test="template-result-2"]').text()
+    expect(deviating).toContain('Загрузка видео')
+    expect(deviating).toContain('10:00')
+    expect(deviating).toContain('09:00')
+  })
+
+  it('pushes the template to every group device keeping playlist paths', async () => {
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-push-button"]').trigger('click')
+    await settle(() => expect(alertStore.success).toHaveBeenCalled())
+
+    expect(confirmAction).toHaveBeenCalled()
+    expect(devicesStore.updateConfiguration).toHaveBeenCalledTimes(2)
+    expect(devicesStore.updateConfiguration).toHaveBeenCalledWith(2, {
+      playlist: { source: '/src-2', destination: '/dst-2' },
+      ...template
+    })
+    expect(wrapper.find('[data-test="template-push-summary"]').text()).toContain('Применено: 2 из 2')
+    expect(alertStore.success).toHaveBeenCalledWith('Шаблон конфигурации применён к устройствам: 2')
+  })
+
+  it('reports per-device failures and retries them', async () => {
+    devicesStore.updateConfiguration
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Устройство не в сети'))
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-push-button"]').trigger('click')
+    await settle(() => expect(alertStore.error).toHaveBeenCalled())
+
+    expect(wrapper.find('[data-test="template-result-2"]').text()).toContain('Ошибка: Устройство не в сети')
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось применить шаблон к устройствам: 1 из 2')
+
+    await wrapper.find('[data-test="template-retry-button"]').trigger('click')
+    await settle(() => expect(devicesStore.updateConfiguration).toHaveBeenCalledTimes(3))
+
+    expect(devicesStore.updateConfiguration).toHaveBeenCalledTimes(3)
+    expect(wrapper.find('[data-test="template-result-2"]').text()).toContain('Выполнено')
+  })
+
+  it('does not push when the user cancels', async () => {
+    confirmAction.mockResolvedValue(false)
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-push-button"]').trigger('click')
+    await settle(() => expect(confirmAction).toHaveBeenCalled())
+
+    expect(devicesStore.updateConfiguration).not.toHaveBeenCalled()
+  })
+
+  it('reports an empty group', async () => {
+    devicesStore.devices = []
+    const wrapper = mountConfiguration()
+    await flushPromises()
+
+    await wrapper.find('[data-test="template-compare-button"]').trigger('click')
+    await settle(() => expect(alertStore.error).toHaveBeenCalled())
+
+    expect(alertStore.error).toHaveBeenCalledWith('В группе нет устройств')
+    expect(devicesStore.getConfiguration).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,97 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import DeviceGroupDayparting from '@/components/DeviceGroup_Dayparting.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    props: ['item', 'icon', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button :data-icon="icon" :disabled="disabled" @click="$emit(\'click\', item)"></button>'
+  }
+}))
+
+const playlists = [
+  { id: 10, title: 'Завтрак' },
+  { id: 11, title: 'Основной' }
+]
+const breakfast = { days: [1, 2, 3, 4, 5], start: '06:00', stop: '11:00' }
+
+let wrapper
+
+const mountEditor = (props = {}) => mount(DeviceGroupDayparting, {
+  props: {
+    playlists,
+    modelValue: { 10: [breakfast] },
+    defaultPlaylistId: 11,
+    'onUpdate:modelValue': (value) => wrapper.setProps({ modelValue: value }),
+    ...props
+  }
+})
+
+describe('DeviceGroup_Dayparting.vue', () => {
+  it('asks to choose playlists first', () => {
+    wrapper = mountEditor({ playlists: [] })
+    expect(wrapper.find('[data-test="dayparting-empty"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="daypart-week"]').exists()).toBe(false)
+  })
+
+  it('shows windows of every uploaded playlist', () => {
+    wrapper = mountEditor()
+
+    const first = wrapper.find('[data-test="dayparting-playlist-10"]')
+    expect(first.findAll('[data-test="dayparting-window"]')).toHaveLength(1)
+    expect(first.find('[data-test="dayparting-start"]').element.value).toBe('06:00')
+    expect(first.find('[data-test="dayparting-day-1"]').classes()).toContain('dayparting-day-active')
+    expect(first.find('[data-test="dayparting-day-6"]').classes()).not.toContain('dayparting-day-active')
+    expect(wrapper.find('[data-test="dayparting-playlist-11"]').text()).toContain('по умолчанию')
+    expect(wrapper.find('[data-test="dayparting-playlist-11"]').text()).toContain('Воспроизводится, когда не действует ни одно окно')
+    expect(wrapper.find('[data-test="daypart-default-legend"]').text()).toBe('В остальное время: Основной')
+  })
+
+  it('adds, edits and removes windows', async () => {
+    wrapper = mountEditor()
+
+    await wrapper.find('[data-test="dayparting-add-window-11"]').trigger('click')
+    const added = wrapper.find('[data-test="dayparting-playlist-11"] [data-test="dayparting-window"]')
+    await added.find('[data-test="dayparting-preset-weekend"]').trigger('click')
+    await added.find('[data-test="dayparting-day-1"]').trigger('click')
+    await added.find('[data-test="dayparting-start"]').setValue('20:00')
+    await added.find('[data-test="dayparting-stop"]').setValue('02:00')
+
+    expect(wrapper.props('modelValue')).toEqual({
+      10: [breakfast],
+      11: [{ days: [1, 6, 7], start: '20:00', stop: '02:00' }]
+    })
+
+    await wrapper.find('[data-test="dayparting-playlist-10"] [data-test="dayparting-remove-window"]').trigger('click')
+    expect(wrapper.props('modelValue')[10]).toEqual([])
+  })
+
+  it('highlights invalid and overlapping windows', async () => {
+    wrapper = mountEditor({
+      modelValue: {
+        10: [breakfast, { days: [], start: '12:00', stop: '13:00' }],
+        11: [{ days: [5], start: '10:00', stop: '12:00' }]
+      }
+    })
+
+    const windows = wrapper.findAll('[data-test="dayparting-window"]')
+    expect(windows[0].classes()).toContain('dayparting-window-conflict')
+    expect(windows[1].classes()).toContain('dayparting-window-invalid')
+    expect(windows[2].classes()).toContain('dayparting-window-conflict')
+    const issues = wrapper.find('[data-test="dayparting-issues"]').text()
+    expect(issues).toContain('не выбраны дни недели')
+    expect(issues).toContain('пересекаются')
+  })
+
+  it('disables editing', () => {
+    wrapper = mountEditor({ disabled: true })
+    expect(wrapper.find('[data-test="dayparting-start"]').attributes('disabled')).toBeDefined()
+    expect(wrapper.find('[data-test="dayparting-day-1"]').attributes('disabled')).toBeDefined()
+    expect(wrapper.find('[data-test="dayparting-add-window-10"]').attributes('disabled')).toBeDefined()
+  })
+})
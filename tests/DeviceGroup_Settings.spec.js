@@ -1,10 +1,11 @@
 // Copyright (c) 2025 sw.consulting
 // This file is a part of Media Pi  frontend application
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import DeviceGroupSettings from '@/components/DeviceGroup_Settings.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 let authStore
 const deviceGroupsStore = {
@@ -15,12 +16,7 @@ const deviceGroupsStore = {
   add: vi.fn(),
   update: vi.fn()
 }
-const alertStore = {
-  alert: null,
-  error: vi.fn(),
-  success: vi.fn(),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 const playlistsStore = {
   playlists: ref([]),
   loading: ref(false),
@@ -59,6 +55,26 @@ vi.mock('@/stores/playlists.store.js', () => ({
   usePlaylistsStore: () => playlistsStore
 }))
 
+const configurationTemplate = {
+  schedule: { playlist: ['08:00'], video: ['09:00'], rest: [{ start: '23:00', stop: '07:00' }] },
+  audio: { output: 'hdmi' },
+  screenshot: { timers: ['01:00:00'] }
+}
+const configurationGetTemplate = vi.fn()
+
+vi.mock('@/components/DeviceGroup_Configuration.vue', () => ({
+  default: {
+    name: 'DeviceGroupConfiguration',
+    props: ['groupId', 'template', 'disabled'],
+    template: '<div data-test="group-configuration" :data-group-id="groupId" />',
+    methods: {
+      getTemplate() {
+        return configurationGetTemplate()
+      }
+    }
+  }
+}))
+
 vi.mock('@/helpers/default.route.js', () => ({
   redirectToDefaultRoute: vi.fn()
 }))
@@ -87,12 +103,13 @@ const mountSettings = (props = {}) => mount({
     stubs: {
       'v-card': { template: '<div><slot /></div>' },
       'v-data-table': {
-        props: ['items', 'noDataText'],
+        props: ['items', 'noDataText', 'rowProps'],
         template: `
           <div class="data-table">
-            <div v-for="item in items" :key="item.id" class="data-table-row">
+            <div v-for="item in items" :key="item.id" class="data-table-row" :class="rowProps?.({ item }).class" :data-test="'playlist-row-' + item.id">
               <slot name="item.upload" :item="item" />
               <slot name="item.play" :item="item" />
+              <slot name="item.period" :item="item" />
               <slot name="item.totalFileSizeBytes" :item="item" />
               <slot name="item.totalDurationSeconds" :item="item" />
             </div>
@@ -166,8 +183,9 @@ describe('DeviceGroup_Settings.vue', () => {
     playlistsStore.loading.value = false
     playlistsStore.error.value = null
     playlistsStore.getAllByAccount = vi.fn().mockResolvedValue()
-    alertStore.alert = null
+    alertStore.reset()
     vi.clearAllMocks()
+    configurationGetTemplate.mockResolvedValue(configurationTemplate)
   })
 
   it('renders form for creating new group', async () => {
@@ -205,7 +223,8 @@ describe('DeviceGroup_Settings.vue', () => {
     expect(deviceGroupsStore.add).toHaveBeenCalledWith({
       name: 'Test Group',
       accountId: 5,
-      playlists: []
+      playlists: [],
+      configuration: configurationTemplate
     })
   })
 
@@ -224,7 +243,8 @@ describe('DeviceGroup_Settings.vue', () => {
 
     expect(deviceGroupsStore.update).toHaveBeenCalledWith(1, {
       name: 'Test Group',
-      playlists: []
+      playlists: [],
+      configuration: configurationTemplate
     })
   })
 
@@ -334,8 +354,8 @@ describe('DeviceGroup_Settings.vue', () => {
 
     expect(deviceGroupsStore.add).toHaveBeenCalledWith(expect.objectContaining({
       playlists: [
-        { playlistId: 1, play: false },
-        { playlistId: 2, play: true }
+        { playlistId: 1, play: false, windows: [], startDate: null, endDate: null },
+        { playlistId: 2, play: true, windows: [], startDate: null, endDate: null }
       ]
     }))
   })
@@ -467,7 +487,8 @@ describe('DeviceGroup_Settings.vue', () => {
     expect(deviceGroupsStore.add).toHaveBeenCalledWith({
       name: 'Test Group',
       accountId: 5,
-      playlists: []
+      playlists: [],
+      configuration: configurationTemplate
     })
   })
 
@@ -609,19 +630,14 @@ describe('DeviceGroup_Settings.vue', () => {
     expect(alertStore.error).toHaveBeenCalledWith('Ошибка при создании группы устройств: String error')
   })
 
-  it('displays alert when present', async () => {
-    alertStore.alert = { type: 'error', message: 'Test alert message' }
+  it('leaves notifications to the application stack', async () => {
+    alertStore.error('Test alert message')
 
     const wrapper = mountSettings({ register: true, accountId: 5 })
     await flushPromises()
 
-    expect(wrapper.text()).toContain('Test alert message')
-    
-    const closeButton = wrapper.find('.btn.btn-link.close')
-    expect(closeButton.exists()).toBe(true)
-    
-    await closeButton.trigger('click')
-    expect(alertStore.clear).toHaveBeenCalled()
+    expect(wrapper.text()).not.toContain('Test alert message')
+    expect(wrapper.find('.btn.btn-link.close').exists()).toBe(false)
   })
 
   it('displays validation error for name field', async () => {
@@ -631,7 +647,7 @@ describe('DeviceGroup_Settings.vue', () => {
     await wrapper.find('[data-test="save-device-group-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать имя')
+    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать имя', { routeScoped: true })
   })
 
   it('returns false from onInvalidSubmit and shows the validation alert', async () => {
@@ -640,7 +656,7 @@ describe('DeviceGroup_Settings.vue', () => {
 
     const child = wrapper.findComponent(DeviceGroupSettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { name: 'Необходимо указать имя' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать имя')
+    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать имя', { routeScoped: true })
   })
 
   it('displays field with correct properties', async () => {
@@ -676,7 +692,8 @@ describe('DeviceGroup_Settings.vue', () => {
     expect(deviceGroupsStore.add).toHaveBeenCalledWith({
       name: 'Test Group',
       accountId: 5,
-      playlists: []
+      playlists: [],
+      configuration: configurationTemplate
     })
 
     await cancelButton.trigger('click')
@@ -748,4 +765,214 @@ describe('DeviceGroup_Settings.vue', () => {
 
     expect(redirectToDefaultRoute).toHaveBeenCalled()
   })
+
+  describe('configuration template', () => {
+    it('passes the stored template and group id to the template editor', async () => {
+      deviceGroupsStore.group = {
+        id: 1,
+        name: 'Existing Group',
+        accountId: 12,
+        configuration: configurationTemplate
+      }
+
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      const editor = wrapper.findComponent({ name: 'DeviceGroupConfiguration' })
+      expect(editor.props('template')).toEqual(configurationTemplate)
+      expect(editor.props('groupId')).toBe(1)
+    })
+
+    it('does not offer device operations for a new group', async () => {
+      const wrapper = mountSettings({ register: true, accountId: 5 })
+      await flushPromises()
+
+      expect(wrapper.findComponent({ name: 'DeviceGroupConfiguration' }).props('groupId')).toBeUndefined()
+    })
+
+    it('does not save the group when the template is invalid', async () => {
+      configurationGetTemplate.mockResolvedValue(null)
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).not.toHaveBeenCalled()
+    })
+
+    it('omits the template when the user has not set one up', async () => {
+      configurationGetTemplate.mockResolvedValue(undefined)
+      const wrapper = mountSettings({ register: true, accountId: 5 })
+      await flushPromises()
+
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.add).toHaveBeenCalledWith({
+        name: 'Test Group',
+        accountId: 5,
+        playlists: []
+      })
+    })
+  })
+
+  describe('dayparting', () => {
+    const breakfast = { days: [1, 2, 3, 4, 5], start: '06:00', stop: '11:00' }
+
+    beforeEach(() => {
+      deviceGroupsStore.group = {
+        id: 1,
+        name: 'Existing Group',
+        accountId: 12,
+        playLists: [
+          { playlistId: 10, play: false, windows: [breakfast] },
+          { playlistId: 11, play: true }
+        ]
+      }
+      playlistsStore.playlists.value = [
+        { id: 10, title: 'Завтрак', totalFileSizeBytes: 0, totalDurationSeconds: 0 },
+        { id: 11, title: 'Основной', totalFileSizeBytes: 0, totalDurationSeconds: 0 },
+        { id: 12, title: 'Не загружается', totalFileSizeBytes: 0, totalDurationSeconds: 0 }
+      ]
+    })
+
+    it('passes uploaded playlists and loaded windows to the editor', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      const editor = wrapper.findComponent({ name: 'DeviceGroup_Dayparting' })
+      expect(editor.props('playlists')).toEqual([
+        { id: 10, title: 'Завтрак' },
+        { id: 11, title: 'Основной' }
+      ])
+      expect(editor.props('modelValue')).toEqual({ 10: [breakfast], 11: [] })
+      expect(editor.props('defaultPlaylistId')).toBe(11)
+    })
+
+    it('saves windows with the playlists', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="dayparting-add-window-11"]').trigger('click')
+      const window = wrapper.findAll('[data-test="dayparting-window"]')[1]
+      await window.find('[data-test="dayparting-preset-weekend"]').trigger('click')
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        playlists: [
+          { playlistId: 10, play: false, windows: [breakfast], startDate: null, endDate: null },
+          { playlistId: 11, play: true, windows: [{ days: [6, 7], start: '09:00', stop: '18:00' }], startDate: null, endDate: null }
+        ]
+      }))
+    })
+
+    it('does not save overlapping windows', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="dayparting-add-window-11"]').trigger('click')
+      expect(wrapper.find('[data-test="dayparting-issues"]').text()).toContain('пересекаются')
+
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).not.toHaveBeenCalled()
+      expect(alertStore.error).toHaveBeenCalledWith(expect.stringContaining('Исправьте окна воспроизведения: Окна «Завтрак» Пн–Пт 06:00–11:00 и «Основной» Пн–Пт 09:00–18:00 пересекаются'))
+    })
+
+    it('drops windows of playlists that are no longer uploaded', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="playlist-upload-10"]').setValue(false)
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        playlists: [{ playlistId: 11, play: true, windows: [], startDate: null, endDate: null }]
+      }))
+    })
+  })
+
+  describe('campaign periods', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2026, 5, 15, 12))
+      deviceGroupsStore.group = {
+        id: 1,
+        name: 'Existing Group',
+        accountId: 12,
+        playLists: [
+          { playlistId: 10, play: false, startDate: '2026-06-01T00:00:00', endDate: '2026-06-10' },
+          { playlistId: 11, play: true }
+        ]
+      }
+      playlistsStore.playlists.value = [
+        { id: 10, title: 'Лето', totalFileSizeBytes: 0, totalDurationSeconds: 0 },
+        { id: 11, title: 'Основной', totalFileSizeBytes: 0, totalDurationSeconds: 0 },
+        { id: 12, title: 'Осень', startDate: '2026-09-01', totalFileSizeBytes: 0, totalDurationSeconds: 0 }
+      ]
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('shows loaded periods and highlights expired and upcoming playlists', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      expect(wrapper.find('[data-test="playlist-start-date-10"]').element.value).toBe('2026-06-01')
+      expect(wrapper.find('[data-test="playlist-end-date-10"]').element.value).toBe('2026-06-10')
+      expect(wrapper.find('[data-test="playlist-row-10"]').classes()).toContain('playlist-row-expired')
+      expect(wrapper.find('[data-test="playlist-row-10"] [data-test="campaign-state-expired"]').exists()).toBe(true)
+      expect(wrapper.find('[data-test="playlist-row-11"]').classes()).not.toContain('playlist-row-expired')
+      // Not uploaded: the playlist period is shown without date inputs
+      expect(wrapper.find('[data-test="playlist-start-date-12"]').exists()).toBe(false)
+      expect(wrapper.find('[data-test="playlist-row-12"] [data-test="campaign-state-upcoming"]').exists()).toBe(true)
+    })
+
+    it('limits the assignment by the playlist period', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="playlist-upload-12"]').setValue(true)
+      await wrapper.find('[data-test="playlist-end-date-12"]').setValue('2026-09-30')
+
+      const badge = wrapper.find('[data-test="playlist-row-12"] [data-test="campaign-state-upcoming"]')
+      expect(badge.text()).toContain('с 01.09.2026 по 30.09.2026')
+      expect(wrapper.find('[data-test="playlist-row-12"]').classes()).toContain('playlist-row-upcoming')
+    })
+
+    it('saves periods with the playlists', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="playlist-end-date-10"]').setValue('2026-08-31')
+      await wrapper.find('[data-test="playlist-start-date-11"]').setValue('2026-07-01')
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        playlists: [
+          { playlistId: 10, play: false, windows: [], startDate: '2026-06-01', endDate: '2026-08-31' },
+          { playlistId: 11, play: true, windows: [], startDate: '2026-07-01', endDate: null }
+        ]
+      }))
+    })
+
+    it('does not save a period that ends before it starts', async () => {
+      const wrapper = mountSettings({ register: false, id: 1 })
+      await flushPromises()
+
+      await wrapper.find('[data-test="playlist-end-date-10"]').setValue('2026-05-01')
+      await wrapper.find('[data-testid="form"]').trigger('submit')
+      await flushPromises()
+
+      expect(deviceGroupsStore.update).not.toHaveBeenCalled()
+      expect(alertStore.error).toHaveBeenCalledWith('Исправьте период действия: «Лето»: дата окончания раньше даты начала')
+    })
+  })
 })
@@ -0,0 +1,94 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { ref } from 'vue'
+import DeviceStatusHistory from '@/components/DeviceStatusHistory.vue'
+
+const hour = 60 * 60 * 1000
+const now = Date.UTC(2026, 0, 2, 12, 0, 0)
+
+const deviceStatusesStore = {
+  history: ref({}),
+  loadHistory: vi.fn()
+}
+
+vi.mock('pinia', async () => {
+  const actual = await vi.importActual('pinia')
+  return { ...actual, storeToRefs: (store) => store }
+})
+
+vi.mock('@/stores/device.statuses.store.js', () => ({
+  useDeviceStatusesStore: () => deviceStatusesStore
+}))
+
+describe('DeviceStatusHistory.vue', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    vi.clearAllMocks()
+    deviceStatusesStore.history.value = {
+      5: [
+        { timestamp: now - 12 * hour, isOnline: true, latency: 20 },
+        { timestamp: now - 6 * hour, isOnline: false, latency: null },
+        { timestamp: now - 3 * hour, isOnline: true, latency: 50 }
+      ]
+    }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('loads the persisted history on mount', () => {
+    mount(DeviceStatusHistory, { props: { deviceId: 5 } })
+
+    expect(deviceStatusesStore.loadHistory).toHaveBeenCalledTimes(1)
+  })
+
+  it('shows a placeholder without history', () => {
+    const wrapper = mount(DeviceStatusHistory, { props: { deviceId: 9 } })
+
+    expect(wrapper.get('[data-test="status-history-empty"]').text()).toBe('История статусов пока не накоплена')
+    expect(wrapper.find('[data-test="status-history-chart"]').exists()).toBe(false)
+  })
+
+  it('renders the uptime timeline and latency steps', () => {
+    const wrapper = mount(DeviceStatusHistory, { props: { deviceId: 5 } })
+
+    expect(wrapper.get('[data-test="status-history-uptime"]').text()).toContain('Доступность за 24 ч: 75 %')
+    expect(wrapper.get('[data-test="status-history-uptime"]').text()).toContain('максимальная задержка: 50 мс')
+    expect(wrapper.findAll('[data-test="status-history-segment-unknown"]')).toHaveLength(1)
+    expect(wrapper.findAll('[data-test="status-history-segment-online"]')).toHaveLength(2)
+
+    const offline = wrapper.get('[data-test="status-history-segment-offline"]')
+    expect(Number(offline.attributes('x'))).toBeCloseTo(750)
+    expect(Number(offline.attributes('width'))).toBeCloseTo(125)
+
+    const steps = wrapper.findAll('[data-test="status-history-latency"]')
+    expect(steps).toHaveLength(2)
+    // The highest latency is drawn at the top of the latency area
+    expect(Number(steps[1].attributes('y1'))).toBeCloseTo(24)
+  })
+
+  it('lists transitions newest first', () => {
+    const wrapper = mount(DeviceStatusHistory, { props: { deviceId: 5 } })
+
+    const rows = wrapper.findAll('[data-test="status-history-log"] tbody tr')
+    expect(rows).toHaveLength(3)
+    expect(rows[0].text()).toContain('В сети')
+    expect(rows[0].text()).toContain('3 ч 0 мин (сейчас)')
+    expect(rows[1].text()).toContain('Не в сети')
+    expect(rows[1].text()).toContain('3 ч 0 мин')
+  })
+
+  it('moves the window with time', async () => {
+    const wrapper = mount(DeviceStatusHistory, { props: { deviceId: 5 } })
+
+    await vi.advanceTimersByTimeAsync(60 * 60 * 1000)
+
+    expect(wrapper.findAll('[data-test="status-history-log"] tbody tr')[0].text()).toContain('4 ч 0 мин (сейчас)')
+    wrapper.unmount()
+  })
+})
@@ -8,6 +8,7 @@ import { ref } from 'vue'
 
 import DeviceManagement from '@/components/Device_Management.vue'
 import FieldArrayWithButtons from '@/components/FieldArrayWithButtons.vue'
+import ScheduleTimeline from '@/components/ScheduleTimeline.vue'
 
 vi.mock('@sw-consulting/tooling.ui.kit', () => ({
   ActionButton: { 
@@ -20,6 +21,7 @@ vi.mock('@sw-consulting/tooling.ui.kit', () => ({
 }))
 
 const statusesRef = ref([])
+const streamStateRef = ref('live')
 const deviceRef = ref({
   id: 1,
   name: 'Device 1',
@@ -153,10 +155,19 @@ vi.mock('@/stores/devices.store.js', () => ({
   })
 }))
 
+vi.mock('@/components/DeviceStatusHistory.vue', () => ({
+  default: {
+    name: 'DeviceStatusHistory',
+    props: ['deviceId'],
+    template: '<div data-test="status-history-stub" />'
+  }
+}))
+
 vi.mock('@/stores/device.statuses.store.js', () => ({
   useDeviceStatusesStore: () => ({
     __mockRefs: {
-      statuses: statusesRef
+      statuses: statusesRef,
+      streamState: streamStateRef
     },
     getById: getDeviceStatusById,
     startStream: startStatusStream,
@@ -169,6 +180,7 @@ vi.mock('@/stores/alert.store.js', () => ({
     error: alertError,
     success: alertSuccess,
     clear: alertClear,
+    notifications: [],
     __mockRefs: {
       alert: ref(null)
     }
@@ -234,6 +246,23 @@ describe('Device_Management.vue', () => {
     expect(headerText).toContain('Device 1')
   })
 
+  it('shows the status stream state in the header', async () => {
+    streamStateRef.value = 'stale'
+    const wrapper = mount(DeviceManagement, {
+      props: { deviceId: 1 },
+      global: {
+        stubs: {
+          'font-awesome-icon': { template: '<i />' }
+        }
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="stream-state-stale"]').exists()).toBe(true)
+    streamStateRef.value = 'live'
+  })
+
   it('stops the status stream on unmount', async () => {
     const wrapper = mount(DeviceManagement, {
       props: { deviceId: 1 },
@@ -251,6 +280,46 @@ describe('Device_Management.vue', () => {
     expect(stopStatusStream).toHaveBeenCalledTimes(1)
   })
 
+  it('shows the status history of the device', async () => {
+    const wrapper = mount(DeviceManagement, {
+      props: { deviceId: 1 },
+      global: {
+        stubs: {
+          'font-awesome-icon': { template: '<i />' }
+        }
+      }
+    })
+
+    await flushPromises()
+
+    expect(wrapper.findComponent({ name: 'DeviceStatusHistory' }).props('deviceId')).toBe(1)
+  })
+
+  it('syncs the schedule timeline with the timers form', async () => {
+    const wrapper = mount(DeviceManagement, {
+      props: { deviceId: 1 },
+      global: {
+        stubs: {
+          'font-awesome-icon': { template: '<i />' }
+        }
+      }
+    })
+
+    await flushPromises()
+
+    const timeline = wrapper.findComponent(ScheduleTimeline)
+    expect(timeline.props('modelValue').rest).toEqual(wrapper.vm.scheduleFormValues.rest)
+
+    timeline.vm.$emit('update:modelValue', {
+      ...timeline.props('modelValue'),
+      rest: [{ start: '23:00', stop: '07:00' }]
+    })
+    await flushPromises()
+
+    expect(wrapper.vm.scheduleFormRef.values.rest).toEqual([{ start: '23:00', stop: '07:00' }])
+    expect(wrapper.findComponent(ScheduleTimeline).props('modelValue').rest).toEqual([{ start: '23:00', stop: '07:00' }])
+  })
+
   it('applies settings with operation timeout and status refresh', async () => {
     vi.useRealTimers()
     
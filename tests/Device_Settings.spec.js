@@ -4,6 +4,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import DeviceSettings from '@/components/Device_Settings.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 let authStore
 const devicesStore = {
@@ -13,11 +14,7 @@ const devicesStore = {
   register: vi.fn(),
   update: vi.fn()
 }
-const alertStore = {
-  alert: null,
-  error: vi.fn(),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 vi.mock('pinia', async () => {
   const actual = await vi.importActual('pinia')
@@ -118,7 +115,8 @@ beforeEach(() => {
   devicesStore.getById.mockReset()
   devicesStore.register.mockReset()
   devicesStore.update.mockReset()
-  alertStore.error.mockReset()
+  alertStore.error.mockClear()
+  alertStore.reset()
 })
 
 describe('Device_Settings.vue', () => {
@@ -452,7 +450,8 @@ describe('Device_Settings.vue', () => {
       await flushPromises()
 
       expect(alertStore.error).toHaveBeenCalledWith(
-        'Необходимо указать имя; Необходимо указать IP адрес'
+        'Необходимо указать имя; Необходимо указать IP адрес',
+        { routeScoped: true }
       )
     })
 
@@ -467,25 +466,13 @@ describe('Device_Settings.vue', () => {
       expect(wrapper.find('.spinner-border-lg').exists()).toBe(false)
     })
 
-    it('shows alert message', async () => {
-      alertStore.alert = { type: 'alert-success', message: 'Device saved successfully' }
-
-      const wrapper = mountSettings({ register: true })
-      await flushPromises()
-
-      expect(wrapper.text()).toContain('Device saved successfully')
-    })
-
-    it('clears alert when close button is clicked', async () => {
-      alertStore.alert = { type: 'alert-success', message: 'Test alert' }
+    it('leaves notifications to the application stack', async () => {
+      alertStore.success('Device saved successfully')
 
       const wrapper = mountSettings({ register: true })
       await flushPromises()
 
-      const closeButton = wrapper.find('.close')
-      await closeButton.trigger('click')
-
-      expect(alertStore.clear).toHaveBeenCalled()
+      expect(wrapper.text()).not.toContain('Device saved successfully')
     })
 
     it('trims input values before submission', async () => {
@@ -0,0 +1,201 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import DevicesBulkDialog from '@/components/Devices_Bulk_Dialog.vue'
+import { resolveAll } from './helpers/test-utils'
+
+const commands = {
+  rebootSystem: vi.fn(),
+  startPlayback: vi.fn()
+}
+
+const devicesStore = {
+  loading: false,
+  error: null,
+  rebootSystem: vi.fn(),
+  startPlayback: vi.fn(),
+  sendDeviceCommand: vi.fn((name, id) => commands[name](id))
+}
+
+vi.mock('@/stores/devices.store.js', () => ({
+  useDevicesStore: () => devicesStore
+}))
+
+const confirmAction = vi.fn()
+vi.mock('@/helpers/confirmation.js', () => ({
+  useConfirmation: () => ({ confirmAction })
+}))
+
+vi.mock('@/components/ModalWindow.vue', () => ({
+  default: {
+    name: 'ModalWindow',
+    props: ['modelValue', 'title'],
+    emits: ['confirm', 'cancel', 'update:modelValue'],
+    template: '<div v-if="modelValue" data-test="modal-window"><slot /><slot name="actions" /></div>'
+  }
+}))
+
+const devices = [
+  { id: 1, name: 'Device 1', isOnline: true },
+  { id: 2, name: 'Device 2', isOnline: false }
+]
+
+const mountDialog = (props = {}) => mount(DevicesBulkDialog, {
+  props: {
+    modelValue: true,
+    devices,
+    ...props
+  },
+  global: {
+    stubs: {
+      'v-btn': { template: '<button v-bind="$attrs"><slot /></button>' },
+      'v-select': {
+        name: 'VSelect',
+        props: ['modelValue', 'items'],
+        emits: ['update:modelValue'],
+        template: '<select data-test="bulk-action-select" :value="modelValue" @change="$emit(\'update:modelValue\', $event.target.value)"><option v-for="i in items" :key="i.key" :value="i.key">{{ i.label }}</option></select>'
+      }
+    }
+  }
+})
+
+describe('Devices_Bulk_Dialog.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    commands.rebootSystem.mockResolvedValue()
+    commands.startPlayback.mockResolvedValue()
+    confirmAction.mockResolvedValue(true)
+  })
+
+  it('lists selected devices with their online state', () => {
+    const wrapper = mountDialog()
+
+    expect(wrapper.find('[data-test="bulk-summary"]').text()).toContain('Устройств: 2')
+    expect(wrapper.find('[data-test="bulk-result-1"]').text()).toContain('В сети')
+    expect(wrapper.find('[data-test="bulk-result-2"]').text()).toContain('Не в сети')
+  })
+
+  it('shows an empty state and disables execution without devices', () => {
+    const wrapper = mountDialog({ devices: [] })
+
+    expect(wrapper.find('[data-test="bulk-empty"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="bulk-execute-button"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('runs the selected action for every device and shows results', async () => {
+    commands.startPlayback.mockImplementation((id) => id === 2 ? Promise.reject(new Error('Нет связи')) : Promise.resolve())
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-action-select"]').setValue('startPlayback')
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+
+    expect(commands.startPlayback).toHaveBeenCalledWith(1)
+    expect(commands.startPlayback).toHaveBeenCalledWith(2)
+    expect(commands.rebootSystem).not.toHaveBeenCalled()
+    expect(devicesStore.startPlayback).not.toHaveBeenCalled()
+    expect(devicesStore.loading).toBe(false)
+    expect(devicesStore.error).toBeNull()
+    expect(wrapper.find('[data-test="bulk-result-1"]').text()).toContain('Выполнено')
+    expect(wrapper.find('[data-test="bulk-result-2"]').text()).toContain('Ошибка: Нет связи')
+    expect(wrapper.find('[data-test="bulk-summary"]').text()).toContain('ошибок: 1')
+    expect(wrapper.emitted('completed')[0][0]).toEqual(expect.objectContaining({ succeeded: 1, failed: 1 }))
+  })
+
+  it('retries failed devices', async () => {
+    commands.rebootSystem
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Нет связи'))
+      .mockResolvedValueOnce()
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+    expect(wrapper.find('[data-test="bulk-retry-button"]').attributes('disabled')).toBeUndefined()
+
+    await wrapper.find('[data-test="bulk-retry-button"]').trigger('click')
+    await resolveAll()
+
+    expect(commands.rebootSystem).toHaveBeenCalledTimes(3)
+    expect(commands.rebootSystem).toHaveBeenLastCalledWith(2)
+    expect(wrapper.find('[data-test="bulk-result-2"]').text()).toContain('Выполнено')
+    expect(wrapper.find('[data-test="bulk-retry-button"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('does not run the action when ModalWindow fires confirm', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.findComponent({ name: 'ModalWindow' }).vm.$emit('confirm')
+    await resolveAll()
+
+    expect(confirmAction).not.toHaveBeenCalled()
+    expect(commands.rebootSystem).not.toHaveBeenCalled()
+  })
+
+  it('asks for confirmation before a reboot', async () => {
+    confirmAction.mockResolvedValue(false)
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+
+    expect(confirmAction).toHaveBeenCalledWith('Перезагрузить: устройств 2?', expect.any(Object))
+    expect(commands.rebootSystem).not.toHaveBeenCalled()
+    expect(wrapper.find('[data-test="bulk-execute-button"]').attributes('disabled')).toBeUndefined()
+  })
+
+  it('runs start actions without confirmation', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-action-select"]').setValue('startPlayback')
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+
+    expect(confirmAction).not.toHaveBeenCalled()
+    expect(commands.startPlayback).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps execution disabled after a run until the action changes', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-action-select"]').setValue('startPlayback')
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+    expect(wrapper.find('[data-test="bulk-execute-button"]').attributes('disabled')).toBeDefined()
+
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+    expect(commands.startPlayback).toHaveBeenCalledTimes(2)
+
+    await wrapper.find('[data-test="bulk-action-select"]').setValue('reboot')
+    expect(wrapper.find('[data-test="bulk-execute-button"]').attributes('disabled')).toBeUndefined()
+
+    await wrapper.setProps({ devices: [devices[0]] })
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+    await wrapper.setProps({ devices })
+    expect(wrapper.find('[data-test="bulk-execute-button"]').attributes('disabled')).toBeUndefined()
+  })
+
+  it('closes on cancel', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.find('[data-test="bulk-close-button"]').trigger('click')
+
+    expect(wrapper.emitted('update:modelValue')).toEqual([[false]])
+  })
+
+  it('clears previous results when reopened', async () => {
+    const wrapper = mountDialog()
+    await wrapper.find('[data-test="bulk-execute-button"]').trigger('click')
+    await resolveAll()
+    expect(wrapper.find('[data-test="bulk-result-1"]').text()).toContain('Выполнено')
+
+    await wrapper.setProps({ modelValue: false })
+    await wrapper.setProps({ modelValue: true })
+
+    expect(wrapper.find('[data-test="bulk-result-1"]').text()).not.toContain('Выполнено')
+  })
+})
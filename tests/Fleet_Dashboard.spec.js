@@ -0,0 +1,214 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import FleetDashboard from '@/components/Fleet_Dashboard.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" class="action-btn" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+const mockPush = vi.fn()
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: mockPush })
+}))
+
+vi.mock('pinia', async () => {
+  const actual = await vi.importActual('pinia')
+  return { ...actual, storeToRefs: (store) => store }
+})
+
+let authStore
+const accountsStore = {
+  accounts: [{ id: 10, name: 'Магазин' }],
+  getAll: vi.fn()
+}
+const devicesStore = {
+  devices: [
+    { id: 1, name: 'Касса', accountId: 10, deviceGroupId: 100 },
+    { id: 2, name: 'Вход', accountId: 10, deviceGroupId: null },
+    { id: 3, name: 'Новое', accountId: null }
+  ],
+  getAll: vi.fn()
+}
+const deviceGroupsStore = {
+  groups: [{ id: 100, name: 'Зал', accountId: 10 }],
+  getAll: vi.fn()
+}
+const deviceStatusesStore = {
+  statuses: [
+    { deviceId: 1, isOnline: true, totalLatencyMs: 30, softwareVersion: '1.2.0', playbackServiceStatus: true },
+    {
+      deviceId: 2,
+      isOnline: true,
+      connectLatencyMs: 400,
+      softwareVersion: '1.1.0',
+      playbackServiceStatus: false,
+      playlistActivation: { state: 'failed', error: null }
+    }
+  ],
+  streamState: 'live',
+  getAll: vi.fn(),
+  startStream: vi.fn(),
+  stopStream: vi.fn()
+}
+const alertStore = { error: vi.fn() }
+
+vi.mock('@/stores/auth.store.js', () => ({ useAuthStore: () => authStore }))
+vi.mock('@/stores/accounts.store.js', () => ({ useAccountsStore: () => accountsStore }))
+vi.mock('@/stores/devices.store.js', () => ({ useDevicesStore: () => devicesStore }))
+vi.mock('@/stores/device.groups.store.js', () => ({ useDeviceGroupsStore: () => deviceGroupsStore }))
+vi.mock('@/stores/device.statuses.store.js', () => ({ useDeviceStatusesStore: () => deviceStatusesStore }))
+vi.mock('@/stores/alert.store.js', () => ({ useAlertStore: () => alertStore }))
+
+const mountDashboard = async () => {
+  const wrapper = mount(FleetDashboard, {
+    global: {
+      stubs: {
+        AlertOutput: true,
+        StreamStateIndicator: { props: ['state'], template: '<span :data-state="state" />' },
+        'font-awesome-icon': true
+      }
+    }
+  })
+  await flushPromises()
+  return wrapper
+}
+
+describe('Fleet_Dashboard.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    accountsStore.getAll.mockResolvedValue()
+    devicesStore.getAll.mockResolvedValue()
+    deviceGroupsStore.getAll.mockResolvedValue()
+    deviceStatusesStore.getAll.mockResolvedValue()
+    authStore = {
+      isAdministrator: true,
+      isManager: false,
+      isEngineer: false,
+      getAccountsTreeState: { selectedNode: 'account-5', expandedNodes: ['root-accounts', 'account-5'] },
+      saveAccountsTreeState: vi.fn()
+    }
+  })
+
+  it('loads data and starts the status stream', async () => {
+    const wrapper = await mountDashboard()
+
+    expect(accountsStore.getAll).toHaveBeenCalled()
+    expect(deviceGroupsStore.getAll).toHaveBeenCalled()
+    expect(devicesStore.getAll).toHaveBeenCalledWith(true)
+    expect(deviceStatusesStore.getAll).toHaveBeenCalled()
+    expect(deviceStatusesStore.startStream).toHaveBeenCalledTimes(1)
+
+    wrapper.unmount()
+    expect(deviceStatusesStore.stopStream).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not start the stream when closed before loading finishes', async () => {
+    let finishLoading
+    deviceStatusesStore.getAll.mockReturnValueOnce(new Promise((resolve) => { finishLoading = resolve }))
+    const wrapper = mount(FleetDashboard, {
+      global: { stubs: { StreamStateIndicator: true, 'font-awesome-icon': true } }
+    })
+    await flushPromises()
+
+    wrapper.unmount()
+    finishLoading()
+    await flushPromises()
+
+    expect(deviceStatusesStore.startStream).not.toHaveBeenCalled()
+    expect(deviceStatusesStore.stopStream).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not load device groups for engineers', async () => {
+    authStore.isAdministrator = false
+    authStore.isEngineer = true
+    await mountDashboard()
+
+    expect(deviceGroupsStore.getAll).not.toHaveBeenCalled()
+  })
+
+  it('shows an error when loading fails', async () => {
+    devicesStore.getAll.mockRejectedValueOnce(new Error('Нет связи'))
+    const wrapper = await mountDashboard()
+
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить данные: Нет связи')
+    expect(wrapper.find('[data-test="dashboard-loading"]').exists()).toBe(false)
+  })
+
+  it('renders totals, latency and versions', async () => {
+    const wrapper = await mountDashboard()
+
+    expect(wrapper.get('[data-test="dashboard-total"]').text()).toContain('3')
+    expect(wrapper.get('[data-test="dashboard-online"]').text()).toContain('2')
+    expect(wrapper.get('[data-test="dashboard-offline"]').text()).toContain('1')
+    expect(wrapper.get('[data-test="dashboard-latency-fast"]').text()).toContain('1')
+    expect(wrapper.get('[data-test="dashboard-latency-slow"]').text()).toContain('1')
+    expect(wrapper.get('[data-test="dashboard-latency-critical"]').attributes('disabled')).toBeDefined()
+    expect(wrapper.get('[data-test="dashboard-versions"]').text()).toContain('1.2.0')
+    expect(wrapper.get('[data-test="dashboard-versions"]').text()).toContain('Неизвестна')
+  })
+
+  it('opens the accounts tree on an account or a group', async () => {
+    const wrapper = await mountDashboard()
+
+    await wrapper.get('[data-test="dashboard-group-100"]').trigger('click')
+    expect(authStore.saveAccountsTreeState).toHaveBeenCalledWith(
+      'group-100',
+      ['root-accounts', 'account-5', 'account-10', 'account-10-groups', 'group-100']
+    )
+    expect(mockPush).toHaveBeenCalledWith('/accounts')
+
+    await wrapper.get('[data-test="dashboard-account-unassigned"]').trigger('click')
+    expect(authStore.saveAccountsTreeState).toHaveBeenLastCalledWith(
+      'root-unassigned',
+      ['root-accounts', 'account-5', 'root-unassigned']
+    )
+  })
+
+  it('lists problem devices and opens device management', async () => {
+    const wrapper = await mountDashboard()
+
+    const problems = wrapper.get('[data-test="dashboard-problems"]')
+    expect(problems.text()).toContain('Ошибка активации плейлиста')
+    expect(problems.text()).toContain('Воспроизведение остановлено')
+
+    await wrapper.get('[data-test="dashboard-problem-2"]').trigger('click')
+    expect(mockPush).toHaveBeenCalledWith('/device/manage/2')
+  })
+
+  it('drills down from a latency bucket to its devices', async () => {
+    const wrapper = await mountDashboard()
+
+    await wrapper.get('[data-test="dashboard-latency-slow"]').trigger('click')
+    const list = wrapper.get('[data-test="dashboard-filtered-devices"]')
+    expect(list.text()).toContain('Задержка связи: 200–1000 мс')
+    expect(list.find('[data-test="dashboard-device-2"]').exists()).toBe(true)
+    expect(list.find('[data-test="dashboard-device-1"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="dashboard-device-2"]').trigger('click')
+    expect(mockPush).toHaveBeenCalledWith('/device/manage/2')
+
+    await wrapper.get('[data-test="dashboard-latency-slow"]').trigger('click')
+    expect(wrapper.find('[data-test="dashboard-filtered-devices"]').exists()).toBe(false)
+  })
+
+  it('drills down from an agent version to its devices', async () => {
+    const wrapper = await mountDashboard()
+
+    await wrapper.get('[data-test="dashboard-version-Неизвестна"]').trigger('click')
+    const list = wrapper.get('[data-test="dashboard-filtered-devices"]')
+    expect(list.find('[data-test="dashboard-device-3"]').exists()).toBe(true)
+    expect(list.text()).toContain('не в сети')
+
+    await wrapper.get('[data-test="dashboard-filter-close"]').trigger('click')
+    expect(wrapper.find('[data-test="dashboard-filtered-devices"]').exists()).toBe(false)
+  })
+})
@@ -0,0 +1,78 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { reactive, toRefs } from 'vue'
+import IdleSessionWarning from '@/components/IdleSessionWarning.vue'
+
+const idleSessionStore = reactive({
+  warningVisible: false,
+  remainingSeconds: 0,
+  keepAlive: vi.fn(),
+  expire: vi.fn()
+})
+
+vi.mock('@/stores/idle.session.store.js', () => ({
+  useIdleSessionStore: () => idleSessionStore
+}))
+vi.mock('pinia', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    storeToRefs: (store) => toRefs(store)
+  }
+})
+
+const ModalWindowStub = {
+  name: 'ModalWindow',
+  props: ['modelValue', 'title'],
+  emits: ['confirm', 'cancel'],
+  template: '<div class="modal-stub" :data-title="title"><slot /><slot name="actions" /></div>'
+}
+
+const mountWarning = () => mount(IdleSessionWarning, {
+  global: {
+    stubs: {
+      ModalWindow: ModalWindowStub,
+      'v-btn': { template: '<button v-bind="$attrs"><slot /></button>' }
+    }
+  }
+})
+
+describe('IdleSessionWarning', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    idleSessionStore.warningVisible = false
+    idleSessionStore.remainingSeconds = 0
+  })
+
+  it('is hidden until the warning is due', () => {
+    const wrapper = mountWarning()
+    expect(wrapper.find('.modal-stub').exists()).toBe(false)
+  })
+
+  it('shows the countdown and keeps the session alive', async () => {
+    idleSessionStore.warningVisible = true
+    idleSessionStore.remainingSeconds = 65
+    const wrapper = mountWarning()
+
+    expect(wrapper.find('[data-test="idle-session-countdown"]').text()).toBe('1:05')
+
+    await wrapper.find('[data-test="idle-session-continue-button"]').trigger('click')
+    expect(idleSessionStore.keepAlive).toHaveBeenCalledTimes(1)
+
+    wrapper.findComponent(ModalWindowStub).vm.$emit('confirm')
+    expect(idleSessionStore.keepAlive).toHaveBeenCalledTimes(2)
+  })
+
+  it('logs out at once on request', async () => {
+    idleSessionStore.warningVisible = true
+    idleSessionStore.remainingSeconds = 9
+    const wrapper = mountWarning()
+
+    expect(wrapper.find('[data-test="idle-session-countdown"]').text()).toBe('0:09')
+    await wrapper.find('[data-test="idle-session-logout-button"]').trigger('click')
+    expect(idleSessionStore.expire).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,62 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import OfflineBanner from '@/components/OfflineBanner.vue'
+import { useNetworkStore } from '@/stores/network.store.js'
+
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => ({ user: null })
+}))
+
+const savedAt = new Date(2026, 9, 19, 14, 30).getTime()
+
+const mountBanner = () => mount(OfflineBanner, {
+  global: {
+    stubs: { 'font-awesome-icon': true }
+  }
+})
+
+describe('OfflineBanner', () => {
+  let store
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    store = useNetworkStore()
+  })
+
+  it('is hidden while online with fresh data', () => {
+    const wrapper = mountBanner()
+    expect(wrapper.find('[data-test="offline-banner"]').exists()).toBe(false)
+  })
+
+  it('reports offline mode with the time of the cached data', async () => {
+    store.online = false
+    store.cachedSources = { devices: savedAt }
+    const wrapper = mountBanner()
+
+    const message = wrapper.find('[data-test="offline-banner-message"]').text()
+    expect(message).toContain('Нет подключения к сети — показаны сохранённые данные от 19.10.2026')
+    expect(message).toContain('Изменения недоступны до восстановления связи')
+  })
+
+  it('reports offline mode without cached data', () => {
+    store.online = false
+    const wrapper = mountBanner()
+
+    expect(wrapper.find('[data-test="offline-banner-message"]').text())
+      .toBe('Нет подключения к сети. Изменения недоступны до восстановления связи.')
+  })
+
+  it('reports an unreachable server while the browser is online', async () => {
+    const wrapper = mountBanner()
+    store.cachedSources = { accounts: savedAt }
+    await wrapper.vm.$nextTick()
+
+    const message = wrapper.find('[data-test="offline-banner-message"]').text()
+    expect(message).toContain('Сервер недоступен — показаны сохранённые данные от 19.10.2026')
+    expect(message).not.toContain('Изменения недоступны')
+  })
+})
@@ -0,0 +1,46 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PlaylistTimeline from '@/components/PlaylistTimeline.vue'
+
+const items = [
+  { key: 'a', position: 1, title: 'Intro', duration: 30 },
+  { key: 'b', position: 2, title: 'Promo', duration: 270 },
+  { key: 'c', position: 3, title: 'Unknown', duration: null }
+]
+
+describe('PlaylistTimeline.vue', () => {
+  it('is hidden for an empty playlist', () => {
+    const wrapper = mount(PlaylistTimeline, { props: { items: [] } })
+    expect(wrapper.find('[data-test="playlist-timeline"]').exists()).toBe(false)
+  })
+
+  it('draws items in proportion to their duration', () => {
+    const wrapper = mount(PlaylistTimeline, { props: { items } })
+
+    const second = wrapper.find('[data-test="playlist-timeline-segment-1"]')
+    expect(second.attributes('style')).toContain('left: 10%')
+    expect(second.attributes('style')).toContain('width: 90%')
+    expect(second.text()).toBe('2 · 0:30')
+    expect(second.attributes('title')).toBe('2. Promo\nНачало: 0:30, длительность: 4:30')
+    expect(wrapper.find('[data-test="playlist-timeline-total"]').text()).toBe('5:00')
+  })
+
+  it('marks items with unknown duration and hides labels of narrow items', () => {
+    const wrapper = mount(PlaylistTimeline, { props: { items } })
+
+    const unknown = wrapper.find('[data-test="playlist-timeline-segment-2"]')
+    expect(unknown.classes()).toContain('playlist-timeline-segment-unknown')
+    expect(unknown.text()).toBe('')
+    expect(unknown.attributes('title')).toBe('3. Unknown\nНачало: 5:00, длительность: неизвестна')
+  })
+
+  it('highlights selected items', () => {
+    const wrapper = mount(PlaylistTimeline, { props: { items, selectedKeys: ['a'] } })
+
+    expect(wrapper.find('[data-test="playlist-timeline-segment-0"]').classes()).toContain('playlist-timeline-segment-selected')
+    expect(wrapper.find('[data-test="playlist-timeline-segment-1"]').classes()).not.toContain('playlist-timeline-segment-selected')
+  })
+})
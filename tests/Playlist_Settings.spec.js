@@ -7,8 +7,10 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { reactive, ref } from 'vue'
 import PlaylistSettings from '@/components/Playlist_Settings.vue'
 import { redirectToDefaultRoute } from '@/helpers/default.route.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerGo = vi.hoisted(() => vi.fn())
+const probeVideoFile = vi.hoisted(() => vi.fn())
 
 let authStore
 
@@ -37,10 +39,11 @@ const categoriesStore = {
   getAll: vi.fn(async () => categoriesStore.categories)
 }
 
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
+const alertStore = createAlertStoreMock()
+const confirmAction = vi.fn(async () => false)
+
+const uploadManagerStore = {
+  enqueue: vi.fn()
 }
 
 vi.mock('pinia', async () => {
@@ -76,6 +79,19 @@ vi.mock('@/stores/alert.store.js', () => ({
   useAlertStore: () => alertStore
 }))
 
+vi.mock('@/stores/upload.manager.store.js', () => ({
+  useUploadManagerStore: () => uploadManagerStore
+}))
+
+vi.mock('@/helpers/video.probe.js', async () => ({
+  ...(await vi.importActual('@/helpers/video.probe.js')),
+  probeVideoFile
+}))
+
+vi.mock('@/helpers/confirmation.js', () => ({
+  useConfirmation: () => ({ confirmAction })
+}))
+
 vi.mock('@/helpers/default.route.js', () => ({
   redirectToDefaultRoute: vi.fn()
 }))
@@ -151,7 +167,7 @@ const mountSettings = (props = {}) => mount({
         emits: ['update:modelValue']
       },
       'v-data-table': {
-        props: ['headers', 'items', 'loading', 'loadingText', 'noDataText', 'sortBy', 'itemsPerPage', 'page'],
+        props: ['headers', 'items', 'loading', 'loadingText', 'noDataText', 'sortBy', 'itemsPerPage', 'page', 'rowProps'],
         emits: ['update:sort-by', 'update:itemsPerPage', 'update:page'],
         data() {
           return {
@@ -217,12 +233,20 @@ const mountSettings = (props = {}) => mount({
             </div>
             <div v-if="loading" data-test="table-loading">{{ loadingText }}</div>
             <div v-else-if="!items || !items.length" data-test="table-empty">{{ noDataText }}</div>
-            <div v-else v-for="item in renderedItems" :key="item.key || item.id" class="playlist-video-row">
+            <div
+              v-else
+              v-for="(item, index) in renderedItems"
+              :key="item.key || item.id"
+              class="playlist-video-row"
+              v-bind="rowProps ? rowProps({ item, index }) : {}"
+            >
               <slot name="item.select" :item="item" />
               <slot name="item.position" :item="item" />
+              <slot name="item.poster" :item="item" />
               <slot name="item.title" :item="item" />
               <slot name="item.scopeName" :item="item" />
               <slot name="item.mediaInfo" :item="item" />
+              <slot name="item.rules" :item="item" />
               <slot name="item.actions" :item="item" />
             </div>
             <button data-test="set-page-1" type="button" @click="$emit('update:page', 1)" />
@@ -277,6 +301,44 @@ function getAvailableTableTitles(wrapper) {
     .map(item => item.text())
 }
 
+function getPlaylistTitles(wrapper) {
+  return getPlaylistTable(wrapper)
+    .findAll('.playlist-video-title')
+    .map(item => item.text())
+}
+
+const createDataTransfer = () => ({ setData: vi.fn(), effectAllowed: '', dropEffect: '' })
+
+// Drags a row over a playlist row; rows have no size in jsdom, so any positive clientY is the lower half
+async function dragOverPlaylistRow(wrapper, source, targetIndex, { after = false } = {}) {
+  const dataTransfer = createDataTransfer()
+  await source.trigger('dragstart', { dataTransfer })
+  const target = getPlaylistTable(wrapper).findAll('.playlist-video-row')[targetIndex]
+  await target.trigger('dragover', { dataTransfer, clientY: after ? 1 : 0 })
+  return dataTransfer
+}
+
+async function dropOnPlaylist(wrapper, dataTransfer = createDataTransfer()) {
+  await wrapper.find('[data-test="playlist-drop-area"]').trigger('drop', { dataTransfer })
+  await flushPromises()
+}
+
+function createPlaylistFile(name, text) {
+  return { name, arrayBuffer: async () => new TextEncoder().encode(text).buffer }
+}
+
+async function chooseFiles(wrapper, selector, files) {
+  const input = wrapper.find(selector)
+  Object.defineProperty(input.element, 'files', { value: files, configurable: true })
+  await input.trigger('change')
+  await flushPromises()
+}
+
+async function addAllAvailableVideos(wrapper) {
+  await wrapper.find('[data-test="available-select-all"]').setValue(true)
+  await clickBatchAdd(wrapper)
+}
+
 function createAuthStore(overrides = {}) {
   return reactive({
     user: { roles: [1], accountIds: [] },
@@ -356,7 +418,7 @@ describe('Playlist_Settings.vue', () => {
     accountsStore.getAll = vi.fn(async () => accountsStore.accounts)
     categoriesStore.categories = []
     categoriesStore.getAll = vi.fn(async () => categoriesStore.categories)
-    alertStore.alert.value = null
+    alertStore.reset()
     vi.clearAllMocks()
   })
 
@@ -381,7 +443,7 @@ describe('Playlist_Settings.vue', () => {
     expect(callArg).toEqual(expect.objectContaining({
       title: 'My Playlist',
       accountId: 1,
-      items: [{ videoId: 11, position: 1 }]
+      items: [{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }]
     }))
     expect(callArg.filename).toMatch(/^playlist-\d{6}\.m3u$/)
   })
@@ -411,6 +473,24 @@ describe('Playlist_Settings.vue', () => {
     expect(alertStore.error).toHaveBeenCalledWith('Стриминг этого видеофайла не поддерживается браузером.')
   })
 
+  it('shows video posters in both tables', async () => {
+    mockAccountAvailableVideos([
+      createAvailableVideo(11, { title: 'Video 1', posterUrl: 'https://cdn.example.com/posters/11.jpg' }),
+      createAvailableVideo(12, { title: 'Video 2' })
+    ])
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+
+    await selectAvailableVideo(wrapper, 'Video 1')
+    await clickBatchAdd(wrapper)
+
+    const playlistRow = findRowByTextAndSelector(wrapper, '[data-test="open-playlist-video-button"]', 'Video 1')
+    expect(playlistRow.find('[data-test="video-thumbnail-image"]').attributes('src')).toBe('https://cdn.example.com/posters/11.jpg')
+    const availableRow = findRowByTextAndSelector(wrapper, '[data-test="open-available-video-button"]', 'Video 2')
+    expect(availableRow.find('[data-test="video-thumbnail-image"]').exists()).toBe(false)
+    expect(availableRow.find('[data-test="video-thumbnail-placeholder"]').exists()).toBe(true)
+  })
+
   it('opens a playlist video in the playback dialog', async () => {
     const wrapper = mountSettings({ accountId: 1 })
     await flushPromises()
@@ -459,8 +539,8 @@ describe('Playlist_Settings.vue', () => {
 
     const callArg = playlistsStore.create.mock.calls[0][0]
     expect(callArg.items).toEqual([
-      { videoId: 22, position: 1 },
-      { videoId: 11, position: 2 }
+      { videoId: 22, position: 1, repeatCount: 1, weight: 1 },
+      { videoId: 11, position: 2, repeatCount: 1, weight: 1 }
     ])
   })
 
@@ -584,8 +664,8 @@ describe('Playlist_Settings.vue', () => {
 
     const callArg = playlistsStore.create.mock.calls[0][0]
     expect(callArg.items).toEqual([
-      { videoId: 11, position: 1 },
-      { videoId: 11, position: 2 }
+      { videoId: 11, position: 1, repeatCount: 1, weight: 1 },
+      { videoId: 11, position: 2, repeatCount: 1, weight: 1 }
     ])
   })
 
@@ -612,7 +692,7 @@ describe('Playlist_Settings.vue', () => {
     await flushPromises()
 
     const callArg = playlistsStore.create.mock.calls[0][0]
-    expect(callArg.items).toEqual([{ videoId: 11, position: 1 }])
+    expect(callArg.items).toEqual([{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }])
   })
 
   it('batch removal rebuilds playlist item positions before submit', async () => {
@@ -634,7 +714,202 @@ describe('Playlist_Settings.vue', () => {
     await flushPromises()
 
     const callArg = playlistsStore.create.mock.calls[0][0]
-    expect(callArg.items).toEqual([{ videoId: 11, position: 1 }])
+    expect(callArg.items).toEqual([{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }])
+  })
+
+  it('moves a playlist row with drag and drop', async () => {
+    mockAccountAvailableVideos([1, 2, 3, 4].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1, submitValues: { title: 'Dragged Playlist' } })
+    await flushPromises()
+    await addAllAvailableVideos(wrapper)
+
+    const rows = getPlaylistTable(wrapper).findAll('.playlist-video-row')
+    expect(rows[0].attributes('draggable')).toBe('true')
+    const dataTransfer = await dragOverPlaylistRow(wrapper, rows[0], 2, { after: true })
+
+    expect(dataTransfer.setData).toHaveBeenCalledWith('text/plain', 'playlist')
+    expect(dataTransfer.dropEffect).toBe('move')
+    expect(getPlaylistTable(wrapper).findAll('.playlist-video-row')[0].classes()).toContain('playlist-row-dragged')
+
+    await dropOnPlaylist(wrapper, dataTransfer)
+
+    expect(getPlaylistTitles(wrapper)).toEqual(['Video 02', 'Video 03', 'Video 01', 'Video 04'])
+    expect(getPlaylistTable(wrapper).find('.playlist-row-dragged').exists()).toBe(false)
+
+    await wrapper.find('[data-test="form"]').trigger('submit')
+    await flushPromises()
+    expect(playlistsStore.create.mock.calls[0][0].items.map(item => item.videoId)).toEqual([2, 3, 1, 4])
+  })
+
+  it('drags all selected playlist rows together', async () => {
+    mockAccountAvailableVideos([1, 2, 3, 4].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+    await addAllAvailableVideos(wrapper)
+
+    const selections = wrapper.findAll('[data-test="playlist-row-select"]')
+    await selections[0].setValue(true)
+    await selections[2].setValue(true)
+    const rows = getPlaylistTable(wrapper).findAll('.playlist-video-row')
+    await dragOverPlaylistRow(wrapper, rows[2], 3)
+
+    expect(getPlaylistTable(wrapper).findAll('.playlist-video-row')[3].classes()).toContain('playlist-row-drop-before')
+    await dropOnPlaylist(wrapper)
+
+    expect(getPlaylistTitles(wrapper)).toEqual(['Video 02', 'Video 01', 'Video 03', 'Video 04'])
+  })
+
+  it('inserts an available video at the drop position', async () => {
+    mockAccountAvailableVideos([1, 2, 3].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+    await selectAvailableVideo(wrapper, 'Video 01')
+    await selectAvailableVideo(wrapper, 'Video 02')
+    await clickBatchAdd(wrapper)
+
+    const availableRow = findRowByTextAndSelector(wrapper, '[data-test="add-video-button"]', 'Video 03')
+    const dataTransfer = await dragOverPlaylistRow(wrapper, availableRow, 1)
+    expect(dataTransfer.dropEffect).toBe('copy')
+    await dropOnPlaylist(wrapper, dataTransfer)
+
+    expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Video 03', 'Video 02'])
+  })
+
+  it('appends selected available videos dropped into an empty playlist', async () => {
+    mockAccountAvailableVideos([1, 2, 3].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+    await selectAvailableVideo(wrapper, 'Video 03')
+    await selectAvailableVideo(wrapper, 'Video 01')
+
+    const availableRow = findRowByTextAndSelector(wrapper, '[data-test="add-video-button"]', 'Video 03')
+    const dataTransfer = createDataTransfer()
+    await availableRow.trigger('dragstart', { dataTransfer })
+    const dropArea = wrapper.find('[data-test="playlist-drop-area"]')
+    await dropArea.trigger('dragover', { dataTransfer })
+    expect(dropArea.classes()).toContain('playlist-drop-area-active')
+    await dropOnPlaylist(wrapper, dataTransfer)
+
+    expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Video 03'])
+    expect(wrapper.findAll('[data-test="available-video-select"]').some(input => input.element.checked)).toBe(false)
+    expect(dropArea.classes()).not.toContain('playlist-drop-area-active')
+  })
+
+  it('ignores drops that did not start from a playlist table', async () => {
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+
+    await dropOnPlaylist(wrapper)
+
+    expect(getPlaylistTitles(wrapper)).toEqual([])
+  })
+
+  it('draws playlist items on the duration timeline', async () => {
+    mockAccountAvailableVideos([1, 3].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+    expect(wrapper.find('[data-test="playlist-timeline"]').exists()).toBe(false)
+
+    await addAllAvailableVideos(wrapper)
+
+    expect(wrapper.find('[data-test="playlist-timeline-total"]').text()).toBe('0:40')
+    expect(wrapper.find('[data-test="playlist-timeline-segment-1"]').attributes('style')).toContain('left: 25%')
+  })
+
+  it('edits repeat counts and weights and sends them with the play mode', async () => {
+    mockAccountAvailableVideos([1, 2].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1, submitValues: { title: 'Rules' } })
+    await flushPromises()
+    await addAllAvailableVideos(wrapper)
+
+    const weightInputs = () => wrapper.findAll('[data-test="weight-input"]')
+    expect(weightInputs()).toHaveLength(0)
+    expect(wrapper.find('[data-test="reshuffle-preview-button"]').exists()).toBe(false)
+
+    await wrapper.find('[data-test="play-mode-select"]').setValue('shuffle')
+    expect(weightInputs()).toHaveLength(2)
+    expect(weightInputs()[0].element.disabled).toBe(false)
+    expect(wrapper.find('[data-test="reshuffle-preview-button"]').exists()).toBe(true)
+
+    await wrapper.findAll('[data-test="repeat-count-input"]')[0].setValue('3')
+    await weightInputs()[1].setValue('500')
+    await wrapper.findAll('[data-test="repeat-count-input"]')[1].setValue('-2')
+    expect(weightInputs()[1].element.value).toBe('100')
+    expect(wrapper.findAll('[data-test="repeat-count-input"]')[1].element.value).toBe('1')
+
+    await wrapper.find('[data-test="form"]').trigger('submit')
+    await flushPromises()
+
+    const callArg = playlistsStore.create.mock.calls[0][0]
+    expect(callArg.playMode).toBe('shuffle')
+    expect(callArg.items).toEqual([
+      { videoId: 1, position: 1, repeatCount: 3, weight: 1 },
+      { videoId: 2, position: 2, repeatCount: 1, weight: 100 }
+    ])
+  })
+
+  it('previews one loop with repeats in the play order', async () => {
+    mockAccountAvailableVideos([1, 2, 3].map(id => createAvailableVideo(id)))
+    const wrapper = mountSettings({ accountId: 1 })
+    await flushPromises()
+    await addAllAvailableVideos(wrapper)
+
+    await wrapper.findAll('[data-test="repeat-count-input"]')[0].setValue('3')
+    const loopTitles = () => wrapper.findAll('[data-test="playlist-loop-play"]').map(play => play.text())
+
+    expect(loopTitles()).toEqual(['Video 01', 'Video 01', 'Video 01', 'Video 02', 'Video 03'])
+    expect(wrapper.find('[data-test="playlist-loop-summary"]').text()).toBe('Цикл: 5 показ(ов), 1:20')
+    expect(wrapper.find('[data-test="playlist-timeline-total"]').text()).toBe('1:20')
+    expect(wrapper.findAll('[data-test^="playlist-timeline-segment-"]')).toHaveLength(5)
+
+    await wrapper.find('[data-test="play-mode-select"]').setValue('interleave')
+    expect(loopTitles()).toEqual(['Video 01', 'Video 02', 'Video 01', 'Video 03', 'Video 01'])
+
+    await wrapper.find('[data-test="play-mode-select"]').setValue('shuffle')
+    const randomSpy = vi.spyOn(Math, 'random').mockReturnValue(0.5)
+    await wrapper.find('[data-test="reshuffle-preview-button"]').trigger('click')
+    randomSpy.mockRestore()
+    expect([...loopTitles()].sort()).toEqual(['Video 01', 'Video 01', 'Video 01', 'Video 02', 'Video 03'])
+    expect(wrapper.find('[data-test="playlist-loop-order"]').text()).toContain('плеер перемешивает каждый цикл')
+  })
+
+  it('loads play rules of an existing playlist', async () => {
+    mockAccountAvailableVideos([1, 2].map(id => createAvailableVideo(id)))
+    playlistsStore.playlist = {
+      id: 9,
+      title: 'Rules',
+      filename: 'rules.m3u',
+      accountId: 1,
+      playMode: 'interleave',
+      items: [
+        { videoId: 1, position: 1, repeatCount: 2, weight: 4 },
+        { videoId: 2, position: 2, repeatCount: 0, weight: 'x' }
+      ]
+    }
+    const wrapper = mountSettings({ register: false, id: 9, submitValues: { title: 'Rules' } })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="play-mode-select"]').element.value).toBe('interleave')
+    expect(wrapper.findAll('[data-test="repeat-count-input"]').map(input => input.element.value)).toEqual(['2', '1'])
+
+    await wrapper.find('[data-test="form"]').trigger('submit')
+    await flushPromises()
+
+    expect(playlistsStore.update).toHaveBeenCalledWith(9, expect.objectContaining({
+      playMode: 'interleave',
+      items: [
+        { videoId: 1, position: 1, repeatCount: 2, weight: 4 },
+        { videoId: 2, position: 2, repeatCount: 1, weight: 1 }
+      ]
+    }))
+  })
+
+  it('falls back to sequential play for an unknown play mode', async () => {
+    playlistsStore.playlist = { id: 9, title: 'Old', filename: 'old.m3u', accountId: 1, playMode: 'random', items: [] }
+    const wrapper = mountSettings({ register: false, id: 9 })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="play-mode-select"]').element.value).toBe('sequential')
   })
 
   it('select-all checkbox selects and clears currently visible available videos', async () => {
@@ -661,7 +936,7 @@ describe('Playlist_Settings.vue', () => {
     await flushPromises()
 
     const callArg = playlistsStore.create.mock.calls[0][0]
-    expect(callArg.items).toEqual([{ videoId: 11, position: 1 }])
+    expect(callArg.items).toEqual([{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }])
   })
 
   it('shows original filename subtitle for videos already added to the playlist', async () => {
@@ -719,8 +994,8 @@ describe('Playlist_Settings.vue', () => {
     await flushPromises()
 
     expect(playlistsStore.create.mock.calls[0][0].items).toEqual([
-      { videoId: 11, position: 1 },
-      { videoId: 12, position: 2 }
+      { videoId: 11, position: 1, repeatCount: 1, weight: 1 },
+      { videoId: 12, position: 2, repeatCount: 1, weight: 1 }
     ])
   })
 
@@ -743,7 +1018,7 @@ describe('Playlist_Settings.vue', () => {
     await flushPromises()
 
     expect(playlistsStore.create.mock.calls[0][0].items).toEqual(
-      Array.from({ length: 12 }, (_, index) => ({ videoId: index + 1, position: index + 1 }))
+      Array.from({ length: 12 }, (_, index) => ({ videoId: index + 1, position: index + 1, repeatCount: 1, weight: 1 }))
     )
   })
 
@@ -916,7 +1191,7 @@ describe('Playlist_Settings.vue', () => {
     expect(playlistsStore.create).toHaveBeenCalled()
     const callArg = playlistsStore.create.mock.calls[0][0]
     expect(callArg.title).toBe('Generated Playlist')
-    expect(callArg.items).toEqual([{ videoId: 11, position: 1 }])
+    expect(callArg.items).toEqual([{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }])
     expect(callArg.filename).toMatch(/^playlist-\d{6}\.m3u$/)
   })
 
@@ -998,10 +1273,37 @@ describe('Playlist_Settings.vue', () => {
     expect(playlistsStore.update).toHaveBeenCalledWith(9, {
       title: 'Updated',
       filename: 'old.json',
-      items: [{ videoId: 11, position: 1 }]
+      playMode: 'sequential',
+      startDate: null,
+      endDate: null,
+      items: [{ videoId: 11, position: 1, repeatCount: 1, weight: 1 }]
     })
   })
 
+  it('loads and saves the campaign period', async () => {
+    playlistsStore.playlist = {
+      id: 9,
+      title: 'Summer',
+      filename: 'summer.m3u',
+      accountId: 1,
+      startDate: '2026-06-01T00:00:00',
+      endDate: '2026-08-31',
+      items: []
+    }
+
+    const wrapper = mountSettings({ register: false, id: 9, submitValues: { title: 'Summer', accountId: 1 } })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="playlist-period"]').exists()).toBe(true)
+    await wrapper.find('[data-test="form"]').trigger('submit')
+    await flushPromises()
+
+    expect(playlistsStore.update).toHaveBeenCalledWith(9, expect.objectContaining({
+      startDate: '2026-06-01',
+      endDate: '2026-08-31'
+    }))
+  })
+
   it('blocks update when another playlist has the same trimmed description', async () => {
     playlistsStore.playlist = {
       id: 9,
@@ -1215,7 +1517,7 @@ describe('Playlist_Settings.vue', () => {
     expect(wrapper.find('.spinner-border-lg').exists()).toBe(false)
   })
 
-  it('dismisses alert via close button', async () => {
+  it('reports a failed save as a notification outside of the form', async () => {
     playlistsStore.create = vi.fn().mockRejectedValue({ status: 409 })
     const wrapper = mountSettings({ accountId: 1, submitValues: { title: 'My Playlist' } })
     await flushPromises()
@@ -1223,14 +1525,8 @@ describe('Playlist_Settings.vue', () => {
     await wrapper.find('[data-test="form"]').trigger('submit')
     await flushPromises()
 
-    expect(alertStore.alert.value).not.toBeNull()
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const searchInputEl = wrapper.find('[data-test="video-search-input"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(searchInputEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    await wrapper.find('.alert .close').trigger('click')
-    expect(alertStore.clear).toHaveBeenCalled()
+    expect(alertStore.alert).not.toBeNull()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
   })
 
   it('shows error alert when loading available videos fails', async () => {
@@ -1435,8 +1731,8 @@ describe('Playlist_Settings.vue', () => {
     const callArg = playlistsStore.create.mock.calls[0][0]
     // Large (9000) should be added first in descending file-size order
     expect(callArg.items).toEqual([
-      { videoId: 52, position: 1 },
-      { videoId: 51, position: 2 }
+      { videoId: 52, position: 1, repeatCount: 1, weight: 1 },
+      { videoId: 51, position: 2, repeatCount: 1, weight: 1 }
     ])
   })
 
@@ -1832,7 +2128,7 @@ describe('Playlist_Settings.vue', () => {
     await wrapper.find('[data-test="save-playlist-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertStore.error).toHaveBeenCalledWith('Required')
+    expect(alertStore.error).toHaveBeenCalledWith('Required', { routeScoped: true })
   })
 
   it('returns false from onInvalidSubmit and shows the validation alert', async () => {
@@ -1841,7 +2137,7 @@ describe('Playlist_Settings.vue', () => {
 
     const child = wrapper.findComponent(PlaylistSettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { title: 'Required' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Required')
+    expect(alertStore.error).toHaveBeenCalledWith('Required', { routeScoped: true })
   })
 
   it('guards playlist action handlers when required input is missing', async () => {
@@ -1913,4 +2209,153 @@ describe('Playlist_Settings.vue', () => {
       expect.objectContaining({ accountId: null })
     )
   })
+
+  describe('M3U import', () => {
+    const m3uText = [
+      '#EXTM3U',
+      '#EXTINF:10,Первое',
+      'C:\\Media\\video-01.mp4',
+      '#EXTINF:-1,Новое',
+      'missing.mp4',
+      '#EXTINF:20,Второе',
+      'http://example.com/media/VIDEO-02.mp4'
+    ].join('\r\n')
+
+    beforeEach(() => {
+      mockAccountAvailableVideos([1, 2].map(id => createAvailableVideo(id)))
+      uploadManagerStore.enqueue = vi.fn(async (entries) => entries.map((entry, index) => ({ id: index + 1, file: entry.file, status: 'done' })))
+      probeVideoFile.mockReset()
+      probeVideoFile.mockResolvedValue({ playable: true, duration: 30, width: 640, height: 360, poster: null, reason: null })
+    })
+
+    it('adds matched entries in file order and reports the missing ones', async () => {
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('show.m3u8', m3uText)])
+
+      expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Video 02'])
+      const report = wrapper.find('[data-test="import-report"]')
+      expect(report.text()).toContain('Не найдены видеофайлы из show.m3u8: 1')
+      expect(wrapper.findAll('[data-test="import-missing-entry"]').map(entry => entry.text())).toEqual(['missing.mp4 — Новое'])
+      expect(wrapper.find('[data-test="upload-missing-videos-button"]').exists()).toBe(true)
+
+      await wrapper.find('[data-test="dismiss-import-report-button"]').trigger('click')
+      expect(wrapper.find('[data-test="import-report"]').exists()).toBe(false)
+    })
+
+    it('reports success when every entry is found', async () => {
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('all.m3u', 'video-02.mp4\nvideo-01.mp4\n')])
+
+      expect(getPlaylistTitles(wrapper)).toEqual(['Video 02', 'Video 01'])
+      expect(wrapper.find('[data-test="import-report"]').exists()).toBe(false)
+      expect(alertStore.success).toHaveBeenCalledWith('Импортировано видео из all.m3u: 2')
+    })
+
+    it('restores repeat counts of exported playlists', async () => {
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+
+      const text = [
+        '#EXTM3U',
+        '#EXTINF:10 media-pi-repeat="2",Первое',
+        'video-01.mp4',
+        '#EXTINF:20,Второе',
+        'video-02.mp4',
+        '#EXTINF:10 media-pi-repeat="0",Первое',
+        'video-01.mp4'
+      ].join('\r\n')
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('loop.m3u', text)])
+
+      expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Video 02'])
+      expect(wrapper.findAll('[data-test="repeat-count-input"]').map(input => input.element.value)).toEqual(['2', '1'])
+      expect(alertStore.success).toHaveBeenCalledWith('Импортировано видео из loop.m3u: 2')
+    })
+
+    it('rejects a file without entries', async () => {
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('empty.m3u', '#EXTM3U\n')])
+
+      expect(alertStore.error).toHaveBeenCalledWith('Файл empty.m3u не содержит видеофайлов')
+      expect(getPlaylistTitles(wrapper)).toEqual([])
+    })
+
+    it('uploads missing videos and inserts them at their place in the file', async () => {
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('show.m3u', m3uText)])
+
+      mockAccountAvailableVideos([
+        ...[1, 2].map(id => createAvailableVideo(id)),
+        createAvailableVideo(3, { title: 'Uploaded', originalFilename: 'missing.mp4' })
+      ])
+      const missing = { name: 'missing.mp4', size: 100 }
+      const unrelated = { name: 'other.mp4', size: 100 }
+      await chooseFiles(wrapper, '[data-test="upload-missing-videos-input"]', [missing, unrelated])
+
+      expect(probeVideoFile).toHaveBeenCalledTimes(1)
+      expect(uploadManagerStore.enqueue).toHaveBeenCalledWith([expect.objectContaining({
+        file: missing,
+        accountId: 1,
+        title: '',
+        metadata: { duration: 30, width: 640, height: 360 }
+      })])
+      expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Uploaded', 'Video 02'])
+      expect(wrapper.find('[data-test="import-report"]').exists()).toBe(false)
+      expect(alertStore.success).toHaveBeenCalledWith('Добавлено загруженных видео: 1')
+      expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить видеофайлы: "other.mp4": нет в импортированном плейлисте')
+    })
+
+    it('keeps unplayable missing videos in the report', async () => {
+      probeVideoFile.mockResolvedValue({ playable: false, reason: 'Формат видеофайла не поддерживается проигрывателем' })
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('show.m3u', m3uText)])
+
+      await chooseFiles(wrapper, '[data-test="upload-missing-videos-input"]', [{ name: 'missing.mp4', size: 100 }])
+
+      expect(confirmAction).toHaveBeenCalledWith(
+        '"missing.mp4": Формат видеофайла не поддерживается проигрывателем. Браузер не смог проверить файл. ' +
+          'Загрузить его, если проигрыватели поддерживают этот формат?',
+        { title: 'Видеофайл не распознан', confirmationText: 'Загрузить', cancellationText: 'Не загружать' }
+      )
+      expect(uploadManagerStore.enqueue).not.toHaveBeenCalled()
+      expect(wrapper.findAll('[data-test="import-missing-entry"]')).toHaveLength(1)
+      expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить видеофайлы: "missing.mp4": Формат видеофайла не поддерживается проигрывателем')
+    })
+
+    it('uploads an unplayable missing video the user confirms', async () => {
+      probeVideoFile.mockResolvedValue({ playable: false, duration: null, reason: 'Формат видеофайла не поддерживается проигрывателем' })
+      confirmAction.mockResolvedValueOnce(true)
+      const wrapper = mountSettings({ accountId: 1 })
+      await flushPromises()
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('show.m3u', m3uText)])
+
+      mockAccountAvailableVideos([
+        ...[1, 2].map(id => createAvailableVideo(id)),
+        createAvailableVideo(3, { title: 'Uploaded', originalFilename: 'missing.mp4' })
+      ])
+      const missing = { name: 'missing.mp4', size: 100 }
+      await chooseFiles(wrapper, '[data-test="upload-missing-videos-input"]', [missing])
+
+      expect(uploadManagerStore.enqueue).toHaveBeenCalledWith([expect.objectContaining({ file: missing, metadata: null })])
+      expect(getPlaylistTitles(wrapper)).toEqual(['Video 01', 'Uploaded', 'Video 02'])
+      expect(alertStore.error).not.toHaveBeenCalled()
+    })
+
+    it('does not offer uploads when the playlist has no account', async () => {
+      const wrapper = mountSettings()
+      await flushPromises()
+
+      await chooseFiles(wrapper, '[data-test="import-m3u-input"]', [createPlaylistFile('show.m3u', 'missing.mp4')])
+
+      expect(wrapper.find('[data-test="import-report"]').exists()).toBe(true)
+      expect(wrapper.find('[data-test="upload-missing-videos-button"]').exists()).toBe(false)
+    })
+  })
 })
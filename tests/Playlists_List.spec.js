@@ -2,12 +2,15 @@
 // Copyright (c) 2025 sw.consulting
 // This file is a part of Media Pi  frontend application
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import { reactive, ref, nextTick } from 'vue'
 import PlaylistsList from '@/components/Playlists_List.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
+/* global Blob */
 const routerPush = vi.hoisted(() => vi.fn())
+const saveBlob = vi.hoisted(() => vi.fn(() => true))
 
 let currentUser
 let authStore
@@ -29,20 +32,22 @@ const playlistsStore = {
   loading: ref(false),
   error: ref(null),
   getAllByAccount: vi.fn(async () => playlistsStore.playlists.value),
+  getById: vi.fn(),
   remove: vi.fn(async () => ({}))
 }
 
-const alertStore = {
-  alert: ref(null),
-  success: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-success' } }),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
+const videosStore = {
+  listByAccount: vi.fn()
 }
 
+const alertStore = createAlertStoreMock()
+
 const confirmation = { confirmDelete: vi.fn(async () => true) }
 
 vi.mock('@/stores/accounts.store.js', () => ({ useAccountsStore: () => accountsStore }))
 vi.mock('@/stores/playlists.store.js', () => ({ usePlaylistsStore: () => playlistsStore }))
+vi.mock('@/stores/videos.store.js', () => ({ useVideosStore: () => videosStore }))
+vi.mock('@/helpers/file.download.js', () => ({ saveBlob }))
 vi.mock('@/stores/auth.store.js', () => ({ useAuthStore: () => makeAuthStore() }))
 vi.mock('@/stores/alert.store.js', () => ({ useAlertStore: () => alertStore }))
 vi.mock('@/helpers/confirmation.js', () => ({ useConfirmation: () => confirmation }))
@@ -51,6 +56,13 @@ vi.mock('@sw-consulting/tooling.ui.kit', () => ({
   ActionButton: { name: 'ActionButton', props: ['item', 'icon', 'tooltipText', 'disabled'], emits: ['click'], template: '<button :disabled="disabled" @click="$emit(\'click\', item)"></button>' }
 }))
 
+// jsdom blobs have no text()
+const readBlobText = (blob) => new Promise(resolve => {
+  const reader = new window.FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
 const globalStubs = {
   'v-card': { template: '<div><slot /></div>' },
   'v-select': {
@@ -65,13 +77,14 @@ const globalStubs = {
     template: '<select @change="emitValue"><option v-for="item in items" :key="item.value" :value="item.value">{{ item.title }}</option></select>'
   },
   'v-data-table': {
-    props: ['items', 'headers', 'noDataText', 'noResultsText'],
+    props: ['items', 'headers', 'noDataText', 'noResultsText', 'rowProps'],
     template: `
       <div class="data-table">
         <div v-for="header in headers" :key="header.key" :data-test="'table-header-' + header.key">{{ header.title }}</div>
         <div v-if="!items.length" data-test="table-empty">{{ noDataText }}</div>
-        <div v-for="item in items" :key="item.id">
+        <div v-for="item in items" :key="item.id" :class="rowProps?.({ item }).class" :data-test="'playlist-row-' + item.id">
           <slot name="item.updatedAtSortKey" :item="item" />
+          <slot name="item.campaignSortKey" :item="item" />
           <slot name="item.totalFileSizeBytes" :item="item" />
           <slot name="item.totalDurationSeconds" :item="item" />
           <slot name="item.actions" :item="item" />
@@ -263,4 +276,107 @@ describe('Playlists_List.vue', () => {
     expect(btn.attributes('disabled')).toBeDefined()
     expect(wrapper.find('[data-test="table-empty"]').text()).toBe('Нет плейлистов')
   })
+
+  it('exports a playlist as extended M3U', async () => {
+    accountsStore.accounts.value = [{ id: 5, name: 'Five' }]
+    playlistsStore.playlists.value = [{ id: 3, title: 'Утро', filename: 'playlist-123456.m3u', accountId: 5 }]
+    playlistsStore.getById.mockResolvedValue({
+      id: 3,
+      title: 'Утро',
+      filename: 'playlist-123456.m3u',
+      accountId: 5,
+      items: [{ videoId: 2, position: 2 }, { videoId: 1, position: 1 }]
+    })
+    videosStore.listByAccount.mockImplementation(async (accountId) => (accountId === 0
+      ? [{ id: 1, title: 'Заставка', originalFilename: 'intro.mp4', durationSeconds: 12.4 }]
+      : [{ id: 2, title: 'Промо', originalFilename: 'promo.mp4', durationSeconds: 30 }]))
+    const wrapper = mount(PlaylistsList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    await wrapper.find('[data-test="export-playlist-button"]').trigger('click')
+    await flushPromises()
+
+    expect(playlistsStore.getById).toHaveBeenCalledWith(3)
+    expect(videosStore.listByAccount).toHaveBeenCalledWith(0, { availableForAccountId: 5 })
+    expect(videosStore.listByAccount).toHaveBeenCalledWith(5)
+    expect(saveBlob).toHaveBeenCalledTimes(1)
+    const [blob, filename] = saveBlob.mock.calls[0]
+    expect(filename).toBe('playlist-123456.m3u')
+    expect(blob).toBeInstanceOf(Blob)
+    expect(blob.type).toBe('audio/x-mpegurl;charset=utf-8')
+    expect(await readBlobText(blob)).toBe('#EXTM3U\r\n#PLAYLIST:Утро\r\n#EXTINF:12,Заставка\r\nintro.mp4\r\n#EXTINF:30,Промо\r\npromo.mp4\r\n')
+    expect(alertStore.error).not.toHaveBeenCalled()
+  })
+
+  it('reports playlist items left out of the export', async () => {
+    accountsStore.accounts.value = [{ id: 5, name: 'Five' }]
+    playlistsStore.playlists.value = [{ id: 3, title: 'Утро', accountId: 5 }]
+    playlistsStore.getById.mockResolvedValue({ id: 3, title: 'Утро', accountId: 5, items: [{ videoId: 9, position: 1 }] })
+    videosStore.listByAccount.mockResolvedValue([])
+    const wrapper = mount(PlaylistsList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    await wrapper.find('[data-test="export-playlist-button"]').trigger('click')
+    await flushPromises()
+
+    expect(saveBlob.mock.calls[0][1]).toBe('playlist-3.m3u')
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось найти видеофайлы для 1 элемент(ов) плейлиста, они не попали в файл')
+  })
+
+  it('shows an error when the export fails', async () => {
+    accountsStore.accounts.value = [{ id: 5, name: 'Five' }]
+    playlistsStore.playlists.value = [{ id: 3, title: 'Утро', accountId: 5 }]
+    playlistsStore.getById.mockRejectedValue(new Error('Network down'))
+    const wrapper = mount(PlaylistsList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    await wrapper.find('[data-test="export-playlist-button"]').trigger('click')
+    await flushPromises()
+
+    expect(saveBlob).not.toHaveBeenCalled()
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось экспортировать плейлист: Network down')
+    expect(wrapper.find('[data-test="export-playlist-button"]').attributes('disabled')).toBeUndefined()
+  })
+
+  describe('campaign periods', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2026, 5, 15, 12))
+      accountsStore.accounts.value = [{ id: 5, name: 'Five' }]
+      playlistsStore.playlists.value = [
+        { id: 1, title: 'Весна', accountId: 5, startDate: '2026-03-01', endDate: '2026-05-31' },
+        { id: 2, title: 'Лето', accountId: 5, startDate: '2026-06-01', endDate: '2026-08-31' },
+        { id: 3, title: 'Осень', accountId: 5, startDate: '2026-09-01' },
+        { id: 4, title: 'Всегда', accountId: 5 }
+      ]
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('highlights expired and upcoming playlists', async () => {
+      const wrapper = mount(PlaylistsList, { global: { stubs: globalStubs } })
+      await flushPromises()
+
+      expect(wrapper.find('[data-test="table-header-campaignSortKey"]').text()).toBe('Период действия')
+      expect(wrapper.find('[data-test="playlist-row-1"]').classes()).toContain('playlist-row-expired')
+      expect(wrapper.find('[data-test="playlist-row-2"]').classes()).toContain('playlist-row-active')
+      expect(wrapper.find('[data-test="playlist-row-3"]').classes()).toContain('playlist-row-upcoming')
+      expect(wrapper.find('[data-test="playlist-row-4"]').classes()).toEqual([])
+      expect(wrapper.find('[data-test="playlist-row-1"] [data-test="campaign-state-expired"]').text()).toContain('с 01.03.2026 по 31.05.2026')
+      expect(wrapper.find('[data-test="playlist-row-3"] [data-test="campaign-state-upcoming"]').text()).toContain('с 01.09.2026')
+      expect(wrapper.find('[data-test="playlist-row-4"] .campaign-badge').exists()).toBe(false)
+    })
+
+    it('matches playlist search against the period and its state', async () => {
+      const wrapper = mount(PlaylistsList, { global: { stubs: globalStubs } })
+      await flushPromises()
+
+      const item = { raw: playlistsStore.playlists.value[0] }
+      expect(wrapper.vm.filterPlaylists(null, '31.05.2026', item)).toBe(true)
+      expect(wrapper.vm.filterPlaylists(null, 'истёк', item)).toBe(true)
+      expect(wrapper.vm.filterPlaylists(null, 'истёк', { raw: playlistsStore.playlists.value[3] })).toBe(false)
+    })
+  })
 })
@@ -0,0 +1,171 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ScheduleTimeline from '@/components/ScheduleTimeline.vue'
+
+// Tracks are 1440px wide, so one pixel is one minute
+const trackRect = { left: 0, right: 1440, width: 1440, top: 0, bottom: 28, height: 28, x: 0, y: 0 }
+
+const baseValues = () => ({
+  playlist: ['08:00'],
+  video: ['09:00', '21:00'],
+  rest: [{ start: '12:00', stop: '13:00' }],
+  photoReport: ['01:00:00']
+})
+
+let wrapper
+
+const mountTimeline = (props = {}) => {
+  wrapper = mount(ScheduleTimeline, {
+    props: {
+      modelValue: baseValues(),
+      // Emulate v-model so consecutive drag steps see the updated values
+      'onUpdate:modelValue': (value) => wrapper.setProps({ modelValue: value }),
+      ...props
+    },
+    attachTo: document.body
+  })
+  wrapper.findAll('.timeline-track').forEach(track => {
+    track.element.getBoundingClientRect = () => trackRect
+  })
+  return wrapper
+}
+
+const moveTo = async (clientX) => {
+  window.dispatchEvent(new window.MouseEvent('pointermove', { clientX }))
+  await wrapper.vm.$nextTick()
+}
+
+const release = async () => {
+  window.dispatchEvent(new window.MouseEvent('pointerup'))
+  await wrapper.vm.$nextTick()
+}
+
+const lastValue = () => {
+  const emitted = wrapper.emitted('update:modelValue')
+  return emitted[emitted.length - 1][0]
+}
+
+describe('ScheduleTimeline.vue', () => {
+  afterEach(() => {
+    wrapper?.unmount()
+    wrapper = null
+  })
+
+  it('renders upload markers and rest intervals', () => {
+    mountTimeline()
+
+    expect(wrapper.findAll('[data-test^="timeline-marker-playlist-"]')).toHaveLength(1)
+    expect(wrapper.findAll('[data-test^="timeline-marker-video-"]')).toHaveLength(2)
+    const marker = wrapper.get('[data-test="timeline-marker-video-1"]')
+    expect(marker.attributes('style')).toContain(`left: ${(21 * 60 / 1440) * 100}%`)
+    expect(marker.attributes('title')).toBe('Загрузка видео: 21:00')
+
+    const interval = wrapper.get('[data-test="timeline-rest-0-0"]')
+    expect(interval.attributes('style')).toContain('left: 50%')
+    expect(interval.attributes('title')).toBe('Время отдыха: 12:00—13:00')
+    expect(wrapper.find('[data-test="timeline-issues"]').exists()).toBe(false)
+  })
+
+  it('renders a midnight-crossing period as two segments with a note', () => {
+    mountTimeline({ modelValue: { ...baseValues(), rest: [{ start: '23:00', stop: '07:00' }] } })
+
+    expect(wrapper.find('[data-test="timeline-rest-0-0"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="timeline-rest-0-1"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="timeline-rest-0-0"] [data-test="timeline-handle-0-start"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="timeline-rest-0-1"] [data-test="timeline-handle-0-stop"]').exists()).toBe(true)
+    expect(wrapper.get('[data-test="timeline-issue-midnight"]').text())
+      .toBe('Период отдыха 23:00—07:00 переходит через полночь')
+  })
+
+  it('highlights overlapping rest periods', () => {
+    mountTimeline({
+      modelValue: {
+        ...baseValues(),
+        rest: [{ start: '12:00', stop: '13:00' }, { start: '12:30', stop: '14:00' }]
+      }
+    })
+
+    expect(wrapper.findAll('.timeline-interval-overlap')).toHaveLength(2)
+    expect(wrapper.get('[data-test="timeline-issue-overlap"]').classes()).toContain('text-danger')
+  })
+
+  it('creates a rest period by dragging on the empty track', async () => {
+    mountTimeline()
+
+    await wrapper.get('[data-test="timeline-track-rest"]').trigger('pointerdown', { clientX: 1200 })
+    await moveTo(1322)
+    await release()
+
+    expect(lastValue().rest).toEqual([
+      { start: '12:00', stop: '13:00' },
+      { start: '20:00', stop: '22:00' }
+    ])
+    expect(lastValue().photoReport).toEqual(['01:00:00'])
+  })
+
+  it('creates a period backwards and reuses an empty default period', async () => {
+    mountTimeline({ modelValue: { ...baseValues(), rest: [{ start: '00:00', stop: '00:00' }] } })
+
+    await wrapper.get('[data-test="timeline-track-rest"]').trigger('pointerdown', { clientX: 600 })
+    await moveTo(480)
+    await release()
+
+    expect(lastValue().rest).toEqual([{ start: '08:00', stop: '10:00' }])
+  })
+
+  it('does not keep an empty period after a plain click', async () => {
+    mountTimeline()
+
+    await wrapper.get('[data-test="timeline-track-rest"]').trigger('pointerdown', { clientX: 300 })
+    await release()
+
+    expect(lastValue().rest).toEqual([{ start: '12:00', stop: '13:00' }])
+  })
+
+  it('resizes a rest period past midnight with the edge handle', async () => {
+    mountTimeline()
+
+    await wrapper.get('[data-test="timeline-handle-0-stop"]').trigger('pointerdown', { clientX: 780 })
+    await moveTo(60)
+    await release()
+
+    expect(lastValue().rest).toEqual([{ start: '12:00', stop: '01:00' }])
+    expect(wrapper.find('[data-test="timeline-rest-0-1"]').exists()).toBe(true)
+  })
+
+  it('adds, moves and removes upload markers', async () => {
+    mountTimeline()
+
+    await wrapper.get('[data-test="timeline-track-playlist"]').trigger('pointerdown', { clientX: 1080 })
+    await release()
+    expect(lastValue().playlist).toEqual(['08:00', '18:00'])
+
+    await wrapper.get('[data-test="timeline-marker-video-0"]').trigger('pointerdown', { clientX: 540 })
+    await moveTo(612)
+    await release()
+    expect(lastValue().video).toEqual(['10:15', '21:00'])
+
+    await wrapper.get('[data-test="timeline-marker-video-1"]').trigger('dblclick')
+    expect(lastValue().video).toEqual(['10:15'])
+
+    const emittedCount = wrapper.emitted('update:modelValue').length
+    await wrapper.get('[data-test="timeline-marker-video-0"]').trigger('dblclick')
+    expect(wrapper.emitted('update:modelValue')).toHaveLength(emittedCount)
+  })
+
+  it('ignores pointer input when disabled', async () => {
+    mountTimeline({ disabled: true })
+
+    await wrapper.get('[data-test="timeline-track-rest"]').trigger('pointerdown', { clientX: 300 })
+    await wrapper.get('[data-test="timeline-handle-0-start"]').trigger('pointerdown', { clientX: 720 })
+    await moveTo(600)
+    await release()
+    await wrapper.get('[data-test="timeline-rest-0-0"]').trigger('dblclick')
+
+    expect(wrapper.emitted('update:modelValue')).toBeUndefined()
+    expect(wrapper.classes()).toContain('schedule-timeline-disabled')
+  })
+})
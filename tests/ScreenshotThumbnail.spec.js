@@ -0,0 +1,101 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { reactive } from 'vue'
+import ScreenshotThumbnail from '@/components/ScreenshotThumbnail.vue'
+
+const screenshotsStore = reactive({
+  previews: {},
+  loadPreview: vi.fn()
+})
+
+vi.mock('@/stores/screenshots.store.js', () => ({
+  useScreenshotsStore: () => screenshotsStore
+}))
+
+class FakeIntersectionObserver {
+  static instances = []
+
+  constructor(callback, options) {
+    this.callback = callback
+    this.options = options
+    this.disconnect = vi.fn()
+    this.observe = vi.fn()
+    FakeIntersectionObserver.instances.push(this)
+  }
+
+  intersect(isIntersecting) {
+    this.callback([{ isIntersecting }])
+  }
+}
+
+const mountThumbnail = () => mount(ScreenshotThumbnail, {
+  props: { screenshotId: 5, alt: 'shot.jpg' },
+  global: { stubs: { 'font-awesome-icon': true } }
+})
+
+describe('ScreenshotThumbnail', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    screenshotsStore.previews = {}
+    screenshotsStore.loadPreview.mockImplementation(async (id) => {
+      screenshotsStore.previews = { ...screenshotsStore.previews, [id]: `blob:preview-${id}` }
+    })
+    FakeIntersectionObserver.instances = []
+    vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('loads the image when it scrolls into view', async () => {
+    const wrapper = mountThumbnail()
+    const [observer] = FakeIntersectionObserver.instances
+
+    expect(observer.observe).toHaveBeenCalledWith(wrapper.element)
+    expect(wrapper.find('[data-test="screenshot-thumbnail-placeholder"]').exists()).toBe(true)
+
+    observer.intersect(false)
+    expect(screenshotsStore.loadPreview).not.toHaveBeenCalled()
+
+    observer.intersect(true)
+    await flushPromises()
+
+    expect(screenshotsStore.loadPreview).toHaveBeenCalledWith(5)
+    expect(observer.disconnect).toHaveBeenCalled()
+    const image = wrapper.get('[data-test="screenshot-thumbnail-image"]')
+    expect(image.attributes('src')).toBe('blob:preview-5')
+    expect(image.attributes('alt')).toBe('shot.jpg')
+  })
+
+  it('loads at once without IntersectionObserver', async () => {
+    vi.stubGlobal('IntersectionObserver', undefined)
+    const wrapper = mountThumbnail()
+    await flushPromises()
+
+    expect(screenshotsStore.loadPreview).toHaveBeenCalledWith(5)
+    expect(wrapper.find('[data-test="screenshot-thumbnail-image"]').exists()).toBe(true)
+  })
+
+  it('keeps the placeholder when the image fails to load', async () => {
+    screenshotsStore.loadPreview.mockRejectedValueOnce(new Error('404'))
+    const wrapper = mountThumbnail()
+    FakeIntersectionObserver.instances[0].intersect(true)
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="screenshot-thumbnail-image"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="screenshot-thumbnail-placeholder"]').exists()).toBe(true)
+  })
+
+  it('stops observing when unmounted', () => {
+    const wrapper = mountThumbnail()
+    const [observer] = FakeIntersectionObserver.instances
+
+    wrapper.unmount()
+
+    expect(observer.disconnect).toHaveBeenCalled()
+  })
+})
@@ -2,7 +2,7 @@
 // Copyright (c) 2026 sw.consulting
 // This file is a part of Media Pi frontend application
 
-import { describe, it, expect, vi } from 'vitest'
+import { describe, it, expect, vi, afterEach } from 'vitest'
 import { mount } from '@vue/test-utils'
 
 import ScreenshotViewDialog from '@/components/Screenshot_View_Dialog.vue'
@@ -56,4 +56,68 @@ describe('Screenshot_View_Dialog.vue', () => {
 
     expect(wrapper.emitted('update:modelValue')?.[0]).toEqual([false])
   })
+
+  describe('navigation', () => {
+    let wrapper
+
+    afterEach(() => {
+      wrapper?.unmount()
+      wrapper = null
+    })
+
+    const mountNavigable = (props = {}) => mount(ScreenshotViewDialog, {
+      props: {
+        modelValue: true,
+        screenshot: { filename: 'shot.jpg', objectUrl: 'blob:shot' },
+        hasPrevious: true,
+        hasNext: true,
+        position: '3 из 25',
+        ...props
+      },
+      global: { stubs: globalStubs }
+    })
+
+    const press = (key) => window.dispatchEvent(new window.KeyboardEvent('keydown', { key }))
+
+    it('flips through photos with the arrow keys and the buttons', async () => {
+      wrapper = mountNavigable()
+
+      expect(wrapper.get('[data-test="screenshot-position"]').text()).toBe('3 из 25')
+      press('ArrowRight')
+      press('ArrowLeft')
+      await wrapper.find('[data-test="next-screenshot"]').trigger('click')
+
+      expect(wrapper.emitted('next')).toHaveLength(2)
+      expect(wrapper.emitted('previous')).toHaveLength(1)
+    })
+
+    it('stops at the ends and while the next photo is loading', async () => {
+      wrapper = mountNavigable({ hasPrevious: false })
+
+      press('ArrowLeft')
+      expect(wrapper.emitted('previous')).toBeUndefined()
+      expect(wrapper.get('[data-test="previous-screenshot"]').attributes('disabled')).toBeDefined()
+
+      await wrapper.setProps({ loading: true })
+      press('ArrowRight')
+      expect(wrapper.emitted('next')).toBeUndefined()
+    })
+
+    it('ignores the keys while closed and after unmount', async () => {
+      wrapper = mountNavigable({ modelValue: false })
+      press('ArrowRight')
+      expect(wrapper.emitted('next')).toBeUndefined()
+
+      await wrapper.setProps({ modelValue: true })
+      wrapper.unmount()
+      press('ArrowRight')
+      expect(wrapper.emitted('next')).toBeUndefined()
+      wrapper = null
+    })
+
+    it('hides navigation for a single photo', () => {
+      wrapper = mountNavigable({ hasPrevious: false, hasNext: false, position: '' })
+      expect(wrapper.find('[data-test="next-screenshot"]').exists()).toBe(false)
+    })
+  })
 })
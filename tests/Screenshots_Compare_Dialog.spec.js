@@ -0,0 +1,128 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { reactive } from 'vue'
+import ScreenshotsCompareDialog from '@/components/Screenshots_Compare_Dialog.vue'
+
+const screenshotsStore = reactive({
+  previews: {},
+  loadPreview: vi.fn(),
+  listByDevice: vi.fn()
+})
+
+const devicesStore = reactive({
+  devices: [],
+  getAll: vi.fn()
+})
+
+vi.mock('@/stores/screenshots.store.js', () => ({
+  useScreenshotsStore: () => screenshotsStore
+}))
+
+vi.mock('@/stores/devices.store.js', () => ({
+  useDevicesStore: () => devicesStore
+}))
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    props: ['item', 'icon', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+const globalStubs = {
+  'v-dialog': {
+    props: ['modelValue'],
+    template: '<div v-if="modelValue" class="v-dialog-stub"><slot /></div>'
+  },
+  'v-card': { template: '<div><slot /></div>' }
+}
+
+const items = () => [
+  { id: 5, deviceId: 7, deviceTitle: 'Device 7', timeCreated: '2026-04-15T10:00:00Z' },
+  { id: 8, deviceId: 7, deviceTitle: 'Device 7', timeCreated: '2026-04-15T12:00:00Z' }
+]
+
+const mountDialog = (props = {}) => mount(ScreenshotsCompareDialog, {
+  props: { modelValue: true, items: items(), groupId: 3, ...props },
+  global: { stubs: globalStubs }
+})
+
+describe('Screenshots_Compare_Dialog', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    screenshotsStore.previews = { 5: 'blob:preview-5' }
+    screenshotsStore.loadPreview.mockResolvedValue('blob:preview')
+    screenshotsStore.listByDevice.mockResolvedValue([])
+    devicesStore.devices = [
+      { id: 7, name: 'Device 7', deviceGroupId: 3 },
+      { id: 9, name: 'Device 9', deviceGroupId: 3 },
+      { id: 11, name: 'Device 11', deviceGroupId: 4 }
+    ]
+    devicesStore.getAll.mockResolvedValue()
+  })
+
+  it('shows the photos side by side', () => {
+    const wrapper = mountDialog()
+
+    const columns = wrapper.findAll('[data-test="compare-item"]')
+    expect(columns).toHaveLength(2)
+    expect(columns[0].text()).toContain('Device 7')
+    expect(columns[0].find('img').attributes('src')).toBe('blob:preview-5')
+    expect(columns[1].find('img').exists()).toBe(false)
+    expect(screenshotsStore.loadPreview).toHaveBeenCalledWith(5)
+    expect(screenshotsStore.loadPreview).toHaveBeenCalledWith(8)
+    expect(wrapper.get('.screenshots-compare-body').attributes('style')).toContain('repeat(2, minmax(0, 1fr))')
+  })
+
+  it('removes a photo from the comparison', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.findAll('[data-test="compare-remove-item"]')[0].trigger('click')
+
+    expect(wrapper.emitted('update:items')[0][0].map(item => item.id)).toEqual([8])
+  })
+
+  it('adds the photo another device of the group took at the same time', async () => {
+    screenshotsStore.listByDevice.mockResolvedValue([{ id: 40, timeCreated: '2026-04-15T09:59:00Z' }])
+    const wrapper = mountDialog()
+
+    const options = wrapper.findAll('[data-test="compare-device-select"] option').map(option => option.text())
+    expect(options).toEqual(['Устройство группы', 'Device 7', 'Device 9'])
+
+    await wrapper.get('[data-test="compare-device-select"]').setValue(9)
+    await wrapper.get('[data-test="compare-add-device-photo"]').trigger('click')
+    await flushPromises()
+
+    expect(screenshotsStore.listByDevice).toHaveBeenCalledWith(9, { to: '2026-04-15T10:00:00Z', pageSize: 1 })
+    expect(wrapper.emitted('update:items')[0][0][2]).toEqual({
+      id: 40, deviceId: 9, deviceTitle: 'Device 9', timeCreated: '2026-04-15T09:59:00Z'
+    })
+  })
+
+  it('explains when the device has no photo for that time', async () => {
+    const wrapper = mountDialog()
+
+    await wrapper.get('[data-test="compare-device-select"]').setValue(9)
+    await wrapper.get('[data-test="compare-add-device-photo"]').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.get('[data-test="compare-error"]').text()).toBe('У устройства Device 9 нет фотографий за это время')
+    expect(wrapper.emitted('update:items')).toBeUndefined()
+  })
+
+  it('offers no devices without a group or when the comparison is full', () => {
+    expect(mountDialog({ groupId: null }).find('[data-test="compare-device-select"]').exists()).toBe(false)
+    expect(mountDialog({ maxItems: 2 }).find('[data-test="compare-device-select"]').exists()).toBe(false)
+  })
+
+  it('loads the devices of the group when they are not known yet', () => {
+    devicesStore.devices = []
+    mountDialog()
+    expect(devicesStore.getAll).toHaveBeenCalled()
+  })
+})
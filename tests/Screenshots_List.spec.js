@@ -3,10 +3,11 @@
 // This file is a part of Media Pi frontend application
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { mount, flushPromises } from '@vue/test-utils'
+import { mount, flushPromises, enableAutoUnmount } from '@vue/test-utils'
 import { reactive, ref } from 'vue'
 
 import ScreenshotsList from '@/components/Screenshots_List.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const authStore = reactive({
   user: { roles: [1], accountIds: [] },
@@ -21,7 +22,6 @@ const screenshotsLoadingRef = ref(false)
 const totalCountRef = ref(0)
 const deviceRef = ref({ id: 7, name: 'Device 7' })
 const deviceLoadingRef = ref(false)
-const alertRef = ref(null)
 let deviceAccountId = null
 
 const getAllByDevice = vi.fn(async () => screenshotsRef.value)
@@ -38,9 +38,23 @@ const openScreenshot = vi.fn(async (id) => {
   return screenshotRef.value
 })
 const removeScreenshot = vi.fn(async () => true)
-const clearAlert = vi.fn()
+const loadPreview = vi.fn(async (id) => `blob:preview-${id}`)
+const releasePreviews = vi.fn()
+const listByDevice = vi.fn(async () => [])
+const listAllByDevice = vi.fn(async () => [])
+const loadContent = vi.fn(async (id) => ({ data: new Uint8Array([id, 1, 2]), contentType: 'image/jpeg' }))
+const activeFilters = { deviceId: 7, from: null, to: null }
+const accounts = []
+const getAllAccounts = vi.fn(async () => {
+  accounts.splice(0, accounts.length, { id: 42, name: 'Account 42' })
+})
+const screenshotFlagsRef = ref({})
+const analyzeScreenshots = vi.fn(async () => ({}))
+const saveBlob = vi.fn(() => true)
+const alertStore = createAlertStoreMock()
 const pushMock = vi.fn()
 const confirmDelete = vi.fn(async () => true)
+const confirmAction = vi.fn(async () => true)
 
 vi.mock('pinia', async () => {
   const actual = await vi.importActual('pinia')
@@ -58,7 +72,14 @@ vi.mock('@/stores/screenshots.store.js', () => ({
       loading: screenshotsLoadingRef,
       totalCount: totalCountRef
     },
+    previews: {},
+    activeFilters,
     getAllByDevice,
+    loadPreview: loadPreview,
+    releasePreviews,
+    listByDevice,
+    listAllByDevice,
+    loadContent,
     create: createScreenshot,
     open: openScreenshot,
     remove: removeScreenshot
@@ -80,20 +101,33 @@ vi.mock('@/stores/auth.store.js', () => ({
 }))
 
 vi.mock('@/stores/alert.store.js', () => ({
-  useAlertStore: () => ({
+  useAlertStore: () => alertStore
+}))
+
+vi.mock('@/stores/accounts.store.js', () => ({
+  useAccountsStore: () => ({
+    getAccountById: (id) => accounts.find((account) => account.id === id),
+    getAll: getAllAccounts
+  })
+}))
+
+vi.mock('@/stores/screenshot.anomalies.store.js', () => ({
+  useScreenshotAnomaliesStore: () => ({
     __mockRefs: {
-      alert: alertRef
+      flags: screenshotFlagsRef
     },
-    error: vi.fn((message) => {
-      alertRef.value = { type: 'error', message }
-    }),
-    clear: clearAlert
+    analyzeScreenshots
   })
 }))
 
+vi.mock('@/helpers/file.download.js', () => ({
+  saveBlob: (...args) => saveBlob(...args)
+}))
+
 vi.mock('@/helpers/confirmation.js', () => ({
   useConfirmation: () => ({
-    confirmDelete
+    confirmDelete,
+    confirmAction
   })
 }))
 
@@ -143,6 +177,8 @@ const globalStubs = {
   }
 }
 
+enableAutoUnmount(afterEach)
+
 describe('Screenshots_List.vue', () => {
   afterEach(() => {
     vi.useRealTimers()
@@ -154,6 +190,7 @@ describe('Screenshots_List.vue', () => {
     authStore.screenshots_page = 1
     authStore.screenshots_per_page = 100
     authStore.screenshots_sort_by = [{ key: 'id', order: 'asc' }]
+    authStore.screenshots_view = 'table'
     deviceAccountId = null
     screenshotsRef.value = [{ id: 5, originalFilename: 'shot.jpg', fileSizeBytes: 128, timeCreated: '2026-04-15T10:00:00Z' }]
     screenshotRef.value = null
@@ -161,7 +198,8 @@ describe('Screenshots_List.vue', () => {
     deviceRef.value = { id: 7, name: 'Device 7', accountId: null }
     deviceLoadingRef.value = false
     totalCountRef.value = 1
-    alertRef.value = null
+    alertStore.reset()
+    screenshotFlagsRef.value = {}
   })
 
   it('loads screenshots on mount for the provided device', async () => {
@@ -374,8 +412,8 @@ describe('Screenshots_List.vue', () => {
     await wrapper.find('[data-test="take-photo-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertRef.value?.message).toContain('Не удалось сделать фотографию')
-    expect(alertRef.value?.message).toContain('camera failed')
+    expect(alertStore.alert?.message).toContain('Не удалось сделать фотографию')
+    expect(alertStore.alert?.message).toContain('camera failed')
   })
 
   it('deletes screenshot after confirmation', async () => {
@@ -413,7 +451,7 @@ describe('Screenshots_List.vue', () => {
     })
 
     await flushPromises()
-    expect(alertRef.value?.message).toContain('Не удалось загрузить фотографии')
+    expect(alertStore.alert?.message).toContain('Не удалось загрузить фотографии')
   })
 
   it('shows error alert when opening screenshot fails', async () => {
@@ -428,7 +466,7 @@ describe('Screenshots_List.vue', () => {
     await wrapper.find('[data-test="open-photo-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertRef.value?.message).toContain('Не удалось открыть фотографию')
+    expect(alertStore.alert?.message).toContain('Не удалось открыть фотографию')
   })
 
   it('does not delete when confirmation is cancelled', async () => {
@@ -458,7 +496,7 @@ describe('Screenshots_List.vue', () => {
     await wrapper.find('[data-test="delete-photo-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertRef.value?.message).toContain('Не удалось удалить фотографию')
+    expect(alertStore.alert?.message).toContain('Не удалось удалить фотографию')
   })
 
   it('decrements screenshots_page and returns when list becomes empty on page > 1', async () => {
@@ -539,23 +577,11 @@ describe('Screenshots_List.vue', () => {
     await flushPromises()
     wrapper.unmount()
 
-    expect(clearAlert).toHaveBeenCalled()
-  })
-
-  it('displays alert message when alert store has an error', async () => {
-    alertRef.value = { type: 'alert-danger', message: 'Something went wrong' }
-
-    const wrapper = mount(ScreenshotsList, {
-      props: { deviceId: 7 },
-      global: { stubs: globalStubs }
-    })
-
-    await flushPromises()
-    expect(wrapper.text()).toContain('Something went wrong')
+    expect(alertStore.clear).toHaveBeenCalled()
   })
 
-  it('clears alert when the dismiss button is clicked', async () => {
-    alertRef.value = { type: 'alert-danger', message: 'An error' }
+  it('leaves notifications to the application stack', async () => {
+    alertStore.error('Something went wrong')
 
     const wrapper = mount(ScreenshotsList, {
       props: { deviceId: 7 },
@@ -563,9 +589,7 @@ describe('Screenshots_List.vue', () => {
     })
 
     await flushPromises()
-    await wrapper.find('.btn.close').trigger('click')
-
-    expect(clearAlert).toHaveBeenCalled()
+    expect(wrapper.text()).not.toContain('Something went wrong')
   })
 
   it('renders em-dash for items without originalFilename', async () => {
@@ -644,7 +668,7 @@ describe('Screenshots_List.vue', () => {
     })
 
     await flushPromises()
-    expect(alertRef.value?.message).toContain('string-error')
+    expect(alertStore.alert?.message).toContain('string-error')
   })
 
   it('falls back to raw error object in open error message when err has no message', async () => {
@@ -659,7 +683,7 @@ describe('Screenshots_List.vue', () => {
     await wrapper.find('[data-test="open-photo-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertRef.value?.message).toContain('open-string-error')
+    expect(alertStore.alert?.message).toContain('open-string-error')
   })
 
   it('falls back to raw error object in delete error message when err has no message', async () => {
@@ -674,7 +698,7 @@ describe('Screenshots_List.vue', () => {
     await wrapper.find('[data-test="delete-photo-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertRef.value?.message).toContain('delete-string-error')
+    expect(alertStore.alert?.message).toContain('delete-string-error')
   })
 
   it('updates screenshots_per_page when data table emits update:items-per-page', async () => {
@@ -715,4 +739,381 @@ describe('Screenshots_List.vue', () => {
 
     expect(authStore.screenshots_sort_by).toEqual([{ key: 'id', order: 'desc' }])
   })
+
+  describe('gallery and comparison', () => {
+    const galleryStubs = {
+      ...globalStubs,
+      ScreenshotThumbnail: {
+        name: 'ScreenshotThumbnail',
+        props: ['screenshotId', 'alt'],
+        template: '<span class="thumbnail-stub" :data-id="screenshotId" />'
+      },
+      ScreenshotsCompareDialog: {
+        name: 'ScreenshotsCompareDialog',
+        props: ['modelValue', 'items', 'groupId', 'maxItems'],
+        template: '<div v-if="modelValue" class="compare-stub" />'
+      },
+      'v-pagination': {
+        props: ['modelValue', 'length'],
+        emits: ['update:modelValue'],
+        template: '<div class="pagination-stub" :data-length="length" />'
+      }
+    }
+
+    const threePhotos = () => [
+      { id: 5, originalFilename: 'a.jpg', timeCreated: '2026-04-15T10:00:00Z' },
+      { id: 6, originalFilename: 'b.jpg', timeCreated: '2026-04-15T11:00:00Z' },
+      { id: 8, originalFilename: 'c.jpg', timeCreated: '2026-04-15T12:00:00Z' }
+    ]
+
+    const mountGallery = () => mount(ScreenshotsList, {
+      props: { deviceId: 7 },
+      global: { stubs: galleryStubs }
+    })
+
+    it('switches to a thumbnail grid and remembers the choice', async () => {
+      screenshotsRef.value = threePhotos()
+      totalCountRef.value = 250
+      const wrapper = mountGallery()
+      await flushPromises()
+
+      expect(wrapper.find('[data-test="screenshots-grid"]').exists()).toBe(false)
+      await wrapper.find('[data-test="toggle-screenshots-view"]').trigger('click')
+
+      expect(authStore.screenshots_view).toBe('grid')
+      expect(wrapper.find('.table-server-stub').exists()).toBe(false)
+      expect(wrapper.findAll('.thumbnail-stub').map(item => item.attributes('data-id'))).toEqual(['5', '6', '8'])
+      expect(wrapper.find('.pagination-stub').attributes('data-length')).toBe('3')
+
+      await wrapper.findAll('[data-test="grid-open-photo"]')[1].trigger('click')
+      await flushPromises()
+      expect(openScreenshot).toHaveBeenCalledWith(6)
+    })
+
+    it('shows no thumbnails to users who cannot open photos', async () => {
+      authStore.user = { roles: [11], accountIds: [42] }
+      authStore.screenshots_view = 'grid'
+      const wrapper = mountGallery()
+      await flushPromises()
+
+      expect(wrapper.findAll('[data-test="screenshots-grid-card"]')).toHaveLength(1)
+      expect(wrapper.find('.thumbnail-stub').exists()).toBe(false)
+      expect(wrapper.find('[data-test="grid-select-checkbox"]').exists()).toBe(false)
+      expect(wrapper.find('[data-test="export-photos-button"]').exists()).toBe(false)
+    })
+
+    it('compares two to four selected photos', async () => {
+      screenshotsRef.value = threePhotos()
+      deviceRef.value = { id: 7, name: 'Device 7', deviceGroupId: 3 }
+      getDeviceById.mockImplementationOnce(async () => deviceRef.value)
+      const wrapper = mountGallery()
+      await flushPromises()
+
+      const compareButton = () => wrapper.find('[data-test="compare-photos-button"]')
+      expect(compareButton().attributes('disabled')).toBeDefined()
+
+      const toggles = wrapper.findAll('[data-test="select-photo-button"]')
+      await toggles[0].trigger('click')
+      await toggles[2].trigger('click')
+      expect(compareButton().attributes('disabled')).toBeUndefined()
+      expect(wrapper.get('[data-test="selected-count"]').text()).toBe('Выбрано фотографий: 2')
+
+      await compareButton().trigger('click')
+      const dialog = wrapper.findComponent({ name: 'ScreenshotsCompareDialog' })
+      expect(dialog.props('groupId')).toBe(3)
+      expect(dialog.props('items')).toEqual([
+        { id: 5, deviceId: 7, deviceTitle: 'Device 7', timeCreated: '2026-04-15T10:00:00Z' },
+        { id: 8, deviceId: 7, deviceTitle: 'Device 7', timeCreated: '2026-04-15T12:00:00Z' }
+      ])
+
+      dialog.vm.$emit('update:items', dialog.props('items').slice(1))
+      await flushPromises()
+      expect(dialog.props('items').map(item => item.id)).toEqual([8])
+    })
+
+    it('does not compare more than four photos', async () => {
+      screenshotsRef.value = [1, 2, 3, 4, 5].map(id => ({ id, timeCreated: '2026-04-15T10:00:00Z' }))
+      authStore.screenshots_view = 'grid'
+      const wrapper = mountGallery()
+      await flushPromises()
+
+      const checkboxes = wrapper.findAll('[data-test="grid-select-checkbox"]')
+      for (const checkbox of checkboxes) {
+        await checkbox.trigger('change')
+      }
+
+      expect(wrapper.findAll('.screenshots-grid-card-selected')).toHaveLength(5)
+      expect(wrapper.get('[data-test="compare-photos-button"]').attributes('disabled')).toBeDefined()
+
+      await wrapper.get('[data-test="clear-selection-button"]').trigger('click')
+      expect(wrapper.findAll('.screenshots-grid-card-selected')).toHaveLength(0)
+      expect(wrapper.find('[data-test="screenshots-selection"]').exists()).toBe(false)
+    })
+
+    it('flips through photos in the view dialog across pages', async () => {
+      authStore.screenshots_per_page = 2
+      screenshotsRef.value = threePhotos().slice(0, 2)
+      totalCountRef.value = 3
+      const wrapper = mountGallery()
+      await flushPromises()
+
+      await wrapper.findAll('[data-test="open-photo-button"]')[0].trigger('click')
+      await flushPromises()
+      expect(wrapper.get('[data-test="screenshot-position"]').text()).toBe('1 из 3')
+      expect(wrapper.get('[data-test="previous-screenshot"]').attributes('disabled')).toBeDefined()
+
+      await wrapper.get('[data-test="next-screenshot"]').trigger('click')
+      await flushPromises()
+      expect(openScreenshot).toHaveBeenLastCalledWith(6)
+
+      getAllByDevice.mockImplementationOnce(async () => {
+        screenshotsRef.value = threePhotos().slice(2)
+        return screenshotsRef.value
+      })
+      await wrapper.get('[data-test="next-screenshot"]').trigger('click')
+      await flushPromises()
+
+      expect(authStore.screenshots_page).toBe(2)
+      expect(releasePreviews).toHaveBeenCalled()
+      expect(openScreenshot).toHaveBeenLastCalledWith(8)
+      expect(wrapper.get('[data-test="screenshot-position"]').text()).toBe('3 из 3')
+      expect(wrapper.get('[data-test="next-screenshot"]').attributes('disabled')).toBeDefined()
+    })
+
+    it('releases thumbnails when the list is closed', async () => {
+      const wrapper = mountGallery()
+      await flushPromises()
+      releasePreviews.mockClear()
+
+      wrapper.unmount()
+
+      expect(releasePreviews).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('ZIP export', () => {
+    const readEntryNames = (bytes) => {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+      const names = []
+      let offset = 0
+      while (view.getUint32(offset, true) === 0x04034b50) {
+        const size = view.getUint32(offset + 18, true)
+        const nameLength = view.getUint16(offset + 26, true)
+        names.push(new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength)))
+        offset += 30 + nameLength + size
+      }
+      return names
+    }
+
+    const readSavedArchive = async () => {
+      const [blob] = saveBlob.mock.calls[0]
+      const buffer = await new Promise((resolve) => {
+        const reader = new window.FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.readAsArrayBuffer(blob)
+      })
+      return new Uint8Array(buffer)
+    }
+
+    beforeEach(() => {
+      accounts.splice(0, accounts.length)
+      activeFilters.from = null
+      activeFilters.to = null
+    })
+
+    it('exports every photo of the applied date range when nothing is selected', async () => {
+      activeFilters.from = '2026-04-15T00:00:00.000Z'
+      listAllByDevice.mockResolvedValueOnce([
+        { id: 5, originalFilename: 'a.jpg', timeCreated: '2026-04-15T10:00:00Z' },
+        { id: 6, originalFilename: 'b.png', timeCreated: '2026-04-15T10:00:00Z' }
+      ])
+      getDeviceById.mockImplementationOnce(async () => {
+        deviceRef.value = { id: 7, name: 'Hall 1', accountId: 42 }
+        return deviceRef.value
+      })
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+
+      expect(listAllByDevice).toHaveBeenCalledWith(7, { from: '2026-04-15T00:00:00.000Z', to: null, limit: 501 })
+      expect(confirmAction).not.toHaveBeenCalled()
+      expect(loadContent.mock.calls.map(([id]) => id)).toEqual([5, 6])
+      expect(getAllAccounts).toHaveBeenCalledTimes(1)
+      expect(saveBlob).toHaveBeenCalledWith(expect.any(window.Blob), expect.stringMatching(/^screenshots-hall-1-\d{8}-\d{6}\.zip$/))
+
+      const names = readEntryNames(await readSavedArchive())
+      expect(names).toHaveLength(4)
+      expect(names[0]).toMatch(/^hall-1-\d{8}-\d{6}\.jpg$/)
+      expect(names[1]).toMatch(/^hall-1-\d{8}-\d{6}\.png$/)
+      expect(names.slice(2)).toEqual(['manifest.csv', 'manifest.json'])
+      expect(wrapper.find('[data-test="export-progress"]').exists()).toBe(false)
+    })
+
+    it('exports only the selected photos', async () => {
+      screenshotsRef.value = [
+        { id: 5, originalFilename: 'a.jpg', timeCreated: '2026-04-15T10:00:00Z' },
+        { id: 6, originalFilename: 'b.jpg', timeCreated: '2026-04-15T11:00:00Z' }
+      ]
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.findAll('[data-test="select-photo-button"]')[1].trigger('click')
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+
+      expect(listAllByDevice).not.toHaveBeenCalled()
+      expect(loadContent.mock.calls.map(([id]) => id)).toEqual([6])
+      expect(getAllAccounts).not.toHaveBeenCalled()
+      expect(readEntryNames(await readSavedArchive())[0]).toMatch(/^device-7-\d{8}-\d{6}\.jpg$/)
+    })
+
+    it('shows progress while the archive is prepared', async () => {
+      let finishDownload
+      loadContent.mockImplementationOnce(() => new Promise((resolve) => {
+        finishDownload = () => resolve({ data: new Uint8Array([1]), contentType: 'image/jpeg' })
+      }))
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.get('[data-test="select-photo-button"]').trigger('click')
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+
+      expect(wrapper.get('[data-test="export-progress"]').text()).toBe('Подготовка архива: 0 из 1')
+      expect(wrapper.get('[data-test="take-photo-button"]').attributes('disabled')).toBeDefined()
+
+      finishDownload()
+      await flushPromises()
+      expect(wrapper.find('[data-test="export-progress"]').exists()).toBe(false)
+      expect(saveBlob).toHaveBeenCalledTimes(1)
+    })
+
+    it('asks before a large export and stops when declined', async () => {
+      listAllByDevice.mockResolvedValueOnce(Array.from({ length: 101 }, (_, index) => ({ id: index + 1 })))
+      confirmAction.mockResolvedValueOnce(false)
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+
+      expect(confirmAction).toHaveBeenCalledWith(
+        'Выгрузить фотографии (101)? Архив собирается в памяти браузера',
+        { title: 'Выгрузка фотографий', confirmationText: 'Выгрузить', cancellationText: 'Отмена' }
+      )
+      expect(loadContent).not.toHaveBeenCalled()
+      expect(saveBlob).not.toHaveBeenCalled()
+    })
+
+    it('refuses to export more photos than one archive holds', async () => {
+      listAllByDevice.mockResolvedValueOnce(Array.from({ length: 501 }, (_, index) => ({ id: index + 1 })))
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+
+      expect(alertStore.alert.message).toBe('Слишком много фотографий для одного архива, можно не более 500. Выберите фотографии или сократите период')
+      expect(confirmAction).not.toHaveBeenCalled()
+      expect(loadContent).not.toHaveBeenCalled()
+      expect(saveBlob).not.toHaveBeenCalled()
+    })
+
+    it('reports an empty date range and failed downloads', async () => {
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+      expect(alertStore.alert.message).toBe('Нет фотографий для выгрузки')
+      expect(saveBlob).not.toHaveBeenCalled()
+
+      loadContent.mockRejectedValueOnce(new Error('Not found'))
+      await wrapper.get('[data-test="select-photo-button"]').trigger('click')
+      await wrapper.get('[data-test="export-photos-button"]').trigger('click')
+      await flushPromises()
+      expect(alertStore.alert.message).toBe('Не удалось выгрузить фотографии: Not found')
+      expect(saveBlob).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('anomaly flags', () => {
+    it('analyzes the loaded page of the device', async () => {
+      mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      expect(analyzeScreenshots).toHaveBeenCalledWith(deviceRef.value, screenshotsRef.value)
+    })
+
+    it('does not analyze photos the user may not open', async () => {
+      authStore.user = { roles: [], accountIds: [] }
+      mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      expect(analyzeScreenshots).not.toHaveBeenCalled()
+    })
+
+    it('ignores analysis errors', async () => {
+      analyzeScreenshots.mockRejectedValueOnce(new Error('canvas'))
+      mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+
+      expect(alertStore.alert).toBeNull()
+    })
+
+    it('shows flags in the table and in the grid', async () => {
+      screenshotsRef.value = [
+        { id: 5, originalFilename: 'a.jpg', timeCreated: '2026-04-15T10:00:00Z' },
+        { id: 6, originalFilename: 'b.jpg', timeCreated: '2026-04-15T10:01:00Z' }
+      ]
+      const wrapper = mount(ScreenshotsList, {
+        props: { deviceId: 7 },
+        global: { stubs: globalStubs }
+      })
+      await flushPromises()
+      screenshotFlagsRef.value = { 6: ['black', 'frozen'] }
+      await flushPromises()
+
+      const rows = wrapper.findAll('.table-row')
+      expect(rows[0].find('[data-test="screenshot-flag"]').exists()).toBe(false)
+      const flags = rows[1].findAll('[data-test="screenshot-flag"]')
+      expect(flags.map(flag => flag.attributes('title'))).toEqual(['Чёрный экран', 'Изображение не меняется'])
+      expect(flags[0].text()).toContain('Чёрный экран')
+
+      authStore.screenshots_view = 'grid'
+      await flushPromises()
+      const cards = wrapper.findAll('[data-test="screenshots-grid-card"]')
+      expect(cards[0].findAll('[data-test="screenshot-flag"]')).toHaveLength(0)
+      expect(cards[1].findAll('[data-test="screenshot-flag"]')).toHaveLength(2)
+    })
+  })
 })
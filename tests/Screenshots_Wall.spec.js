@@ -0,0 +1,215 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { reactive } from 'vue'
+import ScreenshotsWall from '@/components/Screenshots_Wall.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+const mockPush = vi.fn()
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: mockPush })
+}))
+
+vi.mock('pinia', async () => {
+  const actual = await vi.importActual('pinia')
+  return { ...actual, storeToRefs: (store) => store }
+})
+
+const authStore = reactive({ user: { roles: [1] }, isAdministrator: true, isManager: false })
+const accountsStore = {
+  getAccountById: (id) => (id === 10 ? { id: 10, name: 'Магазин' } : null),
+  getAll: vi.fn()
+}
+const devicesStore = reactive({ devices: [], getAll: vi.fn() })
+const deviceGroupsStore = {
+  getGroupById: (id) => (id === 100 ? { id: 100, name: 'Зал' } : null),
+  getAll: vi.fn()
+}
+const deviceStatusesStore = reactive({
+  statuses: [],
+  streamState: 'live',
+  getAll: vi.fn(),
+  startStream: vi.fn(),
+  stopStream: vi.fn()
+})
+const capture = vi.fn()
+const alertStore = { error: vi.fn(), clear: vi.fn() }
+
+vi.mock('@/stores/auth.store.js', () => ({ useAuthStore: () => authStore }))
+vi.mock('@/stores/accounts.store.js', () => ({ useAccountsStore: () => accountsStore }))
+vi.mock('@/stores/devices.store.js', () => ({ useDevicesStore: () => devicesStore }))
+vi.mock('@/stores/device.groups.store.js', () => ({ useDeviceGroupsStore: () => deviceGroupsStore }))
+vi.mock('@/stores/device.statuses.store.js', () => ({ useDeviceStatusesStore: () => deviceStatusesStore }))
+vi.mock('@/stores/screenshots.store.js', () => ({ useScreenshotsStore: () => ({ capture }) }))
+vi.mock('@/stores/alert.store.js', () => ({ useAlertStore: () => alertStore }))
+
+const mountWall = async (props = { scope: 'group', id: 100 }) => {
+  const wrapper = mount(ScreenshotsWall, {
+    props,
+    global: {
+      stubs: {
+        AlertOutput: true,
+        StreamStateIndicator: { props: ['state'], template: '<span :data-state="state" />' },
+        'font-awesome-icon': true
+      }
+    }
+  })
+  await flushPromises()
+  return wrapper
+}
+
+const tile = (wrapper, id) => wrapper.get(`[data-test="wall-tile-${id}"]`)
+
+describe('Screenshots_Wall.vue', () => {
+  let revokeObjectURL
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    revokeObjectURL = vi.fn()
+    globalThis.URL.revokeObjectURL = revokeObjectURL
+    authStore.user = { roles: [1] }
+    devicesStore.devices = [
+      { id: 1, name: 'Касса', accountId: 10, deviceGroupId: 100 },
+      { id: 2, name: 'Вход', accountId: 10, deviceGroupId: 100 },
+      { id: 3, name: 'Витрина', accountId: 10, deviceGroupId: 100 },
+      { id: 4, name: 'Склад', accountId: 10, deviceGroupId: null },
+      { id: 5, name: 'Чужое', accountId: 11, deviceGroupId: 200 }
+    ]
+    deviceStatusesStore.statuses = [
+      { deviceId: 1, isOnline: true },
+      { deviceId: 2, isOnline: true },
+      { deviceId: 3, isOnline: false },
+      { deviceId: 4, isOnline: true }
+    ]
+    devicesStore.getAll.mockResolvedValue()
+    deviceStatusesStore.getAll.mockResolvedValue()
+    deviceGroupsStore.getAll.mockResolvedValue()
+    accountsStore.getAll.mockResolvedValue()
+    capture.mockImplementation(async (deviceId) => {
+      if (deviceId === 2) throw new Error('Таймаут')
+      return { id: null, filename: `shot-${deviceId}.jpg`, objectUrl: `blob:shot-${deviceId}` }
+    })
+  })
+
+  it('photographs the online devices of a group and flags failures', async () => {
+    const wrapper = await mountWall()
+
+    expect(wrapper.get('h1').text()).toBe('Экраны группы Зал')
+    expect(devicesStore.getAll).toHaveBeenCalledWith(true)
+    expect(deviceStatusesStore.startStream).toHaveBeenCalledTimes(1)
+    expect(capture.mock.calls.map(([id]) => id).sort()).toEqual([1, 2])
+
+    const ids = wrapper.findAll('figure').map(item => item.attributes('data-test'))
+    expect(ids).toEqual(['wall-tile-3', 'wall-tile-2', 'wall-tile-1'])
+
+    expect(tile(wrapper, 1).get('[data-test="wall-tile-image"]').attributes('src')).toBe('blob:shot-1')
+    expect(tile(wrapper, 1).get('[data-test="wall-tile-state"]').text()).toContain('Готово')
+    expect(tile(wrapper, 2).classes()).toContain('screenshots-wall-tile-failed')
+    expect(tile(wrapper, 2).get('[data-test="wall-tile-state"]').text()).toBe('Ошибка: Таймаут')
+    expect(tile(wrapper, 3).get('[data-test="wall-tile-online"]').text()).toBe('Не в сети')
+    expect(tile(wrapper, 3).find('[data-test="wall-tile-image"]').exists()).toBe(false)
+    expect(wrapper.get('[data-test="wall-summary"]').text()).toContain('сфотографировано: 1 из 2')
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось сфотографировать устройства: 1 из 2', {
+      actions: [expect.objectContaining({ label: 'Повторить' })]
+    })
+  })
+
+  it('retries the failed devices from the error notification', async () => {
+    const wrapper = await mountWall()
+    capture.mockClear()
+    capture.mockResolvedValueOnce({ id: null, filename: 'again.jpg', objectUrl: 'blob:again' })
+
+    const [, { actions }] = alertStore.error.mock.calls[0]
+    await actions[0].handler()
+    await flushPromises()
+
+    expect(capture).toHaveBeenCalledTimes(1)
+    expect(capture).toHaveBeenCalledWith(2)
+    expect(tile(wrapper, 2).get('[data-test="wall-tile-image"]').attributes('src')).toBe('blob:again')
+  })
+
+  it('retries only the failed devices', async () => {
+    const wrapper = await mountWall()
+    capture.mockClear()
+    capture.mockResolvedValueOnce({ id: null, filename: 'again.jpg', objectUrl: 'blob:again' })
+
+    await wrapper.get('[data-test="wall-retry-button"]').trigger('click')
+    await flushPromises()
+
+    expect(capture).toHaveBeenCalledTimes(1)
+    expect(capture).toHaveBeenCalledWith(2)
+    expect(tile(wrapper, 2).classes()).not.toContain('screenshots-wall-tile-failed')
+    expect(tile(wrapper, 2).get('[data-test="wall-tile-image"]').attributes('src')).toBe('blob:again')
+    expect(wrapper.get('[data-test="wall-retry-button"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('covers all devices of an account and releases photos on a new round', async () => {
+    const wrapper = await mountWall({ scope: 'account', id: 10 })
+
+    expect(wrapper.get('h1').text()).toBe('Экраны лицевого счёта Магазин')
+    expect(accountsStore.getAll).toHaveBeenCalled()
+    expect(capture.mock.calls.map(([id]) => id).sort()).toEqual([1, 2, 4])
+    expect(wrapper.find('[data-test="wall-tile-5"]').exists()).toBe(false)
+
+    await wrapper.get('[data-test="wall-capture-button"]').trigger('click')
+    await flushPromises()
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:shot-1')
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:shot-4')
+    expect(capture).toHaveBeenCalledTimes(6)
+  })
+
+  it('follows live status changes', async () => {
+    const wrapper = await mountWall()
+
+    deviceStatusesStore.statuses = [...deviceStatusesStore.statuses.slice(0, 2), { deviceId: 3, isOnline: true }]
+    await flushPromises()
+
+    expect(tile(wrapper, 3).get('[data-test="wall-tile-online"]').text()).toBe('В сети')
+    await wrapper.get('[data-test="wall-capture-button"]').trigger('click')
+    await flushPromises()
+    expect(capture).toHaveBeenCalledWith(3)
+  })
+
+  it('does not capture without online devices and reports loading errors', async () => {
+    deviceStatusesStore.statuses = []
+    let wrapper = await mountWall()
+    expect(capture).not.toHaveBeenCalled()
+    expect(wrapper.get('[data-test="wall-capture-button"]').attributes('disabled')).toBeDefined()
+    wrapper.unmount()
+
+    devicesStore.getAll.mockRejectedValueOnce(new Error('Offline'))
+    wrapper = await mountWall()
+    expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить устройства: Offline')
+    expect(capture).not.toHaveBeenCalled()
+  })
+
+  it('releases photos and stops the stream when closed', async () => {
+    const wrapper = await mountWall()
+
+    wrapper.unmount()
+
+    expect(deviceStatusesStore.stopStream).toHaveBeenCalledTimes(1)
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:shot-1')
+  })
+
+  it('opens the photos of a device and goes back to the tree', async () => {
+    const wrapper = await mountWall()
+
+    await tile(wrapper, 1).get('[data-test="wall-device-photos"]').trigger('click')
+    expect(mockPush).toHaveBeenCalledWith('/device/screenshots/1')
+
+    await wrapper.get('[data-test="wall-back-button"]').trigger('click')
+    expect(mockPush).toHaveBeenCalledWith('/accounts')
+  })
+})
@@ -0,0 +1,42 @@
+/* @vitest-environment jsdom */
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+
+vi.mock('@/components/Screenshots_Wall.vue', () => ({
+  default: {
+    name: 'Screenshots_Wall',
+    props: { scope: String, id: Number },
+    template: '<div class="screenshots-wall-stub"></div>'
+  }
+}))
+
+import ScreenshotsWallView from '@/views/Screenshots_WallView.vue'
+
+const mountView = (props) => mount(ScreenshotsWallView, {
+  props,
+  global: {
+    stubs: {
+      Suspense: { template: '<div><slot /></div>' }
+    }
+  }
+})
+
+describe('Screenshots_WallView.vue', () => {
+  it('passes the scope and the numeric id to the wall', () => {
+    const wrapper = mountView({ id: '4', scope: 'group' })
+
+    const stub = wrapper.findComponent({ name: 'Screenshots_Wall' })
+    expect(stub.props('id')).toBe(4)
+    expect(stub.props('scope')).toBe('group')
+  })
+
+  it('shows an error for an invalid id', () => {
+    const wrapper = mountView({ id: '0', scope: 'account' })
+
+    expect(wrapper.text()).toContain('Некорректный идентификатор')
+    expect(wrapper.findComponent({ name: 'Screenshots_Wall' }).exists()).toBe(false)
+  })
+})
@@ -0,0 +1,50 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import StreamStateIndicator from '@/components/StreamStateIndicator.vue'
+
+const mountIndicator = (state) => mount(StreamStateIndicator, {
+  props: { state },
+  global: {
+    stubs: {
+      'font-awesome-icon': { props: ['icon'], template: '<i :data-icon="icon" />' }
+    }
+  }
+})
+
+describe('StreamStateIndicator.vue', () => {
+  it('renders nothing while the stream is idle', () => {
+    const wrapper = mountIndicator('idle')
+    expect(wrapper.find('.stream-state-indicator').exists()).toBe(false)
+  })
+
+  it('renders the live state', () => {
+    const wrapper = mountIndicator('live')
+    const indicator = wrapper.get('[data-test="stream-state-live"]')
+    expect(indicator.classes()).toContain('text-success')
+    expect(indicator.text()).toContain('Онлайн')
+    expect(indicator.attributes('title')).toContain('в реальном времени')
+  })
+
+  it('renders the reconnecting state with a spinning icon', () => {
+    const wrapper = mountIndicator('reconnecting')
+    const indicator = wrapper.get('[data-test="stream-state-reconnecting"]')
+    expect(indicator.classes()).toContain('text-warning')
+    expect(indicator.text()).toContain('Переподключение')
+    expect(indicator.find('i').classes()).toContain('fa-spin')
+  })
+
+  it('renders the stale state', () => {
+    const wrapper = mountIndicator('stale')
+    const indicator = wrapper.get('[data-test="stream-state-stale"]')
+    expect(indicator.classes()).toContain('text-danger')
+    expect(indicator.find('i').attributes('data-icon')).toBe('fa-solid fa-triangle-exclamation')
+  })
+
+  it('ignores unknown states', () => {
+    const wrapper = mountIndicator('unexpected')
+    expect(wrapper.find('.stream-state-indicator').exists()).toBe(false)
+  })
+})
@@ -7,6 +7,7 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import SubscriptionSettings from '@/components/Subscription_Settings.vue'
 import { redirectToDefaultRoute } from '@/helpers/default.route.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerGo = vi.hoisted(() => vi.fn())
 
@@ -20,11 +21,7 @@ const accountsStore = {
   getSubscriptions: vi.fn(),
   upsertSubscription: vi.fn()
 }
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 vi.mock('pinia', async () => {
   const actual = await vi.importActual('pinia')
@@ -133,7 +130,7 @@ describe('Subscription_Settings.vue', () => {
       subscriptions: [],
       availableCategories: []
     })
-    alertStore.alert.value = null
+    alertStore.reset()
     routerGo.mockClear()
   })
 
@@ -275,7 +272,7 @@ describe('Subscription_Settings.vue', () => {
 
     const child = wrapper.findComponent(SubscriptionSettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { categoryId: 'Выберите категорию' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Выберите категорию')
+    expect(alertStore.error).toHaveBeenCalledWith('Выберите категорию', { routeScoped: true })
   })
 
   it('loads and updates an existing subscription', async () => {
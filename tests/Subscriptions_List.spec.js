@@ -6,6 +6,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import SubscriptionsList from '@/components/Subscriptions_List.vue'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerPush = vi.hoisted(() => vi.fn())
 
@@ -19,11 +20,7 @@ const accountsStore = {
   getSubscriptions: vi.fn(),
   deleteSubscription: vi.fn()
 }
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 const confirmation = {
   confirmDelete: vi.fn(async () => true)
 }
@@ -115,7 +112,7 @@ describe('Subscriptions_List.vue', () => {
     accountsStore.getAll = vi.fn(async () => accountsStore.accounts.value)
     accountsStore.getSubscriptions = vi.fn(async () => accountsStore.subscriptions.value)
     accountsStore.deleteSubscription = vi.fn(async () => accountsStore.subscriptions.value)
-    alertStore.alert.value = null
+    alertStore.reset()
     confirmation.confirmDelete = vi.fn(async () => true)
   })
 
@@ -150,18 +147,14 @@ describe('Subscriptions_List.vue', () => {
     expect(wrapper.find('.subscriptions-card').classes()).toContain('subscriptions-card--empty')
   })
 
-  it('shows list alert by default and suppresses it when embedded', async () => {
-    alertStore.alert.value = { message: 'Subscription error', type: 'alert-danger' }
+  it('shows the divider unless embedded and leaves notifications to the application stack', async () => {
+    alertStore.error('Subscription error')
 
     const wrapper = mountList()
     await flushPromises()
 
-    expect(wrapper.find('.alert-dismissable').text()).toContain('Subscription error')
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const cardEl = wrapper.find('.subscriptions-card').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(cardEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
+    expect(wrapper.find('hr.hr').exists()).toBe(true)
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
 
     const embeddedWrapper = mountList({ embedded: true })
     await flushPromises()
@@ -0,0 +1,148 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { reactive } from 'vue'
+import TwoFactorSettings from '@/components/TwoFactorSettings.vue'
+
+const saveBlob = vi.hoisted(() => vi.fn(() => true))
+const alertStore = vi.hoisted(() => ({ clear: vi.fn(), error: vi.fn() }))
+
+const authStore = reactive({
+  user: { id: 1 },
+  startTwoFactorSetup: vi.fn(),
+  enableTwoFactor: vi.fn(),
+  disableTwoFactor: vi.fn(),
+  regenerateRecoveryCodes: vi.fn()
+})
+
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+
+vi.mock('@/stores/alert.store.js', () => ({
+  useAlertStore: () => alertStore
+}))
+
+vi.mock('@/helpers/file.download.js', () => ({
+  saveBlob
+}))
+
+const setup = { secret: 'JBSWY3DPEHPK3PXP', qrCode: 'data:image/png;base64,AAAA', otpauthUri: 'otpauth://totp/x' }
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new window.FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+const mountSettings = () => mount(TwoFactorSettings, {
+  global: { stubs: { 'font-awesome-icon': true } }
+})
+
+describe('TwoFactorSettings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    authStore.user = { id: 1, twoFactorEnabled: false }
+    authStore.startTwoFactorSetup.mockResolvedValue(setup)
+    authStore.enableTwoFactor.mockImplementation(async () => {
+      authStore.user = { ...authStore.user, twoFactorEnabled: true }
+      return ['aaaa-bbbb', 'cccc-dddd']
+    })
+    authStore.disableTwoFactor.mockImplementation(async () => {
+      authStore.user = { ...authStore.user, twoFactorEnabled: false }
+    })
+    authStore.regenerateRecoveryCodes.mockResolvedValue(['eeee-ffff'])
+  })
+
+  it('enrolls with the QR code and shows the recovery codes once', async () => {
+    const wrapper = mountSettings()
+    expect(wrapper.find('[data-test="two-factor-status"]').text()).toContain('Выключена')
+
+    await wrapper.find('[data-test="two-factor-enable"]').trigger('click')
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="two-factor-qr"]').attributes('src')).toBe(setup.qrCode)
+    expect(wrapper.find('[data-test="two-factor-secret"]').text()).toBe(setup.secret)
+    expect(wrapper.find('[data-test="two-factor-confirm"]').attributes('disabled')).toBeDefined()
+
+    await wrapper.find('[data-test="two-factor-code"]').setValue('123456')
+    await wrapper.find('[data-test="two-factor-confirm"]').trigger('click')
+    await flushPromises()
+
+    expect(authStore.enableTwoFactor).toHaveBeenCalledWith('123456')
+    const codes = wrapper.findAll('[data-test="two-factor-recovery-codes"] li').map(item => item.text())
+    expect(codes).toEqual(['aaaa-bbbb', 'cccc-dddd'])
+
+    await wrapper.find('[data-test="two-factor-download-codes"]').trigger('click')
+    expect(saveBlob).toHaveBeenCalledWith(expect.any(window.Blob), 'media-pi-recovery-codes.txt')
+    expect(await readBlob(saveBlob.mock.calls[0][0])).toBe('aaaa-bbbb\ncccc-dddd\n')
+
+    await wrapper.find('[data-test="two-factor-codes-done"]').trigger('click')
+    expect(wrapper.find('[data-test="two-factor-recovery-codes"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="two-factor-status"]').text()).toContain('Включена')
+  })
+
+  it('reports a rejected code and stays on the enrollment step', async () => {
+    authStore.enableTwoFactor.mockRejectedValueOnce(new Error('Неверный код'))
+    const wrapper = mountSettings()
+
+    await wrapper.find('[data-test="two-factor-enable"]').trigger('click')
+    await flushPromises()
+    await wrapper.find('[data-test="two-factor-code"]').setValue('000000')
+    await wrapper.find('[data-test="two-factor-confirm"]').trigger('click')
+    await flushPromises()
+
+    expect(alertStore.error).toHaveBeenCalledWith('Неверный код')
+    expect(wrapper.find('[data-test="two-factor-qr"]').exists()).toBe(true)
+  })
+
+  it('flags a malformed code', async () => {
+    const wrapper = mountSettings()
+    await wrapper.find('[data-test="two-factor-enable"]').trigger('click')
+    await flushPromises()
+
+    await wrapper.find('[data-test="two-factor-code"]').setValue('12ab')
+    expect(wrapper.find('.alert-danger').exists()).toBe(true)
+    expect(wrapper.find('[data-test="two-factor-confirm"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('disables the second factor with a code', async () => {
+    authStore.user = { id: 1, twoFactorEnabled: true }
+    const wrapper = mountSettings()
+
+    await wrapper.find('[data-test="two-factor-disable"]').trigger('click')
+    expect(wrapper.find('[data-test="two-factor-confirm"]').text()).toBe('Отключить')
+    await wrapper.find('[data-test="two-factor-code"]').setValue('654321')
+    await wrapper.find('[data-test="two-factor-confirm"]').trigger('click')
+    await flushPromises()
+
+    expect(authStore.disableTwoFactor).toHaveBeenCalledWith('654321')
+    expect(wrapper.find('[data-test="two-factor-enable"]').exists()).toBe(true)
+  })
+
+  it('issues new recovery codes with a code', async () => {
+    authStore.user = { id: 1, twoFactorEnabled: true }
+    const wrapper = mountSettings()
+
+    await wrapper.find('[data-test="two-factor-regenerate"]').trigger('click')
+    await wrapper.find('[data-test="two-factor-code"]').setValue('123456')
+    await wrapper.find('[data-test="two-factor-confirm"]').trigger('click')
+    await flushPromises()
+
+    expect(authStore.regenerateRecoveryCodes).toHaveBeenCalledWith('123456')
+    expect(wrapper.find('[data-test="two-factor-recovery-codes"]').text()).toContain('eeee-ffff')
+  })
+
+  it('cancels the code entry', async () => {
+    authStore.user = { id: 1, twoFactorEnabled: true }
+    const wrapper = mountSettings()
+
+    await wrapper.find('[data-test="two-factor-disable"]').trigger('click')
+    await wrapper.find('[data-test="two-factor-cancel"]').trigger('click')
+
+    expect(wrapper.find('[data-test="two-factor-code"]').exists()).toBe(false)
+    expect(authStore.disableTwoFactor).not.toHaveBeenCalled()
+  })
+})
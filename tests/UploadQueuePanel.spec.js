@@ -0,0 +1,175 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { ref } from 'vue'
+import UploadQueuePanel from '@/components/UploadQueuePanel.vue'
+
+vi.mock('@sw-consulting/tooling.ui.kit', () => ({
+  ActionButton: {
+    name: 'ActionButton',
+    inheritAttrs: false,
+    props: ['item', 'icon', 'iconSize', 'tooltipText', 'disabled'],
+    emits: ['click'],
+    template: '<button v-bind="$attrs" class="action-btn" :disabled="disabled" @click="$emit(\'click\')"><slot /></button>'
+  }
+}))
+
+vi.mock('pinia', async () => {
+  const actual = await vi.importActual('pinia')
+  return { ...actual, storeToRefs: (store) => store }
+})
+
+const uploadManagerStore = {
+  items: ref([]),
+  activeCount: ref(0),
+  hasFinished: ref(false),
+  cancel: vi.fn(),
+  cancelAll: vi.fn(),
+  retry: vi.fn(),
+  remove: vi.fn(),
+  clearFinished: vi.fn(),
+  pause: vi.fn(),
+  resume: vi.fn()
+}
+const videosStore = {
+  uploads: ref({})
+}
+
+vi.mock('@/stores/upload.manager.store.js', () => ({
+  useUploadManagerStore: () => uploadManagerStore
+}))
+vi.mock('@/stores/videos.store.js', () => ({
+  useVideosStore: () => videosStore
+}))
+
+const item = (id, overrides = {}) => ({
+  id,
+  filename: `video-${id}.mp4`,
+  fingerprint: `fp-${id}`,
+  status: 'uploading',
+  loaded: 0,
+  total: 1000,
+  speed: null,
+  eta: null,
+  error: null,
+  ...overrides
+})
+
+const mountPanel = () => mount(UploadQueuePanel, {
+  global: { stubs: { 'font-awesome-icon': true } }
+})
+
+describe('UploadQueuePanel.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    uploadManagerStore.items.value = []
+    uploadManagerStore.activeCount.value = 0
+    uploadManagerStore.hasFinished.value = false
+    videosStore.uploads.value = {}
+  })
+
+  it('is hidden while the queue is empty', () => {
+    const wrapper = mountPanel()
+    expect(wrapper.find('[data-test="upload-queue-panel"]').exists()).toBe(false)
+  })
+
+  it('shows progress, speed and remaining time of every file', () => {
+    uploadManagerStore.items.value = [
+      item(1, { loaded: 500, speed: 2 * 1024 * 1024, eta: 75 }),
+      item(2, { status: 'queued' }),
+      item(3, { loaded: 1000 })
+    ]
+    uploadManagerStore.activeCount.value = 3
+    const wrapper = mountPanel()
+
+    expect(wrapper.find('[data-test="upload-queue-title"]').text()).toBe('Загрузка видеофайлов: 3')
+    expect(wrapper.find('[data-test="upload-queue-status-1"]').text()).toBe('50% · 2.0 МБ/с · осталось 1:15')
+    expect(wrapper.find('[data-test="upload-queue-status-2"]').text()).toBe('В очереди')
+    expect(wrapper.find('[data-test="upload-queue-status-3"]').text()).toBe('Обработка на сервере...')
+    expect(wrapper.find('[data-test="upload-queue-item-1"] .upload-queue-bar-fill').attributes('style')).toContain('width: 50%')
+    expect(wrapper.find('[data-test="upload-queue-metadata-1"]').exists()).toBe(false)
+  })
+
+  it('shows resolution and duration probed before upload', () => {
+    uploadManagerStore.items.value = [item(1, { metadata: { width: 1280, height: 720, duration: 30 } })]
+    uploadManagerStore.activeCount.value = 1
+    const wrapper = mountPanel()
+
+    expect(wrapper.find('[data-test="upload-queue-metadata-1"]').text()).toBe('· 1280×720 · 0:30')
+  })
+
+  it('shows finished files with retry and remove actions', async () => {
+    uploadManagerStore.items.value = [
+      item(1, { status: 'done', loaded: 1000 }),
+      item(2, { status: 'error', error: 'network error' }),
+      item(3, { status: 'cancelled' })
+    ]
+    uploadManagerStore.hasFinished.value = true
+    const wrapper = mountPanel()
+
+    expect(wrapper.find('[data-test="upload-queue-title"]').text()).toBe('Загрузка видеофайлов завершена')
+    expect(wrapper.find('[data-test="upload-queue-status-1"]').text()).toBe('Загружен')
+    expect(wrapper.find('[data-test="upload-queue-status-2"]').text()).toBe('Ошибка: network error')
+    expect(wrapper.find('[data-test="upload-queue-status-3"]').text()).toBe('Отменён')
+    expect(wrapper.find('[data-test="upload-queue-retry-1"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="upload-queue-cancel-all"]').exists()).toBe(false)
+
+    await wrapper.find('[data-test="upload-queue-retry-2"]').trigger('click')
+    await wrapper.find('[data-test="upload-queue-remove-3"]').trigger('click')
+    await wrapper.find('[data-test="upload-queue-clear"]').trigger('click')
+
+    expect(uploadManagerStore.retry).toHaveBeenCalledWith(2)
+    expect(uploadManagerStore.remove).toHaveBeenCalledWith(3)
+    expect(uploadManagerStore.clearFinished).toHaveBeenCalled()
+  })
+
+  it('cancels single files and the whole queue', async () => {
+    uploadManagerStore.items.value = [item(1), item(2, { status: 'queued' })]
+    uploadManagerStore.activeCount.value = 2
+    const wrapper = mountPanel()
+
+    expect(wrapper.find('[data-test="upload-queue-remove-1"]').exists()).toBe(false)
+    await wrapper.find('[data-test="upload-queue-cancel-2"]').trigger('click')
+    await wrapper.find('[data-test="upload-queue-cancel-all"]').trigger('click')
+
+    expect(uploadManagerStore.cancel).toHaveBeenCalledWith(2)
+    expect(uploadManagerStore.cancelAll).toHaveBeenCalled()
+  })
+
+  it('pauses and resumes chunked uploads', async () => {
+    uploadManagerStore.items.value = [item(1), item(2)]
+    uploadManagerStore.activeCount.value = 2
+    videosStore.uploads.value = {
+      'fp-1': { status: 'uploading' },
+      'fp-2': { status: 'paused' }
+    }
+    const wrapper = mountPanel()
+
+    expect(wrapper.find('[data-test="upload-queue-resume-1"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="upload-queue-pause-2"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="upload-queue-status-2"]').text()).toBe('Приостановлен')
+
+    await wrapper.find('[data-test="upload-queue-pause-1"]').trigger('click')
+    await wrapper.find('[data-test="upload-queue-resume-2"]').trigger('click')
+
+    expect(uploadManagerStore.pause).toHaveBeenCalledWith(1)
+    expect(uploadManagerStore.resume).toHaveBeenCalledWith(2)
+
+    videosStore.uploads.value = { 'fp-1': { status: 'retrying' } }
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-test="upload-queue-status-1"]').text()).toBe('Нет связи с сервером, повторная попытка...')
+  })
+
+  it('collapses the file list', async () => {
+    uploadManagerStore.items.value = [item(1)]
+    uploadManagerStore.activeCount.value = 1
+    const wrapper = mountPanel()
+
+    await wrapper.find('[data-test="upload-queue-toggle"]').trigger('click')
+
+    expect(wrapper.find('.upload-queue-list').isVisible()).toBe(false)
+    expect(wrapper.find('[data-test="upload-queue-toggle"]').attributes('aria-expanded')).toBe('false')
+  })
+})
@@ -4,11 +4,15 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { mount } from '@vue/test-utils'
+import { reactive } from 'vue'
 import UserLoginView from '@/views/User_LoginView.vue'
 import { resolveAll } from './helpers/test-utils'
 
 const routerPush = vi.hoisted(() => vi.fn())
 const loginMock = vi.hoisted(() => vi.fn().mockResolvedValue())
+const verifyTwoFactorMock = vi.hoisted(() => vi.fn().mockResolvedValue())
+const cancelTwoFactorMock = vi.hoisted(() => vi.fn())
+const alertError = vi.hoisted(() => vi.fn())
 let authStore
 
 vi.mock('pinia', async () => {
@@ -25,7 +29,7 @@ vi.mock('@/stores/auth.store.js', () => ({
 }))
 
 vi.mock('@/stores/alert.store.js', () => ({
-  useAlertStore: () => ({ alert: null, clear: vi.fn(), error: vi.fn() })
+  useAlertStore: () => ({ notifications: [], clear: vi.fn(), error: alertError })
 }))
 
 vi.mock('@/helpers/default.route.js', () => ({
@@ -49,13 +53,16 @@ const FieldStub = {
 describe('User_LoginView.vue', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    authStore = { 
+    authStore = reactive({ 
       login: loginMock, 
+      verifyTwoFactor: verifyTwoFactorMock,
+      cancelTwoFactor: cancelTwoFactorMock,
+      twoFactorChallenge: null,
       isAdministrator: false,
       isManager: false,
       isEngineer: false,
       user: { id: 1 } 
-    }
+    })
   })
 
   it('toggles password visibility', async () => {
@@ -93,5 +100,61 @@ describe('User_LoginView.vue', () => {
     const { redirectToDefaultRoute } = await import('@/helpers/default.route.js')
     expect(redirectToDefaultRoute).toHaveBeenCalled()
   })
-})
 
+  describe('two-factor step', () => {
+    const mountView = () => mount(UserLoginView, {
+      global: { stubs: { Form: FormStub, Field: FieldStub, 'font-awesome-icon': true } }
+    })
+
+    it('asks for a code instead of redirecting when the server requires it', async () => {
+      loginMock.mockImplementationOnce(async () => {
+        authStore.twoFactorChallenge = { token: 't', email: 'a' }
+        return true
+      })
+      const wrapper = mountView()
+
+      await wrapper.vm.onSubmit({ login_email: 'a', login_password: 'b' })
+      await resolveAll()
+
+      const { redirectToDefaultRoute } = await import('@/helpers/default.route.js')
+      expect(redirectToDefaultRoute).not.toHaveBeenCalled()
+      expect(wrapper.find('[data-test="two-factor-form"]').exists()).toBe(true)
+      expect(wrapper.find('#login_code').exists()).toBe(true)
+      expect(wrapper.find('#login_password').exists()).toBe(false)
+    })
+
+    it('redirects after the code is accepted', async () => {
+      authStore.twoFactorChallenge = { token: 't', email: 'a' }
+      const wrapper = mountView()
+
+      await wrapper.vm.onSubmitCode({ login_code: ' 123456 ' })
+      await resolveAll()
+
+      expect(verifyTwoFactorMock).toHaveBeenCalledWith('123456')
+      const { redirectToDefaultRoute } = await import('@/helpers/default.route.js')
+      expect(redirectToDefaultRoute).toHaveBeenCalled()
+    })
+
+    it('shows the error when the code is rejected', async () => {
+      authStore.twoFactorChallenge = { token: 't', email: 'a' }
+      verifyTwoFactorMock.mockRejectedValueOnce(new Error('Неверный код'))
+      const wrapper = mountView()
+
+      await wrapper.vm.onSubmitCode({ login_code: '000000' })
+      await resolveAll()
+
+      expect(alertError).toHaveBeenCalledWith('Неверный код')
+      const { redirectToDefaultRoute } = await import('@/helpers/default.route.js')
+      expect(redirectToDefaultRoute).not.toHaveBeenCalled()
+    })
+
+    it('returns to the password step', async () => {
+      authStore.twoFactorChallenge = { token: 't', email: 'a' }
+      const wrapper = mountView()
+
+      await wrapper.find('[data-test="two-factor-cancel"]').trigger('click')
+
+      expect(cancelTwoFactorMock).toHaveBeenCalled()
+    })
+  })
+})
@@ -102,6 +102,7 @@ vi.mock('@/stores/roles.store.js', () => ({
 
 vi.mock('@/stores/alert.store.js', () => ({
   useAlertStore: () => ({ 
+    notifications: [],
     success: successAlert,
     error: errorAlert,
     clear: clearAlert
@@ -141,6 +142,22 @@ describe('User_Settings.vue real component', () => {
     }
   }
 
+  it('offers two-factor enrollment on the own settings page only', async () => {
+    const TwoFactorStub = { name: 'TwoFactorSettings', template: '<div class="two-factor-stub" />' }
+    const own = mount(Parent, {
+      props: { register: false, id: 2 },
+      global: { stubs: { ...stubs(), TwoFactorSettings: TwoFactorStub } }
+    })
+    const other = mount(Parent, {
+      props: { register: false, id: 5 },
+      global: { stubs: { ...stubs(), TwoFactorSettings: TwoFactorStub } }
+    })
+    await resolveAll()
+
+    expect(own.find('.two-factor-stub').exists()).toBe(true)
+    expect(other.find('.two-factor-stub').exists()).toBe(false)
+  })
+
   it('fetches user by id when editing', async () => {
     mount(Parent, {
       props: { register: false, id: 5 },
@@ -399,6 +416,6 @@ describe('User_Settings.vue real component', () => {
 
     const child = wrapper.findComponent(UserSettings)
     expect(child.vm.$.setupState.onInvalidSubmit({ errors: { email: 'Необходимо указать email' } })).toBe(false)
-    expect(errorAlert).toHaveBeenCalledWith('Необходимо указать email')
+    expect(errorAlert).toHaveBeenCalledWith('Необходимо указать email', { routeScoped: true })
   })
 })
@@ -18,7 +18,9 @@ const mockError = ref(null)
 // Centralized mock functions
 const getAll = vi.hoisted(() => vi.fn())
 const deleteUserFn = vi.hoisted(() => vi.fn(() => Promise.resolve()))
+const resetTwoFactorFn = vi.hoisted(() => vi.fn(() => Promise.resolve()))
 const errorFn = vi.hoisted(() => vi.fn())
+const successFn = vi.hoisted(() => vi.fn())
 const confirmMock = vi.hoisted(() => vi.fn().mockResolvedValue(true))
 const ensureLoaded = vi.hoisted(() => vi.fn(() => Promise.resolve()))
 const router = vi.hoisted(() => ({
@@ -40,12 +42,13 @@ vi.mock('@/stores/users.store.js', () => ({
     loading: mockLoading,
     error: mockError,
     getAll,
+    resetTwoFactor: resetTwoFactorFn,
     delete: deleteUserFn
   })
 }))
 
 vi.mock('@/stores/alert.store.js', () => ({
-  useAlertStore: () => ({ alert: null, error: errorFn, clear: vi.fn() })
+  useAlertStore: () => ({ notifications: [], error: errorFn, success: successFn, clear: vi.fn() })
 }))
 
 vi.mock('@/stores/auth.store.js', () => ({
@@ -266,6 +269,31 @@ describe('Users_List.vue', () => {
     expect(deleteUserFn).not.toHaveBeenCalled()
   })
 
+  it('resets two-factor authentication after confirmation', async () => {
+    const wrapper = mountComponent()
+    await wrapper.vm.resetTwoFactor({ id: 3, firstName: 'Jane', lastName: 'Roe', twoFactorEnabled: true })
+    await resolveAll()
+
+    expect(confirmMock).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Сброс двухфакторной аутентификации',
+      content: expect.stringContaining('Jane Roe')
+    }))
+    expect(resetTwoFactorFn).toHaveBeenCalledWith(3)
+    expect(successFn).toHaveBeenCalledWith('Двухфакторная аутентификация пользователя "Jane Roe" сброшена')
+  })
+
+  it('keeps two-factor authentication when the reset is declined or fails', async () => {
+    confirmMock.mockResolvedValueOnce(false)
+    const wrapper = mountComponent()
+    await wrapper.vm.resetTwoFactor({ id: 3, firstName: 'Jane', lastName: 'Roe' })
+    expect(resetTwoFactorFn).not.toHaveBeenCalled()
+
+    resetTwoFactorFn.mockRejectedValueOnce(new Error('Forbidden'))
+    await wrapper.vm.resetTwoFactor({ id: 3, firstName: 'Jane', lastName: 'Roe' })
+    await resolveAll()
+    expect(errorFn).toHaveBeenCalledWith('Ошибка при сбросе двухфакторной аутентификации: Forbidden')
+  })
+
   // Error handling test
   it('calls alertStore.error when deleteUser rejects', async () => {
     // Configure the confirm mock to return true for this test
@@ -0,0 +1,47 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import VideoThumbnail from '@/components/VideoThumbnail.vue'
+import { apiUrl } from '@/helpers/config.js'
+
+const mountThumbnail = (props) => mount(VideoThumbnail, {
+  props,
+  global: { stubs: { 'font-awesome-icon': true } }
+})
+
+describe('VideoThumbnail.vue', () => {
+  it('shows the poster image', () => {
+    const wrapper = mountThumbnail({ src: 'https://cdn.example.com/posters/1.jpg', alt: 'Clip' })
+
+    const image = wrapper.find('[data-test="video-thumbnail-image"]')
+    expect(image.attributes('src')).toBe('https://cdn.example.com/posters/1.jpg')
+    expect(image.attributes('alt')).toBe('Clip')
+    expect(image.attributes('loading')).toBe('lazy')
+  })
+
+  it('resolves posters relative to the API', () => {
+    const wrapper = mountThumbnail({ src: '/api/videos/1/poster' })
+
+    expect(wrapper.find('[data-test="video-thumbnail-image"]').attributes('src'))
+      .toBe(new URL('/api/videos/1/poster', apiUrl).toString())
+  })
+
+  it('shows a placeholder without a poster', () => {
+    const wrapper = mountThumbnail({})
+
+    expect(wrapper.find('[data-test="video-thumbnail-image"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="video-thumbnail-placeholder"]').exists()).toBe(true)
+  })
+
+  it('falls back to the placeholder when the poster fails to load', async () => {
+    const wrapper = mountThumbnail({ src: 'https://cdn.example.com/posters/1.jpg' })
+
+    await wrapper.find('[data-test="video-thumbnail-image"]').trigger('error')
+    expect(wrapper.find('[data-test="video-thumbnail-placeholder"]').exists()).toBe(true)
+
+    await wrapper.setProps({ src: 'https://cdn.example.com/posters/2.jpg' })
+    expect(wrapper.find('[data-test="video-thumbnail-image"]').attributes('src')).toBe('https://cdn.example.com/posters/2.jpg')
+  })
+})
@@ -7,6 +7,7 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { ref } from 'vue'
 import VideoSettings from '@/components/Video_Settings.vue'
 import { redirectToDefaultRoute } from '@/helpers/default.route.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
 const routerGo = vi.hoisted(() => vi.fn())
 
@@ -29,11 +30,7 @@ const categoriesStore = {
   getAll: vi.fn()
 }
 
-const alertStore = {
-  alert: ref(null),
-  error: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-danger' } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 let authStore = { user: { roles: [1], accountIds: [] } }
 
@@ -198,7 +195,7 @@ describe('Video_Settings.vue', () => {
     })
     categoriesStore.categories.value = [{ id: 3, title: 'Sports' }, { id: 4, title: 'News' }]
     categoriesStore.getAll = vi.fn().mockResolvedValue()
-    alertStore.alert.value = null
+    alertStore.reset()
     vi.clearAllMocks()
   })
 
@@ -398,7 +395,7 @@ describe('Video_Settings.vue', () => {
     await wrapper.find('[data-test="save-video-button"]').trigger('click')
     await flushPromises()
 
-    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать описание')
+    expect(alertStore.error).toHaveBeenCalledWith('Необходимо указать описание', { routeScoped: true })
   })
 
   it('opens current video in playback dialog from the header film button', async () => {
@@ -433,23 +430,15 @@ describe('Video_Settings.vue', () => {
     expect(wrapper.find('[data-test="video-view-dialog"]').exists()).toBe(false)
   })
 
-  it('calls alertStore.clear when alert close button is clicked', async () => {
+  it('reports a failed load as a notification outside of the form', async () => {
     const error = new Error('Server error')
     videosStore.getById = vi.fn().mockRejectedValue(error)
 
     const wrapper = mountSettings()
     await flushPromises()
 
-    const closeButton = wrapper.find('.alert-dismissable .btn-link.close')
-    expect(closeButton.exists()).toBe(true)
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const accountNameEl = wrapper.find('[data-test="video-account-name"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(accountNameEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    await closeButton.trigger('click')
-
-    expect(alertStore.clear).toHaveBeenCalled()
+    expect(alertStore.alert).not.toBeNull()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
   })
 
   it('cancelPlaylistCleanup does nothing while force save is in progress', async () => {
@@ -564,7 +553,7 @@ describe('Video_Settings.vue - additional branch coverage', () => {
     })
     categoriesStore.categories.value = [{ id: 3, title: 'Sports' }, { id: 4, title: 'News' }]
     categoriesStore.getAll = vi.fn().mockResolvedValue()
-    alertStore.alert.value = null
+    alertStore.reset()
     vi.clearAllMocks()
   })
 
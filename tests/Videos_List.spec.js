@@ -1,9 +1,13 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { mount, flushPromises } from '@vue/test-utils'
 import { reactive, ref, nextTick } from 'vue'
+import { createPinia, setActivePinia } from 'pinia'
 import VideosList from '@/components/Videos_List.vue'
+import { useUploadManagerStore } from '@/stores/upload.manager.store.js'
+import { getUploadFingerprint } from '@/helpers/chunked.upload.js'
+import { createAlertStoreMock } from './helpers/alert.store.mock.js'
 
-/* global File, AbortSignal */
+/* global File, Blob, AbortSignal */
 
 let currentUser
 let authStore
@@ -33,6 +37,8 @@ const videosStore = {
   videoPreview: ref(null),
   loading: ref(false),
   error: ref(null),
+  uploads: ref({}),
+  pendingUploads: ref({}),
   getAllByAccount: vi.fn(async () => videosStore.videos.value),
   open: vi.fn(async (id) => {
     videosStore.videoPreview.value = {
@@ -43,18 +49,16 @@ const videosStore = {
     return videosStore.videoPreview.value
   }),
   update: vi.fn(async () => ({})),
-  uploadFile: vi.fn(async () => ({})),
+  uploadFileInBackground: vi.fn(async () => ({})),
+  pauseUpload: vi.fn(),
+  resumeUpload: vi.fn(),
+  discardUpload: vi.fn(async () => {}),
   remove: vi.fn(async () => ({})),
   removeBatch: vi.fn(async () => ({ requestedCount: 0, deletedIds: [], failures: [] })),
   updateCategoryBatch: vi.fn(async () => ({ requestedCount: 0, updatedIds: [], failures: [] }))
 }
 
-const alertStore = {
-  alert: ref(null),
-  success: vi.fn((message) => { alertStore.alert.value = { message, type: 'alert-success' } }),
-  error: vi.fn((message) => { alertStore.alert.value = { message } }),
-  clear: vi.fn()
-}
+const alertStore = createAlertStoreMock()
 
 const confirmation = {
   confirmDelete: vi.fn(async () => true),
@@ -65,6 +69,12 @@ const router = vi.hoisted(() => ({
   push: vi.fn()
 }))
 
+const videoProbe = vi.hoisted(() => ({
+  probeVideoFile: vi.fn()
+}))
+
+const unknownProbe = { playable: null, codecSupport: null, duration: null, width: null, height: null, poster: null, reason: null }
+
 vi.mock('@/stores/accounts.store.js', () => ({ useAccountsStore: () => accountsStore }))
 vi.mock('@/stores/categories.store.js', () => ({ useCategoriesStore: () => categoriesStore }))
 vi.mock('@/stores/videos.store.js', () => ({ useVideosStore: () => videosStore }))
@@ -72,6 +82,10 @@ vi.mock('@/stores/auth.store.js', () => ({ useAuthStore: () => makeAuthStore() }
 vi.mock('@/stores/alert.store.js', () => ({ useAlertStore: () => alertStore }))
 vi.mock('@/helpers/confirmation.js', () => ({ useConfirmation: () => confirmation }))
 vi.mock('@/router', () => ({ default: router }))
+vi.mock('@/helpers/video.probe.js', async () => ({
+  ...(await vi.importActual('@/helpers/video.probe.js')),
+  ...videoProbe
+}))
 vi.mock('@sw-consulting/tooling.ui.kit', () => ({
   ActionButton: { name: 'ActionButton', props: ['item', 'icon', 'tooltipText', 'disabled'], emits: ['click'], template: '<button :data-icon="icon" :data-tooltip="tooltipText" :disabled="disabled" @click="$emit(\'click\', item)"><slot /></button>' }
 }))
@@ -178,6 +192,7 @@ const globalStubs = {
             @change="toggleItem(item.id, $event.target.checked)"
           />
           <slot name="item.actions" :item="item" />
+          <slot name="item.poster" :item="item" />
           <slot name="item.title" :item="item" />
           <slot v-if="hasCategoryColumn" name="item.categoryTitle" :item="item" />
           <slot name="item.fileSize" :item="item" />
@@ -208,10 +223,15 @@ const globalStubs = {
 describe('Videos_List.vue', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    // The upload manager store is real and uploads through the mocked videos store
+    setActivePinia(createPinia())
+    videoProbe.probeVideoFile.mockResolvedValue(unknownProbe)
     accountsStore.accounts.value = []
     categoriesStore.categories.value = []
     videosStore.videos.value = []
     videosStore.videoPreview.value = null
+    videosStore.uploads.value = {}
+    videosStore.pendingUploads.value = {}
     currentUser = { roles: [1], accountIds: [] }
     authStore = reactive({
       user: currentUser,
@@ -234,13 +254,11 @@ describe('Videos_List.vue', () => {
       return videosStore.videoPreview.value
     })
     videosStore.update.mockImplementation(async () => ({}))
-    videosStore.uploadFile.mockImplementation(async () => ({}))
+    videosStore.uploadFileInBackground.mockImplementation(async () => ({}))
     videosStore.remove.mockImplementation(async () => ({}))
     videosStore.removeBatch.mockImplementation(async () => ({ requestedCount: 0, deletedIds: [], failures: [] }))
     videosStore.updateCategoryBatch.mockImplementation(async () => ({ requestedCount: 0, updatedIds: [], failures: [] }))
-    alertStore.success.mockImplementation((message) => { alertStore.alert.value = { message, type: 'alert-success' } })
-    alertStore.error.mockImplementation((message) => { alertStore.alert.value = { message } })
-    alertStore.clear.mockImplementation(() => {})
+    alertStore.reset()
     confirmation.confirmDelete.mockImplementation(async () => true)
     confirmation.confirmAction.mockImplementation(async () => true)
     router.push.mockClear()
@@ -265,22 +283,18 @@ describe('Videos_List.vue', () => {
     expect(wrapper.find('.videos-list-subsection-divider').exists()).toBe(false)
   })
 
-  it('renders the top-level alert below the header divider and before table content', async () => {
-    alertStore.alert.value = { message: 'Video alert', type: 'alert-danger' }
+  it('leaves notifications to the application stack', async () => {
+    alertStore.error('Video alert')
 
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
-    expect(wrapper.find('.alert-dismissable').text()).toContain('Video alert')
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const tableEmptyEl = wrapper.find('[data-test="table-empty"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(tableEmptyEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
+    expect(wrapper.find('.alert-dismissable').exists()).toBe(false)
+    expect(wrapper.find('hr.hr').exists()).toBe(true)
   })
 
   it('renders embedded mode as a subordinate subsection', async () => {
-    alertStore.alert.value = { message: 'Video alert', type: 'alert-danger' }
+    alertStore.error('Video alert')
 
     const wrapper = mount(VideosList, {
       props: {
@@ -594,7 +608,7 @@ describe('Videos_List.vue', () => {
     const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
     await wrapper.vm.uploadVideos([file])
 
-    expect(videosStore.uploadFile).toHaveBeenCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(
       file,
       0,
       '',
@@ -807,7 +821,7 @@ describe('Videos_List.vue', () => {
     await flushPromises()
     const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
     await wrapper.vm.uploadVideos([file])
-    expect(videosStore.uploadFile).not.toHaveBeenCalled()
+    expect(videosStore.uploadFileInBackground).not.toHaveBeenCalled()
   })
 
   it('uploads file when user has permissions', async () => {
@@ -816,7 +830,7 @@ describe('Videos_List.vue', () => {
     await flushPromises()
     const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
     await wrapper.vm.uploadVideos([file])
-    expect(videosStore.uploadFile).toHaveBeenCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(
       file,
       0,
       '',
@@ -838,8 +852,8 @@ describe('Videos_List.vue', () => {
     await wrapper.vm.onFileChange({ target: { files: [file1, file2] } })
     await flushPromises()
 
-    expect(videosStore.uploadFile).toHaveBeenCalledTimes(2)
-    expect(videosStore.uploadFile).toHaveBeenNthCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
+    expect(videosStore.uploadFileInBackground).toHaveBeenNthCalledWith(
       1,
       file1,
       0,
@@ -849,7 +863,7 @@ describe('Videos_List.vue', () => {
         signal: expect.any(AbortSignal)
       })
     )
-    expect(videosStore.uploadFile).toHaveBeenNthCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenNthCalledWith(
       2,
       file2,
       0,
@@ -862,11 +876,127 @@ describe('Videos_List.vue', () => {
     expect(alertStore.success).toHaveBeenCalledWith('Загружено видеофайлов: 2')
   })
 
-  it('shows total upload progress and disables actions while upload is pending', async () => {
+  it('hides an interrupted upload while the same file is uploading again', async () => {
+    const file = new File(['x'], 'promo.mp4', { type: 'video/mp4' })
+    const uploadKey = getUploadFingerprint(file, { accountId: 0 })
+    videosStore.pendingUploads.value = {
+      [uploadKey]: { id: 'up-1', filename: 'promo.mp4', size: 1, uploadedBytes: 0 }
+    }
+    let resolveUpload
+    videosStore.uploadFileInBackground.mockImplementation(() => new Promise(resolve => {
+      resolveUpload = resolve
+    }))
+
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+    expect(wrapper.find('[data-test="interrupted-uploads"]').exists()).toBe(true)
+
+    const uploadPromise = wrapper.vm.uploadVideos([file])
+    await flushPromises()
+    expect(wrapper.find('[data-test="interrupted-uploads"]').exists()).toBe(false)
+
+    videosStore.pendingUploads.value = {}
+    resolveUpload({})
+    await uploadPromise
+    await flushPromises()
+    expect(wrapper.find('[data-test="interrupted-uploads"]').exists()).toBe(false)
+  })
+
+  it('rejects files the players cannot decode and sends posters of playable files', async () => {
+    const poster = new Blob(['jpeg'], { type: 'image/jpeg' })
+    videoProbe.probeVideoFile
+      .mockResolvedValueOnce({ ...unknownProbe, playable: false, reason: 'Формат видеофайла не поддерживается проигрывателем' })
+      .mockResolvedValueOnce({ ...unknownProbe, playable: true, duration: 75, width: 1920, height: 1080, poster })
+    confirmation.confirmAction.mockResolvedValueOnce(false)
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    const broken = new File(['x'], 'broken.avi', { type: 'video/x-msvideo' })
+    const playable = new File(['y'], 'promo.mp4', { type: 'video/mp4' })
+    await wrapper.vm.uploadVideos([broken, playable])
+    await flushPromises()
+
+    expect(videoProbe.probeVideoFile).toHaveBeenCalledWith(broken)
+    expect(confirmation.confirmAction).toHaveBeenCalledTimes(1)
+    expect(confirmation.confirmAction).toHaveBeenCalledWith(
+      '"broken.avi": Формат видеофайла не поддерживается проигрывателем. Браузер не смог проверить файл. ' +
+        'Загрузить его, если проигрыватели поддерживают этот формат?',
+      { title: 'Видеофайл не распознан', confirmationText: 'Загрузить', cancellationText: 'Не загружать' }
+    )
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(1)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(playable, 0, '', expect.objectContaining({ poster }))
+    expect(useUploadManagerStore().items[0].metadata).toEqual({ duration: 75, width: 1920, height: 1080 })
+    expect(alertStore.error).toHaveBeenCalledWith('Загружено видеофайлов: 1. Не удалось загрузить: 1. "broken.avi": Формат видеофайла не поддерживается проигрывателем')
+  })
+
+  it('does not upload when no selected file can be played', async () => {
+    videoProbe.probeVideoFile.mockResolvedValue({ ...unknownProbe, playable: false, reason: 'Файл не содержит видеодорожки' })
+    confirmation.confirmAction.mockResolvedValue(false)
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    await wrapper.vm.uploadVideos([new File(['x'], 'sound.mp4', { type: 'video/mp4' })])
+    await flushPromises()
+
+    expect(videosStore.uploadFileInBackground).not.toHaveBeenCalled()
+    expect(alertStore.error).toHaveBeenCalledWith('Загружено видеофайлов: 0. Не удалось загрузить: 1. "sound.mp4": Файл не содержит видеодорожки')
+    expect(wrapper.find('[data-test="upload-video-button"]').element.disabled).toBe(false)
+  })
+
+  it('uploads a file the browser cannot decode when the user confirms it', async () => {
+    videoProbe.probeVideoFile.mockResolvedValueOnce({ ...unknownProbe, playable: false, reason: 'Формат видеофайла не поддерживается проигрывателем' })
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    const hevc = new File(['x'], 'hevc.mp4', { type: 'video/mp4' })
+    await wrapper.vm.uploadVideos([hevc])
+    await flushPromises()
+
+    expect(confirmation.confirmAction).toHaveBeenCalledTimes(1)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(hevc, 0, '', expect.anything())
+    expect(alertStore.error).not.toHaveBeenCalled()
+  })
+
+  it('shows video posters in the thumbnail column', async () => {
+    videosStore.videos.value = [
+      { id: 1, title: 'Clip', accountId: 0, posterUrl: 'https://cdn.example.com/posters/1.jpg' },
+      { id: 2, title: 'Other', accountId: 0 }
+    ]
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    expect(wrapper.vm.headers.map(header => header.key)).toContain('poster')
+    const image = wrapper.find('[data-test="video-thumbnail-image"]')
+    expect(image.attributes('src')).toBe('https://cdn.example.com/posters/1.jpg')
+    expect(image.attributes('alt')).toBe('Clip')
+    expect(wrapper.findAll('[data-test="video-thumbnail-placeholder"]')).toHaveLength(1)
+  })
+
+  it('lists interrupted uploads and discards them after confirmation', async () => {
+    videosStore.pendingUploads.value = {
+      'promo.mp4:100:1:0:': { id: 'up-1', filename: 'promo.mp4', size: 100, uploadedBytes: 25 }
+    }
+    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
+    await flushPromises()
+
+    const interrupted = wrapper.find('[data-test="interrupted-upload-promo.mp4"]')
+    expect(interrupted.text()).toContain('promo.mp4 — 25%')
+
+    await interrupted.find('[data-test="discard-interrupted-upload-button"]').trigger('click')
+    await flushPromises()
+
+    expect(confirmation.confirmAction).toHaveBeenCalledWith(
+      'Отменить незавершённую загрузку файла promo.mp4?',
+      expect.objectContaining({ confirmationText: 'Отменить загрузку' })
+    )
+    expect(videosStore.discardUpload).toHaveBeenCalledWith('promo.mp4:100:1:0:')
+  })
+
+  it('queues uploads in the upload manager and disables actions while upload is pending', async () => {
     videosStore.videos.value = [{ id: 1, title: 'Clip', accountId: 0 }]
     let resolveUpload
     let onUploadProgress
-    videosStore.uploadFile.mockImplementation((_file, _accountId, _title, options) => {
+    videosStore.uploadFileInBackground.mockImplementation((_file, _accountId, _title, options) => {
       onUploadProgress = options.onUploadProgress
       return new Promise(resolve => {
         resolveUpload = resolve
@@ -876,77 +1006,47 @@ describe('Videos_List.vue', () => {
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
     const callsBeforeUpload = videosStore.getAllByAccount.mock.calls.length
+    const uploadManagerStore = useUploadManagerStore()
 
     const file = new File(['x'.repeat(100)], 'test.mp4', { type: 'video/mp4' })
     const uploadPromise = wrapper.vm.uploadVideos([file])
-    await nextTick()
+    await flushPromises()
 
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(true)
-    expect(wrapper.find('[data-test="upload-progress-label"]').text()).toBe('Загрузка видеофайлов')
-    expect(wrapper.find('[data-test="upload-progress-text"]').exists()).toBe(false)
+    expect(uploadManagerStore.items).toEqual([
+      expect.objectContaining({ filename: 'test.mp4', status: 'uploading', loaded: 0, total: 100 })
+    ])
     expect(wrapper.find('[data-test="upload-video-button"]').element.disabled).toBe(true)
     expect(wrapper.find('[data-test="batch-delete-video-button"]').element.disabled).toBe(true)
     expect(wrapper.find('select').element.disabled).toBe(true)
     expect(wrapper.find('[data-test="edit-video-button"]').element.disabled).toBe(true)
     expect(wrapper.find('[data-test="delete-video-button"]').element.disabled).toBe(true)
-    expect(wrapper.find('[data-test="cancel-upload-button"]').exists()).toBe(true)
-    expect(wrapper.find('[data-test="cancel-upload-button"]').attributes('data-color')).toBe('orange-darken-3')
-    expect(wrapper.find('[data-test="cancel-upload-button"]').attributes('data-variant')).toBe('text')
-
-    onUploadProgress({ lengthComputable: false, loaded: 10, total: null, percentage: null })
-    await nextTick()
-
-    let progressSpinner = wrapper.find('[data-test="upload-progress-spinner"]')
-    expect(wrapper.find('[data-test="upload-progress-label"]').text()).toBe('Загрузка видеофайлов')
-    expect(wrapper.find('[data-test="upload-progress-text"]').exists()).toBe(false)
-    expect(progressSpinner.attributes('data-indeterminate')).toBe('true')
 
     onUploadProgress({ lengthComputable: true, loaded: 42, total: 100, percentage: 42 })
     await nextTick()
-
-    progressSpinner = wrapper.find('[data-test="upload-progress-spinner"]')
-    expect(wrapper.find('[data-test="upload-progress-label"]').text()).toBe('Загрузка видеофайлов')
-    expect(wrapper.find('[data-test="upload-progress-text"]').exists()).toBe(false)
-    expect(progressSpinner.text()).toBe('42%')
-    expect(progressSpinner.attributes('data-model-value')).toBe('42')
-    expect(progressSpinner.attributes('data-indeterminate')).toBe('false')
-
-    onUploadProgress({ lengthComputable: true, loaded: 100, total: 100, percentage: 100 })
-    await nextTick()
-
-    progressSpinner = wrapper.find('[data-test="upload-progress-spinner"]')
-    expect(wrapper.find('[data-test="upload-progress-label"]').text()).toBe('Обработка видеофайлов')
-    expect(wrapper.find('[data-test="upload-progress-text"]').text()).toBe('Файлы загружены. Идёт обработка на сервере...')
-    expect(wrapper.find('[data-test="cancel-upload-button"]').exists()).toBe(false)
-    expect(progressSpinner.text()).toBe('')
-    expect(progressSpinner.attributes('data-indeterminate')).toBe('true')
+    expect(uploadManagerStore.items[0].loaded).toBe(42)
 
     resolveUpload({})
     await uploadPromise
     await flushPromises()
 
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
+    expect(uploadManagerStore.items[0].status).toBe('done')
+    expect(wrapper.find('[data-test="upload-video-button"]').element.disabled).toBe(false)
     expect(videosStore.getAllByAccount.mock.calls.length).toBe(callsBeforeUpload + 1)
   })
 
-  it('shows duplicate upload conflict and closes upload progress', async () => {
+  it('shows duplicate upload conflict and marks the queued file as failed', async () => {
     const duplicateMessage = 'В выбранном разделе уже есть видеофайл с именем "test.mp4"'
-    videosStore.uploadFile.mockRejectedValueOnce(createDuplicateOriginalFilenameError(duplicateMessage))
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createDuplicateOriginalFilenameError(duplicateMessage))
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
     const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
-    const uploadPromise = wrapper.vm.uploadVideos([file])
-    await nextTick()
-
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(true)
-
-    await uploadPromise
+    await wrapper.vm.uploadVideos([file])
     await flushPromises()
 
     expect(alertStore.error).toHaveBeenCalledWith(`Загружено видеофайлов: 0. Не удалось загрузить: 1. ${duplicateMessage}`)
     expect(alertStore.error).not.toHaveBeenCalledWith(expect.stringContaining('Не удалось загрузить видеофайлы'))
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
+    expect(useUploadManagerStore().items[0]).toEqual(expect.objectContaining({ status: 'error', error: duplicateMessage }))
   })
 
   it('rejects existing filename conflict before uploading file', async () => {
@@ -959,7 +1059,7 @@ describe('Videos_List.vue', () => {
     await wrapper.vm.uploadVideos([file])
     await flushPromises()
 
-    expect(videosStore.uploadFile).not.toHaveBeenCalled()
+    expect(videosStore.uploadFileInBackground).not.toHaveBeenCalled()
     expect(videosStore.getAllByAccount.mock.calls.length).toBe(callsBeforeUpload)
     expect(alertStore.error).toHaveBeenCalledWith('Загружено видеофайлов: 0. Не удалось загрузить: 1. В выбранном разделе уже есть видеофайл с именем "test.mp4"')
     expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
@@ -967,7 +1067,7 @@ describe('Videos_List.vue', () => {
 
   it('skips existing filename conflicts and uploads later files', async () => {
     videosStore.videos.value = [{ id: 71, title: 'Existing', originalFilename: 'second.mp4', accountId: 0, categoryId: 0 }]
-    videosStore.uploadFile.mockResolvedValue({})
+    videosStore.uploadFileInBackground.mockResolvedValue({})
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
     const callsBeforeUpload = videosStore.getAllByAccount.mock.calls.length
@@ -978,15 +1078,15 @@ describe('Videos_List.vue', () => {
     await wrapper.vm.uploadVideos([file1, file2, file3])
     await flushPromises()
 
-    expect(videosStore.uploadFile).toHaveBeenCalledTimes(2)
-    expect(videosStore.uploadFile).toHaveBeenNthCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
+    expect(videosStore.uploadFileInBackground).toHaveBeenNthCalledWith(
       1,
       file1,
       0,
       '',
       expect.objectContaining({ onUploadProgress: expect.any(Function), signal: expect.any(AbortSignal) })
     )
-    expect(videosStore.uploadFile).toHaveBeenNthCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenNthCalledWith(
       2,
       file3,
       0,
@@ -1006,7 +1106,7 @@ describe('Videos_List.vue', () => {
     await wrapper.vm.uploadVideos([file])
     await flushPromises()
 
-    expect(videosStore.uploadFile).toHaveBeenCalledWith(
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(
       file,
       0,
       '',
@@ -1018,27 +1118,22 @@ describe('Videos_List.vue', () => {
     expect(alertStore.success).toHaveBeenCalledWith('Загружено видеофайлов: 1')
   })
 
-  it('shows duplicate upload description conflict and closes upload progress', async () => {
+  it('shows duplicate upload description conflict and marks the queued file as failed', async () => {
     const duplicateMessage = 'В выбранном разделе уже есть видеофайл с описанием "test.mp4"'
-    videosStore.uploadFile.mockRejectedValueOnce(createDuplicateVideoDescriptionError(duplicateMessage))
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createDuplicateVideoDescriptionError(duplicateMessage))
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
-    const uploadPromise = wrapper.vm.uploadVideos([new File(['x'], 'test.mp4', { type: 'video/mp4' })])
-    await nextTick()
-
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(true)
-
-    await uploadPromise
+    await wrapper.vm.uploadVideos([new File(['x'], 'test.mp4', { type: 'video/mp4' })])
     await flushPromises()
 
     expect(alertStore.error).toHaveBeenCalledWith(`Загружено видеофайлов: 0. Не удалось загрузить: 1. ${duplicateMessage}`)
     expect(alertStore.error).not.toHaveBeenCalledWith(expect.stringContaining('Не удалось загрузить видеофайлы'))
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
+    expect(useUploadManagerStore().items[0].status).toBe('error')
   })
 
   it('continues after per-file upload failure and summarizes partial result', async () => {
-    videosStore.uploadFile
+    videosStore.uploadFileInBackground
       .mockResolvedValueOnce({})
       .mockRejectedValueOnce(new Error('network error'))
       .mockResolvedValueOnce({})
@@ -1053,49 +1148,35 @@ describe('Videos_List.vue', () => {
     await wrapper.vm.uploadVideos([file1, file2, file3])
     await flushPromises()
 
-    expect(videosStore.uploadFile).toHaveBeenCalledTimes(3)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(3)
     expect(videosStore.getAllByAccount.mock.calls.length).toBe(callsBeforeUpload + 1)
     expect(alertStore.error).toHaveBeenCalledWith('Загружено видеофайлов: 2. Не удалось загрузить: 1. "second.mp4": network error')
   })
 
-  it('shows a refresh phase after upload completes while the list reloads', async () => {
-    let refreshCall = 0
-    let resolveRefresh
-    videosStore.getAllByAccount.mockImplementation(() => {
-      refreshCall += 1
-      if (refreshCall === 1) return Promise.resolve(videosStore.videos.value)
-      return new Promise(resolve => {
-        resolveRefresh = () => resolve(videosStore.videos.value)
-      })
-    })
-    videosStore.uploadFile.mockResolvedValue({})
-
+  it('refreshes the list when an upload retried from the queue completes', async () => {
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(new Error('network error'))
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
-    const uploadPromise = wrapper.vm.uploadVideos([new File(['x'], 'test.mp4', { type: 'video/mp4' })])
+    await wrapper.vm.uploadVideos([new File(['x'], 'test.mp4', { type: 'video/mp4' })])
     await flushPromises()
+    const callsBeforeRetry = videosStore.getAllByAccount.mock.calls.length
+    const uploadManagerStore = useUploadManagerStore()
+    expect(uploadManagerStore.items[0].status).toBe('error')
 
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(true)
-    expect(wrapper.find('[data-test="upload-progress-label"]').text()).toBe('Обновление списка видеофайлов')
-    expect(wrapper.find('[data-test="upload-progress-text"]').text()).toBe('Получаем обновлённую информацию...')
-    expect(wrapper.find('[data-test="upload-progress-spinner"]').attributes('data-indeterminate')).toBe('true')
-    expect(wrapper.find('[data-test="cancel-upload-button"]').exists()).toBe(false)
-
-    resolveRefresh()
-    await uploadPromise
+    uploadManagerStore.retry(uploadManagerStore.items[0].id)
     await flushPromises()
 
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
+    expect(uploadManagerStore.items[0].status).toBe('done')
+    expect(videosStore.getAllByAccount.mock.calls.length).toBe(callsBeforeRetry + 1)
   })
 
   it('cancels an in-progress upload without refreshing or showing an error', async () => {
-    let rejectUpload
     let uploadSignal
-    videosStore.uploadFile.mockImplementation((_file, _accountId, _title, options) => {
+    videosStore.uploadFileInBackground.mockImplementation((_file, _accountId, _title, options) => {
       uploadSignal = options.signal
       return new Promise((_resolve, reject) => {
-        rejectUpload = reject
         options.signal.addEventListener('abort', () => {
           const error = new Error('Загрузка отменена')
           error.name = 'AbortError'
@@ -1107,18 +1188,18 @@ describe('Videos_List.vue', () => {
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
     const callsBeforeUpload = videosStore.getAllByAccount.mock.calls.length
+    const uploadManagerStore = useUploadManagerStore()
 
     const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
     const uploadPromise = wrapper.vm.uploadVideos([file])
-    await nextTick()
+    await flushPromises()
 
-    await wrapper.find('[data-test="cancel-upload-button"]').trigger('click')
+    uploadManagerStore.cancel(uploadManagerStore.items[0].id)
     await uploadPromise
     await flushPromises()
 
     expect(uploadSignal.aborted).toBe(true)
-    expect(rejectUpload).toEqual(expect.any(Function))
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
+    expect(uploadManagerStore.items[0].status).toBe('cancelled')
     expect(alertStore.error).not.toHaveBeenCalled()
     expect(alertStore.success).not.toHaveBeenCalled()
     expect(videosStore.getAllByAccount.mock.calls.length).toBe(callsBeforeUpload)
@@ -1126,7 +1207,7 @@ describe('Videos_List.vue', () => {
 
   it('refreshes and shows cancel summary when canceled after successful uploads', async () => {
     let uploadSignal
-    videosStore.uploadFile
+    videosStore.uploadFileInBackground
       .mockResolvedValueOnce({})
       .mockImplementationOnce((_file, _accountId, _title, options) => {
         uploadSignal = options.signal
@@ -1142,15 +1223,16 @@ describe('Videos_List.vue', () => {
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
     const callsBeforeUpload = videosStore.getAllByAccount.mock.calls.length
+    const uploadManagerStore = useUploadManagerStore()
 
     const file1 = new File(['x'], 'first.mp4', { type: 'video/mp4' })
     const file2 = new File(['y'], 'second.mp4', { type: 'video/mp4' })
     const uploadPromise = wrapper.vm.uploadVideos([file1, file2])
     await flushPromises()
 
-    expect(videosStore.uploadFile).toHaveBeenCalledTimes(2)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
 
-    await wrapper.find('[data-test="cancel-upload-button"]').trigger('click')
+    uploadManagerStore.cancelAll()
     await uploadPromise
     await flushPromises()
 
@@ -1160,34 +1242,30 @@ describe('Videos_List.vue', () => {
     expect(alertStore.error).not.toHaveBeenCalled()
   })
 
-  it('cancels an in-progress upload with Escape', async () => {
-    let uploadSignal
-    videosStore.uploadFile.mockImplementation((_file, _accountId, _title, options) => {
-      uploadSignal = options.signal
-      return new Promise((_resolve, reject) => {
-        options.signal.addEventListener('abort', () => {
-          const error = new Error('Загрузка отменена')
-          error.name = 'AbortError'
-          reject(error)
-        })
-      })
-    })
+  it('uploads at most three files at a time and cancels files still waiting in the queue', async () => {
+    const resolvers = []
+    videosStore.uploadFileInBackground.mockImplementation(() => new Promise(resolve => {
+      resolvers.push(resolve)
+    }))
 
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
+    const uploadManagerStore = useUploadManagerStore()
 
-    const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
-    const uploadPromise = wrapper.vm.uploadVideos([file])
-    await nextTick()
+    const files = ['a', 'b', 'c', 'd'].map(name => new File(['x'], `${name}.mp4`, { type: 'video/mp4' }))
+    const uploadPromise = wrapper.vm.uploadVideos(files)
+    await flushPromises()
+
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(3)
+    expect(uploadManagerStore.items.map(item => item.status)).toEqual(['uploading', 'uploading', 'uploading', 'queued'])
 
-    await wrapper.find('[data-test="upload-progress"]').trigger('keydown', { key: 'Escape' })
+    uploadManagerStore.cancel(uploadManagerStore.items[3].id)
+    resolvers.forEach(resolve => resolve({}))
     await uploadPromise
     await flushPromises()
 
-    expect(uploadSignal.aborted).toBe(true)
-    expect(wrapper.find('[data-test="upload-progress"]').exists()).toBe(false)
-    expect(alertStore.error).not.toHaveBeenCalled()
-    expect(alertStore.success).not.toHaveBeenCalled()
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(3)
+    expect(alertStore.success).toHaveBeenCalledWith('Загружено видеофайлов: 3. Загрузка отменена.')
   })
 
   it('allows selecting multiple files in the hidden file input', async () => {
@@ -1422,14 +1500,14 @@ describe('Videos_List.vue', () => {
     await flushPromises()
 
     await wrapper.vm.uploadVideos([])
-    expect(videosStore.uploadFile).not.toHaveBeenCalled()
+    expect(videosStore.uploadFileInBackground).not.toHaveBeenCalled()
 
     await wrapper.vm.uploadVideos(null)
-    expect(videosStore.uploadFile).not.toHaveBeenCalled()
+    expect(videosStore.uploadFileInBackground).not.toHaveBeenCalled()
   })
 
   it('shows error on non-abort upload failure', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(new Error('network error'))
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(new Error('network error'))
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
@@ -1441,7 +1519,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('explains upload failure when no server response arrives', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(createUploadNetworkError())
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createUploadNetworkError())
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
@@ -1455,7 +1533,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('explains upload timeout with unknown server state guidance', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(createUploadTimeoutError())
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createUploadTimeoutError())
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
@@ -1469,7 +1547,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('uses structured server upload error message', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(createUploadStatusError(500, {
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createUploadStatusError(500, {
       msg: 'Не удалось сохранить видеофайл "test.mp4" на сервере',
       reason: 'videoStorageSaveFailed',
       originalFilename: 'test.mp4'
@@ -1487,7 +1565,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('shows upload HTTP status when server message is absent', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(createUploadStatusError(503, {
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createUploadStatusError(503, {
       reason: 'videoUploadProcessingFailed'
     }))
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
@@ -1519,7 +1597,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('reconciles unknown upload state when refreshed list contains the file', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(createUploadNetworkError())
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(createUploadNetworkError())
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
     videosStore.getAllByAccount.mockImplementationOnce(async () => {
@@ -1899,26 +1977,6 @@ describe('Videos_List.vue', () => {
     expect(alertStore.error).toHaveBeenCalledWith('Не удалось загрузить справочники видеофайлов: load error')
   })
 
-  it('treats upload progress with undefined percentage as indeterminate', async () => {
-    let onUploadProgress
-    videosStore.uploadFile.mockImplementation((_file, _accountId, _title, options) => {
-      onUploadProgress = options.onUploadProgress
-      return new Promise(() => {})
-    })
-
-    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
-    await flushPromises()
-
-    const file = new File(['x'], 'test.mp4', { type: 'video/mp4' })
-    wrapper.vm.uploadVideos([file])
-    await nextTick()
-
-    onUploadProgress({ lengthComputable: true, percentage: undefined })
-    await nextTick()
-
-    expect(wrapper.find('[data-test="upload-progress-spinner"]').attributes('data-indeterminate')).toBe('true')
-  })
-
   it('selects first available scope when current scope is not in options', async () => {
     accountsStore.accounts.value = [{ id: 10, name: 'Alpha' }, { id: 20, name: 'Beta' }]
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
@@ -1976,7 +2034,7 @@ describe('Videos_List.vue', () => {
   })
 
   it('uses err object directly when upload error has no message', async () => {
-    videosStore.uploadFile.mockRejectedValueOnce(new Error())
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(new Error())
     const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
     await flushPromises()
 
@@ -2121,23 +2179,6 @@ describe('Videos_List.vue', () => {
     expect(wrapper.find('[data-test="video-view-dialog"]').exists()).toBe(false)
   })
 
-  it('clears the alert when close button is clicked', async () => {
-    alertStore.alert.value = { message: 'some error', type: 'alert-danger' }
-    const wrapper = mount(VideosList, { global: { stubs: globalStubs } })
-    await flushPromises()
-
-    const hrEl = wrapper.find('hr.hr').element
-    const alertEl = wrapper.find('.alert-dismissable').element
-    const tableEmptyEl = wrapper.find('[data-test="table-empty"]').element
-    expect(hrEl.compareDocumentPosition(alertEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-    expect(alertEl.compareDocumentPosition(tableEmptyEl) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy()
-
-    const closeBtn = wrapper.find('.btn-link.close')
-    await closeBtn.trigger('click')
-
-    expect(alertStore.clear).toHaveBeenCalled()
-  })
-
   it('updates selectedScope via select element change', async () => {
     accountsStore.accounts.value = [{ id: 5, name: 'Five' }]
     categoriesStore.categories.value = [{ id: 3, title: 'Sports' }]
@@ -13,7 +13,8 @@ vi.mock('@/helpers/fetch.wrapper.js', () => {
       post: vi.fn(),
       put: vi.fn(),
       delete: vi.fn(),
-      patch: vi.fn()
+      patch: vi.fn(),
+      invalidate: vi.fn()
     }
   }
 })
@@ -115,6 +116,7 @@ describe('accounts.store', () => {
     fetchWrapper.delete.mockResolvedValueOnce({})
     await store.delete(1)
     expect(fetchWrapper.delete).toHaveBeenCalled()
+    expect(fetchWrapper.invalidate).toHaveBeenCalledWith('devices', 'devicegroups')
   })
 
   it('add throws error and sets error state when fetch fails', async () => {
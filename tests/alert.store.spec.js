@@ -1,15 +1,19 @@
 // Copyright (c) 2025 sw.consulting
 // This file is a part of Media Pi  frontend application
 
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
-import { useAlertStore } from '@/stores/alert.store.js'
+import { useAlertStore, maxVisible, maxHistory } from '@/stores/alert.store.js'
 
 describe('alert store', () => {
   beforeEach(() => {
     setActivePinia(createPinia())
   })
 
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
   it('success sets success alert', () => {
     const store = useAlertStore()
     store.success('ok')
@@ -28,5 +32,137 @@ describe('alert store', () => {
     store.clear()
     expect(store.alert).toBeNull()
   })
-})
 
+  it('keeps earlier messages instead of overwriting them', () => {
+    const store = useAlertStore()
+    store.error('first')
+    store.warning('second')
+    store.info('third')
+
+    expect(store.notifications.map(item => [item.severity, item.type, item.message])).toEqual([
+      ['error', 'alert-danger', 'first'],
+      ['warning', 'alert-warning', 'second'],
+      ['info', 'alert-info', 'third']
+    ])
+    expect(store.alert).toEqual({ message: 'third', type: 'alert-info' })
+  })
+
+  it('dismisses notifications by severity timeout', () => {
+    vi.useFakeTimers()
+    const store = useAlertStore()
+    store.error('error')
+    store.success('success')
+    store.warning('warning')
+    store.notify('custom', { severity: 'info', timeout: 1000 })
+
+    vi.advanceTimersByTime(1000)
+    expect(store.notifications.map(item => item.message)).toEqual(['error', 'success', 'warning'])
+    vi.advanceTimersByTime(5000)
+    expect(store.notifications.map(item => item.message)).toEqual(['error', 'warning'])
+    vi.advanceTimersByTime(4000)
+    expect(store.notifications.map(item => item.message)).toEqual(['error'])
+    vi.advanceTimersByTime(60000)
+    expect(store.notifications.map(item => item.message)).toEqual(['error'])
+  })
+
+  it('queues notifications above the visible limit', () => {
+    const store = useAlertStore()
+    for (let i = 1; i <= maxVisible + 2; i++) store.error(`error ${i}`)
+
+    expect(store.notifications).toHaveLength(maxVisible)
+    expect(store.queuedCount).toBe(2)
+
+    store.dismiss(store.notifications[0].id)
+    expect(store.notifications.map(item => item.message)).toContain(`error ${maxVisible + 1}`)
+    expect(store.queuedCount).toBe(1)
+
+    store.clear()
+    expect(store.notifications).toEqual([])
+    expect(store.queuedCount).toBe(0)
+  })
+
+  it('counts repeated messages and restarts their timer', () => {
+    vi.useFakeTimers()
+    const store = useAlertStore()
+    const id = store.success('saved')
+    vi.advanceTimersByTime(5000)
+
+    expect(store.success('saved')).toBe(id)
+    expect(store.notifications).toHaveLength(1)
+    expect(store.notifications[0].count).toBe(2)
+    vi.advanceTimersByTime(5000)
+    expect(store.notifications).toHaveLength(1)
+    vi.advanceTimersByTime(1000)
+    expect(store.notifications).toHaveLength(0)
+  })
+
+  it('runs actions and closes the notification unless asked to keep it', async () => {
+    const store = useAlertStore()
+    const retry = vi.fn()
+    const undo = vi.fn()
+    const id = store.error('failed', {
+      actions: [
+        { label: 'Повторить', handler: retry, keepOpen: true },
+        { label: 'Отменить', handler: undo }
+      ]
+    })
+
+    await store.runAction(id, 0)
+    expect(retry).toHaveBeenCalledTimes(1)
+    expect(store.notifications).toHaveLength(1)
+
+    await store.runAction(id, 1)
+    expect(undo).toHaveBeenCalledTimes(1)
+    expect(store.notifications).toHaveLength(0)
+
+    await store.runAction(id, 0)
+    expect(retry).toHaveBeenCalledTimes(1)
+  })
+
+  it('reports failed actions', async () => {
+    const store = useAlertStore()
+    const id = store.warning('stale', {
+      actions: [{ label: 'Открыть устройство', handler: vi.fn().mockRejectedValue(new Error('Нет доступа')) }]
+    })
+
+    await store.runAction(id, 0)
+
+    expect(store.alert).toEqual({ message: 'Открыть устройство: Нет доступа', type: 'alert-danger' })
+  })
+
+  it('keeps the history of the session', () => {
+    const store = useAlertStore()
+    store.error('first')
+    store.success('second')
+    store.error('first')
+    store.clear()
+
+    expect(store.history.map(item => [item.severity, item.message])).toEqual([
+      ['error', 'first'],
+      ['success', 'second'],
+      ['error', 'first']
+    ])
+    expect(new Set(store.history.map(item => item.id)).size).toBe(3)
+
+    for (let i = 0; i < maxHistory; i++) store.info(`message ${i}`)
+    expect(store.history).toHaveLength(maxHistory)
+    expect(store.history[0].message).toBe(`message ${maxHistory - 1}`)
+
+    store.clearHistory()
+    expect(store.history).toEqual([])
+  })
+
+  it('closes route scoped notifications only, including queued ones', () => {
+    const store = useAlertStore()
+    store.error('Не удалось загрузить устройства')
+    for (let i = 1; i < maxVisible; i++) store.error(`Поле ${i} обязательно`, { routeScoped: true })
+    store.error('Заполните форму', { routeScoped: true })
+    store.warning('Устройство не в сети')
+    expect(store.queuedCount).toBe(2)
+
+    store.clearRouteScoped()
+
+    expect(store.notifications.map(item => item.message)).toEqual(['Не удалось загрузить устройства', 'Устройство не в сети'])
+    expect(store.queuedCount).toBe(0)
+  })
+})
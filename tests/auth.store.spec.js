@@ -6,6 +6,11 @@ import { setActivePinia, createPinia } from 'pinia'
 import { nextTick } from 'vue'
 import { useAuthStore } from '@/stores/auth.store.js'
 import { useStatusStore } from '@/stores/status.store.js'
+import { useDeviceStatusesStore } from '@/stores/device.statuses.store.js'
+import { useNetworkStore } from '@/stores/network.store.js'
+import { useAlertStore } from '@/stores/alert.store.js'
+import { useScreenshotAnomaliesStore } from '@/stores/screenshot.anomalies.store.js'
+import { useVideosStore } from '@/stores/videos.store.js'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import router from '@/router'
 import createLocalStorageMock from './__mocks__/localStorage.js'
@@ -15,7 +20,8 @@ vi.mock('@/helpers/fetch.wrapper.js', () => ({
     get: vi.fn(),
     post: vi.fn(),
     put: vi.fn(),
-    delete: vi.fn()
+    delete: vi.fn(),
+    clearCache: vi.fn()
   }
 }))
 
@@ -25,6 +31,42 @@ vi.mock('@/router', () => ({
   }
 }))
 
+vi.mock('@/stores/device.statuses.store.js', () => {
+  const clearHistoryMock = vi.fn()
+  return {
+    useDeviceStatusesStore: vi.fn(() => ({
+      clearHistory: clearHistoryMock
+    }))
+  }
+})
+
+vi.mock('@/stores/network.store.js', () => {
+  const clearCacheMock = vi.fn()
+  return {
+    useNetworkStore: vi.fn(() => ({
+      clearCache: clearCacheMock
+    }))
+  }
+})
+
+vi.mock('@/stores/screenshot.anomalies.store.js', () => {
+  const resetMock = vi.fn()
+  return {
+    useScreenshotAnomaliesStore: vi.fn(() => ({
+      reset: resetMock
+    }))
+  }
+})
+
+vi.mock('@/stores/videos.store.js', () => {
+  const clearPendingUploadsMock = vi.fn()
+  return {
+    useVideosStore: vi.fn(() => ({
+      clearPendingUploads: clearPendingUploadsMock
+    }))
+  }
+})
+
 // Mock the status store
 vi.mock('@/stores/status.store.js', () => {
   const fetchStatusMock = vi.fn().mockResolvedValue({})
@@ -51,6 +93,7 @@ function createDefaultListState() {
     screenshots_per_page: 100,
     screenshots_sort_by: [{ key: 'id', order: 'asc' }],
     screenshots_page: 1,
+    screenshots_view: 'table',
     playlists_per_page: 10,
     playlists_search: '',
     playlists_sort_by: [],
@@ -65,7 +108,9 @@ function createDefaultListState() {
     subscriptions_per_page: 10,
     subscriptions_search: '',
     subscriptions_sort_by: [],
-    subscriptions_page: 1
+    subscriptions_page: 1,
+    device_alerts_muted_accounts: [],
+    device_alerts_notifications: false
   }
 }
 
@@ -250,7 +295,9 @@ describe('auth store', () => {
         subscriptions_per_page: 25,
         subscriptions_search: 'paid',
         subscriptions_sort_by: [{ key: 'endDate', order: 'desc' }],
-        subscriptions_page: 8
+        subscriptions_page: 8,
+        device_alerts_muted_accounts: [3, 12],
+        device_alerts_notifications: true
       })
       localStorage.setItem('user', JSON.stringify(testUser))
       localStorage.setItem(listStateStorageKey, JSON.stringify({
@@ -292,7 +339,9 @@ describe('auth store', () => {
         subscriptions_per_page: 25,
         subscriptions_search: 'subscription search',
         subscriptions_sort_by: [{ key: 'startDate', order: 'asc' }],
-        subscriptions_page: 7
+        subscriptions_page: 7,
+        device_alerts_muted_accounts: [5],
+        device_alerts_notifications: true
       })
       const otherUserState = createListState({ users_search: 'other user state' })
       localStorage.setItem('user', JSON.stringify(testUser))
@@ -339,7 +388,9 @@ describe('auth store', () => {
           screenshots_page: '3',
           playlists_account_id: '4',
           playlist_available_videos_per_page: 0,
-          playlist_available_videos_page: '4'
+          playlist_available_videos_page: '4',
+          device_alerts_muted_accounts: [4, '5', 0, 4, 7],
+          device_alerts_notifications: 'yes'
         }
       }))
 
@@ -360,6 +411,8 @@ describe('auth store', () => {
       expect(store.playlists_account_id).toBeNull()
       expect(store.playlist_available_videos_per_page).toBe(10)
       expect(store.playlist_available_videos_page).toBe(1)
+      expect(store.device_alerts_muted_accounts).toEqual([4, 7])
+      expect(store.device_alerts_notifications).toBe(false)
     })
 
     it('applies logged-in user list state after login', async () => {
@@ -549,6 +602,49 @@ describe('auth store', () => {
       expect(router.push).toHaveBeenCalledWith('/login')
     })
 
+    it('logout clears the device status history', () => {
+      const store = useAuthStore()
+
+      store.logout()
+
+      expect(useDeviceStatusesStore().clearHistory).toHaveBeenCalled()
+    })
+
+    it('logout forgets the screenshot checks of the session', () => {
+      const store = useAuthStore()
+
+      store.logout()
+
+      expect(useScreenshotAnomaliesStore().reset).toHaveBeenCalled()
+    })
+
+    it('logout clears the interrupted uploads of the user', () => {
+      const store = useAuthStore()
+
+      store.logout()
+
+      expect(useVideosStore().clearPendingUploads).toHaveBeenCalled()
+    })
+
+    it('logout clears the notifications and the message history', () => {
+      const store = useAuthStore()
+      const alertStore = useAlertStore()
+      alertStore.error('Ошибка')
+
+      store.logout()
+
+      expect(alertStore.notifications).toEqual([])
+      expect(alertStore.history).toEqual([])
+    })
+
+    it('logout clears the cached lists', () => {
+      const store = useAuthStore()
+
+      store.logout()
+
+      expect(useNetworkStore().clearCache).toHaveBeenCalled()
+    })
+
     it('fetches status and rethrows when logout navigation fails', () => {
       const statusStore = useStatusStore()
       const store = useAuthStore()
@@ -644,6 +740,306 @@ describe('auth store', () => {
     })
   })
 
+  describe('token refresh', () => {
+    const jwtWithExpiry = (exp) => `header.${window.btoa(JSON.stringify({ exp })).replace(/=+$/, '')}.signature`
+
+    it('replaces the token and keeps the rest of the user', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old', roles: [1] }
+      fetchWrapper.post.mockResolvedValue({ token: 'new' })
+
+      await expect(store.refresh()).resolves.toBe(true)
+
+      expect(fetchWrapper.post).toHaveBeenCalledWith(expect.stringContaining('/auth/refresh'), {})
+      expect(store.user).toEqual({ id: 1, token: 'new', roles: [1] })
+      expect(localStorage.setItem).toHaveBeenCalledWith('user', JSON.stringify(store.user))
+    })
+
+    it('sends the refresh token when the user has one', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old', refreshToken: 'r1' }
+      fetchWrapper.post.mockResolvedValue({ token: 'new', refreshToken: 'r2' })
+
+      await store.refresh()
+
+      expect(fetchWrapper.post).toHaveBeenCalledWith(expect.stringContaining('/auth/refresh'), { refreshToken: 'r1' })
+      expect(store.user.refreshToken).toBe('r2')
+    })
+
+    it('shares one request between concurrent callers', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      let resolvePost
+      fetchWrapper.post.mockReturnValue(new Promise((resolve) => { resolvePost = resolve }))
+
+      const first = store.refresh()
+      const second = store.refresh()
+      resolvePost({ token: 'new' })
+
+      await expect(Promise.all([first, second])).resolves.toEqual([true, true])
+      expect(fetchWrapper.post).toHaveBeenCalledTimes(1)
+    })
+
+    it('logs out when the server rejects the refresh', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      fetchWrapper.post.mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 }))
+
+      await expect(store.refresh()).resolves.toBe(false)
+
+      expect(store.user).toBeNull()
+      expect(router.push).toHaveBeenCalledWith('/login')
+    })
+
+    it('keeps the session when the server cannot be reached', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      fetchWrapper.post.mockRejectedValue(Object.assign(new Error('network'), { isNetworkError: true }))
+
+      await expect(store.refresh()).resolves.toBe(false)
+
+      expect(store.user).toEqual({ id: 1, token: 'old' })
+      expect(router.push).not.toHaveBeenCalled()
+    })
+
+    it('drops the new token when the user logs out during the refresh', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      let resolvePost
+      fetchWrapper.post.mockReturnValue(new Promise((resolve) => { resolvePost = resolve }))
+
+      const refreshed = store.refresh()
+      await vi.waitFor(() => expect(fetchWrapper.post).toHaveBeenCalledTimes(1))
+      store.logout()
+      localStorage.setItem.mockClear()
+      resolvePost({ token: 'new' })
+
+      await expect(refreshed).resolves.toBe(false)
+      expect(store.user).toBeNull()
+      expect(localStorage.setItem).not.toHaveBeenCalledWith('user', expect.any(String))
+      expect(localStorage.getItem('user')).toBeNull()
+    })
+
+    it('takes over the token another tab has refreshed', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      localStorage.setItem('user', JSON.stringify({ id: 1, token: 'shared' }))
+
+      await expect(store.refresh()).resolves.toBe(true)
+
+      expect(fetchWrapper.post).not.toHaveBeenCalled()
+      expect(store.user).toEqual({ id: 1, token: 'shared' })
+    })
+
+    it('waits for another tab that is refreshing', async () => {
+      vi.useFakeTimers()
+      try {
+        const store = useAuthStore()
+        store.user = { id: 1, token: 'old' }
+        localStorage.setItem('authRefreshLock', JSON.stringify({ owner: 'other-tab', until: Date.now() + 15000 }))
+
+        const refreshed = store.refresh()
+        await vi.advanceTimersByTimeAsync(1000)
+        expect(fetchWrapper.post).not.toHaveBeenCalled()
+
+        localStorage.setItem('user', JSON.stringify({ id: 1, token: 'shared' }))
+        await vi.advanceTimersByTimeAsync(250)
+
+        await expect(refreshed).resolves.toBe(true)
+        expect(fetchWrapper.post).not.toHaveBeenCalled()
+        expect(store.user.token).toBe('shared')
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('refreshes itself when the lock of another tab expires', async () => {
+      vi.useFakeTimers()
+      try {
+        const store = useAuthStore()
+        store.user = { id: 1, token: 'old' }
+        localStorage.setItem('authRefreshLock', JSON.stringify({ owner: 'other-tab', until: Date.now() + 500 }))
+        fetchWrapper.post.mockResolvedValue({ token: 'new' })
+
+        const refreshed = store.refresh()
+        await vi.advanceTimersByTimeAsync(750)
+
+        await expect(refreshed).resolves.toBe(true)
+        expect(fetchWrapper.post).toHaveBeenCalledTimes(1)
+        expect(store.user.token).toBe('new')
+        expect(localStorage.getItem('authRefreshLock')).toBeNull()
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('takes over a token stored by another tab', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'old' }
+      localStorage.setItem('user', JSON.stringify({ id: 1, token: 'shared' }))
+
+      window.dispatchEvent(new window.StorageEvent('storage', { key: 'user' }))
+
+      expect(store.user.token).toBe('shared')
+    })
+
+    it('does nothing without a signed in user', async () => {
+      const store = useAuthStore()
+
+      await expect(store.refresh()).resolves.toBe(false)
+      expect(fetchWrapper.post).not.toHaveBeenCalled()
+    })
+
+    it('refreshes a minute before the token expires', async () => {
+      vi.useFakeTimers()
+      try {
+        vi.setSystemTime(new Date(2026, 0, 1, 12, 0, 0))
+        const exp = Math.floor(Date.now() / 1000) + 5 * 60
+        fetchWrapper.post.mockResolvedValue({ token: jwtWithExpiry(exp + 3600) })
+        const store = useAuthStore()
+        store.user = { id: 1, token: jwtWithExpiry(exp) }
+        await nextTick()
+
+        await vi.advanceTimersByTimeAsync(4 * 60 * 1000 - 1)
+        expect(fetchWrapper.post).not.toHaveBeenCalled()
+        await vi.advanceTimersByTimeAsync(1)
+        expect(fetchWrapper.post).toHaveBeenCalledWith(expect.stringContaining('/auth/refresh'), {})
+
+        // Logging out cancels the timer of the new token
+        store.logout()
+        await nextTick()
+        await vi.advanceTimersByTimeAsync(2 * 3600 * 1000)
+        expect(fetchWrapper.post).toHaveBeenCalledTimes(1)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+
+  describe('two-factor authentication', () => {
+    const testUser = { id: 1, name: 'Test User', token: 'abc123' }
+
+    it('waits for a code when the server asks for the second factor', async () => {
+      fetchWrapper.post.mockResolvedValue({ twoFactorRequired: true, twoFactorToken: 'challenge-1' })
+
+      const statusStore = useStatusStore()
+      const store = useAuthStore()
+      await expect(store.login('test@example.com', 'password')).resolves.toBe(true)
+
+      expect(store.user).toBeNull()
+      expect(store.twoFactorChallenge).toEqual({ token: 'challenge-1', email: 'test@example.com' })
+      expect(localStorage.setItem).not.toHaveBeenCalledWith('user', expect.anything())
+      expect(statusStore.fetchStatus).toHaveBeenCalled()
+    })
+
+    it('accepts the challenge sent with an error response', async () => {
+      const error = new Error('Требуется код')
+      error.status = 401
+      error.data = { twoFactorRequired: true, twoFactorToken: 'challenge-2' }
+      fetchWrapper.post.mockRejectedValue(error)
+
+      const store = useAuthStore()
+      await expect(store.login('test@example.com', 'password')).resolves.toBe(true)
+
+      expect(store.twoFactorChallenge.token).toBe('challenge-2')
+    })
+
+    it('signs in with the code and redirects to returnUrl', async () => {
+      fetchWrapper.post
+        .mockResolvedValueOnce({ twoFactorRequired: true, twoFactorToken: 'challenge-1' })
+        .mockResolvedValueOnce(testUser)
+
+      const store = useAuthStore()
+      store.returnUrl = '/devices'
+      await store.login('test@example.com', 'password')
+      expect(router.push).not.toHaveBeenCalled()
+
+      await store.verifyTwoFactor('123456')
+
+      expect(fetchWrapper.post).toHaveBeenLastCalledWith(
+        expect.stringContaining('/auth/login/2fa'),
+        { twoFactorToken: 'challenge-1', code: '123456' }
+      )
+      expect(store.user).toEqual(testUser)
+      expect(store.twoFactorChallenge).toBeNull()
+      expect(localStorage.setItem).toHaveBeenCalledWith('user', JSON.stringify(testUser))
+      expect(router.push).toHaveBeenCalledWith('/devices')
+    })
+
+    it('keeps the challenge when the code is rejected', async () => {
+      fetchWrapper.post
+        .mockResolvedValueOnce({ twoFactorRequired: true, twoFactorToken: 'challenge-1' })
+        .mockRejectedValueOnce(new Error('Неверный код'))
+
+      const store = useAuthStore()
+      await store.login('test@example.com', 'password')
+
+      await expect(store.verifyTwoFactor('000000')).rejects.toThrow('Неверный код')
+      expect(store.user).toBeNull()
+      expect(store.twoFactorChallenge.token).toBe('challenge-1')
+    })
+
+    it('refuses a code without a login in progress', async () => {
+      const store = useAuthStore()
+      await expect(store.verifyTwoFactor('123456')).rejects.toThrow()
+      expect(fetchWrapper.post).not.toHaveBeenCalled()
+    })
+
+    it('drops the challenge on cancel and on a plain login', async () => {
+      fetchWrapper.post.mockResolvedValueOnce({ twoFactorRequired: true, twoFactorToken: 'challenge-1' })
+      const store = useAuthStore()
+      await store.login('test@example.com', 'password')
+
+      store.cancelTwoFactor()
+      expect(store.twoFactorChallenge).toBeNull()
+
+      fetchWrapper.post.mockResolvedValueOnce(testUser)
+      await expect(store.login('test@example.com', 'password')).resolves.toBe(false)
+      expect(store.twoFactorChallenge).toBeNull()
+      expect(store.user).toEqual(testUser)
+    })
+
+    it('enrolls the current user and returns the recovery codes', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'abc123' }
+      const setup = { secret: 'JBSWY3DPEHPK3PXP', qrCode: 'data:image/png;base64,AAAA', otpauthUri: 'otpauth://totp/x' }
+      fetchWrapper.post
+        .mockResolvedValueOnce(setup)
+        .mockResolvedValueOnce({ recoveryCodes: ['aaaa-bbbb', 'cccc-dddd'] })
+
+      await expect(store.startTwoFactorSetup()).resolves.toEqual(setup)
+      expect(fetchWrapper.post).toHaveBeenCalledWith(expect.stringContaining('/auth/2fa/setup'), {})
+
+      await expect(store.enableTwoFactor('123456')).resolves.toEqual(['aaaa-bbbb', 'cccc-dddd'])
+      expect(fetchWrapper.post).toHaveBeenLastCalledWith(expect.stringContaining('/auth/2fa/enable'), { code: '123456' })
+      expect(store.user).toEqual({ id: 1, token: 'abc123', twoFactorEnabled: true })
+      expect(localStorage.setItem).toHaveBeenCalledWith('user', JSON.stringify(store.user))
+    })
+
+    it('disables the second factor and regenerates recovery codes with a code', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'abc123', twoFactorEnabled: true }
+      fetchWrapper.post.mockResolvedValueOnce({ recoveryCodes: ['eeee-ffff'] })
+
+      await expect(store.regenerateRecoveryCodes('123456')).resolves.toEqual(['eeee-ffff'])
+      expect(fetchWrapper.post).toHaveBeenLastCalledWith(expect.stringContaining('/auth/2fa/recovery-codes'), { code: '123456' })
+
+      fetchWrapper.post.mockResolvedValueOnce({})
+      await store.disableTwoFactor('654321')
+      expect(fetchWrapper.post).toHaveBeenLastCalledWith(expect.stringContaining('/auth/2fa/disable'), { code: '654321' })
+      expect(store.user.twoFactorEnabled).toBe(false)
+    })
+
+    it('keeps the enrollment state when the server rejects the code', async () => {
+      const store = useAuthStore()
+      store.user = { id: 1, token: 'abc123' }
+      fetchWrapper.post.mockRejectedValueOnce(new Error('Неверный код'))
+
+      await expect(store.enableTwoFactor('000000')).rejects.toThrow('Неверный код')
+      expect(store.user.twoFactorEnabled).toBeUndefined()
+    })
+  })
+
   describe('Accounts Tree State Management', () => {
     beforeEach(() => {
       setActivePinia(createPinia())
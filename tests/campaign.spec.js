@@ -0,0 +1,115 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  addDays,
+  buildCampaignCalendar,
+  daysBetween,
+  formatCampaignPeriod,
+  getCampaignPeriodIssue,
+  getCampaignState,
+  intersectCampaignPeriods,
+  isCampaign,
+  normalizeDateKey,
+  toDateKey
+} from '@/helpers/campaign.js'
+
+describe('campaign helpers', () => {
+  it('works with date keys', () => {
+    expect(normalizeDateKey('2026-06-01')).toBe('2026-06-01')
+    expect(normalizeDateKey('2026-06-01T00:00:00Z')).toBe('2026-06-01')
+    expect(normalizeDateKey('')).toBeNull()
+    expect(normalizeDateKey(null)).toBeNull()
+    expect(toDateKey(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05')
+    expect(addDays('2026-02-27', 2)).toBe('2026-03-01')
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31')
+    expect(daysBetween('2026-03-28', '2026-04-02')).toBe(5)
+  })
+
+  it('computes campaign states with inclusive bounds', () => {
+    const summer = { startDate: '2026-06-01', endDate: '2026-08-31' }
+    expect(getCampaignState(summer, '2026-05-31')).toBe('upcoming')
+    expect(getCampaignState(summer, '2026-06-01')).toBe('active')
+    expect(getCampaignState(summer, '2026-08-31')).toBe('active')
+    expect(getCampaignState(summer, '2026-09-01')).toBe('expired')
+    expect(getCampaignState({ endDate: '2026-01-01' }, '2026-06-01')).toBe('expired')
+    expect(getCampaignState({}, '2026-06-01')).toBe('active')
+    expect(isCampaign(summer)).toBe(true)
+    expect(isCampaign({ startDate: '', endDate: null })).toBe(false)
+    expect(isCampaign(null)).toBe(false)
+  })
+
+  it('validates and formats periods', () => {
+    expect(getCampaignPeriodIssue({ startDate: '2026-06-02', endDate: '2026-06-01' })).toBe('дата окончания раньше даты начала')
+    expect(getCampaignPeriodIssue({ startDate: '2026-06-01', endDate: '2026-06-01' })).toBeNull()
+    expect(getCampaignPeriodIssue({ endDate: '2026-06-01' })).toBeNull()
+    expect(formatCampaignPeriod({ startDate: '2026-06-01', endDate: '2026-08-31' })).toBe('с 01.06.2026 по 31.08.2026')
+    expect(formatCampaignPeriod({ startDate: '2026-06-01' })).toBe('с 01.06.2026')
+    expect(formatCampaignPeriod({ endDate: '2026-08-31' })).toBe('по 31.08.2026')
+    expect(formatCampaignPeriod({})).toBe('без ограничений')
+  })
+
+  it('intersects playlist and assignment periods', () => {
+    expect(intersectCampaignPeriods(
+      { startDate: '2026-06-01', endDate: '2026-08-31' },
+      { startDate: '2026-07-01' }
+    )).toEqual({ startDate: '2026-07-01', endDate: '2026-08-31' })
+    expect(intersectCampaignPeriods(null, { endDate: '2026-07-01' })).toEqual({ startDate: null, endDate: '2026-07-01' })
+    expect(intersectCampaignPeriods({}, {})).toEqual({ startDate: null, endDate: null })
+  })
+
+  it('builds the campaign calendar of groups', () => {
+    const playlists = [
+      { id: 1, title: 'Лето', startDate: '2026-06-01', endDate: '2026-08-31' },
+      { id: 2, title: 'Основной' },
+      { id: 3, title: 'Распродажа' },
+      { id: 4, title: 'Осень', startDate: '2026-09-01' }
+    ]
+    const groups = [
+      {
+        id: 20,
+        name: 'Зал',
+        accountId: 5,
+        playLists: [
+          { playlistId: 2, play: true },
+          { playlistId: 3, play: false, startDate: '2026-06-10', endDate: '2026-06-12' },
+          { playlistId: 1, play: false, startDate: '2026-06-05' },
+          { playlistId: 4, play: false }
+        ]
+      },
+      { id: 10, name: 'Витрина', accountId: 5, playLists: [{ playlistId: 2, play: true }] },
+      { id: 30, name: 'Вход', playLists: [{ playlistId: 3, startDate: '2026-05-01', endDate: '2026-05-31' }] }
+    ]
+
+    const { dates, rows } = buildCampaignCalendar({ groups, playlists, from: '2026-06-08', days: 7, today: '2026-06-11' })
+
+    expect(dates.map(date => date.date)).toEqual([
+      '2026-06-08', '2026-06-09', '2026-06-10', '2026-06-11', '2026-06-12', '2026-06-13', '2026-06-14'
+    ])
+    expect(dates[0]).toEqual({ date: '2026-06-08', day: 8, weekday: 'Пн', weekend: false, today: false })
+    expect(dates[3].today).toBe(true)
+    expect(dates[5].weekend).toBe(true)
+
+    expect(rows).toEqual([{
+      groupId: 20,
+      name: 'Зал',
+      accountId: 5,
+      campaigns: [
+        { playlistId: 1, title: 'Лето', play: false, startDate: '2026-06-05', endDate: '2026-08-31', state: 'active', first: 0, last: 6 },
+        { playlistId: 3, title: 'Распродажа', play: false, startDate: '2026-06-10', endDate: '2026-06-12', state: 'active', first: 2, last: 4 }
+      ]
+    }])
+  })
+
+  it('skips invalid periods and handles missing data', () => {
+    const groups = [{ id: 1, name: 'A', playLists: [{ playlistId: 9, startDate: '2026-06-10', endDate: '2026-06-01' }] }]
+    expect(buildCampaignCalendar({ groups, playlists: [], from: '2026-06-01', days: 3 }).rows).toEqual([])
+    expect(buildCampaignCalendar({ groups: null, playlists: null, from: '2026-06-01' }).dates).toHaveLength(30)
+
+    const unknown = [{ id: 2, playLists: [{ playlistId: 9, endDate: '2026-06-02' }] }]
+    const { rows } = buildCampaignCalendar({ groups: unknown, playlists: [], from: '2026-06-01', days: 3, today: '2026-06-03' })
+    expect(rows[0]).toMatchObject({ name: 'Группа 2', accountId: null })
+    expect(rows[0].campaigns[0]).toMatchObject({ title: 'Плейлист 9', state: 'expired', first: 0, last: 1 })
+  })
+})
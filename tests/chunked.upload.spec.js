@@ -0,0 +1,109 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  clearUploadSessions,
+  computeChunkChecksum,
+  defaultChunkSize,
+  getChunkCount,
+  getChunkRange,
+  getRetryDelay,
+  getUploadSessionsStorageKey,
+  getUploadFingerprint,
+  isRetryableUploadError,
+  loadUploadSessions,
+  removeUploadSession,
+  saveUploadSession,
+  uploadSessionsStorageKey
+} from '@/helpers/chunked.upload.js'
+
+describe('chunked upload helpers', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('splits files into chunks', () => {
+    expect(getChunkCount(25, 10)).toBe(3)
+    expect(getChunkCount(20, 10)).toBe(2)
+    expect(getChunkCount(0, 10)).toBe(1)
+    expect(getChunkRange(2, 25, 10)).toEqual({ start: 20, end: 25 })
+    expect(defaultChunkSize).toBe(8 * 1024 * 1024)
+  })
+
+  it('fingerprints a file together with the upload target', () => {
+    const file = { name: 'promo.mp4', size: 100, lastModified: 5 }
+
+    expect(getUploadFingerprint(file, { accountId: 3 })).toBe('promo.mp4:100:5:3:')
+    expect(getUploadFingerprint(file, { accountId: 0, categoryId: 7 })).toBe('promo.mp4:100:5:0:7')
+  })
+
+  it('computes SHA-256 checksums of chunks', async () => {
+    const chunk = { arrayBuffer: async () => new TextEncoder().encode('abc').buffer }
+
+    await expect(computeChunkChecksum(chunk))
+      .resolves.toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+
+  it('retries transient failures only', () => {
+    expect(isRetryableUploadError({ isNetworkError: true, status: 0 })).toBe(true)
+    expect(isRetryableUploadError({ isTimeout: true, status: 0 })).toBe(true)
+    expect(isRetryableUploadError({ status: 503 })).toBe(true)
+    expect(isRetryableUploadError({ status: 409 })).toBe(true)
+    expect(isRetryableUploadError({ status: 400 })).toBe(false)
+    expect(isRetryableUploadError({ name: 'AbortError' })).toBe(false)
+  })
+
+  it('backs off exponentially up to a limit', () => {
+    expect(getRetryDelay(0)).toBe(1000)
+    expect(getRetryDelay(3)).toBe(8000)
+    expect(getRetryDelay(10)).toBe(30000)
+  })
+
+  it('persists upload sessions', () => {
+    saveUploadSession(1, 'a', { id: 1 })
+    saveUploadSession(1, 'b', { id: 2 })
+    expect(loadUploadSessions(1)).toEqual({ a: { id: 1 }, b: { id: 2 } })
+
+    removeUploadSession(1, 'a')
+    expect(loadUploadSessions(1)).toEqual({ b: { id: 2 } })
+    removeUploadSession(1, 'b')
+    expect(localStorage.getItem(getUploadSessionsStorageKey(1))).toBeNull()
+  })
+
+  it('keeps upload sessions of every user apart', () => {
+    saveUploadSession(1, 'a', { id: 1 })
+    saveUploadSession(2, 'a', { id: 2 })
+
+    expect(getUploadSessionsStorageKey(1)).toBe(`${uploadSessionsStorageKey}:1`)
+    expect(loadUploadSessions(1)).toEqual({ a: { id: 1 } })
+    expect(loadUploadSessions(2)).toEqual({ a: { id: 2 } })
+    expect(loadUploadSessions(3)).toEqual({})
+  })
+
+  it('does not store sessions without a user', () => {
+    saveUploadSession(null, 'a', { id: 1 })
+
+    expect(localStorage.length).toBe(0)
+    expect(loadUploadSessions(null)).toEqual({})
+  })
+
+  it('clears the sessions of a user and the unscoped ones', () => {
+    saveUploadSession(1, 'a', { id: 1 })
+    saveUploadSession(2, 'a', { id: 2 })
+    localStorage.setItem(uploadSessionsStorageKey, JSON.stringify({ a: { id: 0 } }))
+
+    clearUploadSessions(1)
+
+    expect(loadUploadSessions(1)).toEqual({})
+    expect(loadUploadSessions(2)).toEqual({ a: { id: 2 } })
+    expect(localStorage.getItem(uploadSessionsStorageKey)).toBeNull()
+  })
+
+  it('ignores corrupted storage', () => {
+    localStorage.setItem(getUploadSessionsStorageKey(1), 'not json')
+    expect(loadUploadSessions(1)).toEqual({})
+    localStorage.setItem(getUploadSessionsStorageKey(1), '[1]')
+    expect(loadUploadSessions(1)).toEqual({})
+  })
+})
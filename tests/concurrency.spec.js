@@ -0,0 +1,47 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { runWithConcurrency } from '@/helpers/concurrency.js'
+
+describe('runWithConcurrency', () => {
+  it('returns settled results in input order', async () => {
+    const results = await runWithConcurrency([1, 2, 3], async (item) => {
+      if (item === 2) throw new Error('boom')
+      return item * 10
+    })
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 10 },
+      { status: 'rejected', reason: new Error('boom') },
+      { status: 'fulfilled', value: 30 }
+    ])
+  })
+
+  it('never runs more workers than the limit', async () => {
+    let active = 0
+    let maxActive = 0
+
+    await runWithConcurrency([1, 2, 3, 4, 5], async () => {
+      active += 1
+      maxActive = Math.max(maxActive, active)
+      await new Promise(resolve => setTimeout(resolve, 0))
+      active -= 1
+    }, 2)
+
+    expect(maxActive).toBe(2)
+  })
+
+  it('passes the item index to the worker', async () => {
+    const seen = []
+    await runWithConcurrency(['a', 'b'], async (item, index) => seen.push(`${item}${index}`), 1)
+    expect(seen).toEqual(['a0', 'b1'])
+  })
+
+  it('handles empty input and invalid limits', async () => {
+    expect(await runWithConcurrency([], async () => 1)).toEqual([])
+    expect(await runWithConcurrency(null, async () => 1)).toEqual([])
+    const results = await runWithConcurrency([1, 2], async (item) => item, 0)
+    expect(results.map(r => r.value)).toEqual([1, 2])
+  })
+})
@@ -2,12 +2,15 @@
 // This file is a part of Media Pi  frontend application
 
 import { describe, it, expect } from 'vitest'
-import { config } from '@/helpers/config.js'
+import { config, idleSession } from '@/helpers/config.js'
 
 describe('config helpers', () => {
   it('exports a config object with all configuration values', () => {
     expect(config).toHaveProperty('apiUrl')
     expect(config).toHaveProperty('enableLog')
   })
-})
 
+  it('defaults the idle session timeout to 30 minutes with a one minute warning', () => {
+    expect(idleSession).toEqual({ timeout: 30 * 60 * 1000, warning: 60 * 1000 })
+  })
+})
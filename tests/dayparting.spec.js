@@ -0,0 +1,103 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildDaypartWeek,
+  createDaypartWindow,
+  findDaypartConflicts,
+  formatDaypartWindow,
+  formatWeekdays,
+  getDaypartIssues,
+  getDaypartWindowIssue,
+  minutesPerWeek,
+  normalizeDaypartWindows,
+  windowWeekSegments
+} from '@/helpers/dayparting.js'
+
+const breakfast = { days: [1, 2, 3, 4, 5], start: '06:00', stop: '11:00' }
+const lunch = { days: [1, 2, 3, 4, 5], start: '11:00', stop: '15:00' }
+
+describe('dayparting helpers', () => {
+  it('normalizes windows from the API', () => {
+    expect(normalizeDaypartWindows([
+      { days: [5, '1', 1, 8, 0, 2.5], start: '06:00:00', stop: '11:00' },
+      null,
+      'x',
+      { days: null, start: 6 }
+    ])).toEqual([
+      { days: [1, 5], start: '06:00', stop: '11:00' },
+      { days: [], start: '', stop: '' }
+    ])
+    expect(normalizeDaypartWindows(undefined)).toEqual([])
+  })
+
+  it('reports invalid windows', () => {
+    expect(getDaypartWindowIssue(createDaypartWindow())).toBeNull()
+    expect(getDaypartWindowIssue({ days: [], start: '06:00', stop: '11:00' })).toBe('не выбраны дни недели')
+    expect(getDaypartWindowIssue({ days: [1], start: '', stop: '11:00' })).toBe('время указывается в формате ЧЧ:ММ')
+    expect(getDaypartWindowIssue({ days: [1], start: '10:00', stop: '10:00' })).toBe('начало и конец совпадают')
+  })
+
+  it('formats weekdays and windows', () => {
+    expect(formatWeekdays([1, 2, 3, 4, 5])).toBe('Пн–Пт')
+    expect(formatWeekdays([1, 2, 4, 5, 6, 7])).toBe('Пн, Вт, Чт–Вс')
+    expect(formatWeekdays([7, 1, 2, 3, 4, 5, 6])).toBe('ежедневно')
+    expect(formatWeekdays([])).toBe('')
+    expect(formatDaypartWindow(breakfast)).toBe('Пн–Пт 06:00–11:00')
+  })
+
+  it('lays windows out on the week', () => {
+    expect(windowWeekSegments({ days: [2], start: '06:00', stop: '11:00' })).toEqual([{ from: 1800, to: 2100 }])
+    expect(windowWeekSegments({ days: [7], start: '22:00', stop: '02:00' })).toEqual([
+      { from: 9960, to: minutesPerWeek },
+      { from: 0, to: 120 }
+    ])
+    expect(windowWeekSegments({ days: [1], start: '06:00', stop: '06:00' })).toEqual([])
+  })
+
+  it('finds overlapping windows across and within playlists', () => {
+    expect(findDaypartConflicts([
+      { playlistId: 1, windows: [breakfast] },
+      { playlistId: 2, windows: [lunch] }
+    ])).toEqual([])
+
+    const conflicts = findDaypartConflicts([
+      { playlistId: 1, windows: [breakfast, { days: [6], start: '20:00', stop: '01:00' }] },
+      { playlistId: 2, windows: [{ days: [3, 7], start: '00:00', stop: '07:00' }] }
+    ])
+    expect(conflicts).toHaveLength(2)
+    expect(conflicts[0]).toEqual({
+      first: { playlistId: 1, index: 0, daypart: breakfast },
+      second: { playlistId: 2, index: 0, daypart: { days: [3, 7], start: '00:00', stop: '07:00' } },
+      segments: [{ from: 3240, to: 3300 }]
+    })
+    // Saturday night continues into Sunday
+    expect(conflicts[1].segments).toEqual([{ from: 8640, to: 8700 }])
+  })
+
+  it('builds the week grid', () => {
+    const week = buildDaypartWeek([
+      { playlistId: 1, windows: [{ days: [7], start: '23:00', stop: '01:00' }] },
+      { playlistId: 2, windows: [{ days: [1], start: '00:30', stop: '02:00' }] }
+    ])
+    expect(week.map(day => day.short)).toEqual(['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'])
+    expect(week[6].segments).toEqual([{ playlistId: 1, index: 0, from: 1380, to: 1440 }])
+    expect(week[0].segments).toEqual([
+      { playlistId: 1, index: 0, from: 0, to: 60 },
+      { playlistId: 2, index: 0, from: 30, to: 120 }
+    ])
+    expect(week[0].conflicts).toEqual([{ from: 30, to: 60 }])
+  })
+
+  it('collects issues that prevent saving', () => {
+    expect(getDaypartIssues([
+      { playlistId: 1, title: 'Завтрак', windows: [breakfast, { days: [], start: '06:00', stop: '07:00' }] },
+      { playlistId: 2, windows: [{ days: [5], start: '10:00', stop: '12:00' }] }
+    ])).toEqual([
+      'Окно плейлиста «Завтрак» 06:00–07:00: не выбраны дни недели',
+      'Окна «Завтрак» Пн–Пт 06:00–11:00 и «Плейлист 2» Пт 10:00–12:00 пересекаются'
+    ])
+    expect(getDaypartIssues(null)).toEqual([])
+  })
+})
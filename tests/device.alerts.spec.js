@@ -0,0 +1,60 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  alertTypes,
+  detectStatusAlerts,
+  isAccountMuted,
+  toggleMutedAccount
+} from '@/helpers/device.alerts.js'
+
+const online = {
+  deviceId: 1,
+  isOnline: true,
+  playbackServiceStatus: true,
+  playlistUploadServiceStatus: true,
+  videoUploadServiceStatus: true,
+  playlistActivation: { state: 'idle', error: null }
+}
+
+describe('device alerts helpers', () => {
+  it('treats the first status as a baseline', () => {
+    expect(detectStatusAlerts(undefined, { ...online, isOnline: false })).toEqual([])
+  })
+
+  it('detects a device going offline', () => {
+    expect(detectStatusAlerts(online, { ...online, isOnline: false })).toEqual([
+      { type: alertTypes.offline, message: 'Устройство не в сети' }
+    ])
+    expect(detectStatusAlerts({ ...online, isOnline: false }, { ...online, isOnline: false })).toEqual([])
+  })
+
+  it('detects stopped services on online devices only', () => {
+    expect(detectStatusAlerts(online, { ...online, playbackServiceStatus: false })).toEqual([
+      { type: alertTypes.serviceStopped, message: 'Воспроизведение остановлено' }
+    ])
+    expect(detectStatusAlerts({ ...online, playbackServiceStatus: false }, { ...online, playbackServiceStatus: false }))
+      .toEqual([])
+    expect(detectStatusAlerts(online, { ...online, isOnline: false, playbackServiceStatus: false }).map(a => a.type))
+      .toEqual([alertTypes.offline])
+  })
+
+  it('detects failed playlist activation once', () => {
+    const failed = { ...online, playlistActivation: { state: 'failed', error: 'нет места' } }
+
+    expect(detectStatusAlerts(online, failed)).toEqual([
+      { type: alertTypes.activationFailed, message: 'Ошибка активации плейлиста: нет места' }
+    ])
+    expect(detectStatusAlerts(failed, failed)).toEqual([])
+  })
+
+  it('checks and toggles muted accounts', () => {
+    expect(isAccountMuted(3, [3])).toBe(true)
+    expect(isAccountMuted(null, [3])).toBe(false)
+    expect(isAccountMuted(3, undefined)).toBe(false)
+
+    expect(toggleMutedAccount(3, [5])).toEqual([3, 5])
+    expect(toggleMutedAccount(5, [3, 5])).toEqual([3])
+  })
+})
@@ -0,0 +1,182 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { nextTick, reactive } from 'vue'
+import { useDeviceAlertsStore } from '@/stores/device.alerts.store.js'
+
+const authStore = reactive({
+  device_alerts_muted_accounts: [],
+  device_alerts_notifications: false
+})
+const accountsStore = { getAll: vi.fn() }
+const devicesStore = {
+  devices: [
+    { id: 1, name: 'Касса', accountId: 10 },
+    { id: 2, name: 'Вход', accountId: 20 }
+  ],
+  getAll: vi.fn()
+}
+const deviceStatusesStore = reactive({
+  statuses: [],
+  startStream: vi.fn(),
+  stopStream: vi.fn()
+})
+
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+vi.mock('@/stores/accounts.store.js', () => ({
+  useAccountsStore: () => accountsStore
+}))
+vi.mock('@/stores/devices.store.js', () => ({
+  useDevicesStore: () => devicesStore
+}))
+vi.mock('@/stores/device.statuses.store.js', () => ({
+  useDeviceStatusesStore: () => deviceStatusesStore
+}))
+
+const status = (deviceId, overrides = {}) => ({
+  deviceId,
+  isOnline: true,
+  playbackServiceStatus: true,
+  playlistActivation: null,
+  ...overrides
+})
+
+const replaceStatus = async (next) => {
+  const index = deviceStatusesStore.statuses.findIndex(item => item.deviceId === next.deviceId)
+  deviceStatusesStore.statuses.splice(index, 1, next)
+  await nextTick()
+}
+
+describe('device alerts store', () => {
+  let store
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+    authStore.device_alerts_muted_accounts = []
+    authStore.device_alerts_notifications = false
+    deviceStatusesStore.statuses = [status(1), status(2)]
+    store = useDeviceAlertsStore()
+    await store.start()
+  })
+
+  afterEach(() => {
+    store.stop()
+    vi.unstubAllGlobals()
+  })
+
+  it('loads devices and subscribes to the status stream once', async () => {
+    await store.start()
+
+    expect(devicesStore.getAll).toHaveBeenCalledTimes(1)
+    expect(accountsStore.getAll).toHaveBeenCalledTimes(1)
+    expect(deviceStatusesStore.startStream).toHaveBeenCalledTimes(1)
+    expect(store.alerts).toEqual([])
+  })
+
+  it('raises alerts for state changes', async () => {
+    await replaceStatus(status(1, { isOnline: false }))
+    await replaceStatus(status(2, { playlistActivation: { state: 'failed', error: null } }))
+
+    expect(store.alerts.map(alert => [alert.deviceName, alert.type, alert.accountId])).toEqual([
+      ['Вход', 'activation-failed', 20],
+      ['Касса', 'offline', 10]
+    ])
+    expect(store.unreadCount).toBe(2)
+  })
+
+  it('does not raise alerts for new devices', async () => {
+    deviceStatusesStore.statuses = [...deviceStatusesStore.statuses, status(3, { isOnline: false })]
+    await nextTick()
+
+    expect(store.alerts).toEqual([])
+  })
+
+  it('marks, dismisses and clears alerts', async () => {
+    await replaceStatus(status(1, { isOnline: false }))
+    await replaceStatus(status(2, { playbackServiceStatus: false }))
+    const [first, second] = store.alerts
+
+    store.markRead(first.id)
+    expect(store.unreadCount).toBe(1)
+    store.markAllRead()
+    expect(store.unreadCount).toBe(0)
+
+    store.dismiss(second.id)
+    expect(store.alerts.map(alert => alert.id)).toEqual([first.id])
+    store.clear()
+    expect(store.alerts).toEqual([])
+  })
+
+  it('skips muted accounts and drops their alerts on mute', async () => {
+    await replaceStatus(status(1, { isOnline: false }))
+    await replaceStatus(status(2, { isOnline: false }))
+
+    store.toggleMute(10)
+    expect(authStore.device_alerts_muted_accounts).toEqual([10])
+    expect(store.isMuted(10)).toBe(true)
+    expect(store.alerts.map(alert => alert.deviceId)).toEqual([2])
+
+    await replaceStatus(status(1))
+    await replaceStatus(status(1, { isOnline: false }))
+    expect(store.alerts).toHaveLength(1)
+
+    store.toggleMute(10)
+    expect(authStore.device_alerts_muted_accounts).toEqual([])
+  })
+
+  it('fires browser notifications when enabled and permitted', async () => {
+    const NotificationMock = vi.fn()
+    NotificationMock.permission = 'default'
+    NotificationMock.requestPermission = vi.fn(async () => {
+      NotificationMock.permission = 'granted'
+      return 'granted'
+    })
+    vi.stubGlobal('Notification', NotificationMock)
+
+    await store.setNotificationsEnabled(true)
+    expect(NotificationMock.requestPermission).toHaveBeenCalled()
+    expect(authStore.device_alerts_notifications).toBe(true)
+    expect(store.notificationPermission).toBe('granted')
+
+    await replaceStatus(status(1, { isOnline: false }))
+    expect(NotificationMock).toHaveBeenCalledWith('Касса', {
+      body: 'Устройство не в сети',
+      tag: 'device-alert-1'
+    })
+
+    await store.setNotificationsEnabled(false)
+    await replaceStatus(status(2, { isOnline: false }))
+    expect(NotificationMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('keeps notifications off when permission is denied', async () => {
+    const NotificationMock = vi.fn()
+    NotificationMock.permission = 'default'
+    NotificationMock.requestPermission = vi.fn(async () => {
+      NotificationMock.permission = 'denied'
+      return 'denied'
+    })
+    vi.stubGlobal('Notification', NotificationMock)
+
+    await store.setNotificationsEnabled(true)
+
+    expect(authStore.device_alerts_notifications).toBe(false)
+    expect(store.notificationPermission).toBe('denied')
+  })
+
+  it('unsubscribes and forgets alerts on stop', async () => {
+    await replaceStatus(status(1, { isOnline: false }))
+
+    store.stop()
+    expect(deviceStatusesStore.stopStream).toHaveBeenCalledTimes(1)
+    expect(store.alerts).toEqual([])
+
+    await replaceStatus(status(2, { isOnline: false }))
+    expect(store.alerts).toEqual([])
+  })
+})
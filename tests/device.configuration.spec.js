@@ -0,0 +1,129 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  applyConfigurationTemplate,
+  buildConfigurationTemplate,
+  configurationTemplateToFormValues,
+  createDefaultConfigurationTemplate,
+  diffConfigurationTemplate,
+  normalizeConfiguration,
+  normalizeConfigurationTemplate,
+  normalizePhotoTimerPayload,
+  parsePhotoTimerSeconds,
+  scheduleValidationSchema
+} from '@/helpers/device.configuration.js'
+
+const template = {
+  schedule: {
+    playlist: ['08:00'],
+    video: ['09:00', '21:00'],
+    rest: [{ start: '23:00', stop: '07:00' }]
+  },
+  audio: { output: 'jack' },
+  screenshot: { timers: ['01:00:00'] }
+}
+
+describe('device configuration helpers', () => {
+  it('parses and normalizes photo report timers', () => {
+    expect(parsePhotoTimerSeconds('01:00:05')).toBe(3605)
+    expect(parsePhotoTimerSeconds('24:00:00')).toBeNull()
+    expect(normalizePhotoTimerPayload(['02:00:00', ' 01:00:00 ', 'bad', '02:00:00'])).toEqual(['01:00:00', '02:00:00'])
+  })
+
+  it('normalizes a device configuration with defaults', () => {
+    expect(normalizeConfiguration({})).toEqual({
+      playlist: { source: '', destination: '' },
+      schedule: {
+        playlist: ['00:00'],
+        video: ['00:00'],
+        rest: [{ start: '00:00', stop: '00:00' }],
+        photoReport: ['00:00:00']
+      },
+      audio: { output: 'hdmi' },
+      screenshot: { timers: [] }
+    })
+  })
+
+  it('normalizes templates and fills defaults', () => {
+    expect(normalizeConfigurationTemplate(null)).toEqual(createDefaultConfigurationTemplate())
+    expect(normalizeConfigurationTemplate({
+      ...template,
+      schedule: { ...template.schedule, photoReport: ['01:00:00'] },
+      audio: { output: ' jack ' }
+    })).toEqual(template)
+  })
+
+  it('converts templates to form values and back', () => {
+    const values = configurationTemplateToFormValues(template)
+    expect(values).toEqual({
+      playlist: ['08:00'],
+      video: ['09:00', '21:00'],
+      rest: [{ start: '23:00', stop: '07:00' }],
+      photoReport: ['01:00:00'],
+      audio: 'jack'
+    })
+    expect(buildConfigurationTemplate(values)).toEqual(template)
+  })
+
+  it('keeps device playlist paths when applying a template', () => {
+    const payload = applyConfigurationTemplate({
+      playlist: { source: '/src', destination: '/dst' },
+      schedule: { playlist: ['10:00'], video: ['11:00'], rest: [] },
+      audio: { output: 'hdmi' }
+    }, template)
+
+    expect(payload).toEqual({
+      playlist: { source: '/src', destination: '/dst' },
+      ...template
+    })
+  })
+
+  it('reports no differences for a matching device regardless of order', () => {
+    const deviceConfiguration = {
+      playlist: { source: '/src', destination: '/dst' },
+      schedule: {
+        playlist: ['08:00'],
+        video: ['21:00', '09:00'],
+        rest: [{ start: '23:00', stop: '07:00' }]
+      },
+      audio: { output: 'jack' },
+      screenshot: { timers: ['01:00:00'] }
+    }
+
+    expect(diffConfigurationTemplate(deviceConfiguration, template)).toEqual([])
+  })
+
+  it('lists deviating settings with device and template values', () => {
+    const deviceConfiguration = {
+      schedule: {
+        playlist: ['08:00'],
+        video: ['09:00'],
+        rest: [{ start: '22:00', stop: '06:00' }]
+      },
+      audio: { output: 'hdmi' },
+      screenshot: { timers: [] }
+    }
+
+    expect(diffConfigurationTemplate(deviceConfiguration, template)).toEqual([
+      { key: 'video', label: 'Загрузка видео', expected: '09:00, 21:00', actual: '09:00' },
+      { key: 'rest', label: 'Время отдыха', expected: '23:00—07:00', actual: '22:00—06:00' },
+      { key: 'audio', label: 'Аудиовыход', expected: 'jack', actual: 'hdmi' },
+      { key: 'photoReport', label: 'Таймер фотоотчёта', expected: '01:00:00', actual: '—' }
+    ])
+  })
+
+  it('rejects overlapping rest periods, including across midnight', async () => {
+    const values = (rest) => ({ playlist: ['08:00'], video: ['09:00'], rest, photoReport: [] })
+
+    await expect(scheduleValidationSchema.isValid(values([
+      { start: '12:00', stop: '13:00' },
+      { start: '13:00', stop: '14:00' }
+    ]))).resolves.toBe(true)
+    await expect(scheduleValidationSchema.validate(values([
+      { start: '23:00', stop: '07:00' },
+      { start: '06:00', stop: '08:00' }
+    ]))).rejects.toThrow('Периоды отдыха пересекаются')
+  })
+})
@@ -13,7 +13,8 @@ vi.mock('@/helpers/fetch.wrapper.js', () => {
       post: vi.fn(),
       put: vi.fn(),
       delete: vi.fn(),
-      patch: vi.fn()
+      patch: vi.fn(),
+      invalidate: vi.fn()
     }
   }
 })
@@ -56,6 +57,21 @@ describe('device.groups.store', () => {
     fetchWrapper.get.mockResolvedValueOnce(mockGroups[0])
     await store.getById(1)
     expect(store.group).toEqual(mockGroups[0])
+    expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringContaining('/devicegroups/1'), expect.objectContaining({
+      ttl: expect.any(Number),
+      tags: ['devicegroups'],
+      signal: expect.any(global.AbortSignal)
+    }))
+  })
+
+  it('getById ignores a request cancelled by a route change', async () => {
+    const store = useDeviceGroupsStore()
+    store.$patch({ group: mockGroups[1] })
+    fetchWrapper.get.mockRejectedValueOnce(Object.assign(new Error('Загрузка отменена'), { name: 'AbortError' }))
+
+    await expect(store.getById(1)).resolves.toBeUndefined()
+    expect(store.error).toBeNull()
+    expect(store.loading).toBe(false)
   })
 
   it('update calls fetchWrapper.put', async () => {
@@ -63,6 +79,7 @@ describe('device.groups.store', () => {
     fetchWrapper.put.mockResolvedValueOnce({})
     await store.update(1, { name: 'Updated' })
     expect(fetchWrapper.put).toHaveBeenCalled()
+    expect(fetchWrapper.invalidate).toHaveBeenCalledWith('devicegroups')
   })
 
   it('delete calls fetchWrapper.delete', async () => {
@@ -70,6 +87,7 @@ describe('device.groups.store', () => {
     fetchWrapper.delete.mockResolvedValueOnce({})
     await store.delete(1)
     expect(fetchWrapper.delete).toHaveBeenCalled()
+    expect(fetchWrapper.invalidate).toHaveBeenCalledWith('devicegroups', 'devices')
   })
 
   it('add throws error and sets error state when fetch fails', async () => {
@@ -1,11 +1,17 @@
 // Copyright (c) 2025 sw.consulting
 // This file is a part of Media Pi  frontend application
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
 import { useDeviceStatusesStore } from '@/stores/device.statuses.store.js'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 import { useAuthStore } from '@/stores/auth.store.js'
+import {
+  clearStatusHistory,
+  loadStatusHistory,
+  saveDeviceStatusHistory
+} from '@/helpers/status.history.db.js'
+import { readCachedResponse } from '@/helpers/offline.cache.js'
 
 vi.mock('@/helpers/fetch.wrapper.js', () => ({
   fetchWrapper: {
@@ -14,6 +20,18 @@ vi.mock('@/helpers/fetch.wrapper.js', () => ({
   }
 }))
 
+vi.mock('@/helpers/status.history.db.js', () => ({
+  loadStatusHistory: vi.fn(() => Promise.resolve({})),
+  saveDeviceStatusHistory: vi.fn(() => Promise.resolve()),
+  clearStatusHistory: vi.fn(() => Promise.resolve())
+}))
+
+vi.mock('@/helpers/offline.cache.js', () => ({
+  readCachedResponse: vi.fn(() => Promise.resolve(null)),
+  writeCachedResponse: vi.fn(() => Promise.resolve()),
+  clearCachedResponses: vi.fn(() => Promise.resolve())
+}))
+
 vi.mock('@/stores/auth.store.js', () => ({
   useAuthStore: vi.fn(() => ({
     user: { token: 'mock-token' }
@@ -287,6 +305,8 @@ describe('device.statuses.store', () => {
     await store.startStream()
     
     expect(store.error).toBe(fetchError)
+    expect(store.streamState).toBe('reconnecting')
+    store.stopStream()
   })
 
   it('startStream handles authentication errors', async () => {
@@ -329,6 +349,7 @@ describe('device.statuses.store', () => {
     await store.startStream()
     
     expect(store.error).toBeInstanceOf(Error)
+    store.stopStream()
   })
 
   it('getAll handles errors', async () => {
@@ -347,5 +368,393 @@ describe('device.statuses.store', () => {
     await expect(store.test(1)).rejects.toThrow('fail')
     expect(store.error).toBe(err)
   })
-})
 
+  describe('stream reconnect', () => {
+    const createReader = (chunks) => {
+      const queue = [...chunks]
+      return {
+        read: vi.fn(() => Promise.resolve(
+          queue.length
+            ? { done: false, value: new TextEncoder().encode(queue.shift()) }
+            : { done: true }
+        )),
+        cancel: vi.fn().mockResolvedValue(undefined)
+      }
+    }
+
+    const okResponse = (chunks = []) => ({
+      ok: true,
+      body: { getReader: () => createReader(chunks) }
+    })
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.spyOn(Math, 'random').mockReturnValue(0)
+      global.AbortController = RealAbortController
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+      vi.restoreAllMocks()
+      vi.mocked(useAuthStore).mockImplementation(() => ({ user: { token: 'mock-token' } }))
+    })
+
+    it('reports live state while connected and reconnects after the server closes the stream', async () => {
+      let resolveRead
+      const pendingReader = {
+        read: vi.fn()
+          .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode('data: ' + JSON.stringify(mockStatuses[0]) + '\n') })
+          .mockImplementationOnce(() => new Promise(resolve => { resolveRead = resolve })),
+        cancel: vi.fn()
+      }
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce({ ok: true, body: { getReader: () => pendingReader } })
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      const startPromise = store.startStream()
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(store.streamState).toBe('live')
+
+      resolveRead({ done: true })
+      await startPromise
+
+      expect(store.streamState).toBe('reconnecting')
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      // first attempt waits half of the base delay when jitter is zero
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      store.stopStream()
+    })
+
+    it('grows the reconnect delay exponentially', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Network error'))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(500)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      await vi.advanceTimersByTimeAsync(999)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      await vi.advanceTimersByTimeAsync(1)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+
+      await vi.advanceTimersByTimeAsync(2000)
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+
+      store.stopStream()
+    })
+
+    it('keeps backing off when the server closes the stream before sending data', async () => {
+      global.fetch = vi.fn().mockImplementation(() => Promise.resolve(okResponse()))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(500)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      await vi.advanceTimersByTimeAsync(999)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      await vi.advanceTimersByTimeAsync(1)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+
+      await vi.advanceTimersByTimeAsync(2000)
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+      expect(store.streamState).toBe('stale')
+
+      store.stopStream()
+    })
+
+    it('restarts the backoff once the stream delivers data', async () => {
+      global.fetch = vi.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(okResponse(['data: ' + JSON.stringify(mockStatuses[0]) + '\n']))
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(500 + 1000)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+
+      // The delivered event resets the attempts, so the next delay is the first one again
+      await vi.advanceTimersByTimeAsync(500)
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+
+      store.stopStream()
+    })
+
+    it('marks the stream stale after several failed attempts', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Network error'))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      expect(store.streamState).toBe('reconnecting')
+
+      await vi.advanceTimersByTimeAsync(500 + 1000 + 2000)
+
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+      expect(store.streamState).toBe('stale')
+      store.stopStream()
+      expect(store.streamState).toBe('idle')
+    })
+
+    it('resumes with Last-Event-ID when the server sends event ids', async () => {
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce(okResponse(['id: 42\ndata: ' + JSON.stringify(mockStatuses[0]) + '\n\n']))
+        .mockResolvedValueOnce(okResponse())
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[1][1].headers['Last-Event-ID']).toBe('42')
+      expect(fetchWrapper.get).not.toHaveBeenCalled()
+      store.stopStream()
+    })
+
+    it('reloads all statuses after reconnecting without an event id', async () => {
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses)
+      global.fetch = vi.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(okResponse())
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(global.fetch.mock.calls[1][1].headers['Last-Event-ID']).toBeUndefined()
+      expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringContaining('/devicestatuses'))
+      expect(store.statuses).toEqual(normalizedMockStatuses)
+      store.stopStream()
+    })
+
+    it('keeps known statuses when the resync request fails', async () => {
+      const resyncError = new Error('resync failed')
+      fetchWrapper.get.mockRejectedValueOnce(resyncError)
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce(okResponse(['data: ' + JSON.stringify(mockStatuses[0]) + '\n']))
+        .mockResolvedValueOnce(okResponse())
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(store.statuses).toEqual([normalizedMockStatus])
+      expect(store.error).toBe(resyncError)
+      store.stopStream()
+    })
+
+    it('does not retry when the stream is rejected and the token cannot be refreshed', async () => {
+      const refresh = vi.fn().mockResolvedValue(false)
+      vi.mocked(useAuthStore).mockReturnValue({ user: { token: 'mock-token' }, refresh })
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized' })
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(60000)
+
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(refresh).toHaveBeenCalledTimes(1)
+      expect(store.streamState).toBe('stale')
+      expect(store.error.status).toBe(401)
+      store.stopStream()
+    })
+
+    it('refreshes an expired token and reconnects with the new one', async () => {
+      const authStore = { user: { token: 'old-token' } }
+      authStore.refresh = vi.fn(async () => {
+        authStore.user = { token: 'new-token' }
+        return true
+      })
+      vi.mocked(useAuthStore).mockReturnValue(authStore)
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce({ ok: false, status: 401, statusText: 'Unauthorized' })
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(authStore.refresh).toHaveBeenCalledTimes(1)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new-token')
+      expect(store.streamState).not.toBe('stale')
+      store.stopStream()
+    })
+
+    it('stopStream cancels a pending reconnect', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Network error'))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      store.stopStream()
+      await vi.advanceTimersByTimeAsync(60000)
+
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(store.streamState).toBe('idle')
+    })
+
+    it('joins a pending reconnect instead of opening a second connection', async () => {
+      global.fetch = vi.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockReturnValue(new Promise(() => {}))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      await store.startStream()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(500)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      store.stopStream()
+      store.stopStream()
+    })
+
+    it('stops reconnecting when the user has logged out', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Network error'))
+
+      const store = useDeviceStatusesStore()
+      await store.startStream()
+      vi.mocked(useAuthStore).mockReturnValueOnce({ user: null })
+      await vi.advanceTimersByTimeAsync(500)
+
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(store.streamState).toBe('idle')
+      store.stopStream()
+    })
+  })
+
+  describe('status history', () => {
+    const hour = 60 * 60 * 1000
+    const now = Date.UTC(2026, 0, 2, 12, 0, 0)
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.setSystemTime(now)
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('records status transitions from snapshots and updates', async () => {
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses)
+      const store = useDeviceStatusesStore()
+      await store.getAll()
+
+      vi.setSystemTime(now + hour)
+      fetchWrapper.get.mockResolvedValueOnce({ ...mockStatuses[0], isOnline: false })
+      await store.getById(1)
+      // Unchanged statuses do not grow the history
+      fetchWrapper.get.mockResolvedValueOnce({ ...mockStatuses[0], isOnline: false })
+      await store.getById(1)
+      await vi.runAllTimersAsync()
+
+      expect(store.getDeviceHistory(1)).toEqual([
+        { timestamp: now, isOnline: true, latency: 20 },
+        { timestamp: now + hour, isOnline: false, latency: null }
+      ])
+      expect(store.getDeviceHistory(2)).toEqual([{ timestamp: now, isOnline: false, latency: null }])
+      expect(saveDeviceStatusHistory).toHaveBeenCalledTimes(2)
+      expect(saveDeviceStatusHistory).toHaveBeenCalledWith(1, store.history[1])
+      expect(saveDeviceStatusHistory).toHaveBeenCalledWith(2, store.history[2])
+    })
+
+    it('saves the changed devices together once per interval', async () => {
+      const store = useDeviceStatusesStore()
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses[0])
+      await store.getById(1)
+      vi.setSystemTime(now + hour)
+      fetchWrapper.get.mockResolvedValueOnce({ ...mockStatuses[0], isOnline: false })
+      await store.getById(1)
+
+      await vi.advanceTimersByTimeAsync(4000)
+      expect(saveDeviceStatusHistory).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(1000)
+      expect(saveDeviceStatusHistory).toHaveBeenCalledTimes(1)
+      expect(saveDeviceStatusHistory).toHaveBeenCalledWith(1, store.history[1])
+      expect(store.history[1]).toHaveLength(2)
+    })
+
+    it('saves unsaved changes when the stream stops', async () => {
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses[0])
+      const store = useDeviceStatusesStore()
+      await store.getById(1)
+
+      store.stopStream()
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(saveDeviceStatusHistory).toHaveBeenCalledWith(1, store.history[1])
+      await vi.runAllTimersAsync()
+      expect(saveDeviceStatusHistory).toHaveBeenCalledTimes(1)
+    })
+
+    it('merges the persisted history before saving', async () => {
+      loadStatusHistory.mockResolvedValueOnce({
+        1: [{ timestamp: now - 2 * hour, isOnline: false, latency: null }]
+      })
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses[0])
+      const store = useDeviceStatusesStore()
+      await store.getById(1)
+      await store.loadHistory()
+      await vi.runAllTimersAsync()
+
+      expect(loadStatusHistory).toHaveBeenCalledTimes(1)
+      expect(store.history[1]).toEqual([
+        { timestamp: now - 2 * hour, isOnline: false, latency: null },
+        { timestamp: now, isOnline: true, latency: 20 }
+      ])
+      expect(saveDeviceStatusHistory).toHaveBeenCalledWith(1, store.history[1])
+    })
+
+    it('keeps the in-memory history when persistence fails', async () => {
+      loadStatusHistory.mockRejectedValueOnce(new Error('blocked'))
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses[0])
+      const store = useDeviceStatusesStore()
+      await store.getById(1)
+      await vi.runAllTimersAsync()
+
+      expect(store.getDeviceHistory(1)).toHaveLength(1)
+    })
+
+    it('shows saved statuses without recording them when the server cannot be reached', async () => {
+      readCachedResponse.mockResolvedValueOnce({ data: mockStatuses, savedAt: now - hour })
+      fetchWrapper.get.mockRejectedValueOnce(Object.assign(new Error('network'), { isNetworkError: true }))
+      const store = useDeviceStatusesStore()
+      await store.getAll()
+      await vi.runAllTimersAsync()
+
+      expect(store.statuses).toEqual(normalizedMockStatuses)
+      expect(store.error).toBeNull()
+      expect(store.history).toEqual({})
+      expect(saveDeviceStatusHistory).not.toHaveBeenCalled()
+    })
+
+    it('clears the history', async () => {
+      fetchWrapper.get.mockResolvedValueOnce(mockStatuses)
+      const store = useDeviceStatusesStore()
+      await store.getAll()
+      await store.clearHistory()
+      await vi.runAllTimersAsync()
+
+      expect(store.history).toEqual({})
+      expect(clearStatusHistory).toHaveBeenCalledTimes(1)
+      expect(saveDeviceStatusHistory).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,48 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, vi } from 'vitest'
+import { createDeviceTaskRunner } from '@/helpers/device.task.runner.js'
+
+const devices = [
+  { id: 1, name: 'Device 1' },
+  { id: 2, name: 'Device 2' }
+]
+
+describe('createDeviceTaskRunner', () => {
+  it('stores task values per device', async () => {
+    const runner = createDeviceTaskRunner()
+
+    await runner.run(devices, async (deviceId) => [`diff-${deviceId}`])
+
+    expect(runner.results.value.map(r => r.value)).toEqual([['diff-1'], ['diff-2']])
+    expect(runner.summary.value.succeeded).toBe(2)
+  })
+
+  it('retries failed devices with the last task', async () => {
+    const task = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValue('ok')
+    const runner = createDeviceTaskRunner({ concurrency: 1 })
+
+    await runner.run(devices, task)
+    expect(runner.results.value[0]).toEqual(expect.objectContaining({ state: 'failed', error: 'offline' }))
+
+    await runner.retryFailed()
+
+    expect(task).toHaveBeenCalledTimes(3)
+    expect(task).toHaveBeenLastCalledWith(1)
+    expect(runner.results.value[0]).toEqual(expect.objectContaining({ state: 'succeeded', value: 'ok', error: null }))
+  })
+
+  it('does not retry after reset', async () => {
+    const task = vi.fn().mockRejectedValue(new Error('offline'))
+    const runner = createDeviceTaskRunner()
+    await runner.run(devices, task)
+
+    runner.reset()
+
+    expect(runner.results.value).toEqual([])
+    expect(await runner.retryFailed()).toBe(false)
+  })
+})
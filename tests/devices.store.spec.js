@@ -5,6 +5,8 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
 import { useDevicesStore } from '@/stores/devices.store.js'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
+import { readCachedResponse, writeCachedResponse } from '@/helpers/offline.cache.js'
+import { useNetworkStore } from '@/stores/network.store.js'
 
 vi.mock('@/helpers/fetch.wrapper.js', () => {
   return {
@@ -13,11 +15,18 @@ vi.mock('@/helpers/fetch.wrapper.js', () => {
       post: vi.fn(),
       put: vi.fn(),
       delete: vi.fn(),
-      patch: vi.fn()
+      patch: vi.fn(),
+      invalidate: vi.fn()
     }
   }
 })
 
+vi.mock('@/helpers/offline.cache.js', () => ({
+  readCachedResponse: vi.fn(() => Promise.resolve(null)),
+  writeCachedResponse: vi.fn(() => Promise.resolve()),
+  clearCachedResponses: vi.fn(() => Promise.resolve())
+}))
+
 const mockDevices = [
   { id: 1, name: 'Device 1' },
   { id: 2, name: 'Device 2' }
@@ -52,6 +61,21 @@ describe('devices.store', () => {
     expect(store.devices).toEqual(mockDevices)
   })
 
+  it('getAll saves the list and falls back to it when the server cannot be reached', async () => {
+    const store = useDevicesStore()
+    fetchWrapper.get.mockResolvedValueOnce(mockDevices)
+    await store.getAll()
+    expect(writeCachedResponse).toHaveBeenCalledWith(null, 'devices', mockDevices)
+
+    readCachedResponse.mockResolvedValueOnce({ data: [mockDevices[0]], savedAt: 1000 })
+    fetchWrapper.get.mockRejectedValueOnce(Object.assign(new Error('network'), { isNetworkError: true }))
+    await store.getAll(true)
+
+    expect(store.devices).toEqual([mockDevices[0]])
+    expect(store.error).toBeNull()
+    expect(useNetworkStore().isCached('devices')).toBe(true)
+  })
+
   it('getByAccount sets devices from fetch', async () => {
     const store = useDevicesStore()
     fetchWrapper.get.mockResolvedValueOnce(mockDevices)
@@ -64,6 +88,20 @@ describe('devices.store', () => {
     fetchWrapper.get.mockResolvedValueOnce(mockDevices[0])
     await store.getById(1)
     expect(store.device).toEqual(mockDevices[0])
+    expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringContaining('/devices/1'), expect.objectContaining({
+      ttl: expect.any(Number),
+      tags: ['devices'],
+      signal: expect.any(global.AbortSignal)
+    }))
+  })
+
+  it('getById ignores a request cancelled by a route change', async () => {
+    const store = useDevicesStore()
+    fetchWrapper.get.mockRejectedValueOnce(Object.assign(new Error('Загрузка отменена'), { name: 'AbortError' }))
+
+    await expect(store.getById(1)).resolves.toBeUndefined()
+    expect(store.error).toBeNull()
+    expect(store.loading).toBe(false)
   })
 
   it('update calls fetchWrapper.put', async () => {
@@ -71,6 +109,7 @@ describe('devices.store', () => {
     fetchWrapper.put.mockResolvedValueOnce({})
     await store.update(1, { name: 'Updated' })
     expect(fetchWrapper.put).toHaveBeenCalled()
+    expect(fetchWrapper.invalidate).toHaveBeenCalledWith('devices')
   })
 
   it('delete calls fetchWrapper.delete', async () => {
@@ -378,6 +417,38 @@ describe('devices.store', () => {
     expect(store.error).toBe(mockError)
     expect(store.loading).toBe(false)
   })
+
+  it('sendDeviceCommand calls the command endpoint without changing state', async () => {
+    const store = useDevicesStore()
+    const previousError = new Error('Earlier failure')
+    store.error = previousError
+    let resolvePost
+    fetchWrapper.post.mockReturnValueOnce(new Promise(resolve => { resolvePost = resolve }))
+
+    const request = store.sendDeviceCommand('startVideoUpload', 4)
+    expect(store.loading).toBe(false)
+    resolvePost({ ok: true })
+
+    await expect(request).resolves.toEqual({ ok: true })
+    expect(fetchWrapper.post).toHaveBeenCalledWith(
+      expect.stringContaining('/devices/4/video/start-upload'),
+      {}
+    )
+    expect(store.error).toBe(previousError)
+  })
+
+  it('sendDeviceCommand leaves error state alone on failure', async () => {
+    const store = useDevicesStore()
+    fetchWrapper.put.mockRejectedValueOnce(new Error('Offline'))
+
+    await expect(store.sendDeviceCommand('updateConfiguration', 3, { a: 1 })).rejects.toThrow('Offline')
+    expect(fetchWrapper.put).toHaveBeenCalledWith(
+      expect.stringContaining('/devices/3/configuration/update'),
+      { a: 1 }
+    )
+    expect(store.error).toBeNull()
+    await expect(store.sendDeviceCommand('formatDisk', 3)).rejects.toThrow('Unknown device command: formatDisk')
+  })
 })
 
 
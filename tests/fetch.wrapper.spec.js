@@ -7,9 +7,11 @@ import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest'
 
 // Create mock functions that can be controlled per test
 const mockLogout = vi.fn()
+const mockRefresh = vi.fn(() => Promise.resolve(false))
 const mockAuthStore = {
   user: { token: 'abc' },
-  logout: mockLogout
+  logout: mockLogout,
+  refresh: mockRefresh
 }
 
 // Place mocks back at the top level, which is fine with isolate: true in config
@@ -39,6 +41,8 @@ describe('fetchWrapper', () => {
     // Reset mock auth store
     mockAuthStore.user = { token: 'abc' }
     mockAuthStore.logout = mockLogout
+    mockAuthStore.refresh = mockRefresh
+    mockRefresh.mockImplementation(() => Promise.resolve(false))
     
     // Mock DOM elements for download tests
     global.document = {
@@ -57,7 +61,8 @@ describe('fetchWrapper', () => {
       URL: {
         createObjectURL: vi.fn(() => 'blob:url'),
         revokeObjectURL: vi.fn()
-      }
+      },
+      setTimeout: vi.fn((callback) => callback())
     }
     
     // Mock global constructors for lint compliance
@@ -108,6 +113,21 @@ describe('fetchWrapper', () => {
     await expect(fetchWrapper.get(`${baseUrl}/neterr`)).rejects.toThrow('Не удалось соединиться')
   })
 
+  it('blocks changes while the browser is offline', async () => {
+    const onLine = vi.spyOn(global.navigator, 'onLine', 'get').mockReturnValue(false)
+    const response = { ok: true, status: 200, statusText: 'OK', text: () => Promise.resolve('[]') }
+    global.fetch = vi.fn(() => Promise.resolve(response))
+    try {
+      await expect(fetchWrapper.post(`${baseUrl}/items`, { a: 1 })).rejects.toMatchObject({ isOffline: true, status: 0 })
+      await expect(fetchWrapper.delete(`${baseUrl}/items/1`)).rejects.toThrow('Нет подключения к сети')
+      await expect(fetchWrapper.postFile(`${baseUrl}/upload`, new FormData())).rejects.toMatchObject({ isOffline: true })
+      expect(global.fetch).not.toHaveBeenCalled()
+      await expect(fetchWrapper.get(`${baseUrl}/items`)).resolves.toEqual([])
+    } finally {
+      onLine.mockRestore()
+    }
+  })
+
   // Test POST method with body
   it('handles POST request with JSON body', async () => {
     const testData = { name: 'test', value: 123 }
@@ -230,6 +250,62 @@ describe('fetchWrapper', () => {
     })
   })
 
+  it('uploads a chunk with range and checksum headers', async () => {
+    const chunk = new Blob(['0123456789'])
+    const response = { ok: true, status: 200, statusText: 'OK', text: () => Promise.resolve(JSON.stringify({ received: 3 })) }
+    global.fetch = vi.fn(() => Promise.resolve(response))
+
+    const result = await fetchWrapper.putChunk(`${baseUrl}/videos/uploads/5/chunks/3`, chunk, {
+      index: 3,
+      offset: 30,
+      total: 100,
+      checksum: 'abc'
+    })
+
+    expect(result).toEqual({ received: 3 })
+    expect(global.fetch).toHaveBeenCalledWith(`${baseUrl}/videos/uploads/5/chunks/3`, {
+      method: 'PUT',
+      headers: {
+        Authorization: 'Bearer abc',
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': 'bytes 30-39/100',
+        'X-Chunk-Index': '3',
+        'X-Chunk-Checksum': 'sha-256=abc'
+      },
+      body: chunk
+    })
+  })
+
+  it('reports chunk upload progress through XMLHttpRequest', async () => {
+    const chunk = new Blob(['01234'])
+    const onUploadProgress = vi.fn()
+    const xhr = {
+      upload: {},
+      open: vi.fn(),
+      setRequestHeader: vi.fn(),
+      send: vi.fn(function () {
+        this.upload.onprogress({ lengthComputable: true, loaded: 5, total: 5 })
+        this.status = 204
+        this.responseText = ''
+        this.onload()
+      })
+    }
+    global.window.XMLHttpRequest = vi.fn(function () { return xhr })
+
+    await fetchWrapper.putChunk(`${baseUrl}/videos/uploads/5/chunks/0`, chunk, {
+      index: 0,
+      offset: 0,
+      total: 5,
+      checksum: 'def',
+      onUploadProgress
+    })
+
+    expect(xhr.open).toHaveBeenCalledWith('PUT', `${baseUrl}/videos/uploads/5/chunks/0`)
+    expect(xhr.setRequestHeader).toHaveBeenCalledWith('Content-Range', 'bytes 0-4/5')
+    expect(xhr.setRequestHeader).toHaveBeenCalledWith('X-Chunk-Checksum', 'sha-256=def')
+    expect(onUploadProgress).toHaveBeenCalledWith(expect.objectContaining({ loaded: 5, percentage: 100 }))
+  })
+
   it('handles upload progress when total length is not computable', async () => {
     const formData = new FormData()
     const onUploadProgress = vi.fn()
@@ -773,3 +849,309 @@ describe('fetchWrapper', () => {
     }
   }) 
 })
+
+describe('fetchWrapper GET sharing, caching and revalidation', () => {
+  const jsonResponse = (data, { status = 200, etag } = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: (name) => (name === 'ETag' ? etag ?? null : null) },
+    text: () => Promise.resolve(data === undefined ? '' : JSON.stringify(data))
+  })
+
+  const abortableFetch = () => vi.fn((url, options) => new Promise((resolve, reject) => {
+    options?.signal?.addEventListener('abort', () => {
+      reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))
+    })
+  }))
+
+  beforeEach(() => {
+    mockAuthStore.user = { token: 'abc' }
+    fetchWrapper.clearCache()
+  })
+
+  afterEach(() => {
+    fetchWrapper.clearCache()
+  })
+
+  it('shares identical GET requests in flight and gives every caller its own data', async () => {
+    let resolveFetch
+    global.fetch = vi.fn(() => new Promise((resolve) => { resolveFetch = resolve }))
+
+    const first = fetchWrapper.get(`${baseUrl}/devices/1`)
+    const second = fetchWrapper.get(`${baseUrl}/devices/1`)
+    resolveFetch(jsonResponse({ id: 1 }))
+    const [a, b] = await Promise.all([first, second])
+
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+    expect(a).toEqual({ id: 1 })
+    expect(b).toEqual({ id: 1 })
+    expect(a).not.toBe(b)
+
+    // A later request goes to the server again
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse({ id: 1 })))
+    await fetchWrapper.get(`${baseUrl}/devices/1`)
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not share requests of different users or when dedupe is off', async () => {
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse([])))
+
+    const first = fetchWrapper.get(`${baseUrl}/devices`)
+    mockAuthStore.user = { token: 'other' }
+    const second = fetchWrapper.get(`${baseUrl}/devices`)
+    const third = fetchWrapper.get(`${baseUrl}/devices`, { dedupe: false })
+    await Promise.all([first, second, third])
+
+    expect(global.fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('aborts a shared request only when every caller has aborted', async () => {
+    global.fetch = abortableFetch()
+    const firstController = new AbortController()
+    const secondController = new AbortController()
+
+    const first = fetchWrapper.get(`${baseUrl}/devices`, { signal: firstController.signal })
+    const second = fetchWrapper.get(`${baseUrl}/devices`, { signal: secondController.signal })
+    const networkSignal = global.fetch.mock.calls[0][1].signal
+
+    firstController.abort()
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' })
+    expect(networkSignal.aborted).toBe(false)
+
+    secondController.abort()
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' })
+    expect(networkSignal.aborted).toBe(true)
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('keeps a shared request alive for callers without a signal', async () => {
+    let resolveFetch
+    global.fetch = vi.fn((url, options) => new Promise((resolve) => {
+      resolveFetch = resolve
+      options?.signal?.addEventListener('abort', () => resolve(jsonResponse(null)))
+    }))
+    const controller = new AbortController()
+
+    const aborted = fetchWrapper.get(`${baseUrl}/devices`, { signal: controller.signal })
+    const kept = fetchWrapper.get(`${baseUrl}/devices`)
+    controller.abort()
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' })
+
+    resolveFetch(jsonResponse([{ id: 1 }]))
+    await expect(kept).resolves.toEqual([{ id: 1 }])
+  })
+
+  it('rejects at once when the signal is already aborted', async () => {
+    global.fetch = vi.fn()
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(fetchWrapper.get(`${baseUrl}/devices`, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' })
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+
+  it('passes the signal to changes and downloads', async () => {
+    global.fetch = abortableFetch()
+    const controller = new AbortController()
+
+    const put = fetchWrapper.put(`${baseUrl}/devices/1`, { name: 'A' }, { signal: controller.signal })
+    const file = fetchWrapper.getFile(`${baseUrl}/files/1`, { signal: controller.signal })
+    controller.abort()
+
+    await expect(put).rejects.toMatchObject({ name: 'AbortError' })
+    await expect(file).rejects.toMatchObject({ name: 'AbortError' })
+  })
+
+  it('returns a kept response until it expires or its tag is invalidated', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    try {
+      vi.setSystemTime(new Date(2026, 0, 1, 12, 0, 0))
+      global.fetch = vi.fn(() => Promise.resolve(jsonResponse({ id: 1 })))
+      const options = { ttl: 10000, tags: ['devices'] }
+
+      await fetchWrapper.get(`${baseUrl}/devices/1`, options)
+      const kept = await fetchWrapper.get(`${baseUrl}/devices/1`, options)
+      expect(kept).toEqual({ id: 1 })
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+
+      // Requests without ttl always go to the server
+      await fetchWrapper.get(`${baseUrl}/devices/1`)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      fetchWrapper.invalidate('groups')
+      await fetchWrapper.get(`${baseUrl}/devices/1`, options)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      fetchWrapper.invalidate('devices')
+      await fetchWrapper.get(`${baseUrl}/devices/1`, options)
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+
+      vi.setSystemTime(new Date(2026, 0, 1, 12, 0, 11))
+      await fetchWrapper.get(`${baseUrl}/devices/1`, options)
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('does not keep a response when its tag is invalidated while the request is in flight', async () => {
+    let resolveFetch
+    global.fetch = vi.fn(() => new Promise((resolve) => { resolveFetch = resolve }))
+    const options = { ttl: 10000, tags: ['devices'] }
+
+    const stale = fetchWrapper.get(`${baseUrl}/devices`, options)
+    fetchWrapper.invalidate('devices')
+    resolveFetch(jsonResponse([{ id: 1, accountId: 1 }]))
+    await expect(stale).resolves.toEqual([{ id: 1, accountId: 1 }])
+
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse([{ id: 1, accountId: 2 }])))
+    await expect(fetchWrapper.get(`${baseUrl}/devices`, options)).resolves.toEqual([{ id: 1, accountId: 2 }])
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+
+    // Invalidating another tag keeps the fresh response
+    fetchWrapper.invalidate('groups')
+    await fetchWrapper.get(`${baseUrl}/devices`, options)
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not keep a response when the cache is cleared while the request is in flight', async () => {
+    let resolveFetch
+    global.fetch = vi.fn(() => new Promise((resolve) => { resolveFetch = resolve }))
+    const options = { ttl: 10000 }
+
+    const stale = fetchWrapper.get(`${baseUrl}/devices`, options)
+    fetchWrapper.clearCache()
+    resolveFetch(jsonResponse([]))
+    await stale
+
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse([])))
+    await fetchWrapper.get(`${baseUrl}/devices`, options)
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('revalidates with If-None-Match and reuses the body on 304', async () => {
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse([{ id: 1 }], { etag: '"v1"' })))
+    await fetchWrapper.get(`${baseUrl}/devices`)
+
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse(undefined, { status: 304 })))
+    const data = await fetchWrapper.get(`${baseUrl}/devices`)
+
+    expect(data).toEqual([{ id: 1 }])
+    expect(global.fetch).toHaveBeenCalledWith(`${baseUrl}/devices`, {
+      method: 'GET',
+      headers: { Authorization: 'Bearer abc', 'If-None-Match': '"v1"' }
+    })
+
+    // Invalidation keeps the ETag: the server decides whether the data changed
+    fetchWrapper.invalidate('devices')
+    global.fetch = vi.fn(() => Promise.resolve(jsonResponse([{ id: 2 }], { etag: '"v2"' })))
+    await expect(fetchWrapper.get(`${baseUrl}/devices`)).resolves.toEqual([{ id: 2 }])
+    expect(global.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"')
+
+    fetchWrapper.clearCache()
+    await fetchWrapper.get(`${baseUrl}/devices`)
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBeUndefined()
+  })
+})
+
+describe('fetchWrapper access token refresh', () => {
+  const ok = (data) => ({ ok: true, status: 200, statusText: 'OK', text: () => Promise.resolve(JSON.stringify(data)) })
+  const unauthorized = () => ({ ok: false, status: 401, statusText: 'Unauthorized', text: () => Promise.resolve('{"msg":"Unauthorized"}') })
+  const tokenOf = (options) => options.headers.Authorization
+
+  // Answers 401 to every request sent with the old token
+  const fetchAcceptingToken = (validToken) => vi.fn((url, options) => Promise.resolve(
+    tokenOf(options) === `Bearer ${validToken}` ? ok({ url }) : unauthorized()
+  ))
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockAuthStore.user = { token: 'old' }
+    mockAuthStore.refresh = mockRefresh
+    mockRefresh.mockImplementation(async () => {
+      mockAuthStore.user = { token: 'new' }
+      return true
+    })
+    fetchWrapper.clearCache()
+  })
+
+  it('refreshes the token and replays the request', async () => {
+    global.fetch = fetchAcceptingToken('new')
+
+    await expect(fetchWrapper.put(`${baseUrl}/devices/1`, { name: 'A' })).resolves.toEqual({ url: `${baseUrl}/devices/1` })
+
+    expect(mockRefresh).toHaveBeenCalledTimes(1)
+    expect(global.fetch).toHaveBeenCalledTimes(2)
+    expect(tokenOf(global.fetch.mock.calls[1][1])).toBe('Bearer new')
+    expect(mockLogout).not.toHaveBeenCalled()
+  })
+
+  it('replays GET requests, uploads and downloads', async () => {
+    global.fetch = fetchAcceptingToken('new')
+    await expect(fetchWrapper.get(`${baseUrl}/devices`)).resolves.toEqual({ url: `${baseUrl}/devices` })
+
+    mockAuthStore.user = { token: 'old' }
+    await expect(fetchWrapper.postFile(`${baseUrl}/upload`, new FormData())).resolves.toEqual({ url: `${baseUrl}/upload` })
+
+    mockAuthStore.user = { token: 'old' }
+    const response = await fetchWrapper.getFile(`${baseUrl}/files/1`)
+    expect(response.ok).toBe(true)
+    expect(mockRefresh).toHaveBeenCalledTimes(3)
+  })
+
+  it('replays requests sent with a token that was replaced meanwhile without another refresh', async () => {
+    let release
+    const gate = new Promise((resolve) => { release = resolve })
+    global.fetch = vi.fn(async (url, options) => {
+      if (tokenOf(options) === 'Bearer old') {
+        await gate
+        return unauthorized()
+      }
+      return ok({ url })
+    })
+
+    const first = fetchWrapper.post(`${baseUrl}/a`, {})
+    const second = fetchWrapper.post(`${baseUrl}/b`, {})
+    release()
+
+    await expect(Promise.all([first, second])).resolves.toEqual([{ url: `${baseUrl}/a` }, { url: `${baseUrl}/b` }])
+    expect(mockRefresh).toHaveBeenCalledTimes(1)
+  })
+
+  it('rethrows the 401 error when the refresh fails', async () => {
+    mockRefresh.mockImplementation(() => Promise.resolve(false))
+    global.fetch = fetchAcceptingToken('new')
+
+    await expect(fetchWrapper.delete(`${baseUrl}/devices/1`)).rejects.toMatchObject({ status: 401, message: 'Unauthorized' })
+    expect(global.fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('replays a request once only', async () => {
+    global.fetch = vi.fn(() => Promise.resolve(unauthorized()))
+
+    await expect(fetchWrapper.get(`${baseUrl}/devices`)).rejects.toMatchObject({ status: 401 })
+    expect(global.fetch).toHaveBeenCalledTimes(2)
+    expect(mockRefresh).toHaveBeenCalledTimes(1)
+  })
+
+  it('refreshes the token for the session check', async () => {
+    global.fetch = fetchAcceptingToken('new')
+
+    await expect(fetchWrapper.get(`${baseUrl}/auth/check`)).resolves.toEqual({ url: `${baseUrl}/auth/check` })
+    expect(mockRefresh).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not refresh for token requests, external URLs or anonymous users', async () => {
+    global.fetch = vi.fn(() => Promise.resolve(unauthorized()))
+
+    await expect(fetchWrapper.post(`${baseUrl}/auth/login`, {})).rejects.toMatchObject({ status: 401 })
+    await expect(fetchWrapper.post(`${baseUrl}/auth/login/2fa`, {})).rejects.toMatchObject({ status: 401 })
+    await expect(fetchWrapper.post(`${baseUrl}/auth/refresh`, {})).rejects.toMatchObject({ status: 401 })
+    await expect(fetchWrapper.get('https://example.com/data')).rejects.toMatchObject({ status: 401 })
+    mockAuthStore.user = null
+    await expect(fetchWrapper.get(`${baseUrl}/devices`)).rejects.toMatchObject({ status: 401 })
+
+    expect(mockRefresh).not.toHaveBeenCalled()
+  })
+})
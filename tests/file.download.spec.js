@@ -0,0 +1,49 @@
+/* @vitest-environment jsdom */
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+/* global Blob */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { saveBlob } from '@/helpers/file.download.js'
+
+describe('saveBlob', () => {
+  const originalCreate = window.URL.createObjectURL
+  const originalRevoke = window.URL.revokeObjectURL
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    window.URL.createObjectURL = vi.fn(() => 'blob:playlist')
+    window.URL.revokeObjectURL = vi.fn()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    window.URL.createObjectURL = originalCreate
+    window.URL.revokeObjectURL = originalRevoke
+    vi.restoreAllMocks()
+  })
+
+  it('clicks a temporary link and revokes the object URL afterwards', () => {
+    const click = vi.spyOn(window.HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.href).toBe('blob:playlist')
+      expect(this.download).toBe('playlist.m3u')
+      expect(document.body.contains(this)).toBe(true)
+    })
+    const blob = new Blob(['#EXTM3U'])
+
+    expect(saveBlob(blob, 'playlist.m3u')).toBe(true)
+
+    expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob)
+    expect(click).toHaveBeenCalledTimes(1)
+    expect(document.querySelector('a')).toBeNull()
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled()
+    vi.runAllTimers()
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:playlist')
+  })
+
+  it('does nothing without data or object URL support', () => {
+    expect(saveBlob(null, 'playlist.m3u')).toBe(false)
+    window.URL.createObjectURL = undefined
+    expect(saveBlob(new Blob(['x']), 'playlist.m3u')).toBe(false)
+  })
+})
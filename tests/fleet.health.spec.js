@@ -0,0 +1,138 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildFleetHealth,
+  getDeviceProblems,
+  getLatencyBucketKey,
+  getStatusLatency
+} from '@/helpers/fleet.health.js'
+
+const devices = [
+  { id: 1, name: 'Касса', accountId: 10, deviceGroupId: 100 },
+  { id: 2, name: 'Вход', accountId: 10, deviceGroupId: 100 },
+  { id: 3, name: 'Склад', accountId: 10, deviceGroupId: null },
+  { id: 4, name: 'Витрина', accountId: 20, deviceGroupId: 200 },
+  { id: 5, name: 'Новое', accountId: null }
+]
+
+const statuses = [
+  {
+    deviceId: 1,
+    isOnline: true,
+    connectLatencyMs: 20,
+    totalLatencyMs: 30,
+    softwareVersion: '1.2.0',
+    playbackServiceStatus: true,
+    playlistUploadServiceStatus: true,
+    videoUploadServiceStatus: true,
+    playlistActivation: null
+  },
+  {
+    deviceId: 2,
+    isOnline: true,
+    connectLatencyMs: 150,
+    totalLatencyMs: null,
+    softwareVersion: '1.2.0',
+    playbackServiceStatus: false,
+    playlistUploadServiceStatus: true,
+    videoUploadServiceStatus: null,
+    playlistActivation: { state: 'failed', error: 'Нет места' }
+  },
+  {
+    deviceId: 3,
+    isOnline: false,
+    connectLatencyMs: 5,
+    softwareVersion: '1.1.0',
+    playbackServiceStatus: false
+  },
+  {
+    deviceId: 4,
+    isOnline: true,
+    totalLatencyMs: 1500,
+    softwareVersion: '1.2.0'
+  }
+]
+
+const accounts = [{ id: 10, name: 'Магазин' }, { id: 20, name: 'Аптека' }]
+const groups = [{ id: 100, name: 'Зал', accountId: 10 }]
+
+describe('fleet health helpers', () => {
+  it('picks total latency with connect latency as a fallback', () => {
+    expect(getStatusLatency({ totalLatencyMs: 30, connectLatencyMs: 20 })).toBe(30)
+    expect(getStatusLatency({ totalLatencyMs: null, connectLatencyMs: 20 })).toBe(20)
+    expect(getStatusLatency(null)).toBeNull()
+    expect(getLatencyBucketKey(49)).toBe('fast')
+    expect(getLatencyBucketKey(50)).toBe('normal')
+    expect(getLatencyBucketKey(999)).toBe('slow')
+    expect(getLatencyBucketKey(1000)).toBe('critical')
+    expect(getLatencyBucketKey(null)).toBe('unknown')
+  })
+
+  it('reports failed activations and stopped services of online devices', () => {
+    expect(getDeviceProblems(statuses[1])).toEqual([
+      'Ошибка активации плейлиста: Нет места',
+      'Воспроизведение остановлено'
+    ])
+    expect(getDeviceProblems(statuses[2])).toEqual([])
+    expect(getDeviceProblems(undefined)).toEqual([])
+  })
+
+  it('counts devices per account and group', () => {
+    const health = buildFleetHealth({ devices, statuses, accounts, groups })
+
+    expect(health.totals).toEqual({ total: 5, online: 3, offline: 2 })
+    expect(health.accounts.map(account => [account.name, account.online, account.offline])).toEqual([
+      ['Аптека', 1, 0],
+      ['Магазин', 2, 1],
+      ['Нераспределённые устройства', 0, 1]
+    ])
+    const shop = health.accounts[1]
+    expect(shop.groups).toEqual([
+      { groupId: 100, accountId: 10, name: 'Зал', total: 2, online: 2, offline: 0 }
+    ])
+    expect(health.accounts[0].groups[0].name).toBe('Группа 200')
+  })
+
+  it('builds the latency distribution of online devices', () => {
+    const { latency } = buildFleetHealth({ devices, statuses, accounts, groups })
+
+    expect(latency.buckets).toEqual([
+      { key: 'fast', label: 'до 50 мс', count: 1 },
+      { key: 'normal', label: '50–200 мс', count: 1 },
+      { key: 'slow', label: '200–1000 мс', count: 0 },
+      { key: 'critical', label: 'от 1000 мс', count: 1 },
+      { key: 'unknown', label: 'Нет данных', count: 0 }
+    ])
+    expect(latency.median).toBe(150)
+    expect(latency.p95).toBe(1500)
+  })
+
+  it('groups devices by agent version', () => {
+    const { versions } = buildFleetHealth({ devices, statuses })
+
+    expect(versions).toEqual([
+      { version: '1.2.0', count: 3 },
+      { version: '1.1.0', count: 1 },
+      { version: 'Неизвестна', count: 1 }
+    ])
+  })
+
+  it('lists problem devices with their drill-down context', () => {
+    const { problems, devices: rows } = buildFleetHealth({ devices, statuses, accounts, groups })
+
+    expect(problems).toHaveLength(1)
+    expect(problems[0]).toMatchObject({ deviceId: 2, name: 'Вход', accountId: 10, groupId: 100 })
+    expect(rows.find(row => row.deviceId === 3)).toMatchObject({ isOnline: false, latency: null, latencyKey: null })
+  })
+
+  it('handles empty input', () => {
+    const health = buildFleetHealth()
+
+    expect(health.totals).toEqual({ total: 0, online: 0, offline: 0 })
+    expect(health.accounts).toEqual([])
+    expect(health.latency.median).toBeNull()
+    expect(health.versions).toEqual([])
+  })
+})
@@ -29,7 +29,7 @@ describe('form.validation.alert', () => {
     const alertStore = { error: vi.fn() }
 
     expect(showFormValidationErrors(alertStore, { errors: { title: 'Required' } })).toBe(false)
-    expect(alertStore.error).toHaveBeenCalledWith('Required')
+    expect(alertStore.error).toHaveBeenCalledWith('Required', { routeScoped: true })
   })
 
   it('does not show an alert when validation errors are empty', () => {
@@ -0,0 +1,59 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { computed, reactive } from 'vue'
+import { vi } from 'vitest'
+
+// Defined here because specs replace '@/stores/alert.store.js' with this mock
+const types = Object.freeze({
+  info: 'alert-info',
+  success: 'alert-success',
+  warning: 'alert-warning',
+  error: 'alert-danger'
+})
+
+/**
+ * Reactive stand-in for the alert store: notifications are shown at once and
+ * stay until dismissed or cleared, without timers or a queue.
+ *
+ * @returns {Object} Store mock with vi.fn actions and reset() to empty it between tests
+ */
+export function createAlertStoreMock() {
+  let nextId = 1
+
+  const store = reactive({
+    notifications: [],
+    queuedCount: 0,
+    history: [],
+    alert: computed(() => {
+      const latest = store.notifications[store.notifications.length - 1]
+      return latest ? { message: latest.message, type: latest.type } : null
+    }),
+    notify: vi.fn((message, { severity = 'info', actions = [] } = {}) => {
+      const id = nextId++
+      store.notifications.push({ id, severity, type: types[severity] || types.info, message, actions, count: 1 })
+      return id
+    }),
+    info: vi.fn((message, options = {}) => store.notify(message, { ...options, severity: 'info' })),
+    success: vi.fn((message, options = {}) => store.notify(message, { ...options, severity: 'success' })),
+    warning: vi.fn((message, options = {}) => store.notify(message, { ...options, severity: 'warning' })),
+    error: vi.fn((message, options = {}) => store.notify(message, { ...options, severity: 'error' })),
+    dismiss: vi.fn((id) => {
+      const index = store.notifications.findIndex(item => item.id === id)
+      if (index >= 0) store.notifications.splice(index, 1)
+    }),
+    runAction: vi.fn(async (id, index) => {
+      await store.notifications.find(item => item.id === id)?.actions?.[index]?.handler()
+    }),
+    clearRouteScoped: vi.fn(),
+    clear: vi.fn(() => {
+      store.notifications.splice(0)
+    }),
+    clearHistory: vi.fn(),
+    reset() {
+      store.notifications.splice(0)
+    }
+  })
+
+  return store
+}
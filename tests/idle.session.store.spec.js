@@ -0,0 +1,175 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { nextTick, reactive } from 'vue'
+import { useIdleSessionStore } from '@/stores/idle.session.store.js'
+
+const minute = 60 * 1000
+
+const idleConfig = vi.hoisted(() => ({ timeout: 0, warning: 0 }))
+vi.mock('@/helpers/config.js', () => ({
+  idleSession: idleConfig
+}))
+
+const authStore = reactive({ user: null, logout: vi.fn() })
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+
+// Delivers messages to the other channels of the same name, like browser tabs
+class FakeBroadcastChannel {
+  static channels = []
+
+  constructor(name) {
+    this.name = name
+    this.onmessage = null
+    this.sent = []
+    FakeBroadcastChannel.channels.push(this)
+  }
+
+  postMessage(data) {
+    this.sent.push(data)
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }))
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this)
+  }
+}
+
+describe('idle session store', () => {
+  let store
+  let otherTab
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2026, 0, 1, 12, 0, 0))
+    setActivePinia(createPinia())
+    idleConfig.timeout = 10 * minute
+    idleConfig.warning = minute
+    authStore.user = { id: 1 }
+    authStore.logout = vi.fn(() => { authStore.user = null })
+    FakeBroadcastChannel.channels = []
+    vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel)
+    otherTab = new FakeBroadcastChannel('media-pi-session')
+    otherTab.onmessage = vi.fn()
+    store = useIdleSessionStore()
+  })
+
+  afterEach(() => {
+    store.stop()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('warns before the timeout and logs out when it expires', async () => {
+    store.start()
+
+    vi.advanceTimersByTime(9 * minute - 1000)
+    expect(store.warningVisible).toBe(false)
+
+    vi.advanceTimersByTime(1000)
+    expect(store.warningVisible).toBe(true)
+    expect(store.remainingSeconds).toBe(60)
+
+    vi.advanceTimersByTime(15 * 1000)
+    expect(store.remainingSeconds).toBe(45)
+
+    vi.advanceTimersByTime(45 * 1000)
+    expect(authStore.logout).toHaveBeenCalledTimes(1)
+    expect(store.warningVisible).toBe(false)
+
+    await nextTick()
+    expect(store.active).toBe(false)
+    expect(otherTab.onmessage).toHaveBeenLastCalledWith({ data: { type: 'logout' } })
+  })
+
+  it('restarts the countdown on activity but not while the warning is shown', () => {
+    store.start()
+
+    vi.advanceTimersByTime(8 * minute)
+    window.dispatchEvent(new window.Event('keydown'))
+    vi.advanceTimersByTime(8 * minute)
+    expect(store.warningVisible).toBe(false)
+
+    vi.advanceTimersByTime(minute)
+    expect(store.warningVisible).toBe(true)
+    window.dispatchEvent(new window.Event('mousemove'))
+    expect(store.warningVisible).toBe(true)
+
+    store.keepAlive()
+    expect(store.warningVisible).toBe(false)
+    vi.advanceTimersByTime(8 * minute)
+    expect(authStore.logout).not.toHaveBeenCalled()
+  })
+
+  it('shares activity with the other tabs at most every few seconds', () => {
+    store.start()
+
+    vi.advanceTimersByTime(1000)
+    window.dispatchEvent(new window.Event('mousemove'))
+    vi.advanceTimersByTime(1000)
+    window.dispatchEvent(new window.Event('mousemove'))
+    expect(otherTab.onmessage).toHaveBeenCalledTimes(1)
+    expect(otherTab.onmessage).toHaveBeenCalledWith({ data: { type: 'activity', at: Date.now() - 1000 } })
+
+    vi.advanceTimersByTime(5000)
+    window.dispatchEvent(new window.Event('mousemove'))
+    expect(otherTab.onmessage).toHaveBeenCalledTimes(2)
+  })
+
+  it('stays signed in while another tab is in use', () => {
+    store.start()
+
+    vi.advanceTimersByTime(9 * minute)
+    expect(store.warningVisible).toBe(true)
+
+    otherTab.postMessage({ type: 'activity', at: Date.now() })
+    expect(store.warningVisible).toBe(false)
+
+    vi.advanceTimersByTime(5 * minute)
+    expect(authStore.logout).not.toHaveBeenCalled()
+  })
+
+  it('logs out when another tab logs out without echoing the message', async () => {
+    store.start()
+
+    otherTab.postMessage({ type: 'logout' })
+    await nextTick()
+
+    expect(authStore.logout).toHaveBeenCalledTimes(1)
+    expect(otherTab.onmessage).not.toHaveBeenCalled()
+    expect(store.active).toBe(false)
+  })
+
+  it('tells the other tabs about a logout made in this tab', async () => {
+    store.start()
+
+    authStore.user = null
+    await nextTick()
+
+    expect(otherTab.onmessage).toHaveBeenCalledWith({ data: { type: 'logout' } })
+    expect(store.active).toBe(false)
+  })
+
+  it('does nothing when the timeout is disabled', () => {
+    idleConfig.timeout = 0
+    store.start()
+
+    vi.advanceTimersByTime(24 * 60 * minute)
+    expect(store.active).toBe(false)
+    expect(authStore.logout).not.toHaveBeenCalled()
+  })
+
+  it('works without BroadcastChannel', () => {
+    vi.stubGlobal('BroadcastChannel', undefined)
+    store.start()
+
+    vi.advanceTimersByTime(10 * minute)
+    expect(authStore.logout).toHaveBeenCalledTimes(1)
+  })
+})
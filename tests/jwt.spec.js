@@ -0,0 +1,33 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { decodeJwtPayload, getJwtExpiry } from '@/helpers/jwt.js'
+
+const encode = (value) => window.btoa(JSON.stringify(value))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+const jwt = (payload) => `${encode({ alg: 'HS256' })}.${encode(payload)}.signature`
+
+describe('jwt helpers', () => {
+  it('reads the payload of a base64url encoded token', () => {
+    // '?>' encodes to characters that differ between base64 and base64url
+    const payload = { sub: '1', name: 'user?>?', exp: 1767268800 }
+    expect(decodeJwtPayload(jwt(payload))).toEqual(payload)
+  })
+
+  it('returns null for tokens that cannot be read', () => {
+    expect(decodeJwtPayload(null)).toBeNull()
+    expect(decodeJwtPayload('abc')).toBeNull()
+    expect(decodeJwtPayload('a.%%%.c')).toBeNull()
+    expect(decodeJwtPayload(`a.${window.btoa('"text"')}.c`)).toBeNull()
+  })
+
+  it('converts the exp claim to milliseconds', () => {
+    expect(getJwtExpiry(jwt({ exp: 1767268800 }))).toBe(1767268800000)
+    expect(getJwtExpiry(jwt({ sub: '1' }))).toBeNull()
+    expect(getJwtExpiry('abc')).toBeNull()
+  })
+})
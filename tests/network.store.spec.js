@@ -0,0 +1,145 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { flushPromises } from '@vue/test-utils'
+import { useNetworkStore } from '@/stores/network.store.js'
+import {
+  clearCachedResponses,
+  readCachedResponse,
+  writeCachedResponse
+} from '@/helpers/offline.cache.js'
+
+const authStore = { user: { id: 5 } }
+
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+vi.mock('@/helpers/offline.cache.js', () => ({
+  readCachedResponse: vi.fn(),
+  writeCachedResponse: vi.fn(),
+  clearCachedResponses: vi.fn()
+}))
+
+const networkError = () => Object.assign(new Error('Не удалось соединиться с сервером'), { status: 0, isNetworkError: true })
+
+describe('network store', () => {
+  let store
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+    readCachedResponse.mockResolvedValue(null)
+    writeCachedResponse.mockResolvedValue()
+    clearCachedResponses.mockResolvedValue()
+    store = useNetworkStore()
+  })
+
+  afterEach(() => {
+    store.stopMonitoring()
+  })
+
+  it('returns and saves a fresh response', async () => {
+    const load = vi.fn().mockResolvedValue([{ id: 1 }])
+
+    await expect(store.cachedRead('devices', load)).resolves.toEqual([{ id: 1 }])
+
+    expect(readCachedResponse).toHaveBeenCalledWith(5, 'devices')
+    expect(writeCachedResponse).toHaveBeenCalledWith(5, 'devices', [{ id: 1 }])
+    expect(store.showingCachedData).toBe(false)
+  })
+
+  it('hands the saved copy to onStale while the request is pending', async () => {
+    readCachedResponse.mockResolvedValue({ data: [{ id: 1 }], savedAt: 1000 })
+    let resolveLoad
+    const load = () => new Promise((resolve) => { resolveLoad = resolve })
+    const onStale = vi.fn()
+
+    const pending = store.cachedRead('devices', load, { onStale })
+    await flushPromises()
+    expect(onStale).toHaveBeenCalledWith([{ id: 1 }])
+
+    resolveLoad([{ id: 2 }])
+    await expect(pending).resolves.toEqual([{ id: 2 }])
+    expect(store.isCached('devices')).toBe(false)
+  })
+
+  it('does not call onStale after the response arrived', async () => {
+    let resolveRead
+    readCachedResponse.mockReturnValue(new Promise((resolve) => { resolveRead = resolve }))
+    const onStale = vi.fn()
+
+    await store.cachedRead('devices', () => Promise.resolve([]), { onStale })
+    resolveRead({ data: [{ id: 1 }], savedAt: 1000 })
+    await flushPromises()
+
+    expect(onStale).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the saved copy when the server cannot be reached', async () => {
+    readCachedResponse.mockImplementation((userId, source) => Promise.resolve(
+      source === 'devices' ? { data: [{ id: 1 }], savedAt: 3000 } : { data: [{ id: 9 }], savedAt: 2000 }
+    ))
+
+    await expect(store.cachedRead('devices', () => Promise.reject(networkError()))).resolves.toEqual([{ id: 1 }])
+    await expect(store.cachedRead('accounts', () => Promise.reject(networkError()))).resolves.toEqual([{ id: 9 }])
+
+    expect(store.isCached('devices')).toBe(true)
+    expect(store.showingCachedData).toBe(true)
+    // The oldest copy on screen
+    expect(store.cachedAt).toBe(2000)
+
+    await store.cachedRead('accounts', () => Promise.resolve([]))
+    expect(store.isCached('accounts')).toBe(false)
+    expect(store.cachedAt).toBe(3000)
+  })
+
+  it('rethrows server errors and failures without a saved copy', async () => {
+    readCachedResponse.mockResolvedValue({ data: [{ id: 1 }], savedAt: 1000 })
+    const serverError = Object.assign(new Error('Доступ запрещён'), { status: 403 })
+    await expect(store.cachedRead('devices', () => Promise.reject(serverError))).rejects.toBe(serverError)
+
+    readCachedResponse.mockResolvedValue(null)
+    const error = networkError()
+    await expect(store.cachedRead('devices', () => Promise.reject(error))).rejects.toBe(error)
+    expect(store.showingCachedData).toBe(false)
+  })
+
+  it('tracks the browser connection and refreshes cached sources when it is back', async () => {
+    readCachedResponse.mockResolvedValue({ data: [], savedAt: 1000 })
+    const refresh = vi.fn().mockResolvedValue()
+    await store.cachedRead('devices', () => Promise.reject(networkError()), { refresh })
+
+    store.startMonitoring()
+    window.dispatchEvent(new window.Event('offline'))
+    expect(store.offline).toBe(true)
+
+    window.dispatchEvent(new window.Event('online'))
+    await flushPromises()
+    expect(store.offline).toBe(false)
+    expect(refresh).toHaveBeenCalledTimes(1)
+
+    store.stopMonitoring()
+    window.dispatchEvent(new window.Event('offline'))
+    expect(store.offline).toBe(false)
+  })
+
+  it('treats any failure as connectivity loss while offline', async () => {
+    readCachedResponse.mockResolvedValue({ data: [{ id: 1 }], savedAt: 1000 })
+    store.startMonitoring()
+    window.dispatchEvent(new window.Event('offline'))
+
+    await expect(store.cachedRead('devices', () => Promise.reject(new Error('boom')))).resolves.toEqual([{ id: 1 }])
+  })
+
+  it('clears the saved copies', async () => {
+    readCachedResponse.mockResolvedValue({ data: [], savedAt: 1000 })
+    await store.cachedRead('devices', () => Promise.reject(networkError()))
+
+    await store.clearCache()
+
+    expect(store.showingCachedData).toBe(false)
+    expect(clearCachedResponses).toHaveBeenCalled()
+  })
+})
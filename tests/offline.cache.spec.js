@@ -0,0 +1,104 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  clearCachedResponses,
+  closeOfflineCacheDb,
+  isOfflineCacheAvailable,
+  readCachedResponse,
+  writeCachedResponse
+} from '@/helpers/offline.cache.js'
+
+// Minimal asynchronous IndexedDB double with a single object store
+const createFakeIndexedDb = ({ failOpen = false } = {}) => {
+  const records = new Map()
+  const db = {
+    createObjectStore: vi.fn(),
+    close: vi.fn(),
+    transaction: vi.fn(() => {
+      const transaction = {
+        objectStore: () => ({
+          get: (key) => ({ result: records.get(key) }),
+          put: (value) => {
+            records.set(value.key, value)
+            return { result: value.key }
+          },
+          clear: () => {
+            records.clear()
+            return { result: undefined }
+          }
+        })
+      }
+      setTimeout(() => transaction.oncomplete?.())
+      return transaction
+    })
+  }
+  return {
+    records,
+    db,
+    open: vi.fn(() => {
+      const request = {}
+      setTimeout(() => {
+        if (failOpen) {
+          request.error = new Error('blocked')
+          request.onerror?.()
+          return
+        }
+        request.result = db
+        request.onupgradeneeded?.()
+        request.onsuccess?.()
+      })
+      return request
+    })
+  }
+}
+
+describe('offline response cache', () => {
+  afterEach(async () => {
+    await closeOfflineCacheDb()
+    vi.unstubAllGlobals()
+  })
+
+  it('does nothing when IndexedDB is not available', async () => {
+    vi.stubGlobal('indexedDB', undefined)
+
+    expect(isOfflineCacheAvailable()).toBe(false)
+    await expect(readCachedResponse(1, 'devices')).resolves.toBeNull()
+    await expect(writeCachedResponse(1, 'devices', [])).resolves.toBeUndefined()
+    await expect(clearCachedResponses()).resolves.toBeUndefined()
+  })
+
+  it('writes, reads and clears responses per user and source', async () => {
+    const fake = createFakeIndexedDb()
+    vi.stubGlobal('indexedDB', fake)
+
+    await writeCachedResponse(7, 'devices', [{ id: 1 }], 1000)
+    await writeCachedResponse(null, 'accounts', [{ id: 2 }], 2000)
+
+    await expect(readCachedResponse(7, 'devices')).resolves.toEqual({ data: [{ id: 1 }], savedAt: 1000 })
+    await expect(readCachedResponse(null, 'accounts')).resolves.toEqual({ data: [{ id: 2 }], savedAt: 2000 })
+    // Another user never sees the copy
+    await expect(readCachedResponse(8, 'devices')).resolves.toBeNull()
+    expect([...fake.records.keys()]).toEqual(['7:devices', 'anonymous:accounts'])
+    expect(fake.db.createObjectStore).toHaveBeenCalledWith('responses', { keyPath: 'key' })
+    expect(fake.open).toHaveBeenCalledTimes(1)
+
+    await clearCachedResponses()
+    await expect(readCachedResponse(7, 'devices')).resolves.toBeNull()
+
+    await closeOfflineCacheDb()
+    expect(fake.db.close).toHaveBeenCalled()
+  })
+
+  it('retries opening the database after a failure', async () => {
+    const failing = createFakeIndexedDb({ failOpen: true })
+    vi.stubGlobal('indexedDB', failing)
+    await expect(readCachedResponse(1, 'devices')).rejects.toThrow('blocked')
+
+    const working = createFakeIndexedDb()
+    vi.stubGlobal('indexedDB', working)
+    await expect(readCachedResponse(1, 'devices')).resolves.toBeNull()
+    expect(working.open).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,180 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildM3uPlaylist,
+  createM3uEntries,
+  decodeM3uText,
+  formatExtinfDuration,
+  getM3uFilename,
+  getM3uLocationFilename,
+  matchM3uEntries,
+  parseM3uPlaylist
+} from '@/helpers/playlist.m3u.js'
+
+describe('playlist.m3u helpers', () => {
+  it('formats #EXTINF durations', () => {
+    expect(formatExtinfDuration(12.4)).toBe(12)
+    expect(formatExtinfDuration(12.5)).toBe(13)
+    expect(formatExtinfDuration(0)).toBe(-1)
+    expect(formatExtinfDuration(null)).toBe(-1)
+    expect(formatExtinfDuration('abc')).toBe(-1)
+  })
+
+  it('builds an extended M3U playlist', () => {
+    const text = buildM3uPlaylist([
+      { filename: 'intro.mp4', title: 'Заставка', duration: 12.4 },
+      { filename: 'promo.mp4', title: '', duration: null },
+      { filename: '', title: 'Без файла', duration: 5 },
+      { filename: 'multi.mp4', title: 'Первая\nвторая', duration: 30 }
+    ], { title: 'Утро' })
+
+    expect(text).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Утро',
+      '#EXTINF:12,Заставка',
+      'intro.mp4',
+      '#EXTINF:-1,promo.mp4',
+      'promo.mp4',
+      '#EXTINF:30,Первая вторая',
+      'multi.mp4',
+      ''
+    ].join('\r\n'))
+  })
+
+  it('builds an empty playlist without a title', () => {
+    expect(buildM3uPlaylist([])).toBe('#EXTM3U\r\n')
+    expect(buildM3uPlaylist(null, { title: '  ' })).toBe('#EXTM3U\r\n')
+  })
+
+  it('takes the filename from paths and URLs', () => {
+    expect(getM3uLocationFilename('intro.mp4')).toBe('intro.mp4')
+    expect(getM3uLocationFilename('/media/videos/intro.mp4')).toBe('intro.mp4')
+    expect(getM3uLocationFilename('C:\\Media\\intro.mp4')).toBe('intro.mp4')
+    expect(getM3uLocationFilename('https://cdn.example.com/a/%D0%B2%D0%B8%D0%B4%D0%B5%D0%BE.mp4?token=1#t=5')).toBe('видео.mp4')
+    expect(getM3uLocationFilename('file:///home/user/my%20clip.mp4')).toBe('my clip.mp4')
+    expect(getM3uLocationFilename('50%.mp4')).toBe('50%.mp4')
+    expect(getM3uLocationFilename('')).toBe('')
+  })
+
+  it('parses extended and simple entries', () => {
+    const text = '\uFEFF#EXTM3U\r\n#PLAYLIST:Вечер\r\n' +
+      '#EXTINF:12,Заставка\r\nintro.mp4\r\n' +
+      '# comment\r\n' +
+      '#EXTINF:-1 tvg-name="x",Промо, часть 2\r\n' +
+      '#EXTGRP:Реклама\r\n' +
+      'videos/promo.mp4\r\n\r\n' +
+      'plain.mp4\r\n'
+
+    expect(parseM3uPlaylist(text)).toEqual({
+      title: 'Вечер',
+      entries: [
+        { index: 0, location: 'intro.mp4', filename: 'intro.mp4', title: 'Заставка', duration: 12, repeatCount: 1 },
+        { index: 1, location: 'videos/promo.mp4', filename: 'promo.mp4', title: 'Промо, часть 2', duration: null, repeatCount: 1 },
+        { index: 2, location: 'plain.mp4', filename: 'plain.mp4', title: '', duration: null, repeatCount: 1 }
+      ]
+    })
+  })
+
+  it('parses what it builds', () => {
+    const entries = [
+      { filename: 'a.mp4', title: 'A', duration: 10 },
+      { filename: 'b.mp4', title: 'B', duration: null }
+    ]
+    const parsed = parseM3uPlaylist(buildM3uPlaylist(entries, { title: 'T' }))
+    expect(parsed.title).toBe('T')
+    expect(parsed.entries.map(({ filename, title, duration }) => ({ filename, title, duration }))).toEqual(entries)
+  })
+
+  it('parses empty input', () => {
+    expect(parseM3uPlaylist('')).toEqual({ title: '', entries: [] })
+    expect(parseM3uPlaylist(null)).toEqual({ title: '', entries: [] })
+  })
+
+  it('decodes UTF-8 and falls back to windows-1251', () => {
+    expect(decodeM3uText(new TextEncoder().encode('видео.mp4').buffer)).toBe('видео.mp4')
+    // "видео" in windows-1251
+    const cp1251 = new Uint8Array([0xe2, 0xe8, 0xe4, 0xe5, 0xee])
+    expect(decodeM3uText(cp1251.buffer)).toBe('видео')
+  })
+
+  it('matches entries by original filename, exact case first', () => {
+    const videos = [
+      { id: 1, originalFilename: 'Intro.mp4' },
+      { id: 2, originalFilename: 'intro.mp4' },
+      { id: 3, originalFilename: 'promo.mp4' },
+      { id: 4 }
+    ]
+    const entries = parseM3uPlaylist('intro.mp4\nPROMO.MP4\nmissing.mp4\nINTRO.mp4').entries
+
+    const { matched, unmatched } = matchM3uEntries(entries, videos)
+    expect(matched.map(({ entry, video }) => [entry.index, video.id])).toEqual([[0, 2], [1, 3], [3, 1]])
+    expect(unmatched.map(entry => entry.filename)).toEqual(['missing.mp4'])
+  })
+
+  it('creates entries from playlist items in position order', () => {
+    const videos = [
+      { id: 1, title: 'Первое', originalFilename: 'one.mp4', durationSeconds: 30 },
+      { id: 2, title: '', originalFilename: 'two.mp4', durationSeconds: null },
+      { id: 3, title: 'Без файла' }
+    ]
+    const items = [
+      { videoId: 2, position: 2 },
+      { videoId: 1, position: 1 },
+      { videoId: 3, position: 3 },
+      { videoId: 9, position: 4 }
+    ]
+
+    expect(createM3uEntries(items, videos)).toEqual({
+      entries: [
+        { filename: 'one.mp4', title: 'Первое', duration: 30, repeat: 1 },
+        { filename: 'two.mp4', title: 'two.mp4', duration: null, repeat: 1 }
+      ],
+      missing: 2
+    })
+    expect(createM3uEntries(null, null)).toEqual({ entries: [], missing: 0 })
+  })
+
+  it('exports one loop with repeats', () => {
+    const videos = [
+      { id: 1, title: 'A', originalFilename: 'a.mp4', durationSeconds: 10 },
+      { id: 2, title: 'B', originalFilename: 'b.mp4', durationSeconds: 20 }
+    ]
+    const items = [{ videoId: 1, position: 1, repeatCount: 2 }, { videoId: 2, position: 2 }]
+    const filenames = (options) => createM3uEntries(items, videos, options).entries.map(entry => entry.filename)
+
+    expect(filenames()).toEqual(['a.mp4', 'a.mp4', 'b.mp4'])
+    expect(filenames({ playMode: 'interleave' })).toEqual(['a.mp4', 'b.mp4', 'a.mp4'])
+    expect(filenames({ playMode: 'shuffle' })).toEqual(['a.mp4', 'b.mp4', 'a.mp4'])
+    expect(createM3uEntries(items, videos, { playMode: 'interleave' }).entries.map(entry => entry.repeat)).toEqual([2, 1, 0])
+  })
+
+  it('keeps repeat counts through an export and import', () => {
+    const videos = [
+      { id: 1, title: 'A', originalFilename: 'a.mp4', durationSeconds: 10 },
+      { id: 2, title: 'B', originalFilename: 'b.mp4', durationSeconds: 20 }
+    ]
+    const items = [{ videoId: 1, position: 1, repeatCount: 3 }, { videoId: 2, position: 2 }]
+    const text = buildM3uPlaylist(createM3uEntries(items, videos, { playMode: 'interleave' }).entries)
+
+    expect(text.split('\r\n').filter(line => line.startsWith('#EXTINF'))).toEqual([
+      '#EXTINF:10 media-pi-repeat="3",A',
+      '#EXTINF:10 media-pi-repeat="0",A',
+      '#EXTINF:20,B',
+      '#EXTINF:10 media-pi-repeat="0",A'
+    ])
+    expect(parseM3uPlaylist(text).entries.map(({ index, filename, repeatCount }) => ({ index, filename, repeatCount }))).toEqual([
+      { index: 0, filename: 'a.mp4', repeatCount: 3 },
+      { index: 1, filename: 'b.mp4', repeatCount: 1 }
+    ])
+  })
+
+  it('names exported files after the playlist', () => {
+    expect(getM3uFilename({ id: 5, filename: 'playlist-123456.m3u' })).toBe('playlist-123456.m3u')
+    expect(getM3uFilename({ id: 5, filename: 'night.M3U8' })).toBe('night.M3U8')
+    expect(getM3uFilename({ id: 5, filename: 'night' })).toBe('night.m3u')
+    expect(getM3uFilename({ id: 5 })).toBe('playlist-5.m3u')
+    expect(getM3uFilename(null)).toBe('playlist-export.m3u')
+  })
+})
@@ -0,0 +1,90 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  createSeededRandom,
+  expandPlaylistLoop,
+  getLoopDuration,
+  normalizePlayMode,
+  normalizeRepeatCount,
+  normalizeWeight,
+  playModeOptions,
+  playModes
+} from '@/helpers/playlist.rules.js'
+
+const keys = (plays) => plays.map(play => play.key)
+
+describe('playlist.rules helpers', () => {
+  it('normalizes repeat counts, weights and play modes', () => {
+    expect(normalizeRepeatCount(3)).toBe(3)
+    expect(normalizeRepeatCount('4.7')).toBe(4)
+    expect(normalizeRepeatCount(0)).toBe(1)
+    expect(normalizeRepeatCount(undefined)).toBe(1)
+    expect(normalizeRepeatCount(1000)).toBe(100)
+    expect(normalizeWeight(-1)).toBe(1)
+    expect(normalizeWeight('abc')).toBe(1)
+    expect(normalizeWeight(250)).toBe(100)
+    expect(normalizePlayMode('shuffle')).toBe('shuffle')
+    expect(normalizePlayMode('random')).toBe('sequential')
+    expect(normalizePlayMode(undefined)).toBe('sequential')
+    expect(playModeOptions.map(option => option.value)).toEqual(Object.values(playModes))
+  })
+
+  it('creates repeatable random sequences', () => {
+    const first = createSeededRandom(42)
+    const second = createSeededRandom(42)
+    const values = Array.from({ length: 5 }, () => first())
+    expect(values).toEqual(Array.from({ length: 5 }, () => second()))
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true)
+    expect(createSeededRandom(43)()).not.toBe(values[0])
+  })
+
+  it('repeats items in place in sequential mode', () => {
+    const items = [{ key: 'a', repeatCount: 2 }, { key: 'b' }, { key: 'c', repeatCount: 3 }]
+    expect(keys(expandPlaylistLoop(items))).toEqual(['a', 'a', 'b', 'c', 'c', 'c'])
+    expect(keys(expandPlaylistLoop(items, { mode: 'unknown' }))).toEqual(['a', 'a', 'b', 'c', 'c', 'c'])
+  })
+
+  it('spreads repeats evenly in interleave mode', () => {
+    const mode = playModes.interleave
+    expect(keys(expandPlaylistLoop([{ key: 'a', repeatCount: 3 }, { key: 'b' }, { key: 'c' }], { mode })))
+      .toEqual(['a', 'b', 'a', 'c', 'a'])
+    expect(keys(expandPlaylistLoop([{ key: 'a', repeatCount: 2 }, { key: 'b', repeatCount: 2 }], { mode })))
+      .toEqual(['a', 'b', 'a', 'b'])
+    expect(keys(expandPlaylistLoop([{ key: 'a' }, { key: 'b', repeatCount: 4 }], { mode })))
+      .toEqual(['b', 'b', 'a', 'b', 'b'])
+  })
+
+  it('shuffles every play once with a fixed seed', () => {
+    const items = [{ key: 'a', repeatCount: 2 }, { key: 'b' }, { key: 'c', repeatCount: 2 }]
+    const first = expandPlaylistLoop(items, { mode: playModes.shuffle, seed: 7 })
+    expect(keys(first).sort()).toEqual(['a', 'a', 'b', 'c', 'c'])
+    expect(keys(expandPlaylistLoop(items, { mode: playModes.shuffle, seed: 7 }))).toEqual(keys(first))
+  })
+
+  it('plays items with larger weight earlier on average', () => {
+    const items = [{ key: 'light', weight: 1 }, { key: 'heavy', weight: 20 }]
+    let heavyFirst = 0
+    for (let seed = 1; seed <= 200; seed++) {
+      if (expandPlaylistLoop(items, { mode: playModes.shuffle, seed })[0].key === 'heavy') heavyFirst++
+    }
+    expect(heavyFirst).toBeGreaterThan(170)
+  })
+
+  it('expands empty playlists to an empty loop', () => {
+    expect(expandPlaylistLoop(null)).toEqual([])
+    expect(expandPlaylistLoop([], { mode: playModes.interleave })).toEqual([])
+    expect(expandPlaylistLoop([], { mode: playModes.shuffle })).toEqual([])
+  })
+
+  it('sums the loop duration with repeats', () => {
+    expect(getLoopDuration([
+      { duration: 10, repeatCount: 3 },
+      { duration: 20 },
+      { duration: null, repeatCount: 5 },
+      { duration: 'x' }
+    ])).toBe(50)
+    expect(getLoopDuration(null)).toBe(0)
+  })
+})
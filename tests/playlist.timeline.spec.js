@@ -0,0 +1,78 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  createPlaylistTimeline,
+  getDraggedKeys,
+  insertItemsAtIndex,
+  moveItemsToIndex
+} from '@/helpers/playlist.timeline.js'
+
+const identity = item => item
+
+describe('playlist timeline helpers', () => {
+  it('drags the selection only when the dragged item is selected', () => {
+    const items = ['a', 'b', 'c', 'd']
+
+    expect(getDraggedKeys(items, 'b', ['d', 'a'], identity)).toEqual(['b'])
+    expect(getDraggedKeys(items, 'd', ['d', 'a'], identity)).toEqual(['a', 'd'])
+    expect(getDraggedKeys(items, 'a', null, identity)).toEqual(['a'])
+  })
+
+  it('moves an item forward and backward', () => {
+    const items = ['a', 'b', 'c', 'd']
+
+    expect(moveItemsToIndex(items, ['a'], 3, identity)).toEqual(['b', 'c', 'a', 'd'])
+    expect(moveItemsToIndex(items, ['d'], 1, identity)).toEqual(['a', 'd', 'b', 'c'])
+    expect(moveItemsToIndex(items, ['b'], 4, identity)).toEqual(['a', 'c', 'd', 'b'])
+  })
+
+  it('leaves the order when an item is dropped next to itself', () => {
+    const items = ['a', 'b', 'c']
+
+    expect(moveItemsToIndex(items, ['b'], 1, identity)).toEqual(items)
+    expect(moveItemsToIndex(items, ['b'], 2, identity)).toEqual(items)
+  })
+
+  it('moves several items keeping their relative order', () => {
+    const items = ['a', 'b', 'c', 'd', 'e']
+
+    expect(moveItemsToIndex(items, ['d', 'a'], 0, identity)).toEqual(['a', 'd', 'b', 'c', 'e'])
+    expect(moveItemsToIndex(items, ['a', 'c'], 4, identity)).toEqual(['b', 'd', 'a', 'c', 'e'])
+    expect(moveItemsToIndex(items, ['b', 'e'], 99, identity)).toEqual(['a', 'c', 'd', 'b', 'e'])
+  })
+
+  it('ignores keys that are not in the list', () => {
+    expect(moveItemsToIndex(['a', 'b'], ['x'], 0, identity)).toEqual(['a', 'b'])
+  })
+
+  it('inserts new items into a gap', () => {
+    expect(insertItemsAtIndex(['a', 'b'], ['x', 'y'], 1)).toEqual(['a', 'x', 'y', 'b'])
+    expect(insertItemsAtIndex(['a', 'b'], ['x'], -5)).toEqual(['x', 'a', 'b'])
+    expect(insertItemsAtIndex(null, ['x'], 3)).toEqual(['x'])
+  })
+
+  it('lays items out by duration with cumulative start times', () => {
+    const timeline = createPlaylistTimeline([
+      { key: 'a', duration: 30 },
+      { key: 'b', duration: null },
+      { key: 'c', duration: 90 }
+    ])
+
+    expect(timeline.total).toBe(120)
+    expect(timeline.segments).toEqual([
+      { key: 'a', index: 0, start: 0, end: 30, duration: 30, known: true, offsetPercent: 0, widthPercent: 25 },
+      { key: 'b', index: 1, start: 30, end: 30, duration: 0, known: false, offsetPercent: 25, widthPercent: 0 },
+      { key: 'c', index: 2, start: 30, end: 120, duration: 90, known: true, offsetPercent: 25, widthPercent: 75 }
+    ])
+  })
+
+  it('handles playlists without known durations', () => {
+    const timeline = createPlaylistTimeline([{ key: 'a' }])
+
+    expect(timeline.total).toBe(0)
+    expect(timeline.segments[0]).toEqual(expect.objectContaining({ known: false, offsetPercent: 0, widthPercent: 0 }))
+    expect(createPlaylistTimeline(null)).toEqual({ total: 0, segments: [] })
+  })
+})
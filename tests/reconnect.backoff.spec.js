@@ -0,0 +1,29 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { getReconnectDelay } from '@/helpers/reconnect.backoff.js'
+
+describe('reconnect backoff', () => {
+  it('doubles the delay with every attempt', () => {
+    const random = () => 1
+    expect(getReconnectDelay(0, { random })).toBe(1000)
+    expect(getReconnectDelay(1, { random })).toBe(2000)
+    expect(getReconnectDelay(2, { random })).toBe(4000)
+  })
+
+  it('caps the delay with maxDelayMs', () => {
+    expect(getReconnectDelay(20, { random: () => 1 })).toBe(30000)
+    expect(getReconnectDelay(3, { baseDelayMs: 100, maxDelayMs: 500, random: () => 1 })).toBe(500)
+  })
+
+  it('applies jitter to the upper half of the delay', () => {
+    expect(getReconnectDelay(1, { random: () => 0 })).toBe(1000)
+    expect(getReconnectDelay(1, { random: () => 0.5 })).toBe(1500)
+  })
+
+  it('treats invalid attempt numbers as the first attempt', () => {
+    expect(getReconnectDelay(-1, { random: () => 1 })).toBe(1000)
+    expect(getReconnectDelay(undefined, { random: () => 1 })).toBe(1000)
+  })
+})
@@ -0,0 +1,24 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { abortRouteRequests, getRouteSignal, isAbortError } from '@/helpers/request.abort.js'
+
+describe('route request signal', () => {
+  it('aborts the current signal and issues a new one', () => {
+    const signal = getRouteSignal()
+    expect(getRouteSignal()).toBe(signal)
+
+    abortRouteRequests()
+
+    expect(signal.aborted).toBe(true)
+    expect(getRouteSignal()).not.toBe(signal)
+    expect(getRouteSignal().aborted).toBe(false)
+  })
+
+  it('recognizes cancelled requests', () => {
+    expect(isAbortError(Object.assign(new Error('Загрузка отменена'), { name: 'AbortError' }))).toBe(true)
+    expect(isAbortError(new Error('fail'))).toBe(false)
+    expect(isAbortError(null)).toBe(false)
+  })
+})
@@ -5,11 +5,13 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 let authStore
 const alertClear = vi.fn()
+const alertClearRouteScoped = vi.fn()
 const alertError = vi.fn()
 const checkMock = vi.fn()
+const logoutMock = vi.fn()
 
 vi.mock('@/stores/alert.store.js', () => ({
-  useAlertStore: () => ({ clear: alertClear, error: alertError })
+  useAlertStore: () => ({ clear: alertClear, clearRouteScoped: alertClearRouteScoped, error: alertError })
 }))
 
 vi.mock('@/stores/auth.store.js', () => ({
@@ -22,6 +24,8 @@ vi.mock('@/views/User_RegisterView.vue', () => ({ default: { template: '<div />'
 vi.mock('@/views/Users_View.vue', () => ({ default: { template: '<div />' } }))
 vi.mock('@/views/User_EditView.vue', () => ({ default: { template: '<div />' } }))
 vi.mock('@/views/Accounts_View.vue', () => ({ default: { template: '<div />' } }))
+vi.mock('@/views/Dashboard_View.vue', () => ({ default: { template: '<div />' } }))
+vi.mock('@/views/Campaigns_View.vue', () => ({ default: { template: '<div />' } }))
 vi.mock('@/views/DeviceGroup_CreateView.vue', () => ({ default: { template: '<div />' } }))
 vi.mock('@/views/DeviceGroup_EditView.vue', () => ({ default: { template: '<div />' } }))
 vi.mock('@/views/Device_CreateView.vue', () => ({ default: { template: '<div />' } }))
@@ -35,6 +39,7 @@ vi.mock('@/views/Category_EditView.vue', () => ({ default: { template: '<div />'
 vi.mock('@/views/Subscription_CreateView.vue', () => ({ default: { template: '<div />' } }))
 
 import router from '@/router'
+import { getRouteSignal } from '@/helpers/request.abort.js'
 
 async function resetRouter(to = "/recover") {
   await router.replace(to);
@@ -48,12 +53,15 @@ describe('router guards', () => {
       user: null, 
       returnUrl: null, 
       check: checkMock, 
+      logout: logoutMock,
       isAdmin: false, 
       isLogist: false, 
       permissionRedirect: false 
     }
     checkMock.mockResolvedValue()
+    logoutMock.mockClear()
     alertClear.mockClear()
+    alertClearRouteScoped.mockClear()
     alertError.mockClear()
     await resetRouter("/recover")
   })
@@ -119,6 +127,40 @@ describe('router guards', () => {
     expect(router.currentRoute.value.fullPath).toBe('/device/screenshots/12')
   })
 
+  it('opens the capture walls of device groups and accounts', async () => {
+    authStore.user = { id: 3 }
+    authStore.isAdministrator = true
+
+    await router.push('/devicegroup/screenshots/4')
+    await router.isReady()
+    expect(router.currentRoute.value.name).toBe('Экраны группы устройств')
+    expect(router.currentRoute.value.matched[0].props.default(router.currentRoute.value)).toEqual({ id: '4', scope: 'group' })
+
+    await router.push('/account/screenshots/2')
+    expect(router.currentRoute.value.name).toBe('Экраны лицевого счёта')
+    expect(router.currentRoute.value.matched[0].props.default(router.currentRoute.value)).toEqual({ id: '2', scope: 'account' })
+  })
+
+  it('allows authenticated users to open the dashboard route', async () => {
+    authStore.user = { id: 3 }
+    authStore.isEngineer = true
+
+    await router.push('/dashboard')
+    await router.isReady()
+
+    expect(router.currentRoute.value.fullPath).toBe('/dashboard')
+  })
+
+  it('allows authenticated users to open the campaigns calendar route', async () => {
+    authStore.user = { id: 3 }
+    authStore.isManager = true
+
+    await router.push('/campaigns')
+    await router.isReady()
+
+    expect(router.currentRoute.value.fullPath).toBe('/campaigns')
+  })
+
   it('allows authenticated users to open the video edit route', async () => {
     authStore.user = { id: 3 }
     authStore.isAdministrator = true
@@ -149,5 +191,70 @@ describe('router guards', () => {
     await router.isReady()
     expect(router.currentRoute.value.fullPath).toBe('/category/5/subscription/create')
   })
-})
 
+  it('aborts requests of the page that was left', async () => {
+    authStore.user = { id: 3 }
+    authStore.isAdministrator = true
+    await router.push('/categories')
+    const signal = getRouteSignal()
+
+    await router.push('/categories?page=2')
+    expect(signal.aborted).toBe(false)
+
+    await router.push('/category/create')
+    expect(signal.aborted).toBe(true)
+    expect(getRouteSignal().aborted).toBe(false)
+  })
+
+  it('keeps the signed in user on navigation without a connection', async () => {
+    authStore.user = { id: 3 }
+    authStore.isEngineer = true
+    await router.push('/accounts')
+
+    checkMock.mockRejectedValue(Object.assign(new Error('Нет соединения с сервером'), { isOffline: true }))
+    await router.push('/device/manage/5')
+
+    expect(router.currentRoute.value.fullPath).toBe('/device/manage/5')
+    expect(logoutMock).not.toHaveBeenCalled()
+    expect(alertError).not.toHaveBeenCalled()
+
+    checkMock.mockRejectedValue(Object.assign(new Error('timeout'), { isTimeout: true }))
+    await router.push('/accounts')
+    expect(router.currentRoute.value.fullPath).toBe('/accounts')
+    expect(logoutMock).not.toHaveBeenCalled()
+  })
+
+  it('signs out when the server rejects the session', async () => {
+    authStore.user = { id: 3 }
+    authStore.isEngineer = true
+    checkMock.mockRejectedValue(Object.assign(new Error('Unauthorized'), { status: 401 }))
+
+    await router.push('/accounts')
+
+    expect(logoutMock).toHaveBeenCalled()
+    expect(router.currentRoute.value.fullPath).toBe('/login')
+    expect(authStore.returnUrl).toBe('/accounts')
+  })
+
+  it('sends to login when the server cannot be reached before sign in', async () => {
+    checkMock.mockRejectedValue(Object.assign(new Error('Failed to fetch'), { isNetworkError: true }))
+
+    await router.push('/accounts')
+
+    expect(router.currentRoute.value.fullPath).toBe('/login')
+  })
+
+  it('keeps notifications on navigation and closes messages about the page that was left', async () => {
+    authStore.user = { id: 3 }
+    authStore.isAdministrator = true
+    await router.push('/categories')
+    alertClearRouteScoped.mockClear()
+
+    await router.push('/categories?page=2')
+    expect(alertClearRouteScoped).not.toHaveBeenCalled()
+
+    await router.push('/category/create')
+    expect(alertClearRouteScoped).toHaveBeenCalledTimes(1)
+    expect(alertClear).not.toHaveBeenCalled()
+  })
+})
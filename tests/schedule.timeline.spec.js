@@ -0,0 +1,101 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildScheduleTimeline,
+  findRestOverlaps,
+  hasRestOverlaps,
+  isMidnightCrossing,
+  minutesToTime,
+  restIntervalSegments,
+  snapMinutes,
+  timeToMinutes
+} from '@/helpers/schedule.timeline.js'
+import { buildSchedulePayload } from '@/helpers/device.configuration.js'
+
+describe('schedule timeline helpers', () => {
+  it('converts between HH:mm and minutes', () => {
+    expect(timeToMinutes('07:30')).toBe(450)
+    expect(timeToMinutes(' 23:59 ')).toBe(1439)
+    expect(timeToMinutes('24:00')).toBeNull()
+    expect(timeToMinutes(undefined)).toBeNull()
+    expect(minutesToTime(450)).toBe('07:30')
+    expect(minutesToTime(1440)).toBe('00:00')
+    expect(minutesToTime(-15)).toBe('23:45')
+  })
+
+  it('snaps and clamps minutes to the grid', () => {
+    expect(snapMinutes(452)).toBe(450)
+    expect(snapMinutes(458)).toBe(465)
+    expect(snapMinutes(-20)).toBe(0)
+    expect(snapMinutes(1500)).toBe(1440)
+    expect(snapMinutes(452.4, 1)).toBe(452)
+  })
+
+  it('splits rest periods that cross midnight', () => {
+    expect(restIntervalSegments({ start: '12:00', stop: '13:30' })).toEqual([{ from: 720, to: 810 }])
+    expect(restIntervalSegments({ start: '23:00', stop: '07:00' })).toEqual([
+      { from: 1380, to: 1440 },
+      { from: 0, to: 420 }
+    ])
+    expect(restIntervalSegments({ start: '22:00', stop: '00:00' })).toEqual([{ from: 1320, to: 1440 }])
+    expect(restIntervalSegments({ start: '00:00', stop: '00:00' })).toEqual([])
+    expect(restIntervalSegments({ start: 'bad', stop: '07:00' })).toEqual([])
+    expect(isMidnightCrossing({ start: '23:00', stop: '07:00' })).toBe(true)
+    expect(isMidnightCrossing({ start: '07:00', stop: '23:00' })).toBe(false)
+  })
+
+  it('finds overlapping rest periods', () => {
+    expect(findRestOverlaps([
+      { start: '12:00', stop: '13:00' },
+      { start: '13:00', stop: '14:00' },
+      { start: '00:00', stop: '00:00' }
+    ])).toEqual([])
+    expect(findRestOverlaps([
+      { start: '23:00', stop: '07:00' },
+      { start: '12:00', stop: '13:00' },
+      { start: '06:30', stop: '08:00' },
+      { start: '12:30', stop: '12:45' }
+    ])).toEqual([[0, 2], [1, 3]])
+    expect(hasRestOverlaps(undefined)).toBe(false)
+  })
+
+  it('builds the timeline model with issues', () => {
+    const timeline = buildScheduleTimeline({
+      playlist: ['08:00', 'bad'],
+      video: ['21:15'],
+      rest: [
+        { start: '23:00', stop: '07:00' },
+        { start: '06:00', stop: '08:00' }
+      ]
+    })
+
+    expect(timeline.playlist).toEqual([{ index: 0, time: '08:00', minutes: 480 }])
+    expect(timeline.video).toEqual([{ index: 0, time: '21:15', minutes: 1275 }])
+    expect(timeline.rest.map(interval => interval.overlapping)).toEqual([true, true])
+    expect(timeline.rest[0].crossesMidnight).toBe(true)
+    expect(timeline.issues).toEqual([
+      { type: 'overlap', message: 'Периоды отдыха 23:00—07:00 и 06:00—08:00 пересекаются' },
+      { type: 'midnight', message: 'Период отдыха 23:00—07:00 переходит через полночь' }
+    ])
+  })
+
+  it('handles missing values', () => {
+    expect(buildScheduleTimeline(undefined)).toEqual({ playlist: [], video: [], rest: [], issues: [] })
+  })
+
+  it('round-trips timeline values through the schedule payload', () => {
+    const values = {
+      playlist: ['08:00'],
+      video: ['09:00'],
+      rest: [{ start: '23:00', stop: '07:00' }]
+    }
+    const payload = buildSchedulePayload(values)
+    const timeline = buildScheduleTimeline(payload)
+
+    expect(payload.rest).toEqual([{ start: '23:00', stop: '07:00' }])
+    expect(timeline.rest[0].segments).toEqual([{ from: 1380, to: 1440 }, { from: 0, to: 420 }])
+    expect(timeline.playlist[0].time).toBe('08:00')
+  })
+})
@@ -0,0 +1,87 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  measureFrame,
+  detectUniformFrame,
+  frameDifference,
+  detectAnomalies
+} from '@/helpers/screenshot.analysis.js'
+
+// RGBA pixels of the given gray levels
+const pixels = (...levels) => levels.flatMap(level => [level, level, level, 255])
+const frame = (...levels) => measureFrame(pixels(...levels))
+const entry = (id, minute, value) => ({ id, timeCreated: `2026-04-15T10:${String(minute).padStart(2, '0')}:00Z`, frame: value })
+
+describe('screenshot analysis', () => {
+  describe('measureFrame', () => {
+    it('measures luminance of RGBA pixels', () => {
+      const result = measureFrame([255, 0, 0, 255, 0, 0, 255, 255])
+      expect(Array.from(result.sample)).toEqual([76, 29])
+      expect(result.mean).toBeCloseTo(52.5)
+      expect(result.deviation).toBeCloseTo(23.5)
+    })
+
+    it('handles empty input', () => {
+      expect(measureFrame([])).toEqual({ mean: 0, deviation: 0, sample: new Uint8Array(0) })
+      expect(measureFrame(null).sample.length).toBe(0)
+    })
+  })
+
+  describe('detectUniformFrame', () => {
+    it('detects black and white frames', () => {
+      expect(detectUniformFrame(frame(0, 5, 10, 3))).toBe('black')
+      expect(detectUniformFrame(frame(250, 255, 245, 255))).toBe('white')
+    })
+
+    it('ignores gray, contrasting and missing frames', () => {
+      expect(detectUniformFrame(frame(128, 128, 128, 128))).toBeNull()
+      expect(detectUniformFrame(frame(0, 0, 0, 200))).toBeNull()
+      expect(detectUniformFrame(null)).toBeNull()
+    })
+  })
+
+  describe('frameDifference', () => {
+    it('returns the mean absolute difference', () => {
+      expect(frameDifference(frame(10, 20, 30, 40), frame(12, 18, 30, 44))).toBe(2)
+    })
+
+    it('returns Infinity for samples of different size', () => {
+      expect(frameDifference(frame(10, 20), frame(10, 20, 30))).toBe(Infinity)
+      expect(frameDifference(null, frame(10))).toBe(Infinity)
+    })
+  })
+
+  describe('detectAnomalies', () => {
+    const picture = frame(20, 200, 90, 160)
+    const samePicture = frame(21, 199, 90, 161)
+    const otherPicture = frame(200, 20, 160, 90)
+
+    it('flags black and white screenshots', () => {
+      expect(detectAnomalies([
+        entry(1, 0, frame(0, 0, 0, 0)),
+        entry(2, 1, picture),
+        entry(3, 2, frame(255, 255, 255, 255))
+      ])).toEqual({ 1: ['black'], 3: ['white'] })
+    })
+
+    it('flags near-identical consecutive screenshots when the content should change', () => {
+      const frames = [entry(3, 2, otherPicture), entry(1, 0, picture), entry(2, 1, samePicture)]
+      expect(detectAnomalies(frames, { expectsChange: true })).toEqual({ 1: ['frozen'], 2: ['frozen'] })
+      expect(detectAnomalies(frames)).toEqual({})
+    })
+
+    it('does not call uniform screenshots frozen', () => {
+      const black = frame(0, 0, 0, 0)
+      expect(detectAnomalies([entry(1, 0, black), entry(2, 1, black)], { expectsChange: true }))
+        .toEqual({ 1: ['black'], 2: ['black'] })
+    })
+
+    it('skips screenshots that were not measured', () => {
+      expect(detectAnomalies([entry(1, 0, picture), entry(2, 1, null), entry(3, 2, samePicture)], { expectsChange: true }))
+        .toEqual({ 1: ['frozen'], 3: ['frozen'] })
+      expect(detectAnomalies(null)).toEqual({})
+    })
+  })
+})
@@ -0,0 +1,190 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { useScreenshotAnomaliesStore } from '@/stores/screenshot.anomalies.store.js'
+import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
+import { measureFrame, readFrame } from '@/helpers/screenshot.analysis.js'
+
+const picture = measureFrame([20, 20, 20, 255, 200, 200, 200, 255, 90, 90, 90, 255, 160, 160, 160, 255])
+const otherPicture = measureFrame([200, 200, 200, 255, 20, 20, 20, 255, 160, 160, 160, 255, 90, 90, 90, 255])
+const black = measureFrame([0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255])
+// Screenshot id -> measured frame returned by the mocked readFrame
+let framesById = {}
+
+const screenshotsStore = {
+  loadContent: vi.fn(async (id) => ({ data: new Uint8Array([id]), contentType: 'image/jpeg' })),
+  listByDevice: vi.fn(async () => [])
+}
+const deviceGroupsStore = {
+  groups: [],
+  getGroupById: vi.fn((id) => deviceGroupsStore.groups.find(group => group.id === id)),
+  getAll: vi.fn(async () => {})
+}
+
+vi.mock('@/helpers/fetch.wrapper.js', () => ({
+  fetchWrapper: {
+    get: vi.fn()
+  }
+}))
+vi.mock('@/helpers/screenshot.analysis.js', async () => {
+  const actual = await vi.importActual('@/helpers/screenshot.analysis.js')
+  return {
+    ...actual,
+    readFrame: vi.fn()
+  }
+})
+vi.mock('@/stores/screenshots.store.js', () => ({
+  useScreenshotsStore: () => screenshotsStore
+}))
+vi.mock('@/stores/device.groups.store.js', () => ({
+  useDeviceGroupsStore: () => deviceGroupsStore
+}))
+
+const shot = (id, minute) => ({ id, timeCreated: `2026-04-15T10:${String(minute).padStart(2, '0')}:00Z` })
+
+describe('screenshot anomalies store', () => {
+  let store
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+    framesById = {}
+    deviceGroupsStore.groups = [
+      { id: 5, playLists: [{ playlistId: 50, play: false }, { playlistId: 51, play: true }] }
+    ]
+    // The mocked blob carries the screenshot id as its only byte
+    readFrame.mockImplementation(async (blob) => {
+      const bytes = await new Promise((resolve) => {
+        const reader = new window.FileReader()
+        reader.onload = () => resolve(new Uint8Array(reader.result))
+        reader.readAsArrayBuffer(blob)
+      })
+      const value = framesById[bytes[0]]
+      if (!value) throw new Error('broken image')
+      return value
+    })
+    fetchWrapper.get.mockResolvedValue({ id: 51, items: [{ id: 1 }, { id: 2 }] })
+    store = useScreenshotAnomaliesStore()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('flags black screenshots of any device', async () => {
+    framesById = { 1: picture, 2: black }
+    const result = await store.analyzeScreenshots({ id: 7 }, [shot(1, 0), shot(2, 1)])
+
+    expect(result).toEqual({ 2: ['black'] })
+    expect(store.flags).toEqual({ 2: ['black'] })
+    expect(fetchWrapper.get).not.toHaveBeenCalled()
+  })
+
+  it('flags frozen screenshots of a device playing a playlist of several items', async () => {
+    framesById = { 1: picture, 2: picture, 3: otherPicture }
+    await store.analyzeScreenshots({ id: 7, deviceGroupId: 5 }, [shot(3, 2), shot(2, 1), shot(1, 0)])
+
+    expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringMatching(/\/playlists\/51$/))
+    expect(store.flags).toEqual({ 1: ['frozen'], 2: ['frozen'] })
+  })
+
+  it('does not flag repeating screenshots of a single item playlist', async () => {
+    fetchWrapper.get.mockResolvedValue({ id: 51, items: [{ id: 1 }] })
+    framesById = { 1: picture, 2: picture }
+    await store.analyzeScreenshots({ id: 7, deviceGroupId: 5 }, [shot(1, 0), shot(2, 1)])
+
+    expect(store.flags).toEqual({})
+  })
+
+  it('loads groups that are not known yet', async () => {
+    deviceGroupsStore.groups = []
+    deviceGroupsStore.getAll.mockImplementationOnce(async () => {
+      deviceGroupsStore.groups = [{ id: 5, playLists: [{ playlistId: 51, play: true }] }]
+    })
+    framesById = { 1: picture, 2: picture }
+    await store.analyzeScreenshots({ id: 7, deviceGroupId: 5 }, [shot(1, 0), shot(2, 1)])
+
+    expect(deviceGroupsStore.getAll).toHaveBeenCalled()
+    expect(store.flags).toEqual({ 1: ['frozen'], 2: ['frozen'] })
+  })
+
+  it('measures every screenshot once and clears flags that no longer apply', async () => {
+    framesById = { 1: black }
+    await store.analyzeScreenshots({ id: 7 }, [shot(1, 0)])
+    await store.analyzeScreenshots({ id: 7 }, [shot(1, 0)])
+    expect(screenshotsStore.loadContent).toHaveBeenCalledTimes(1)
+    expect(store.flags).toEqual({ 1: ['black'] })
+
+    store.reset()
+    framesById = { 1: picture }
+    await store.analyzeScreenshots({ id: 7 }, [shot(1, 0)])
+    expect(store.flags).toEqual({})
+  })
+
+  it('skips screenshots that cannot be read and retries them later', async () => {
+    framesById = { 2: black }
+    expect(await store.analyzeScreenshots({ id: 7 }, [shot(1, 0), shot(2, 1)])).toEqual({ 2: ['black'] })
+
+    framesById = { 1: black, 2: black }
+    await store.analyzeScreenshots({ id: 7 }, [shot(1, 0), shot(2, 1)])
+    expect(store.flags).toEqual({ 1: ['black'], 2: ['black'] })
+  })
+
+  it('warns about devices whose latest screenshot is flagged', async () => {
+    framesById = { 1: picture, 2: black, 3: black, 4: picture }
+    screenshotsStore.listByDevice.mockImplementation(async (deviceId) => (
+      deviceId === 7 ? [shot(2, 1), shot(1, 0)] : [shot(4, 1), shot(3, 0)]
+    ))
+
+    await store.checkDevices([{ id: 7 }, { id: 8 }])
+
+    expect(screenshotsStore.listByDevice).toHaveBeenCalledWith(7, { pageSize: 3 })
+    expect(Object.keys(store.deviceWarnings)).toEqual(['7'])
+    expect(store.deviceWarnings[7]).toMatchObject({ flags: ['black'], screenshotId: 2 })
+    expect(store.getDeviceWarning(7)).toBe('Последняя фотография: чёрный экран')
+    expect(store.getDeviceWarning(8)).toBe('')
+  })
+
+  it('does not check a device again until the recheck interval passes', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-04-15T10:00:00Z'))
+    framesById = { 1: black }
+    screenshotsStore.listByDevice.mockResolvedValue([shot(1, 0)])
+
+    await store.checkDevices([{ id: 7 }])
+    await store.checkDevices([{ id: 7 }])
+    expect(screenshotsStore.listByDevice).toHaveBeenCalledTimes(1)
+
+    framesById = { 1: black, 2: picture }
+    screenshotsStore.listByDevice.mockResolvedValue([shot(2, 10), shot(1, 0)])
+    vi.setSystemTime(new Date('2026-04-15T10:16:00Z'))
+    await store.checkDevices([{ id: 7 }])
+    expect(screenshotsStore.listByDevice).toHaveBeenCalledTimes(2)
+    expect(store.getDeviceWarning(7)).toBe('')
+  })
+
+  it('ignores failed device checks', async () => {
+    screenshotsStore.listByDevice.mockRejectedValue(new Error('offline'))
+    await expect(store.checkDevices([{ id: 7 }])).resolves.toBeUndefined()
+    expect(store.deviceWarnings).toEqual({})
+  })
+
+  it('drops results of checks that were running when the store was reset', async () => {
+    framesById = { 1: black }
+    let release
+    screenshotsStore.listByDevice.mockImplementation(() => new Promise((resolve) => {
+      release = () => resolve([shot(1, 0)])
+    }))
+
+    const check = store.checkDevices([{ id: 7 }])
+    await Promise.resolve()
+    store.reset()
+    release()
+    await check
+
+    expect(store.deviceWarnings).toEqual({})
+    expect(store.flags).toEqual({})
+  })
+})
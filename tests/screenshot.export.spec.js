@@ -0,0 +1,154 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  buildManifestCsv,
+  buildScreenshotArchive,
+  deviceFilePrefix,
+  formatFileTimestamp,
+  screenshotArchiveName,
+  screenshotFileName
+} from '@/helpers/screenshot.export.js'
+
+const decode = (bytes) => new TextDecoder().decode(bytes)
+
+// Stored entries by name, read through the local headers
+function readEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const entries = {}
+  let offset = 0
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const name = decode(bytes.subarray(offset + 30, offset + 30 + nameLength))
+    entries[name] = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size)
+    offset += 30 + nameLength + size
+  }
+  return entries
+}
+
+const local = (...args) => new Date(...args).toISOString()
+
+describe('screenshot export helpers', () => {
+  it('formats local file timestamps', () => {
+    expect(formatFileTimestamp(new Date(2026, 3, 5, 9, 7, 3))).toBe('20260405-090703')
+    expect(formatFileTimestamp('not a date')).toBe('')
+    expect(formatFileTimestamp(null)).toBe('')
+  })
+
+  it('builds file name prefixes from device names', () => {
+    expect(deviceFilePrefix({ id: 7, name: 'Зал №1 / Вход' })).toBe('зал-1-вход')
+    expect(deviceFilePrefix({ id: 7, name: ' *** ' })).toBe('device-7')
+    expect(deviceFilePrefix({ id: 7 })).toBe('device-7')
+  })
+
+  it('names photos by device and time with the image extension', () => {
+    const device = { id: 7, name: 'Hall' }
+    const timeCreated = local(2026, 3, 15, 10, 30, 0)
+
+    expect(screenshotFileName({ id: 1, timeCreated, originalFilename: 'x.JPEG' }, device)).toBe('hall-20260415-103000.jpg')
+    expect(screenshotFileName({ id: 1, timeCreated, originalFilename: 'x.png' }, device)).toBe('hall-20260415-103000.png')
+    expect(screenshotFileName({ id: 1, timeCreated, originalFilename: 'capture' }, device, 'image/webp')).toBe('hall-20260415-103000.webp')
+    expect(screenshotFileName({ id: 1, timeCreated }, device)).toBe('hall-20260415-103000.jpg')
+    expect(screenshotFileName({ id: 1 }, device)).toBe('hall-id1.jpg')
+    expect(screenshotArchiveName(device, new Date(2026, 3, 15, 11, 0, 0))).toBe('screenshots-hall-20260415-110000.zip')
+  })
+
+  it('quotes CSV values that need it', () => {
+    const csv = buildManifestCsv([{ file: 'a.jpg', screenshotId: 1, deviceName: 'Зал "1", вход', accountId: null }])
+    expect(csv).toBe(
+      '\uFEFFfile,screenshotId,deviceId,deviceName,accountId,accountName,takenAt,originalFilename,sizeBytes\r\n' +
+      'a.jpg,1,,"Зал ""1"", вход",,,,,\r\n'
+    )
+  })
+
+  it('neutralises values a spreadsheet would run as formulas', () => {
+    const csv = buildManifestCsv([
+      { file: 'a.jpg', screenshotId: 1, deviceName: '=HYPERLINK("x")', accountName: '+1', originalFilename: '@cmd' },
+      { file: 'b.jpg', screenshotId: -2, deviceName: '-x', accountName: 'Зал' }
+    ])
+    const [, first, second] = csv.split('\r\n')
+    expect(first).toBe('a.jpg,1,,"\'=HYPERLINK(""x"")",,\'+1,,\'@cmd,')
+    expect(second).toBe('b.jpg,-2,,\'-x,,Зал,,,')
+  })
+
+  it('packs renamed photos with CSV and JSON manifests', async () => {
+    const timeCreated = local(2026, 3, 15, 10, 30, 0)
+    const onProgress = vi.fn()
+    const loadFile = vi.fn(async (id) => ({ data: new Uint8Array([id]), contentType: 'image/jpeg' }))
+
+    const archive = await buildScreenshotArchive({
+      items: [
+        { id: 1, timeCreated, originalFilename: 'one.jpg' },
+        { id: 2, timeCreated, originalFilename: 'two.jpg' }
+      ],
+      device: { id: 7, name: 'Hall' },
+      account: { id: 42, name: 'Cinema' },
+      filter: { from: null, to: null },
+      loadFile,
+      onProgress,
+      date: new Date('2026-04-16T00:00:00Z')
+    })
+
+    expect(archive.failed).toEqual([])
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2)
+    const entries = readEntries(archive.zip)
+    expect(Object.keys(entries)).toEqual([
+      'hall-20260415-103000.jpg',
+      'hall-20260415-103000-2.jpg',
+      'manifest.csv',
+      'manifest.json'
+    ])
+    expect(Array.from(entries['hall-20260415-103000-2.jpg'])).toEqual([2])
+
+    const manifest = JSON.parse(decode(entries['manifest.json']))
+    expect(manifest).toMatchObject({
+      generatedAt: '2026-04-16T00:00:00.000Z',
+      device: { id: 7, name: 'Hall' },
+      account: { id: 42, name: 'Cinema' },
+      filter: { from: null, to: null }
+    })
+    expect(manifest.files[1]).toEqual({
+      file: 'hall-20260415-103000-2.jpg',
+      screenshotId: 2,
+      deviceId: 7,
+      deviceName: 'Hall',
+      accountId: 42,
+      accountName: 'Cinema',
+      takenAt: timeCreated,
+      originalFilename: 'two.jpg',
+      sizeBytes: 1
+    })
+    expect(decode(entries['manifest.csv']).split('\r\n')[1])
+      .toBe(`hall-20260415-103000.jpg,1,7,Hall,42,Cinema,${timeCreated},one.jpg,1`)
+  })
+
+  it('leaves out photos that fail to download', async () => {
+    const error = new Error('Not found')
+    const archive = await buildScreenshotArchive({
+      items: [{ id: 1 }, { id: 2 }],
+      device: { id: 7 },
+      loadFile: async (id) => {
+        if (id === 1) throw error
+        return { data: new Uint8Array([2]) }
+      }
+    })
+
+    expect(archive.failed).toEqual([{ item: { id: 1 }, reason: error }])
+    expect(archive.rows.map((row) => row.screenshotId)).toEqual([2])
+    expect(archive.rows[0]).toMatchObject({ accountId: null, accountName: '', takenAt: '' })
+    expect(Object.keys(readEntries(archive.zip))).toEqual(['device-7-id2.jpg', 'manifest.csv', 'manifest.json'])
+  })
+
+  it('returns no archive when nothing was downloaded', async () => {
+    const archive = await buildScreenshotArchive({
+      items: [{ id: 1 }],
+      device: { id: 7 },
+      loadFile: async () => { throw new Error('Offline') }
+    })
+
+    expect(archive.zip).toBeNull()
+    expect(archive.failed).toHaveLength(1)
+  })
+})
@@ -129,6 +129,25 @@ describe('screenshots.store', () => {
     expect(store.loading).toBe(false)
   })
 
+  it('captures a photo without touching the opened screenshot', async () => {
+    const response = {
+      headers: { get: vi.fn(() => null) },
+      blob: vi.fn(async () => new Blob(['captured'], { type: 'image/jpeg' }))
+    }
+    vi.stubGlobal('URL', { createObjectURL: vi.fn(() => 'blob:captured') })
+    fetchWrapper.postBlob.mockResolvedValueOnce(response)
+
+    const store = useScreenshotsStore()
+    store.screenshot = { id: 1, filename: 'opened.jpg', objectUrl: 'blob:opened' }
+    const pending = store.capture(9)
+    expect(store.loading).toBe(false)
+    const result = await pending
+
+    expect(fetchWrapper.postBlob).toHaveBeenCalledWith('http://localhost:8080/api/devices/9/screenshot')
+    expect(result).toEqual({ id: null, filename: 'screenshot-9', objectUrl: 'blob:captured' })
+    expect(store.screenshot).toEqual({ id: 1, filename: 'opened.jpg', objectUrl: 'blob:opened' })
+  })
+
   it('sets error state and rethrows when create() fails', async () => {
     const err = new Error('camera failed')
     fetchWrapper.postBlob.mockRejectedValueOnce(err)
@@ -484,4 +503,123 @@ describe('screenshots.store', () => {
 
     expect(store.screenshots).toEqual([])
   })
+
+  it('lists the newest screenshots of a device before a moment without touching the page', async () => {
+    fetchWrapper.get.mockResolvedValue({ items: [{ id: 30 }] })
+    const store = useScreenshotsStore()
+    store.screenshots = [{ id: 1 }]
+
+    const items = await store.listByDevice(9, { to: '2026-04-15T10:00:00Z', pageSize: 1 })
+
+    const parsed = new URL(fetchWrapper.get.mock.calls[0][0])
+    expect(parsed.searchParams.get('deviceId')).toBe('9')
+    expect(parsed.searchParams.get('page')).toBe('1')
+    expect(parsed.searchParams.get('pageSize')).toBe('1')
+    expect(parsed.searchParams.get('sortBy')).toBe('time_created')
+    expect(parsed.searchParams.get('sortOrder')).toBe('desc')
+    expect(parsed.searchParams.get('to')).toBe('2026-04-15T10:00:00.000Z')
+    expect(items).toEqual([{ id: 30 }])
+    expect(store.screenshots).toEqual([{ id: 1 }])
+  })
+
+  it('lists every screenshot of a date range page by page', async () => {
+    fetchWrapper.get
+      .mockResolvedValueOnce({ items: [{ id: 1 }, { id: 2 }], pagination: { hasNextPage: true } })
+      .mockResolvedValueOnce({ items: [{ id: 3 }], pagination: { hasNextPage: false } })
+    const store = useScreenshotsStore()
+    store.screenshots = [{ id: 9 }]
+
+    const items = await store.listAllByDevice(7, { from: '2026-04-14T10:00:00Z' })
+
+    expect(items).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }])
+    const pages = fetchWrapper.get.mock.calls.map(([url]) => new URL(url).searchParams)
+    expect(pages.map((params) => params.get('page'))).toEqual(['1', '2'])
+    expect(pages[0].get('pageSize')).toBe('1000')
+    expect(pages[0].get('sortBy')).toBe('time_created')
+    expect(pages[0].get('sortOrder')).toBe('asc')
+    expect(pages[0].get('from')).toBe('2026-04-14T10:00:00.000Z')
+    expect(pages[0].has('to')).toBe(false)
+    expect(store.screenshots).toEqual([{ id: 9 }])
+  })
+
+  it('stops listing a date range at the limit', async () => {
+    fetchWrapper.get
+      .mockResolvedValueOnce({ items: [{ id: 1 }, { id: 2 }], pagination: { hasNextPage: true } })
+      .mockResolvedValueOnce({ items: [{ id: 3 }, { id: 4 }], pagination: { hasNextPage: true } })
+    const store = useScreenshotsStore()
+
+    const items = await store.listAllByDevice(7, { limit: 3 })
+
+    expect(items).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }])
+    expect(fetchWrapper.get).toHaveBeenCalledTimes(2)
+    expect(new URL(fetchWrapper.get.mock.calls[0][0]).searchParams.get('pageSize')).toBe('3')
+  })
+
+  it('downloads screenshot contents as bytes', async () => {
+    fetchWrapper.getFile.mockResolvedValue({
+      arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer,
+      headers: { get: (name) => (name === 'Content-Type' ? 'image/png' : null) }
+    })
+    const store = useScreenshotsStore()
+
+    const content = await store.loadContent(12)
+
+    expect(fetchWrapper.getFile).toHaveBeenCalledWith('http://localhost:8080/api/screenshots/12')
+    expect(Array.from(content.data)).toEqual([1, 2, 3])
+    expect(content.contentType).toBe('image/png')
+  })
+
+  it('downloads a thumbnail once and shares concurrent requests', async () => {
+    let urls = 0
+    const createObjectURL = vi.fn(() => `blob:preview-${++urls}`)
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() })
+    fetchWrapper.getFile.mockResolvedValue({ blob: async () => new Blob(['img']) })
+    const store = useScreenshotsStore()
+
+    const [first, second] = await Promise.all([store.loadPreview(5), store.loadPreview(5)])
+    const third = await store.loadPreview(5)
+
+    expect(fetchWrapper.getFile).toHaveBeenCalledTimes(1)
+    expect(fetchWrapper.getFile).toHaveBeenCalledWith('http://localhost:8080/api/screenshots/5')
+    expect(first).toBe('blob:preview-1')
+    expect(second).toBe('blob:preview-1')
+    expect(third).toBe('blob:preview-1')
+    expect(store.previews).toEqual({ 5: 'blob:preview-1' })
+  })
+
+  it('revokes thumbnails on release, including one still downloading', async () => {
+    const revokeObjectURL = vi.fn()
+    let urls = 0
+    vi.stubGlobal('URL', { createObjectURL: vi.fn(() => `blob:preview-${++urls}`), revokeObjectURL })
+    let resolveSlow
+    fetchWrapper.getFile
+      .mockResolvedValueOnce({ blob: async () => new Blob(['a']) })
+      .mockReturnValueOnce(new Promise((resolve) => { resolveSlow = resolve }))
+    const store = useScreenshotsStore()
+
+    await store.loadPreview(1)
+    const slow = store.loadPreview(2)
+    store.releasePreviews()
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:preview-1')
+    expect(store.previews).toEqual({})
+
+    resolveSlow({ blob: async () => new Blob(['b']) })
+    await expect(slow).resolves.toBeNull()
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:preview-2')
+    expect(store.previews).toEqual({})
+  })
+
+  it('releases the thumbnail of a removed screenshot', async () => {
+    const revokeObjectURL = vi.fn()
+    vi.stubGlobal('URL', { createObjectURL: vi.fn(() => 'blob:preview'), revokeObjectURL })
+    fetchWrapper.getFile.mockResolvedValue({ blob: async () => new Blob(['a']) })
+    fetchWrapper.delete.mockResolvedValue({})
+    const store = useScreenshotsStore()
+
+    await store.loadPreview(4)
+    await store.remove(4)
+
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:preview')
+    expect(store.previews).toEqual({})
+  })
 })
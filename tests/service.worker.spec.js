@@ -0,0 +1,43 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { registerServiceWorker } from '@/helpers/service.worker.js'
+
+describe('registerServiceWorker', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  const stubContainer = (register) => {
+    vi.stubGlobal('navigator', { ...globalThis.navigator, serviceWorker: { register } })
+  }
+
+  it('registers the worker for the whole application', async () => {
+    const registration = { scope: '/' }
+    const register = vi.fn().mockResolvedValue(registration)
+    stubContainer(register)
+
+    await expect(registerServiceWorker({ enabled: true })).resolves.toBe(registration)
+    expect(register).toHaveBeenCalledWith('/sw.js', { scope: '/' })
+  })
+
+  it('skips registration when disabled or unsupported', async () => {
+    const register = vi.fn()
+    stubContainer(register)
+    await expect(registerServiceWorker({ enabled: false })).resolves.toBeNull()
+    expect(register).not.toHaveBeenCalled()
+
+    vi.stubGlobal('navigator', {})
+    await expect(registerServiceWorker({ enabled: true })).resolves.toBeNull()
+  })
+
+  it('reports a failed registration without throwing', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    stubContainer(vi.fn().mockRejectedValue(new Error('insecure')))
+
+    await expect(registerServiceWorker({ enabled: true })).resolves.toBeNull()
+    expect(consoleError).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,100 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  clearStatusHistory,
+  closeStatusHistoryDb,
+  isStatusHistoryDbAvailable,
+  loadStatusHistory,
+  saveDeviceStatusHistory
+} from '@/helpers/status.history.db.js'
+
+// Minimal asynchronous IndexedDB double with a single object store
+const createFakeIndexedDb = ({ failOpen = false } = {}) => {
+  const records = new Map()
+  const db = {
+    createObjectStore: vi.fn(),
+    close: vi.fn(),
+    transaction: vi.fn(() => {
+      const transaction = {
+        objectStore: () => ({
+          getAll: () => ({ result: [...records.values()] }),
+          put: (value) => {
+            records.set(value.deviceId, value)
+            return { result: value.deviceId }
+          },
+          clear: () => {
+            records.clear()
+            return { result: undefined }
+          }
+        })
+      }
+      setTimeout(() => transaction.oncomplete?.())
+      return transaction
+    })
+  }
+  return {
+    records,
+    db,
+    open: vi.fn(() => {
+      const request = {}
+      setTimeout(() => {
+        if (failOpen) {
+          request.error = new Error('blocked')
+          request.onerror?.()
+          return
+        }
+        request.result = db
+        request.onupgradeneeded?.()
+        request.onsuccess?.()
+      })
+      return request
+    })
+  }
+}
+
+describe('status history IndexedDB persistence', () => {
+  afterEach(async () => {
+    await closeStatusHistoryDb()
+    vi.unstubAllGlobals()
+  })
+
+  it('does nothing when IndexedDB is not available', async () => {
+    vi.stubGlobal('indexedDB', undefined)
+
+    expect(isStatusHistoryDbAvailable()).toBe(false)
+    await expect(loadStatusHistory()).resolves.toEqual({})
+    await expect(saveDeviceStatusHistory(1, [])).resolves.toBeUndefined()
+    await expect(clearStatusHistory()).resolves.toBeUndefined()
+  })
+
+  it('saves, loads and clears device histories', async () => {
+    const fake = createFakeIndexedDb()
+    vi.stubGlobal('indexedDB', fake)
+    const entries = [{ timestamp: 1, isOnline: true, latency: 10 }]
+
+    await saveDeviceStatusHistory(7, entries)
+    await expect(loadStatusHistory()).resolves.toEqual({ 7: entries })
+    expect(fake.db.createObjectStore).toHaveBeenCalledWith('history', { keyPath: 'deviceId' })
+    // The connection is opened once and reused
+    expect(fake.open).toHaveBeenCalledTimes(1)
+
+    await clearStatusHistory()
+    await expect(loadStatusHistory()).resolves.toEqual({})
+
+    await closeStatusHistoryDb()
+    expect(fake.db.close).toHaveBeenCalled()
+  })
+
+  it('retries opening the database after a failure', async () => {
+    const failing = createFakeIndexedDb({ failOpen: true })
+    vi.stubGlobal('indexedDB', failing)
+    await expect(loadStatusHistory()).rejects.toThrow('blocked')
+
+    const working = createFakeIndexedDb()
+    vi.stubGlobal('indexedDB', working)
+    await expect(loadStatusHistory()).resolves.toEqual({})
+    expect(working.open).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,118 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  appendHistoryEntry,
+  buildUptimeTimeline,
+  createHistoryEntry,
+  formatDurationMs,
+  getStatusTransitions,
+  historyWindowMs,
+  mergeHistories,
+  pruneHistory
+} from '@/helpers/status.history.js'
+
+const hour = 60 * 60 * 1000
+const now = Date.UTC(2026, 0, 2, 12, 0, 0)
+
+const entry = (hoursAgo, isOnline, latency = null) => ({ timestamp: now - hoursAgo * hour, isOnline, latency })
+
+describe('status history helpers', () => {
+  it('creates entries from statuses', () => {
+    expect(createHistoryEntry({ isOnline: true, connectLatencyMs: 10, totalLatencyMs: 25 }, 5))
+      .toEqual({ timestamp: 5, isOnline: true, latency: 25 })
+    expect(createHistoryEntry({ isOnline: false, connectLatencyMs: 10 }, 5))
+      .toEqual({ timestamp: 5, isOnline: false, latency: null })
+  })
+
+  it('appends only changes', () => {
+    const first = appendHistoryEntry([], entry(2, true, 20))
+    expect(first).toEqual([entry(2, true, 20)])
+
+    const same = appendHistoryEntry(first, entry(1, true, 20))
+    expect(same).toBe(first)
+
+    const changed = appendHistoryEntry(first, entry(1, true, 40))
+    expect(changed).toEqual([entry(2, true, 20), entry(1, true, 40)])
+    expect(first).toHaveLength(1)
+  })
+
+  it('keeps the history ordered and bounded', () => {
+    const list = appendHistoryEntry([entry(1, true)], entry(2, false))
+    expect(list[1]).toEqual({ ...entry(2, false), timestamp: entry(1, true).timestamp })
+
+    let bounded = []
+    for (let i = 0; i < 10; i += 1) {
+      bounded = appendHistoryEntry(bounded, entry(10 - i, i % 2 === 0), { maxEntries: 4 })
+    }
+    expect(bounded).toHaveLength(4)
+    expect(bounded[3]).toEqual(entry(1, false))
+  })
+
+  it('prunes entries outside the window but keeps the state at its start', () => {
+    const list = [entry(30, true), entry(26, false), entry(3, true)]
+
+    expect(pruneHistory(list, { now })).toEqual([entry(26, false), entry(3, true)])
+    expect(pruneHistory([entry(30, true), entry(26, false)], { now })).toEqual([entry(26, false)])
+    expect(pruneHistory(undefined, { now })).toEqual([])
+  })
+
+  it('merges persisted and in-memory histories', () => {
+    const persisted = [entry(5, true, 10), entry(4, false)]
+    const memory = [entry(3, false), entry(1, true, 10)]
+
+    expect(mergeHistories(persisted, memory)).toEqual([entry(5, true, 10), entry(4, false), entry(1, true, 10)])
+    expect(mergeHistories(undefined, memory)).toEqual(memory)
+  })
+
+  it('lists transitions newest first with durations', () => {
+    const list = [entry(30, true), entry(10, false, null), entry(9, false), entry(7.5, true, 30)]
+
+    expect(getStatusTransitions(list, { now })).toEqual([
+      { timestamp: entry(7.5).timestamp, isOnline: true, until: null, durationMs: 7.5 * hour },
+      { timestamp: entry(10).timestamp, isOnline: false, until: entry(7.5).timestamp, durationMs: 2.5 * hour },
+      { timestamp: entry(30).timestamp, isOnline: true, until: entry(10).timestamp, durationMs: 20 * hour }
+    ])
+    expect(getStatusTransitions([entry(50, true), entry(40, false), entry(30, true)], { now })).toHaveLength(1)
+  })
+
+  it('builds the uptime timeline for the window', () => {
+    const timeline = buildUptimeTimeline([entry(12, true, 20), entry(6, false), entry(3, true, 50)], { now })
+
+    expect(timeline.from).toBe(now - historyWindowMs)
+    expect(timeline.segments).toEqual([
+      { from: now - 24 * hour, to: now - 12 * hour, state: 'unknown' },
+      { from: now - 12 * hour, to: now - 6 * hour, state: 'online' },
+      { from: now - 6 * hour, to: now - 3 * hour, state: 'offline' },
+      { from: now - 3 * hour, to: now, state: 'online' }
+    ])
+    expect(timeline.uptimeRatio).toBe(0.75)
+    expect(timeline.latency).toEqual([
+      { from: now - 12 * hour, to: now - 6 * hour, latency: 20 },
+      { from: now - 3 * hour, to: now, latency: 50 }
+    ])
+    expect(timeline.maxLatency).toBe(50)
+  })
+
+  it('clips the entry before the window and merges equal segments', () => {
+    const timeline = buildUptimeTimeline([entry(30, true, 20), entry(2, true, 40)], { now })
+
+    expect(timeline.segments).toEqual([{ from: now - 24 * hour, to: now, state: 'online' }])
+    expect(timeline.latency[0]).toEqual({ from: now - 24 * hour, to: now - 2 * hour, latency: 20 })
+    expect(timeline.uptimeRatio).toBe(1)
+  })
+
+  it('reports an unknown window without entries', () => {
+    const timeline = buildUptimeTimeline([], { now })
+
+    expect(timeline.segments).toEqual([{ from: now - 24 * hour, to: now, state: 'unknown' }])
+    expect(timeline.uptimeRatio).toBeNull()
+  })
+
+  it('formats durations', () => {
+    expect(formatDurationMs(30 * 1000)).toBe('менее минуты')
+    expect(formatDurationMs(5 * 60 * 1000)).toBe('5 мин')
+    expect(formatDurationMs(2.5 * hour)).toBe('2 ч 30 мин')
+  })
+})
@@ -0,0 +1,217 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  bulkDeviceActions,
+  getBulkDeviceAction,
+  isBulkSelectableNode,
+  resolveSelectedDeviceIds,
+  createBulkActionRunner
+} from '../../src/helpers/tree/bulk.actions.js'
+
+const devices = [
+  { id: 1, name: 'Device 1', accountId: 10, deviceGroupId: 100 },
+  { id: 2, name: 'Device 2', accountId: 10, deviceGroupId: 100 },
+  { id: 3, name: 'Device 3', accountId: 10, deviceGroupId: 0 },
+  { id: 4, name: 'Device 4', accountId: 20, deviceGroupId: 200 },
+  { id: 5, name: 'Device 5', accountId: 0, deviceGroupId: 0 }
+]
+
+// Devices store stub whose state-free command entry point dispatches to the given mocks
+const storeWith = (commands) => ({
+  loading: false,
+  error: null,
+  sendDeviceCommand: vi.fn((name, id) => commands[name](id))
+})
+
+describe('Bulk device actions', () => {
+  describe('bulkDeviceActions', () => {
+    it('maps every action to a devices store command', () => {
+      expect(bulkDeviceActions.map(a => a.command)).toEqual([
+        'rebootSystem',
+        'startPlayback',
+        'stopPlayback',
+        'startPlaylistUpload',
+        'stopPlaylistUpload',
+        'startVideoUpload',
+        'stopVideoUpload'
+      ])
+      expect(Object.isFrozen(bulkDeviceActions)).toBe(true)
+    })
+
+    it('requires confirmation for reboot and stop actions only', () => {
+      expect(bulkDeviceActions.filter(a => a.confirm).map(a => a.key)).toEqual([
+        'reboot',
+        'stopPlayback',
+        'stopPlaylistUpload',
+        'stopVideoUpload'
+      ])
+    })
+
+    it('finds actions by key', () => {
+      expect(getBulkDeviceAction('reboot').command).toBe('rebootSystem')
+      expect(getBulkDeviceAction('unknown')).toBeNull()
+    })
+  })
+
+  describe('isBulkSelectableNode', () => {
+    it('accepts device, group and account nodes', () => {
+      expect(isBulkSelectableNode('device-1')).toBe(true)
+      expect(isBulkSelectableNode('device-1-account-10-group-100')).toBe(true)
+      expect(isBulkSelectableNode('group-100')).toBe(true)
+      expect(isBulkSelectableNode('account-10')).toBe(true)
+    })
+
+    it('rejects containers and invalid ids', () => {
+      expect(isBulkSelectableNode('root-accounts')).toBe(false)
+      expect(isBulkSelectableNode('root-unassigned')).toBe(false)
+      expect(isBulkSelectableNode('account-10-groups')).toBe(false)
+      expect(isBulkSelectableNode('account-10-unassigned')).toBe(false)
+      expect(isBulkSelectableNode(null)).toBe(false)
+    })
+  })
+
+  describe('resolveSelectedDeviceIds', () => {
+    it('expands groups and accounts into their devices', () => {
+      expect(resolveSelectedDeviceIds(['group-100'], devices)).toEqual([1, 2])
+      expect(resolveSelectedDeviceIds(['account-10'], devices)).toEqual([1, 2, 3])
+    })
+
+    it('returns unique device ids across overlapping selections', () => {
+      const ids = resolveSelectedDeviceIds(
+        ['device-2-account-10-group-100', 'group-100', 'account-20', 'device-5'],
+        devices
+      )
+      expect(ids).toEqual([2, 1, 4, 5])
+    })
+
+    it('accepts a Set of node ids and ignores non-selectable nodes', () => {
+      expect(resolveSelectedDeviceIds(new Set(['root-accounts', 'account-10-groups', 'device-3']), devices)).toEqual([3])
+    })
+
+    it('handles missing input', () => {
+      expect(resolveSelectedDeviceIds(null, devices)).toEqual([])
+      expect(resolveSelectedDeviceIds(['group-100'], null)).toEqual([])
+    })
+  })
+
+  describe('createBulkActionRunner', () => {
+    const targets = [
+      { id: 1, name: 'Device 1' },
+      { id: 2, name: 'Device 2' },
+      { id: 3 }
+    ]
+
+    it('runs the action for every device and records results', async () => {
+      const commands = {
+        rebootSystem: vi.fn((id) => id === 2 ? Promise.reject(new Error('Устройство не в сети')) : Promise.resolve())
+      }
+      const runner = createBulkActionRunner(storeWith(commands))
+
+      await runner.run('reboot', targets)
+
+      expect(commands.rebootSystem).toHaveBeenCalledTimes(3)
+      expect(runner.results.value).toEqual([
+        { deviceId: 1, name: 'Device 1', state: 'succeeded', error: null },
+        { deviceId: 2, name: 'Device 2', state: 'failed', error: 'Устройство не в сети' },
+        { deviceId: 3, name: 'Устройство 3', state: 'succeeded', error: null }
+      ])
+      expect(runner.summary.value).toEqual({ total: 3, pending: 0, running: 0, succeeded: 2, failed: 1 })
+      expect(runner.running.value).toBe(false)
+    })
+
+    it('sends commands through the state-free store entry point', async () => {
+      const store = storeWith({ startVideoUpload: vi.fn().mockRejectedValue(new Error('timeout')) })
+      const runner = createBulkActionRunner(store)
+
+      await runner.run('startVideoUpload', targets)
+
+      expect(store.sendDeviceCommand).toHaveBeenCalledWith('startVideoUpload', 1)
+      expect(store.sendDeviceCommand).toHaveBeenCalledTimes(3)
+      expect(store.loading).toBe(false)
+      expect(store.error).toBeNull()
+    })
+
+    it('bounds the number of requests in flight', async () => {
+      let active = 0
+      let maxActive = 0
+      const commands = {
+        startPlayback: vi.fn(async () => {
+          active += 1
+          maxActive = Math.max(maxActive, active)
+          await new Promise(resolve => setTimeout(resolve, 0))
+          active -= 1
+        })
+      }
+      const runner = createBulkActionRunner(storeWith(commands), { concurrency: 2 })
+
+      await runner.run('startPlayback', [...targets, { id: 4 }, { id: 5 }])
+
+      expect(commands.startPlayback).toHaveBeenCalledTimes(5)
+      expect(maxActive).toBe(2)
+    })
+
+    it('retries only failed devices with the same action', async () => {
+      const commands = {
+        stopPlayback: vi.fn()
+          .mockResolvedValueOnce()
+          .mockRejectedValueOnce(new Error('timeout'))
+          .mockResolvedValueOnce()
+          .mockResolvedValueOnce()
+      }
+      const runner = createBulkActionRunner(storeWith(commands))
+
+      await runner.run('stopPlayback', targets)
+      expect(runner.summary.value.failed).toBe(1)
+
+      expect(await runner.retryFailed()).toBe(true)
+
+      expect(commands.stopPlayback).toHaveBeenCalledTimes(4)
+      expect(commands.stopPlayback).toHaveBeenLastCalledWith(2)
+      expect(runner.summary.value).toEqual({ total: 3, pending: 0, running: 0, succeeded: 3, failed: 0 })
+    })
+
+    it('does nothing on retry when there are no failures', async () => {
+      const commands = { stopVideoUpload: vi.fn().mockResolvedValue() }
+      const runner = createBulkActionRunner(storeWith(commands))
+
+      expect(await runner.retryFailed()).toBe(false)
+      await runner.run('stopVideoUpload', targets)
+      expect(await runner.retryFailed()).toBe(false)
+      expect(commands.stopVideoUpload).toHaveBeenCalledTimes(3)
+    })
+
+    it('ignores a second run while the first is in progress', async () => {
+      let release
+      const commands = {
+        rebootSystem: vi.fn(() => new Promise(resolve => { release = resolve }))
+      }
+      const runner = createBulkActionRunner(storeWith(commands))
+
+      const first = runner.run('reboot', [{ id: 1 }])
+      expect(runner.running.value).toBe(true)
+      expect(runner.results.value[0].state).toBe('running')
+      expect(await runner.run('reboot', targets)).toBe(false)
+
+      release()
+      expect(await first).toBe(true)
+      expect(commands.rebootSystem).toHaveBeenCalledTimes(1)
+    })
+
+    it('rejects unknown actions', async () => {
+      const runner = createBulkActionRunner(storeWith({}))
+      await expect(runner.run('format', targets)).rejects.toThrow('Неизвестная групповая операция')
+    })
+
+    it('resets results and action', async () => {
+      const runner = createBulkActionRunner(storeWith({ rebootSystem: vi.fn().mockResolvedValue() }))
+      await runner.run('reboot', targets)
+
+      runner.reset()
+
+      expect(runner.results.value).toEqual([])
+      expect(runner.action.value).toBeNull()
+    })
+  })
+})
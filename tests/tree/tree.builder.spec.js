@@ -5,6 +5,7 @@ import { describe, it, expect, vi } from 'vitest'
 import {
   getUnassignedDevices,
   getAccountChildren,
+  getDeviceAncestorNodeIds,
   buildTreeItems
 } from '@/helpers/tree/tree.builder.js'
 
@@ -110,6 +111,16 @@ describe('Tree Builder Functions', () => {
     })
   })
 
+  describe('getDeviceAncestorNodeIds', () => {
+    it('should return the containers that show a device', () => {
+      expect(getDeviceAncestorNodeIds({ id: 1, accountId: 0 })).toEqual(['root-unassigned'])
+      expect(getDeviceAncestorNodeIds({ id: 2, accountId: 1, deviceGroupId: 0 }))
+        .toEqual(['root-accounts', 'account-1', 'account-1-unassigned'])
+      expect(getDeviceAncestorNodeIds({ id: 3, accountId: 1, deviceGroupId: 5 }))
+        .toEqual(['root-accounts', 'account-1', 'account-1-groups', 'group-5'])
+    })
+  })
+
   describe('buildTreeItems', () => {
     it('should build complete tree structure when user can view everything', () => {
       const canViewUnassignedDevices = true
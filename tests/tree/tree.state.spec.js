@@ -3,7 +3,7 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { ref } from 'vue'
-import { createStateManager } from '@/helpers/tree/tree.state.js'
+import { buildFocusedTreeState, createStateManager } from '@/helpers/tree/tree.state.js'
 
 describe('Tree State Functions', () => {
   describe('createStateManager', () => {
@@ -116,5 +116,32 @@ describe('Tree State Functions', () => {
       expect(authStore.saveAccountsTreeState).toHaveBeenCalledWith(null, [])
     })
   })
-})
 
+  describe('buildFocusedTreeState', () => {
+    it('should focus a device group and expand its parents', () => {
+      const state = buildFocusedTreeState(
+        { accountId: 1, groupId: 5 },
+        { selectedNode: 'account-2', expandedNodes: ['root-accounts', 'account-2'] }
+      )
+
+      expect(state).toEqual({
+        selectedNode: 'group-5',
+        expandedNodes: ['root-accounts', 'account-2', 'account-1', 'account-1-groups', 'group-5']
+      })
+    })
+
+    it('should focus an account', () => {
+      expect(buildFocusedTreeState({ accountId: 3 })).toEqual({
+        selectedNode: 'account-3',
+        expandedNodes: ['root-accounts', 'account-3']
+      })
+    })
+
+    it('should focus unassigned devices when there is no account', () => {
+      expect(buildFocusedTreeState({ accountId: null }, { expandedNodes: null })).toEqual({
+        selectedNode: 'root-unassigned',
+        expandedNodes: ['root-unassigned']
+      })
+    })
+  })
+})
@@ -0,0 +1,190 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { flushPromises } from '@vue/test-utils'
+import { useUploadManagerStore } from '@/stores/upload.manager.store.js'
+import { getUploadFingerprint } from '@/helpers/chunked.upload.js'
+
+/* global File */
+
+const videosStore = {
+  uploadFileInBackground: vi.fn(),
+  pauseUpload: vi.fn(),
+  resumeUpload: vi.fn()
+}
+
+vi.mock('@/stores/videos.store.js', () => ({
+  useVideosStore: () => videosStore
+}))
+
+const file = (name, size = 1) => new File(['x'.repeat(size)], name, { type: 'video/mp4' })
+
+// Uploads that finish when the test says so and fail with AbortError when aborted
+function controllableUploads() {
+  const pending = []
+  videosStore.uploadFileInBackground.mockImplementation((uploaded, _accountId, _title, options) => new Promise((resolve, reject) => {
+    pending.push({ file: uploaded, options, resolve, reject })
+    options.signal.addEventListener('abort', () => {
+      const error = new Error('Загрузка отменена')
+      error.name = 'AbortError'
+      reject(error)
+    })
+  }))
+  return pending
+}
+
+describe('upload manager store', () => {
+  let store
+
+  beforeEach(() => {
+    videosStore.uploadFileInBackground.mockReset()
+    videosStore.pauseUpload.mockReset()
+    videosStore.resumeUpload.mockReset()
+    setActivePinia(createPinia())
+    store = useUploadManagerStore()
+  })
+
+  it('uploads up to three files at a time', async () => {
+    const pending = controllableUploads()
+    const files = ['a', 'b', 'c', 'd', 'e'].map(name => file(`${name}.mp4`))
+
+    const outcomes = store.enqueue(files.map(item => ({ file: item, accountId: 2, options: { categoryId: 4 } })))
+    expect(pending).toHaveLength(3)
+    expect(store.activeCount).toBe(5)
+    expect(store.items.map(item => item.status)).toEqual(['uploading', 'uploading', 'uploading', 'queued', 'queued'])
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledWith(files[0], 2, '', expect.objectContaining({ categoryId: 4 }))
+
+    pending[0].resolve({ id: 1 })
+    await flushPromises()
+    expect(pending).toHaveLength(4)
+    expect(pending[3].file).toBe(files[3])
+
+    pending.slice(1).forEach(upload => upload.resolve({}))
+    await flushPromises()
+    pending[4].resolve({})
+
+    const results = await outcomes
+    expect(results.map(result => result.status)).toEqual(['done', 'done', 'done', 'done', 'done'])
+    expect(results[0]).toEqual(expect.objectContaining({ file: files[0], result: { id: 1 } }))
+    expect(store.completedCount).toBe(5)
+    expect(store.activeCount).toBe(0)
+    expect(store.hasFinished).toBe(true)
+  })
+
+  it('tracks progress, speed and remaining time of every file', async () => {
+    const pending = controllableUploads()
+    const now = vi.spyOn(Date, 'now')
+    store.enqueue([{ file: file('a.mp4', 1000), accountId: 0 }])
+    const { onUploadProgress } = pending[0].options
+
+    now.mockReturnValue(0)
+    onUploadProgress({ lengthComputable: true, loaded: 0, total: 1000 })
+    now.mockReturnValue(1000)
+    onUploadProgress({ lengthComputable: true, loaded: 250, total: 1000 })
+    onUploadProgress({ lengthComputable: false })
+
+    expect(store.items[0]).toEqual(expect.objectContaining({ loaded: 250, total: 1000, speed: 250, eta: 3 }))
+    now.mockRestore()
+  })
+
+  it('reports failures with their message', async () => {
+    videosStore.uploadFileInBackground.mockRejectedValueOnce(new Error('network error'))
+
+    const [outcome] = await store.enqueue([{ file: file('a.mp4'), accountId: 0 }])
+
+    expect(outcome.status).toBe('error')
+    expect(outcome.error.message).toBe('network error')
+    expect(store.items[0]).toEqual(expect.objectContaining({ status: 'error', error: 'network error' }))
+  })
+
+  it('cancels queued and uploading files', async () => {
+    const pending = controllableUploads()
+    const outcomes = store.enqueue(['a', 'b', 'c', 'd'].map(name => ({ file: file(`${name}.mp4`), accountId: 0 })))
+    const [first, , , queued] = store.items
+
+    store.cancel(queued.id)
+    store.cancel(first.id)
+    await flushPromises()
+
+    expect(pending[0].options.signal.aborted).toBe(true)
+    expect(pending).toHaveLength(3)
+    pending[1].resolve({})
+    pending[2].resolve({})
+
+    const results = await outcomes
+    expect(results.map(result => result.status)).toEqual(['cancelled', 'done', 'done', 'cancelled'])
+    expect(store.completedCount).toBe(2)
+  })
+
+  it('cancels everything that is still active', async () => {
+    controllableUploads()
+    const outcomes = store.enqueue(['a', 'b', 'c', 'd'].map(name => ({ file: file(`${name}.mp4`), accountId: 0 })))
+
+    store.cancelAll()
+
+    const results = await outcomes
+    expect(results.every(result => result.status === 'cancelled')).toBe(true)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(3)
+  })
+
+  it('retries failed and cancelled files', async () => {
+    videosStore.uploadFileInBackground
+      .mockRejectedValueOnce(new Error('network error'))
+      .mockResolvedValueOnce({ id: 7 })
+
+    await store.enqueue([{ file: file('a.mp4'), accountId: 0 }])
+    const { id } = store.items[0]
+
+    store.retry(id)
+    expect(store.items[0].status).toBe('uploading')
+    await flushPromises()
+
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
+    expect(store.items[0]).toEqual(expect.objectContaining({ status: 'done', error: null }))
+    expect(store.completedCount).toBe(1)
+
+    store.retry(id)
+    expect(videosStore.uploadFileInBackground).toHaveBeenCalledTimes(2)
+  })
+
+  it('removes finished files only', async () => {
+    controllableUploads()
+    store.enqueue([{ file: file('a.mp4'), accountId: 0 }])
+    const { id } = store.items[0]
+
+    store.remove(id)
+    expect(store.items).toHaveLength(1)
+
+    store.cancel(id)
+    await flushPromises()
+    store.remove(id)
+    expect(store.items).toHaveLength(0)
+  })
+
+  it('clears finished files and keeps active ones', async () => {
+    const pending = controllableUploads()
+    store.enqueue(['a', 'b'].map(name => ({ file: file(`${name}.mp4`), accountId: 0 })))
+
+    pending[0].resolve({})
+    await flushPromises()
+    store.clearFinished()
+
+    expect(store.items.map(item => item.filename)).toEqual(['b.mp4'])
+  })
+
+  it('pauses and resumes chunked uploads by fingerprint', () => {
+    controllableUploads()
+    const uploaded = file('a.mp4')
+    store.enqueue([{ file: uploaded, accountId: 3, options: { categoryId: 5 } }])
+    const { id } = store.items[0]
+    const fingerprint = getUploadFingerprint(uploaded, { accountId: 3, categoryId: 5 })
+
+    store.pause(id)
+    store.resume(id)
+
+    expect(videosStore.pauseUpload).toHaveBeenCalledWith(fingerprint)
+    expect(videosStore.resumeUpload).toHaveBeenCalledWith(fingerprint)
+  })
+})
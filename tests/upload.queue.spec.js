@@ -0,0 +1,63 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import {
+  estimateRemainingSeconds,
+  formatProbedMetadata,
+  formatRemainingTime,
+  formatTransferSpeed,
+  isFinishedUpload,
+  updateTransferRate
+} from '@/helpers/upload.queue.js'
+
+describe('upload queue helpers', () => {
+  it('tells finished uploads from active ones', () => {
+    expect(isFinishedUpload({ status: 'done' })).toBe(true)
+    expect(isFinishedUpload({ status: 'error' })).toBe(true)
+    expect(isFinishedUpload({ status: 'cancelled' })).toBe(true)
+    expect(isFinishedUpload({ status: 'queued' })).toBe(false)
+    expect(isFinishedUpload({ status: 'uploading' })).toBe(false)
+    expect(isFinishedUpload(null)).toBe(false)
+  })
+
+  it('smooths the transfer rate', () => {
+    let sample = updateTransferRate(null, 0, 0)
+    expect(sample.speed).toBeNull()
+
+    sample = updateTransferRate(sample, 1000, 1000)
+    expect(sample.speed).toBe(1000)
+
+    sample = updateTransferRate(sample, 3000, 2000)
+    expect(sample.speed).toBeCloseTo(1300)
+  })
+
+  it('restarts the rate when progress goes back', () => {
+    const sample = updateTransferRate({ loaded: 500, timestamp: 0, speed: 100 }, 0, 1000)
+    expect(sample).toEqual({ loaded: 0, timestamp: 1000, speed: null })
+  })
+
+  it('keeps the rate for samples without elapsed time', () => {
+    const sample = updateTransferRate({ loaded: 500, timestamp: 1000, speed: 100 }, 600, 1000)
+    expect(sample).toEqual({ loaded: 600, timestamp: 1000, speed: 100 })
+  })
+
+  it('estimates remaining time', () => {
+    expect(estimateRemainingSeconds(250, 1000, 100)).toBe(8)
+    expect(estimateRemainingSeconds(1000, 1000, 100)).toBe(0)
+    expect(estimateRemainingSeconds(0, 1000, null)).toBeNull()
+    expect(estimateRemainingSeconds(0, 0, 100)).toBeNull()
+  })
+
+  it('formats speed and remaining time', () => {
+    expect(formatTransferSpeed(2 * 1024 * 1024)).toBe('2.0 МБ/с')
+    expect(formatTransferSpeed(null)).toBe('—')
+    expect(formatRemainingTime(75)).toBe('1:15')
+    expect(formatRemainingTime(null)).toBe('—')
+  })
+  it('formats probed metadata', () => {
+    expect(formatProbedMetadata({ width: 1920, height: 1080, duration: 75 })).toBe('1920×1080 · 1:15')
+    expect(formatProbedMetadata({ width: null, height: null, duration: 75 })).toBe('1:15')
+    expect(formatProbedMetadata(null)).toBe('')
+  })
+})
@@ -164,5 +164,28 @@ describe('users.store', () => {
     expect(store.error).toBe(error)
     expect(store.loading).toBe(false)
   })
-})
 
+  it('resetTwoFactor deletes the second factor of the user', async () => {
+    const store = useUsersStore()
+    store.$patch({ users: [{ id: 2, twoFactorEnabled: true }], user: { id: 2, twoFactorEnabled: true } })
+    fetchWrapper.delete.mockResolvedValueOnce({})
+
+    await store.resetTwoFactor(2)
+
+    expect(fetchWrapper.delete).toHaveBeenCalledWith(expect.stringContaining('/users/2/2fa'), {})
+    expect(store.getUserById(2).twoFactorEnabled).toBe(false)
+    expect(store.user.twoFactorEnabled).toBe(false)
+    expect(store.loading).toBe(false)
+  })
+
+  it('resetTwoFactor sets error state when fetch fails', async () => {
+    const store = useUsersStore()
+    store.$patch({ users: [{ id: 2, twoFactorEnabled: true }] })
+    const error = new Error('Reset failed')
+    fetchWrapper.delete.mockRejectedValueOnce(error)
+
+    await expect(store.resetTwoFactor(2)).rejects.toThrow('Reset failed')
+    expect(store.error).toBe(error)
+    expect(store.getUserById(2).twoFactorEnabled).toBe(true)
+  })
+})
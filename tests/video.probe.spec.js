@@ -0,0 +1,161 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  getPosterFilename,
+  getPosterSize,
+  getPosterTime,
+  noVideoTrackMessage,
+  probeVideoFile,
+  unsupportedVideoMessage
+} from '@/helpers/video.probe.js'
+
+/* global File, Blob, EventTarget, Event */
+
+// Off-DOM <video> that plays the scenario of a test when its source is set
+class FakeVideo extends EventTarget {
+  constructor(scenario) {
+    super()
+    this.scenario = scenario
+    this.duration = scenario.duration ?? NaN
+    this.videoWidth = scenario.width ?? 0
+    this.videoHeight = scenario.height ?? 0
+    this.seekedTo = null
+    this.removeAttribute = vi.fn()
+    this.load = vi.fn()
+  }
+
+  canPlayType(type) {
+    return this.scenario.canPlayType?.(type) ?? 'maybe'
+  }
+
+  set src(value) {
+    this.source = value
+    if (this.scenario.metadata) globalThis.setTimeout(() => this.dispatchEvent(new Event(this.scenario.metadata)))
+  }
+
+  set currentTime(value) {
+    this.seekedTo = value
+    if (this.scenario.seek) globalThis.setTimeout(() => this.dispatchEvent(new Event(this.scenario.seek)))
+  }
+}
+
+describe('video probe helpers', () => {
+  let video
+  let canvas
+  let scenario
+  const poster = new Blob(['jpeg'], { type: 'image/jpeg' })
+  const file = new File(['x'], 'promo.mp4', { type: 'video/mp4' })
+
+  beforeEach(() => {
+    scenario = { metadata: 'loadedmetadata', seek: 'seeked', duration: 30, width: 1920, height: 1080 }
+    canvas = {
+      context: { drawImage: vi.fn() },
+      getContext() { return this.context },
+      toBlob: vi.fn((callback) => callback(poster))
+    }
+    const createElement = document.createElement.bind(document)
+    vi.spyOn(document, 'createElement').mockImplementation((tag) => {
+      if (tag === 'video') {
+        video = new FakeVideo(scenario)
+        return video
+      }
+      if (tag === 'canvas') return canvas
+      return createElement(tag)
+    })
+    vi.stubGlobal('URL', { createObjectURL: vi.fn(() => 'blob:probe'), revokeObjectURL: vi.fn() })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('picks the poster frame time and size', () => {
+    expect(getPosterTime(30)).toBe(1)
+    expect(getPosterTime(1)).toBe(0.5)
+    expect(getPosterTime(null)).toBe(0)
+    expect(getPosterSize(1920, 1080)).toEqual({ width: 320, height: 180 })
+    expect(getPosterSize(160, 90)).toEqual({ width: 160, height: 90 })
+  })
+
+  it('names the poster after the video', () => {
+    expect(getPosterFilename({ name: 'promo.final.mp4' })).toBe('promo.final.jpg')
+    expect(getPosterFilename({ name: 'promo' })).toBe('promo.jpg')
+    expect(getPosterFilename(null)).toBe('video.jpg')
+  })
+
+  it('reads metadata and captures a poster frame', async () => {
+    const result = await probeVideoFile(file)
+
+    expect(result).toEqual({
+      playable: true,
+      codecSupport: 'maybe',
+      duration: 30,
+      width: 1920,
+      height: 1080,
+      poster,
+      reason: null
+    })
+    expect(video.source).toBe('blob:probe')
+    expect(video.seekedTo).toBe(1)
+    expect(canvas.width).toBe(320)
+    expect(canvas.context.drawImage).toHaveBeenCalledWith(video, 0, 0, 320, 180)
+    expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/jpeg', 0.8)
+    expect(video.removeAttribute).toHaveBeenCalledWith('src')
+    expect(globalThis.URL.revokeObjectURL).toHaveBeenCalledWith('blob:probe')
+  })
+
+  it('rejects files the browser cannot decode', async () => {
+    scenario.metadata = 'error'
+    scenario.canPlayType = () => ''
+
+    const result = await probeVideoFile(file)
+
+    expect(result).toEqual(expect.objectContaining({ playable: false, codecSupport: '', reason: unsupportedVideoMessage }))
+    expect(globalThis.URL.revokeObjectURL).toHaveBeenCalledWith('blob:probe')
+  })
+
+  it('rejects files without a video track', async () => {
+    scenario.width = 0
+    scenario.height = 0
+
+    const result = await probeVideoFile(file)
+
+    expect(result).toEqual(expect.objectContaining({ playable: false, duration: 30, reason: noVideoTrackMessage }))
+  })
+
+  it('rejects files whose frames fail to decode', async () => {
+    scenario.seek = 'error'
+
+    const result = await probeVideoFile(file)
+
+    expect(result).toEqual(expect.objectContaining({ playable: false, poster: null, reason: unsupportedVideoMessage }))
+  })
+
+  it('accepts files without a poster when seeking takes too long', async () => {
+    scenario.seek = null
+
+    const result = await probeVideoFile(file, { timeout: 10 })
+
+    expect(result).toEqual(expect.objectContaining({ playable: true, width: 1920, poster: null }))
+  })
+
+  it('leaves the decision to the server when metadata takes too long', async () => {
+    scenario.metadata = null
+
+    const result = await probeVideoFile(file, { timeout: 10 })
+
+    expect(result).toEqual(expect.objectContaining({ playable: null, width: null, reason: null }))
+  })
+
+  it('does not probe without object URLs', async () => {
+    vi.stubGlobal('URL', {})
+
+    const result = await probeVideoFile(file)
+
+    expect(result.playable).toBeNull()
+    expect(document.createElement).not.toHaveBeenCalledWith('video')
+  })
+})
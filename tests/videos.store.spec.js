@@ -7,15 +7,27 @@ import { useVideosStore } from '@/stores/videos.store.js'
 import { fetchWrapper } from '@/helpers/fetch.wrapper.js'
 
 vi.mock('@/helpers/fetch.wrapper.js', () => ({
+  createAbortError: () => Object.assign(new Error('Загрузка отменена'), { name: 'AbortError' }),
   fetchWrapper: {
     get: vi.fn(),
     post: vi.fn(),
     put: vi.fn(),
     delete: vi.fn(),
-    postFile: vi.fn()
+    postFile: vi.fn(),
+    putChunk: vi.fn()
   }
 }))
 
+const authStore = { user: { id: 3 } }
+vi.mock('@/stores/auth.store.js', () => ({
+  useAuthStore: () => authStore
+}))
+
+vi.mock('@/helpers/chunked.upload.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  computeChunkChecksum: vi.fn(async () => 'checksum')
+}))
+
 /* global Blob, File */
 
 const mockVideos = [
@@ -252,6 +264,21 @@ describe('videos.store', () => {
     expect(appendSpy).toHaveBeenCalledWith('CategoryId', 5)
   })
 
+  it('uploadFile appends the poster frame when provided in options', async () => {
+    const appendSpy = vi.fn()
+    global.FormData = vi.fn(function () {
+      return { append: appendSpy }
+    })
+    fetchWrapper.postFile.mockResolvedValueOnce({})
+
+    const store = useVideosStore()
+    const poster = new Blob(['jpeg'], { type: 'image/jpeg' })
+    await store.uploadFile(new File(['one'], 'one.mp4', { type: 'video/mp4' }), 0, '', { poster })
+
+    expect(appendSpy).toHaveBeenCalledWith('Poster', poster, 'one.jpg')
+    expect(fetchWrapper.postFile).toHaveBeenCalledWith(expect.stringMatching(/\/videos\/upload$/), expect.anything())
+  })
+
   it('uploadFile forwards upload progress callback', async () => {
     const appendSpy = vi.fn()
     const mockFormData = vi.fn(function () {
@@ -308,6 +335,23 @@ describe('videos.store', () => {
     expect(appendSpy).toHaveBeenCalledWith('Title', '')
   })
 
+  it('uploadFileInBackground leaves loading and error of the store alone', async () => {
+    global.FormData = vi.fn(function () { return { append: vi.fn() } })
+    let finish
+    fetchWrapper.postFile.mockImplementationOnce(() => new Promise((resolve) => { finish = resolve }))
+    const store = useVideosStore()
+
+    const upload = store.uploadFileInBackground(new Blob(['x']), 5, 'A')
+    expect(store.loading).toBe(false)
+    finish({})
+    await upload
+
+    fetchWrapper.postFile.mockRejectedValueOnce(new Error('network error'))
+    await expect(store.uploadFileInBackground(new Blob(['x']), 5, 'B')).rejects.toThrow('network error')
+    expect(store.error).toBeNull()
+    expect(store.loading).toBe(false)
+  })
+
   it('getAllByAccount loads videos scoped to account', async () => {
     fetchWrapper.get.mockResolvedValueOnce(mockVideos)
 
@@ -347,10 +391,223 @@ describe('videos.store', () => {
     expect(store.error).toBe(error)
   })
 
+  it('listByAccount loads videos without touching the store state', async () => {
+    fetchWrapper.get.mockResolvedValueOnce(mockVideos)
+    const store = useVideosStore()
+    store.videos = [{ id: 99 }]
+
+    const result = await store.listByAccount(0, { availableForAccountId: 12 })
+
+    expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringContaining('/videos/by-account/0?availableForAccountId=12'))
+    expect(result).toEqual(mockVideos)
+    expect(store.videos).toEqual([{ id: 99 }])
+    expect(store.loading).toBe(false)
+  })
+
   it('getAllByAccount returns early without making API call when accountId is null', async () => {
     fetchWrapper.get.mockResolvedValueOnce([])
     const store = useVideosStore()
     await store.getAllByAccount(null)
     expect(fetchWrapper.get).not.toHaveBeenCalled()
   })
+
+  describe('chunked uploads', () => {
+    const chunkSize = 8 * 1024 * 1024
+    const size = 2 * chunkSize + 100
+    const createLargeFile = () => ({
+      name: 'promo.mp4',
+      size,
+      lastModified: 1,
+      slice: vi.fn((start, end) => ({ size: end - start }))
+    })
+    const fingerprint = 'promo.mp4:' + size + ':1:7:'
+    const createAbortError = () => Object.assign(new Error('Загрузка отменена'), { name: 'AbortError' })
+
+    beforeEach(() => {
+      localStorage.clear()
+      Object.values(fetchWrapper).forEach(mock => mock.mockReset())
+      fetchWrapper.post.mockImplementation(async (url) => (
+        url.endsWith('/complete') ? { id: 55 } : { id: 'up-1', chunkSize }
+      ))
+      fetchWrapper.putChunk.mockResolvedValue({})
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('keeps small files on the multipart upload', async () => {
+      global.FormData = vi.fn(function () { return { append: vi.fn() } })
+      const store = useVideosStore()
+
+      await store.uploadFile(new File(['one'], 'one.mp4'), 7)
+
+      expect(fetchWrapper.postFile).toHaveBeenCalled()
+      expect(fetchWrapper.putChunk).not.toHaveBeenCalled()
+    })
+
+    it('uploads large files chunk by chunk with checksums', async () => {
+      const store = useVideosStore()
+      const onUploadProgress = vi.fn()
+
+      const result = await store.uploadFile(createLargeFile(), 7, '', { categoryId: 3, onUploadProgress })
+
+      expect(result).toEqual({ id: 55 })
+      expect(fetchWrapper.post).toHaveBeenNthCalledWith(1, expect.stringMatching(/\/videos\/uploads$/), {
+        filename: 'promo.mp4',
+        size,
+        title: 'promo.mp4',
+        accountId: 7,
+        chunkSize,
+        categoryId: 3
+      })
+      expect(fetchWrapper.putChunk).toHaveBeenCalledTimes(3)
+      expect(fetchWrapper.putChunk).toHaveBeenNthCalledWith(
+        3,
+        expect.stringMatching(/\/videos\/uploads\/up-1\/chunks\/2$/),
+        { size: 100 },
+        expect.objectContaining({ index: 2, offset: 2 * chunkSize, total: size, checksum: 'checksum' })
+      )
+      expect(fetchWrapper.post).toHaveBeenLastCalledWith(expect.stringMatching(/\/videos\/uploads\/up-1\/complete$/))
+      expect(onUploadProgress).toHaveBeenLastCalledWith({ loaded: size, total: size, percentage: 100, lengthComputable: true })
+      expect(store.uploads['promo.mp4:' + size + ':1:7:3'].status).toBe('done')
+      expect(store.pendingUploads).toEqual({})
+    })
+
+    it('sends the poster frame with the completion of a chunked upload', async () => {
+      const appendSpy = vi.fn()
+      global.FormData = vi.fn(function () { return { append: appendSpy } })
+      fetchWrapper.postFile.mockResolvedValueOnce({ id: 56 })
+      const store = useVideosStore()
+      const poster = new Blob(['jpeg'], { type: 'image/jpeg' })
+
+      const result = await store.uploadFile(createLargeFile(), 7, '', { poster })
+
+      expect(result).toEqual({ id: 56 })
+      expect(appendSpy).toHaveBeenCalledWith('Poster', poster, 'promo.jpg')
+      expect(fetchWrapper.postFile).toHaveBeenCalledWith(expect.stringMatching(/\/videos\/uploads\/up-1\/complete$/), expect.anything())
+      expect(fetchWrapper.post).not.toHaveBeenCalledWith(expect.stringMatching(/\/complete$/))
+    })
+
+    it('resumes a stored session from the chunks the server has', async () => {
+      localStorage.setItem('videoUploadSessions:3', JSON.stringify({
+        [fingerprint]: { id: 'up-9', chunkSize, filename: 'promo.mp4', size, uploadedBytes: chunkSize }
+      }))
+      fetchWrapper.get.mockResolvedValueOnce({ receivedChunks: [0] })
+      const store = useVideosStore()
+      expect(Object.keys(store.pendingUploads)).toEqual([fingerprint])
+
+      await store.uploadFile(createLargeFile(), 7)
+
+      expect(fetchWrapper.get).toHaveBeenCalledWith(expect.stringMatching(/\/videos\/uploads\/up-9$/))
+      expect(fetchWrapper.putChunk.mock.calls.map(call => call[2].index)).toEqual([1, 2])
+      expect(fetchWrapper.post).toHaveBeenCalledTimes(1)
+      expect(store.pendingUploads).toEqual({})
+    })
+
+    it('starts over when the stored session has expired', async () => {
+      localStorage.setItem('videoUploadSessions:3', JSON.stringify({ [fingerprint]: { id: 'old', chunkSize } }))
+      fetchWrapper.get.mockRejectedValueOnce(Object.assign(new Error('Not found'), { status: 404 }))
+      const store = useVideosStore()
+
+      await store.uploadFile(createLargeFile(), 7)
+
+      expect(fetchWrapper.putChunk).toHaveBeenCalledTimes(3)
+      expect(fetchWrapper.putChunk.mock.calls[0][0]).toContain('/uploads/up-1/chunks/0')
+    })
+
+    it('retries chunks after network errors', async () => {
+      vi.useFakeTimers()
+      fetchWrapper.putChunk
+        .mockRejectedValueOnce(Object.assign(new Error('network'), { status: 0, isNetworkError: true }))
+        .mockResolvedValue({})
+      const store = useVideosStore()
+
+      const upload = store.uploadFile(createLargeFile(), 7)
+      await vi.advanceTimersByTimeAsync(0)
+      expect(store.uploads[fingerprint].status).toBe('retrying')
+
+      await vi.advanceTimersByTimeAsync(1000)
+      await upload
+
+      expect(fetchWrapper.putChunk).toHaveBeenCalledTimes(4)
+      expect(fetchWrapper.putChunk.mock.calls[1][2].index).toBe(0)
+    })
+
+    it('keeps the session when a chunk fails for good', async () => {
+      fetchWrapper.putChunk.mockRejectedValue(Object.assign(new Error('Bad chunk'), { status: 400 }))
+      const store = useVideosStore()
+
+      await expect(store.uploadFile(createLargeFile(), 7)).rejects.toThrow('Bad chunk')
+
+      expect(store.uploads[fingerprint]).toMatchObject({ status: 'error', error: 'Bad chunk' })
+      expect(store.pendingUploads[fingerprint].id).toBe('up-1')
+    })
+
+    it('pauses and resumes an upload', async () => {
+      let rejectChunk
+      fetchWrapper.putChunk.mockImplementationOnce((_url, _chunk, options) => new Promise((_resolve, reject) => {
+        rejectChunk = reject
+        options.signal.addEventListener('abort', () => reject(createAbortError()))
+      }))
+      const store = useVideosStore()
+
+      const upload = store.uploadFile(createLargeFile(), 7)
+      await vi.waitFor(() => expect(rejectChunk).toBeDefined())
+
+      store.pauseUpload(fingerprint)
+      await new Promise(resolve => setTimeout(resolve))
+      expect(store.uploads[fingerprint].status).toBe('paused')
+      expect(fetchWrapper.putChunk).toHaveBeenCalledTimes(1)
+
+      store.resumeUpload(fingerprint)
+      await upload
+
+      expect(fetchWrapper.putChunk.mock.calls.map(call => call[2].index)).toEqual([0, 0, 1, 2])
+    })
+
+    it('cancels a paused upload and keeps its session', async () => {
+      fetchWrapper.putChunk.mockImplementationOnce((_url, _chunk, options) => new Promise((_resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(createAbortError()))
+      }))
+      const store = useVideosStore()
+      const abortController = new AbortController()
+
+      const upload = store.uploadFile(createLargeFile(), 7, '', { signal: abortController.signal })
+      await vi.waitFor(() => expect(fetchWrapper.putChunk).toHaveBeenCalled())
+      store.pauseUpload(fingerprint)
+      abortController.abort()
+
+      await expect(upload).rejects.toMatchObject({ name: 'AbortError' })
+      expect(store.uploads[fingerprint].status).toBe('cancelled')
+      expect(store.pendingUploads[fingerprint]).toBeDefined()
+    })
+
+    it('discards an interrupted upload', async () => {
+      localStorage.setItem('videoUploadSessions:3', JSON.stringify({ [fingerprint]: { id: 'up-9' } }))
+      fetchWrapper.delete.mockResolvedValueOnce({})
+      const store = useVideosStore()
+
+      await store.discardUpload(fingerprint)
+
+      expect(fetchWrapper.delete).toHaveBeenCalledWith(expect.stringMatching(/\/videos\/uploads\/up-9$/))
+      expect(store.pendingUploads).toEqual({})
+    })
+
+    it('loads the interrupted uploads of the current user only', () => {
+      localStorage.setItem('videoUploadSessions:4', JSON.stringify({ [fingerprint]: { id: 'up-4' } }))
+
+      expect(useVideosStore().pendingUploads).toEqual({})
+    })
+
+    it('clears the interrupted uploads of the current user', () => {
+      localStorage.setItem('videoUploadSessions:3', JSON.stringify({ [fingerprint]: { id: 'up-9' } }))
+      const store = useVideosStore()
+
+      store.clearPendingUploads()
+
+      expect(store.pendingUploads).toEqual({})
+      expect(localStorage.getItem('videoUploadSessions:3')).toBeNull()
+    })
+  })
 })
@@ -0,0 +1,77 @@
+// Copyright (c) 2026 sw.consulting
+// This file is a part of Media Pi frontend application
+
+import { describe, it, expect } from 'vitest'
+import { createZip, crc32 } from '@/helpers/zip.js'
+
+const decode = (bytes) => new TextDecoder().decode(bytes)
+
+// Reads entries back through the central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const endOffset = bytes.length - 22
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50)
+  const count = view.getUint16(endOffset + 10, true)
+  let offset = view.getUint32(endOffset + 16, true)
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50)
+    const flags = view.getUint16(offset + 8, true)
+    const method = view.getUint16(offset + 10, true)
+    const time = view.getUint16(offset + 12, true)
+    const date = view.getUint16(offset + 14, true)
+    const checksum = view.getUint32(offset + 16, true)
+    const size = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50)
+    expect(view.getUint32(localOffset + 14, true)).toBe(checksum)
+    const localNameLength = view.getUint16(localOffset + 26, true)
+    const dataOffset = localOffset + 30 + localNameLength
+    const data = bytes.subarray(dataOffset, dataOffset + size)
+
+    entries.push({ name, flags, method, time, date, checksum, data })
+    offset += 46 + nameLength
+  }
+  return entries
+}
+
+describe('zip helper', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+    expect(crc32(new Uint8Array())).toBe(0)
+  })
+
+  it('stores files with UTF-8 names, checksums and DOS times', () => {
+    const taken = new Date(2026, 3, 15, 10, 30, 45)
+    const zip = createZip([
+      { name: 'зал-1.jpg', data: new Uint8Array([255, 216, 255, 224]), date: taken },
+      { name: 'manifest.json', data: '{"ok":true}\n', date: taken }
+    ])
+
+    const entries = readZip(zip)
+    expect(entries.map((entry) => entry.name)).toEqual(['зал-1.jpg', 'manifest.json'])
+    expect(Array.from(entries[0].data)).toEqual([255, 216, 255, 224])
+    expect(decode(entries[1].data)).toBe('{"ok":true}\n')
+    entries.forEach((entry) => {
+      expect(entry.flags).toBe(0x0800)
+      expect(entry.method).toBe(0)
+      expect(entry.checksum).toBe(crc32(entry.data))
+      expect(entry.time).toBe((10 << 11) | (30 << 5) | 22)
+      expect(entry.date).toBe(((2026 - 1980) << 9) | (4 << 5) | 15)
+    })
+  })
+
+  it('builds an empty archive', () => {
+    const zip = createZip([])
+    expect(zip).toHaveLength(22)
+    expect(readZip(zip)).toEqual([])
+  })
+
+  it('clamps dates before 1980', () => {
+    const [entry] = readZip(createZip([{ name: 'old.txt', data: '', date: new Date(1970, 0, 1) }]))
+    expect(entry.date >> 9).toBe(0)
+  })
+})